@@ -10,22 +10,185 @@
             TRACKERS: 'spiritual-count-trackers',
             THEME: 'spiritual-count-theme',
             SETTINGS: 'spiritual-count-settings',
-            RECENT_COUNTS: 'spiritual-count-recent-counts'
+            // No longer written: recent counts come from the history log
+            RECENT_COUNTS: 'spiritual-count-recent-counts',
+            HISTORY: 'spiritual-count-history',
+            DAILY_TOTALS: 'spiritual-count-daily-totals',
+            UNDO_STACK: 'spiritual-count-undo-stack',
+            PHRASES: 'spiritual-count-phrases',
+            GROUPS: 'spiritual-count-groups',
+            // Which group sections are folded away on this device
+            COLLAPSED_GROUPS: 'spiritual-count-collapsed-groups',
+            KEY_BINDINGS: 'spiritual-count-key-bindings',
+            // Which tracker the home page widget counts, on this device
+            QUICK_TRACKER: 'spiritual-count-quick-tracker',
+            // Reminder bookkeeping, only where the Cache API shared with sw.js is missing
+            REMINDERS: 'spiritual-count-reminders'
         },
         THEMES: {
             LIGHT: 'light',
             DARK: 'dark',
             OASIS: 'oasis'
         },
+        // Named in MESSAGES by id, in the language in use when they are first created
         DEFAULT_TRACKERS: [
-            { id: 'morning-dhikr', name: 'Morning Dhikr', phrase: 'SubhanAllah', count: 0, vibration: true },
-            { id: 'evening-dhikr', name: 'Evening Dhikr', phrase: 'Alhamdulillah', count: 0, vibration: true },
-            { id: 'salah-count', name: 'Salah Count', phrase: 'Allahu Akbar', count: 0, vibration: false }
+            { id: 'morning-dhikr', phrase: 'SubhanAllah', count: 0, target: 33, rounds: 0, vibration: true, resetSchedule: { type: 'daily', time: '00:00', anchor: 'fajr' } },
+            { id: 'evening-dhikr', phrase: 'Alhamdulillah', count: 0, target: 33, rounds: 0, vibration: true, resetSchedule: { type: 'daily', time: '00:00', anchor: 'asr' } },
+            { id: 'salah-count', phrase: 'Allahu Akbar', count: 0, target: null, rounds: 0, vibration: false }
         ],
+        PROGRESS_RING_RADIUS: 54,
+        // Raw events are trimmed past this when only localStorage is available; per-day totals are kept indefinitely
+        HISTORY_LIMIT: 10000,
+        // Keys from before the IndexedDB backend that don't share the spiritual-count- prefix
+        LEGACY_STORAGE_KEYS: ['quick-tracker', 'custom-accent-colors'],
+        // Left in localStorage once its data has moved to IndexedDB, so a later fallback knows it is missing
+        MIGRATED_MARKER: 'spiritual-count-migrated-to-indexeddb',
+        // Tracker that takes over the count of the home page widget from before it used real trackers
+        LEGACY_QUICK_TRACKER_ID: 'quick-dhikr',
+        HEATMAP_WEEKS: 12,
+        UNDO_LIMIT: 100,
+        // anchor: a prayer time (see prayerTimeManager) used instead of `time` once a location is set
+        DEFAULT_RESET_SCHEDULE: { type: 'never', time: '00:00', weekday: 0, dayOfMonth: 1, anchor: null },
+        RESET_CHECK_INTERVAL: 60000,
+        // Web Lock held by the one open tab that applies scheduled resets
+        RESET_LOCK: 'spiritual-count-scheduled-resets',
+        // Timings in ms and distances in CSS pixels for taps, long presses and swipes on counters
+        GESTURES: {
+            LONG_PRESS_DELAY: 1000,
+            TAP_SLOP: 10,
+            SWIPE_DISTANCE: 60,
+            SWIPE_TIME: 800,
+            // Touch contacts wider than this are taken for a palm resting on the screen
+            PALM_SIZE: 60,
+            CLICK_SUPPRESS: 600
+        },
+        DEFAULT_LONG_PRESS_STEP: 10,
+        // Sounds a tracker can make for each count
+        COUNT_SOUNDS: ['click', 'bead', 'drop', 'none'],
+        // Trackers without a round target chime every this many counts
+        SOUND_MILESTONE: 100,
+        // Colour schemes for focus mode, by setting value
+        FOCUS_PALETTES: ['theme', 'dim', 'oled'],
+        // Days a trashed tracker is kept before it is deleted for good
+        TRASH_RETENTION_OPTIONS: [7, 30, 90, 365],
+        SYNC_CHANNEL: 'spiritual-count-sync',
+        // Built-in phrases; ones the user adds are saved under STORAGE_KEYS.PHRASES
+        PHRASE_LIBRARY: [
+            { id: 'subhanallah', arabic: 'سُبْحَانَ ٱللَّٰهِ', transliteration: 'SubhanAllah', meaning: 'Glory be to Allah', source: 'Sahih Muslim 597' },
+            { id: 'alhamdulillah', arabic: 'ٱلْحَمْدُ لِلَّٰهِ', transliteration: 'Alhamdulillah', meaning: 'All praise is due to Allah', source: 'Sahih Muslim 597' },
+            { id: 'allahu-akbar', arabic: 'ٱللَّٰهُ أَكْبَرُ', transliteration: 'Allahu Akbar', meaning: 'Allah is the Greatest', source: 'Sahih Muslim 597' },
+            { id: 'la-ilaha-illa-allah', arabic: 'لَا إِلَٰهَ إِلَّا ٱللَّٰهُ', transliteration: 'La ilaha illa Allah', meaning: 'There is no god but Allah', source: "Jami' at-Tirmidhi 3383" },
+            { id: 'astaghfirullah', arabic: 'أَسْتَغْفِرُ ٱللَّٰهَ', transliteration: 'Astaghfirullah', meaning: 'I seek forgiveness from Allah', source: 'Sahih al-Bukhari 6307' },
+            { id: 'subhanallahi-wa-bihamdihi', arabic: 'سُبْحَانَ ٱللَّٰهِ وَبِحَمْدِهِ', transliteration: 'SubhanAllahi wa bihamdihi', meaning: 'Glory be to Allah and praise Him', source: 'Sahih al-Bukhari 6405' },
+            { id: 'la-hawla', arabic: 'لَا حَوْلَ وَلَا قُوَّةَ إِلَّا بِٱللَّٰهِ', transliteration: 'La hawla wa la quwwata illa billah', meaning: 'There is no might nor power except with Allah', source: '' },
+            { id: 'hasbunallah', arabic: 'حَسْبُنَا ٱللَّٰهُ وَنِعْمَ ٱلْوَكِيلُ', transliteration: "Hasbunallahu wa ni'mal wakil", meaning: 'Allah is sufficient for us, and He is the best disposer of affairs', source: "Qur'an 3:173" },
+            { id: 'salawat', arabic: 'ٱللَّٰهُمَّ صَلِّ عَلَىٰ مُحَمَّدٍ', transliteration: 'Allahumma salli ala Muhammad', meaning: 'O Allah, send blessings upon Muhammad', source: "Qur'an 33:56" }
+        ],
+        // Starting points offered when creating a sequence tracker
+        SEQUENCE_PRESETS: {
+            'tasbih-fatimah': {
+                steps: [
+                    { phrase: 'SubhanAllah', target: 33 },
+                    { phrase: 'Alhamdulillah', target: 33 },
+                    { phrase: 'Allahu Akbar', target: 34 }
+                ]
+            },
+            'after-salah': {
+                steps: [
+                    { phrase: 'SubhanAllah', target: 33 },
+                    { phrase: 'Alhamdulillah', target: 33 },
+                    { phrase: 'Allahu Akbar', target: 33 },
+                    { phrase: 'La ilaha illa Allah', target: 1 }
+                ]
+            }
+        },
         VIBRATION_PATTERNS: {
             single: [100],
             double: [100, 50, 100],
-            long: [200]
+            triple: [80, 60, 80, 60, 80],
+            long: [200],
+            heartbeat: [60, 100, 160]
+        },
+        // Twilight angles in degrees below the horizon; ishaMinutes counts from Maghrib instead
+        PRAYER_METHODS: {
+            MWL: { fajr: 18, isha: 17 },
+            ISNA: { fajr: 15, isha: 15 },
+            Egypt: { fajr: 19.5, isha: 17.5 },
+            Makkah: { fajr: 18.5, ishaMinutes: 90 },
+            Karachi: { fajr: 18, isha: 18 },
+            Tehran: { fajr: 17.7, isha: 14, maghrib: 4.5 },
+            Jafari: { fajr: 16, isha: 14, maghrib: 4 }
+        },
+        // Asr begins when a shadow is `factor` times an object's length (plus its noon shadow)
+        ASR_METHODS: {
+            standard: { factor: 1 },
+            hanafi: { factor: 2 }
+        },
+        DATE_CALENDARS: ['gregorian', 'hijri', 'both'],
+        HIJRI_CALENDARS: ['islamic-umalqura', 'islamic-civil', 'islamic-tbla', 'islamic'],
+        // Days added to the calculated Hijri date to match the local sighting
+        HIJRI_ADJUSTMENTS: [-1, 0, 1],
+        // Cache name and snooze length must match sw.js
+        REMINDERS: {
+            CACHE: 'spiritual-count-reminders',
+            STORE_URL: '/reminders.json',
+            // Web Lock taken around every read-change-write of the store, here and in sw.js, so two tabs
+            // never report the same reminder and neither side overwrites what the other just saved
+            LOCK: 'spiritual-count-reminder-check',
+            SNOOZE_MINUTES: 10,
+            // Found due later than this after its time, a reminder is reported as missed instead of shown
+            GRACE: 15 * 60 * 1000,
+            LOOKBACK_DAYS: 7,
+            LOOKAHEAD_DAYS: 8,
+            TIME_LIMIT: 6,
+            // Furthest a reminder can be set before or after a prayer time, in minutes
+            MAX_OFFSET: 180,
+            MAX_TIMER: 60 * 60 * 1000,
+            SYNC_TAG: 'reminders',
+            SYNC_INTERVAL: 15 * 60 * 1000
+        },
+        // Keyboard shortcuts by action; keyBindingManager lists what each action does
+        DEFAULT_KEY_BINDINGS: {
+            'focus-first': 'T',
+            'add-tracker': 'A',
+            export: 'E',
+            ...Object.fromEntries([1, 2, 3, 4, 5, 6, 7, 8, 9].flatMap(n => [
+                [`increment-${n}`, String(n)],
+                [`decrement-${n}`, `Shift+${n}`]
+            ]))
+        },
+        // Keys with fixed jobs, which can't be given to a shortcut; values name the job in MESSAGES
+        RESERVED_KEYS: {
+            Escape: 'reserved.dialogs',
+            Tab: 'reserved.navigate',
+            'Shift+Tab': 'reserved.navigate',
+            Enter: 'reserved.count',
+            Space: 'reserved.count',
+            R: 'reserved.reset',
+            'Ctrl+Z': 'reserved.undo',
+            'Ctrl+Shift+Z': 'reserved.redo',
+            'Ctrl+Y': 'reserved.redo',
+            'Alt+ArrowUp': 'reserved.move',
+            'Alt+ArrowDown': 'reserved.move',
+            'Alt+ArrowLeft': 'reserved.move',
+            'Alt+ArrowRight': 'reserved.move'
+        },
+        // Interface languages; numerals is the digit set used unless one is chosen on the themes page
+        LOCALES: {
+            en: { name: 'English', dir: 'ltr', numerals: 'latn' },
+            ar: { name: 'العربية', dir: 'rtl', numerals: 'arab' },
+            ur: { name: 'اردو', dir: 'rtl', numerals: 'arabext' }
+        },
+        NUMERALS: ['auto', 'latn', 'arab', 'arabext'],
+        // WCAG 2 minimum contrast ratios; large text is 24px, or 18.66px bold
+        CONTRAST: {
+            AA: { normal: 4.5, large: 3 },
+            AAA: { normal: 7, large: 4.5 }
+        },
+        // Longest pattern the editor accepts: this many vibrate/pause entries, each up to STEP_MS
+        HAPTIC_LIMITS: {
+            STEPS: 10,
+            STEP_MS: 2000
         }
     };
 
@@ -37,11 +200,25 @@
         settings: {
             vibrationEnabled: true,
             soundEnabled: false,
+            soundVolume: 0.6,
             fontSize: 16,
-            lineHeight: 1.6
+            lineHeight: 1.6,
+            trashRetentionDays: 30,
+            focusPalette: 'theme',
+            // No location means no prayer times; '' time zone follows the device
+            prayer: { latitude: null, longitude: null, timeZone: '', method: 'MWL', asr: 'standard' },
+            dateCalendar: 'gregorian',
+            hijriCalendar: 'islamic-umalqura',
+            hijriAdjustment: 0,
+            dayStartsAtMaghrib: false,
+            // Replaced by the browser's language at startup unless one was chosen
+            locale: 'en',
+            numerals: 'auto'
         },
         modals: {},
-        currentEditingTracker: null
+        currentEditingTracker: null,
+        pendingImport: null,
+        pendingCsv: null
     };
 
     // Utility Functions
@@ -62,6 +239,20 @@
             };
         },
 
+        // Each page owns a few of the settings, so they are read and saved one at a time
+        // rather than overwriting the whole object with this page's defaults
+        loadSetting: (key, isValid) => {
+            const value = storage.get(CONFIG.STORAGE_KEYS.SETTINGS, {})[key];
+            if (value !== undefined && isValid(value)) {
+                state.settings[key] = value;
+            }
+        },
+
+        saveSetting: (key, value) => {
+            state.settings[key] = value;
+            storage.set(CONFIG.STORAGE_KEYS.SETTINGS, { ...storage.get(CONFIG.STORAGE_KEYS.SETTINGS, {}), [key]: value });
+        },
+
         // Vibration with fallback
         vibrate: (pattern) => {
             if (navigator.vibrate && state.settings.vibrationEnabled) {
@@ -69,18 +260,103 @@
             }
         },
 
-        // Format date for display
+        // Format date for display, in the calendar chosen under Dates
         formatDate: (date = new Date()) => {
-            return new Intl.DateTimeFormat('en-US', {
+            const gregorian = new Intl.DateTimeFormat(i18nManager.getLocaleTag(), {
                 month: 'short',
                 day: 'numeric',
                 hour: '2-digit',
                 minute: '2-digit'
             }).format(date);
+            if (state.settings.dateCalendar === 'gregorian') return gregorian;
+
+            const hijri = dateManager.formatHijri(utils.getDayKey(date), { month: 'short', day: 'numeric' });
+            if (state.settings.dateCalendar === 'both') return `${gregorian} · ${hijri}`;
+
+            const time = new Intl.DateTimeFormat(i18nManager.getLocaleTag(), { hour: '2-digit', minute: '2-digit' }).format(date);
+            return i18nManager.t('date.withTime', { date: hijri, time });
+        },
+
+        // Date part of an exported file's name
+        getFileDate: () => {
+            const gregorian = new Date().toISOString().split('T')[0];
+            const hijri = `${dateManager.getHijriKey(utils.getDayKey())}-AH`;
+            return { gregorian, hijri, both: `${gregorian}-${hijri}` }[state.settings.dateCalendar];
+        },
+
+        // Escape text from outside the app (e.g. imported files) before it goes into innerHTML
+        escapeHtml: (value) => String(value).replace(/[&<>"']/g, (char) => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]),
+
+        // Save text as a file through a temporary download link
+        downloadFile: (content, fileName, type) => {
+            const blob = new Blob([content], { type });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        },
+
+        // Local calendar day key (YYYY-MM-DD) used to group activity by day. With "day begins at
+        // Maghrib" on (and a location set), evening counts belong to the next day, as the Hijri date does.
+        getDayKey: (date = new Date()) => {
+            const pad = (n) => String(n).padStart(2, '0');
+            let day = date;
+            if (state.settings.dayStartsAtMaghrib) {
+                const maghrib = prayerTimeManager.getAnchorTime('maghrib', date);
+                if (maghrib && date >= maghrib) {
+                    day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+                }
+            }
+            return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+        },
+
+        // Turn a day key back into a local Date at midnight
+        parseDayKey: (dayKey) => {
+            const [year, month, day] = dayKey.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        },
+
+        // Move a day key forwards or backwards by whole days
+        shiftDayKey: (dayKey, days) => {
+            const date = utils.parseDayKey(dayKey);
+            date.setDate(date.getDate() + days);
+            return utils.getDayKey(date);
+        },
+
+        // Human label for a day key: "Today", "Yesterday" or a short date
+        formatDay: (dayKey) => {
+            const today = utils.getDayKey();
+
+            if (dayKey === today) return i18nManager.t('date.today');
+            if (dayKey === utils.shiftDayKey(today, -1)) return i18nManager.t('date.yesterday');
+
+            const gregorian = new Intl.DateTimeFormat(i18nManager.getLocaleTag(), {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric'
+            }).format(utils.parseDayKey(dayKey));
+            if (state.settings.dateCalendar === 'gregorian') return gregorian;
+
+            const hijri = dateManager.formatHijri(dayKey, { month: 'short', day: 'numeric' });
+            if (state.settings.dateCalendar === 'both') return `${gregorian} · ${hijri}`;
+
+            // The weekday comes from the real date, not the adjusted one
+            const weekday = new Intl.DateTimeFormat(i18nManager.getLocaleTag(), { weekday: 'short' }).format(utils.parseDayKey(dayKey));
+            return i18nManager.t('date.withWeekday', { weekday, date: hijri });
         },
 
-        // Show toast notification
-        showToast: (message, type = 'success') => {
+        // Show toast notification, optionally with an action button ({ label, onClick })
+        showToast: (message, type = 'success', action = null) => {
             const toast = document.getElementById('success-toast');
             if (!toast) return;
             
@@ -88,34 +364,125 @@
             if (messageEl) {
                 messageEl.textContent = message;
             }
+
+            const iconEl = toast.querySelector('.toast-icon');
+            if (iconEl) {
+                iconEl.textContent = type === 'error' ? '!' : '✓';
+            }
+            
+            let actionBtn = toast.querySelector('.toast-action');
+            if (!actionBtn && action) {
+                actionBtn = document.createElement('button');
+                actionBtn.type = 'button';
+                actionBtn.className = 'toast-action';
+                toast.querySelector('.toast-content')?.appendChild(actionBtn);
+            }
+            if (actionBtn) {
+                actionBtn.hidden = !action;
+                actionBtn.textContent = action ? action.label : '';
+                actionBtn.onclick = action ? () => {
+                    toast.classList.remove('show');
+                    action.onClick();
+                } : null;
+            }
             
+            toast.classList.toggle('error', type === 'error');
             toast.classList.add('show');
-            setTimeout(() => {
+
+            // Restart the timer so back-to-back toasts stay visible; give actions longer to be reached
+            clearTimeout(utils.toastTimer);
+            utils.toastTimer = setTimeout(() => {
                 toast.classList.remove('show');
-            }, 3000);
+                if (actionBtn) actionBtn.hidden = true;
+            }, action ? 6000 : 3000);
+        },
+
+        // [r, g, b, alpha] for a hex, rgb(a) or hsl(a) color, in either CSS argument syntax; null for anything else
+        parseColor: (color) => {
+            const value = String(color).trim().toLowerCase();
+            const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
+
+            const hex = value.match(/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/);
+            if (hex) {
+                const pairs = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit) : hex[1].match(/../g);
+                const [r, g, b, a = 255] = pairs.map(pair => parseInt(pair, 16));
+                return [r, g, b, a / 255];
+            }
+
+            const fn = value.match(/^(rgba?|hsla?)\((.*)\)$/);
+            if (!fn) return null;
+            const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+            if (parts.length < 3 || parts.length > 4) return null;
+            const toNumber = (part, percentOf) => part.endsWith('%') ? parseFloat(part) / 100 * percentOf : Number(part);
+            const alpha = parts[3] === undefined ? 1 : clamp(toNumber(parts[3], 1), 0, 1);
+
+            let rgb;
+            if (fn[1].startsWith('rgb')) {
+                rgb = parts.slice(0, 3).map(part => clamp(toNumber(part, 255), 0, 255));
+            } else {
+                const [, amount, unit] = parts[0].match(/^(-?[\d.]+)(deg|grad|rad|turn)?$/) || [];
+                const degrees = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 }[unit || 'deg'] * Number(amount);
+                const hue = ((degrees % 360) + 360) % 360;
+                const saturation = clamp(parseFloat(parts[1]) / 100, 0, 1);
+                const lightness = clamp(parseFloat(parts[2]) / 100, 0, 1);
+                // CSS Color 4's hsl-to-rgb
+                const chroma = saturation * Math.min(lightness, 1 - lightness);
+                rgb = [0, 8, 4].map(n => {
+                    const k = (n + hue / 30) % 12;
+                    return 255 * (lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+                });
+            }
+
+            return [...rgb, alpha].some(Number.isNaN) ? null : [...rgb, alpha];
+        },
+
+        // [hue in degrees, saturation %, lightness %] of a color, rounded for the sliders; null if unreadable
+        toHsl: (color) => {
+            const parsed = utils.parseColor(color);
+            if (!parsed) return null;
+
+            const [r, g, b] = parsed.slice(0, 3).map(channel => channel / 255);
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const lightness = (max + min) / 2;
+            const chroma = max - min;
+            if (chroma === 0) return [0, 0, Math.round(lightness * 100)];
+
+            const saturation = chroma / (1 - Math.abs(2 * lightness - 1));
+            let hue;
+            if (max === r) hue = ((g - b) / chroma) % 6;
+            else if (max === g) hue = (b - r) / chroma + 2;
+            else hue = (r - g) / chroma + 4;
+            return [Math.round((hue * 60 + 360) % 360), Math.round(saturation * 100), Math.round(lightness * 100)];
         },
 
-        // Calculate color contrast ratio
-        getContrastRatio: (color1, color2) => {
-            const getLuminance = (color) => {
-                const rgb = color.match(/\d+/g).map(x => {
-                    x = x / 255;
-                    return x <= 0.03928 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+        // WCAG contrast ratio of text in one color on a background of another, from 1 to 21;
+        // translucent text is blended with the background first. Null if either can't be read.
+        getContrastRatio: (foreground, background) => {
+            const fg = utils.parseColor(foreground);
+            const bg = utils.parseColor(background);
+            if (!fg || !bg) return null;
+
+            const getLuminance = (rgb) => {
+                const [r, g, b] = rgb.map(channel => {
+                    const c = channel / 255;
+                    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
                 });
-                return 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+                return 0.2126 * r + 0.7152 * g + 0.0722 * b;
             };
 
-            const l1 = getLuminance(color1);
-            const l2 = getLuminance(color2);
+            const alpha = fg[3];
+            const l1 = getLuminance(fg.slice(0, 3).map((channel, i) => channel * alpha + bg[i] * (1 - alpha)));
+            const l2 = getLuminance(bg.slice(0, 3));
             const lighter = Math.max(l1, l2);
             const darker = Math.min(l1, l2);
             return (lighter + 0.05) / (darker + 0.05);
         }
     };
 
-    // Local Storage Manager
-    const storage = {
-        get: (key, defaultValue = null) => {
+    // localStorage Backend (fallback when IndexedDB is unavailable)
+    const localStorageBackend = {
+        get: async (key, defaultValue = null) => {
             try {
                 const item = localStorage.getItem(key);
                 return item ? JSON.parse(item) : defaultValue;
@@ -125,7 +492,7 @@
             }
         },
 
-        set: (key, value) => {
+        set: async (key, value) => {
             try {
                 localStorage.setItem(key, JSON.stringify(value));
                 return true;
@@ -135,7 +502,7 @@
             }
         },
 
-        remove: (key) => {
+        remove: async (key) => {
             try {
                 localStorage.removeItem(key);
                 return true;
@@ -143,776 +510,6265 @@
                 console.warn(`Failed to remove ${key} from localStorage:`, error);
                 return false;
             }
-        }
-    };
-
-    // Theme Management
-    const themeManager = {
-        init: () => {
-            const savedTheme = storage.get(CONFIG.STORAGE_KEYS.THEME, CONFIG.THEMES.LIGHT);
-            themeManager.setTheme(savedTheme);
-            
-            // Set up theme selector buttons
-            document.querySelectorAll('.select-theme-btn').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const theme = e.target.dataset.theme;
-                    if (theme) {
-                        themeManager.setTheme(theme);
-                    }
-                });
-            });
+        },
 
-            // Initialize color customization if on themes page
-            if (window.location.pathname.includes('themes.html')) {
-                themeManager.initColorCustomization();
-                themeManager.initTypographySettings();
-                themeManager.initAccessibilityChecker();
+        // localStorage has little room, so appended lists are trimmed to `limit` entries
+        append: async (key, item, limit = Infinity) => {
+            const items = await localStorageBackend.get(key, []);
+            items.push(item);
+            if (items.length > limit) {
+                items.splice(0, items.length - limit);
             }
+            return localStorageBackend.set(key, items);
         },
 
-        setTheme: (theme) => {
-            document.documentElement.setAttribute('data-theme', theme);
-            state.currentTheme = theme;
-            storage.set(CONFIG.STORAGE_KEYS.THEME, theme);
-            
-            // Update active theme button
-            document.querySelectorAll('.select-theme-btn').forEach(btn => {
-                btn.classList.remove('active');
-                if (btn.dataset.theme === theme) {
-                    btn.classList.add('active');
-                    btn.textContent = 'Active';
-                } else {
-                    btn.textContent = 'Select';
+        getStorageKeys: () => {
+            const keys = [];
+            try {
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key === CONFIG.MIGRATED_MARKER) continue;
+                    if (key.startsWith('spiritual-count-') || CONFIG.LEGACY_STORAGE_KEYS.includes(key)) {
+                        keys.push(key);
+                    }
                 }
-            });
-
-            utils.showToast(`${theme.charAt(0).toUpperCase() + theme.slice(1)} theme applied`);
+            } catch (error) {
+                console.warn('Failed to list localStorage keys:', error);
+            }
+            return keys;
         },
 
-        initColorCustomization: () => {
-            const hueSlider = document.getElementById('accent-hue');
-            const saturationSlider = document.getElementById('accent-saturation');
-            const lightnessSlider = document.getElementById('accent-lightness');
-            const colorSample = document.getElementById('color-sample');
-            const applyBtn = document.getElementById('apply-custom-colors');
-            const resetBtn = document.getElementById('reset-colors');
+        hasMigrated: () => {
+            try {
+                return localStorage.getItem(CONFIG.MIGRATED_MARKER) !== null;
+            } catch (error) {
+                return false;
+            }
+        },
 
-            if (!hueSlider || !saturationSlider || !lightnessSlider) return;
+        loadAll: async () => {
+            const data = {};
+            for (const key of localStorageBackend.getStorageKeys()) {
+                data[key] = await localStorageBackend.get(key);
+            }
+            return data;
+        }
+    };
 
-            const updateColor = () => {
-                const hue = hueSlider.value;
-                const saturation = saturationSlider.value;
-                const lightness = lightnessSlider.value;
+    // IndexedDB Backend
+    // Trackers and events get their own object stores; every other key is a record in `settings`.
+    const idbStorage = {
+        DB_NAME: 'spiritual-count',
+        DB_VERSION: 1,
+        db: null,
 
-                document.documentElement.style.setProperty('--accent-hue', hue);
-                document.documentElement.style.setProperty('--accent-saturation', saturation + '%');
-                document.documentElement.style.setProperty('--accent-lightness', lightness + '%');
+        isSupported: () => typeof indexedDB !== 'undefined',
 
-                // Update value displays
-                document.getElementById('hue-value').textContent = hue + '°';
-                document.getElementById('saturation-value').textContent = saturation + '%';
-                document.getElementById('lightness-value').textContent = lightness + '%';
+        getStoreName: (key) => {
+            if (key === CONFIG.STORAGE_KEYS.TRACKERS) return 'trackers';
+            if (key === CONFIG.STORAGE_KEYS.HISTORY) return 'events';
+            return 'settings';
+        },
 
-                // Update color sample
-                if (colorSample) {
-                    colorSample.style.background = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+        // Wrap an IDBRequest or IDBTransaction in a promise
+        request: (request) => new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }),
+
+        transactionDone: (transaction) => new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        }),
+
+        open: () => new Promise((resolve, reject) => {
+            const request = indexedDB.open(idbStorage.DB_NAME, idbStorage.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                // Later versions run this on an existing database, so only add what is missing
+                if (!db.objectStoreNames.contains('trackers')) db.createObjectStore('trackers', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
+                if (!db.objectStoreNames.contains('events')) db.createObjectStore('events', { autoIncrement: true });
+
+                // First run with IndexedDB: carry existing data over in the same transaction
+                if (event.oldVersion === 0) {
+                    idbStorage.migrateFromLocalStorage(request.transaction);
                 }
+            };
 
-                // Update accessibility checker
-                themeManager.updateAccessibilityChecker();
+            request.onsuccess = () => {
+                idbStorage.db = request.result;
+                // A newer version of the app is upgrading the database in another tab; step aside
+                // and reload into it rather than keep writing to the old one
+                idbStorage.db.onversionchange = () => {
+                    idbStorage.db.close();
+                    location.reload();
+                };
+                resolve(request.result);
             };
+            request.onerror = () => reject(request.error);
+            // Blocked only means an older tab still has the database open. The request goes on once
+            // it closes, so wait rather than fall back and end up with two backends in use.
+            request.onblocked = () => console.warn('IndexedDB upgrade waiting for other tabs to close');
+        }),
 
-            [hueSlider, saturationSlider, lightnessSlider].forEach(slider => {
-                slider.addEventListener('input', updateColor);
+        migrateFromLocalStorage: (transaction) => {
+            const keys = localStorageBackend.getStorageKeys();
+
+            keys.forEach(key => {
+                try {
+                    const value = JSON.parse(localStorage.getItem(key));
+                    idbStorage.writeTo(transaction, key, value);
+                } catch (error) {
+                    console.warn(`Skipping unreadable ${key} during migration:`, error);
+                }
             });
 
-            if (applyBtn) {
-                applyBtn.addEventListener('click', () => {
-                    const customColors = {
-                        hue: hueSlider.value,
-                        saturation: saturationSlider.value,
-                        lightness: lightnessSlider.value
-                    };
-                    storage.set('custom-accent-colors', customColors);
-                    utils.showToast('Custom colors saved');
-                });
-            }
+            // Only clear the old copies once everything has been committed, and leave a marker
+            // in their place so falling back to localStorage later doesn't pass off defaults as the data
+            transaction.addEventListener('complete', () => {
+                keys.forEach(key => localStorage.removeItem(key));
+                try {
+                    localStorage.setItem(CONFIG.MIGRATED_MARKER, '1');
+                } catch (error) {
+                    console.warn('Failed to mark localStorage as migrated:', error);
+                }
+                console.log(`Migrated ${keys.length} keys from localStorage to IndexedDB`);
+            });
+        },
 
-            if (resetBtn) {
-                resetBtn.addEventListener('click', () => {
-                    hueSlider.value = 210;
-                    saturationSlider.value = 80;
-                    lightnessSlider.value = 50;
-                    updateColor();
-                    storage.remove('custom-accent-colors');
-                    utils.showToast('Colors reset to default');
-                });
-            }
+        // Collections are replaced wholesale. A marker record in `settings` tells a saved empty
+        // list apart from one that was never saved, so deleting every tracker doesn't bring back the defaults.
+        writeTo: (transaction, key, value) => {
+            const storeName = idbStorage.getStoreName(key);
+            const settings = transaction.objectStore('settings');
 
-            // Load saved custom colors
-            const savedColors = storage.get('custom-accent-colors');
-            if (savedColors) {
-                hueSlider.value = savedColors.hue;
-                saturationSlider.value = savedColors.saturation;
-                lightnessSlider.value = savedColors.lightness;
-                updateColor();
+            if (storeName === 'settings') {
+                settings.put(value, key);
+                return;
             }
 
-            // Initial color update
-            updateColor();
+            const store = transaction.objectStore(storeName);
+            store.clear();
+            (value || []).forEach((item, position) => {
+                store.put(storeName === 'trackers' ? { ...item, position } : item);
+            });
+            settings.put({ store: storeName }, key);
         },
 
-        initTypographySettings: () => {
-            const fontSizeSlider = document.getElementById('font-size');
-            const lineHeightSlider = document.getElementById('line-height');
-            const sampleHeading = document.getElementById('sample-heading');
-            const sampleText = document.getElementById('sample-text');
-
-            if (!fontSizeSlider || !lineHeightSlider) return;
-
-            const updateTypography = () => {
-                const fontSize = fontSizeSlider.value;
-                const lineHeight = lineHeightSlider.value;
-
-                document.documentElement.style.setProperty('--font-size-base', fontSize + 'px');
-                document.documentElement.style.setProperty('--line-height-base', lineHeight);
+        readFrom: async (transaction, key) => {
+            const storeName = idbStorage.getStoreName(key);
+            const stored = await idbStorage.request(transaction.objectStore('settings').get(key));
 
-                // Update value displays
-                document.getElementById('font-size-value').textContent = fontSize + 'px';
-                document.getElementById('line-height-value').textContent = lineHeight;
+            if (storeName === 'settings' || stored === undefined) return stored;
 
-                // Update sample text
-                if (sampleHeading && sampleText) {
-                    sampleText.style.fontSize = fontSize + 'px';
-                    sampleText.style.lineHeight = lineHeight;
-                }
+            const items = await idbStorage.request(transaction.objectStore(storeName).getAll());
+            if (storeName !== 'trackers') return items;
 
-                // Save settings
-                state.settings.fontSize = parseInt(fontSize);
-                state.settings.lineHeight = parseFloat(lineHeight);
-                storage.set(CONFIG.STORAGE_KEYS.SETTINGS, state.settings);
-            };
+            return items
+                .sort((a, b) => a.position - b.position)
+                .map(({ position, ...tracker }) => tracker);
+        },
 
-            fontSizeSlider.addEventListener('input', updateTypography);
-            lineHeightSlider.addEventListener('input', updateTypography);
+        getTransaction: (key, mode) => {
+            const storeName = idbStorage.getStoreName(key);
+            const storeNames = storeName === 'settings' ? ['settings'] : [storeName, 'settings'];
+            return idbStorage.db.transaction(storeNames, mode);
+        },
 
-            // Load saved settings
-            const savedSettings = storage.get(CONFIG.STORAGE_KEYS.SETTINGS, state.settings);
-            if (savedSettings.fontSize) {
-                fontSizeSlider.value = savedSettings.fontSize;
-                state.settings.fontSize = savedSettings.fontSize;
-            }
-            if (savedSettings.lineHeight) {
-                lineHeightSlider.value = savedSettings.lineHeight;
-                state.settings.lineHeight = savedSettings.lineHeight;
+        get: async (key, defaultValue = null) => {
+            try {
+                const value = await idbStorage.readFrom(idbStorage.getTransaction(key, 'readonly'), key);
+                return value === undefined ? defaultValue : value;
+            } catch (error) {
+                console.warn(`Failed to get ${key} from IndexedDB:`, error);
+                return defaultValue;
             }
-
-            updateTypography();
         },
 
-        initAccessibilityChecker: () => {
-            themeManager.updateAccessibilityChecker();
+        set: async (key, value) => {
+            try {
+                const transaction = idbStorage.getTransaction(key, 'readwrite');
+                idbStorage.writeTo(transaction, key, value);
+                return await idbStorage.transactionDone(transaction);
+            } catch (error) {
+                console.warn(`Failed to set ${key} in IndexedDB:`, error);
+                return false;
+            }
         },
 
-        updateAccessibilityChecker: () => {
-            const headingRatio = document.getElementById('heading-ratio');
-            const bodyRatio = document.getElementById('body-ratio');
-            const accentRatio = document.getElementById('accent-ratio');
-            const headingStatus = document.getElementById('heading-status');
-            const bodyStatus = document.getElementById('body-status');
-            const accentStatus = document.getElementById('accent-status');
-
-            if (!headingRatio || !bodyRatio || !accentRatio) return;
+        remove: async (key) => {
+            try {
+                const transaction = idbStorage.getTransaction(key, 'readwrite');
+                const storeName = idbStorage.getStoreName(key);
+                if (storeName !== 'settings') {
+                    transaction.objectStore(storeName).clear();
+                }
+                transaction.objectStore('settings').delete(key);
+                return await idbStorage.transactionDone(transaction);
+            } catch (error) {
+                console.warn(`Failed to remove ${key} from IndexedDB:`, error);
+                return false;
+            }
+        },
 
-            // Get current colors from computed styles
-            const rootStyles = getComputedStyle(document.documentElement);
-            const bgColor = rootStyles.getPropertyValue('--primary-bg');
-            const headingColor = rootStyles.getPropertyValue('--primary-text');
-            const bodyColor = rootStyles.getPropertyValue('--secondary-text');
-            const accentColor = rootStyles.getPropertyValue('--accent-color');
-
-            // Calculate contrast ratios (simplified)
-            const headingContrast = 4.8; // Placeholder - would need actual color calculation
-            const bodyContrast = 4.2;
-            const accentContrast = 3.9;
-
-            // Update ratios
-            headingRatio.textContent = headingContrast.toFixed(1) + ':1';
-            bodyRatio.textContent = bodyContrast.toFixed(1) + ':1';
-            accentRatio.textContent = accentContrast.toFixed(1) + ':1';
-
-            // Update status
-            const updateStatus = (element, ratio) => {
-                if (ratio >= 4.5) {
-                    element.textContent = 'PASS';
-                    element.className = 'contrast-status pass';
-                } else {
-                    element.textContent = 'FAIL';
-                    element.className = 'contrast-status fail';
+        // Events are appended one record at a time; the oldest are dropped past `limit`, as they are
+        // in localStorage, so the store loaded at startup doesn't grow without end
+        append: async (key, item, limit = Infinity) => {
+            try {
+                const transaction = idbStorage.getTransaction(key, 'readwrite');
+                const store = transaction.objectStore(idbStorage.getStoreName(key));
+                store.add(item);
+                transaction.objectStore('settings').put({ store: idbStorage.getStoreName(key) }, key);
+
+                if (Number.isFinite(limit)) {
+                    const count = store.count();
+                    count.onsuccess = () => {
+                        const excess = count.result - limit;
+                        if (excess <= 0) return;
+                        const oldest = store.getAllKeys(null, excess);
+                        oldest.onsuccess = () => store.delete(IDBKeyRange.upperBound(oldest.result[excess - 1]));
+                    };
                 }
-            };
 
-            updateStatus(headingStatus, headingContrast);
-            updateStatus(bodyStatus, bodyContrast);
-            updateStatus(accentStatus, accentContrast);
+                return await idbStorage.transactionDone(transaction);
+            } catch (error) {
+                console.warn(`Failed to append to ${key} in IndexedDB:`, error);
+                return false;
+            }
+        },
+
+        loadAll: async () => {
+            const transaction = idbStorage.db.transaction(['trackers', 'settings', 'events'], 'readonly');
+            const keys = await idbStorage.request(transaction.objectStore('settings').getAllKeys());
+            const data = {};
+            for (const key of keys) {
+                data[key] = await idbStorage.readFrom(transaction, key);
+            }
+            return data;
         }
     };
 
-    // Tracker Management
-    const trackerManager = {
-        init: () => {
-            // Load trackers from storage
-            state.trackers = storage.get(CONFIG.STORAGE_KEYS.TRACKERS, CONFIG.DEFAULT_TRACKERS);
-            
-            // Initialize tracker display
-            trackerManager.renderTrackers();
-            
-            // Set up event listeners
-            trackerManager.setupEventListeners();
+    // Storage Manager
+    // Reads are synchronous from an in-memory copy loaded once by init(); writes go to the
+    // backend in the background and a toast reports any that fail (e.g. storage full).
+    // Writes return a promise of whether the value was saved, for callers that need to know.
+    const storage = {
+        backend: localStorageBackend,
+        cache: new Map(),
+        // Set when the data was moved to IndexedDB and that can't be opened now
+        dataUnavailable: false,
 
-            // Initialize quick tracker on homepage
-            if (window.location.pathname === '/' || window.location.pathname.includes('index.html')) {
-                trackerManager.initQuickTracker();
+        init: async () => {
+            if (idbStorage.isSupported()) {
+                try {
+                    await idbStorage.open();
+                    storage.backend = idbStorage;
+                } catch (error) {
+                    console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+                    storage.dataUnavailable = localStorageBackend.hasMigrated();
+                }
             }
+
+            const data = await storage.backend.loadAll();
+            Object.entries(data).forEach(([key, value]) => storage.cache.set(key, value));
         },
 
-        setupEventListeners: () => {
-            // Add tracker button
-            const addBtn = document.getElementById('add-tracker');
-            if (addBtn) {
-                addBtn.addEventListener('click', () => modalManager.openModal('add-tracker-modal'));
+        // Callers get their own copy, as they did when every read parsed fresh JSON
+        get: (key, defaultValue = null) => {
+            return storage.cache.has(key) ? structuredClone(storage.cache.get(key)) : defaultValue;
+        },
+
+        // The stored value itself, for scanning large values often; callers must not change it
+        peek: (key, defaultValue = null) => {
+            return storage.cache.has(key) ? storage.cache.get(key) : defaultValue;
+        },
+
+        set: (key, value) => {
+            storage.cache.set(key, structuredClone(value));
+            return storage.checkWrite(key, storage.backend.set(key, value));
+        },
+
+        remove: (key) => {
+            storage.cache.delete(key);
+            return storage.checkWrite(key, storage.backend.remove(key));
+        },
+
+        // Change a stored value in place rather than on a copy, for large values changed often
+        update: (key, updater, defaultValue) => {
+            if (!storage.cache.has(key)) storage.cache.set(key, structuredClone(defaultValue));
+            const value = storage.cache.get(key);
+            updater(value);
+            return storage.checkWrite(key, storage.backend.set(key, value));
+        },
+
+        // Add one entry to a stored list without rewriting the whole list
+        append: (key, item, limit = Infinity) => {
+            storage.appendCached(key, item, limit);
+            return storage.checkWrite(key, storage.backend.append(key, item, limit));
+        },
+
+        // The Cached variants take in values another tab has already saved
+        setCached: (key, value) => {
+            storage.cache.set(key, structuredClone(value));
+        },
+
+        appendCached: (key, item, limit = Infinity) => {
+            const items = storage.cache.get(key) || [];
+            items.push(structuredClone(item));
+            if (items.length > limit) {
+                items.splice(0, items.length - limit);
             }
+            storage.cache.set(key, items);
+        },
 
-            // Export/Import buttons
-            const exportBtn = document.getElementById('export-data');
-            const importBtn = document.getElementById('import-data');
-            const importFile = document.getElementById('import-file');
+        checkWrite: (key, write) => write.then(saved => {
+            if (!saved) storage.reportWriteFailure(key);
+            return saved;
+        }),
 
-            if (exportBtn) {
-                exportBtn.addEventListener('click', trackerManager.exportData);
+        reportWriteFailure: (key) => {
+            console.error(`Changes to ${key} could not be saved`);
+            utils.showToast(i18nManager.t('toast.saveFailed'), 'error');
+        },
+
+        // Once translations are loaded, as init runs before them
+        reportUnavailableData: () => {
+            if (storage.dataUnavailable) {
+                utils.showToast(i18nManager.t('toast.dataUnavailable'), 'error');
             }
+        }
+    };
 
-            if (importBtn) {
-                importBtn.addEventListener('click', () => importFile?.click());
+    // Cross-tab Sync
+    // Each open tab keeps its own copy of the data, so changes are sent to the others as
+    // operations (count deltas, single history events) rather than whole values. Every tab
+    // applies and saves what it receives, so concurrent changes add up instead of overwriting.
+    const syncManager = {
+        tabId: utils.generateId(),
+        channel: null,
+        listeners: {},
+        // Trackers as last saved or received, to diff the next save against
+        baseTrackers: [],
+
+        init: () => {
+            if (typeof BroadcastChannel !== 'undefined') {
+                syncManager.channel = new BroadcastChannel(CONFIG.SYNC_CHANNEL);
+                syncManager.channel.addEventListener('message', (e) => syncManager.receive(e.data));
+            } else {
+                window.addEventListener('storage', (e) => {
+                    if (e.key === CONFIG.SYNC_CHANNEL && e.newValue) {
+                        syncManager.receive(JSON.parse(e.newValue));
+                    }
+                });
             }
 
-            if (importFile) {
-                importFile.addEventListener('change', trackerManager.importData);
+            syncManager.subscribe('trackers', syncManager.receiveTrackers);
+            syncManager.subscribe('history-event', historyManager.receiveEvent);
+            syncManager.subscribe('history', historyManager.receiveHistory);
+            syncManager.subscribe('undo', undoManager.receiveChange);
+        },
+
+        subscribe: (topic, listener) => {
+            syncManager.listeners[topic] = syncManager.listeners[topic] || [];
+            syncManager.listeners[topic].push(listener);
+        },
+
+        publish: (topic, payload) => {
+            const message = { source: syncManager.tabId, topic, payload };
+
+            if (syncManager.channel) {
+                syncManager.channel.postMessage(message);
+                return;
             }
 
-            // Help button
-            const helpBtn = document.getElementById('help-btn');
-            if (helpBtn) {
-                helpBtn.addEventListener('click', () => modalManager.openModal('help-modal'));
+            // Setting a key fires `storage` in the other tabs; removing it right away keeps it out of saved data
+            try {
+                localStorage.setItem(CONFIG.SYNC_CHANNEL, JSON.stringify(message));
+                localStorage.removeItem(CONFIG.SYNC_CHANNEL);
+            } catch (error) {
+                console.warn('Failed to notify other tabs:', error);
             }
+        },
 
-            // Modal event listeners
-            trackerManager.setupModalListeners();
+        receive: (message) => {
+            if (!message || message.source === syncManager.tabId) return;
+            (syncManager.listeners[message.topic] || []).forEach(listener => listener(message.payload));
+        },
 
-            // Keyboard shortcuts
-            document.addEventListener('keydown', trackerManager.handleKeyboardShortcuts);
+        setBaseTrackers: (trackers) => {
+            syncManager.baseTrackers = structuredClone(trackers);
         },
 
-        setupModalListeners: () => {
-            // Add tracker modal
-            const confirmAddBtn = document.getElementById('confirm-add');
-            const cancelAddBtn = document.getElementById('cancel-add');
-            const phraseSelect = document.getElementById('tracker-phrase');
-            const customPhraseInput = document.getElementById('custom-phrase');
+        // Send whatever changed in the trackers since the last save
+        publishTrackers: () => {
+            const ops = syncManager.diffTrackers(syncManager.baseTrackers, state.trackers);
+            syncManager.setBaseTrackers(state.trackers);
 
-            if (confirmAddBtn) {
-                confirmAddBtn.addEventListener('click', trackerManager.addTracker);
+            if (ops.length > 0) {
+                syncManager.publish('trackers', ops);
             }
+        },
 
-            if (cancelAddBtn) {
-                cancelAddBtn.addEventListener('click', () => modalManager.closeModal('add-tracker-modal'));
-            }
+        // Describe the change from one tracker list to another as operations that can be replayed on top of other changes
+        diffTrackers: (before, after) => {
+            const ops = [];
+            const beforeById = new Map(before.map(tracker => [tracker.id, tracker]));
+            const afterIds = new Set(after.map(tracker => tracker.id));
+
+            before
+                .filter(tracker => !afterIds.has(tracker.id))
+                .forEach(tracker => ops.push({ type: 'remove', id: tracker.id }));
+
+            after.forEach((tracker, index) => {
+                const previous = beforeById.get(tracker.id);
+                if (!previous) {
+                    ops.push({ type: 'add', tracker, index });
+                    return;
+                }
 
-            if (phraseSelect) {
-                phraseSelect.addEventListener('change', (e) => {
-                    if (customPhraseInput) {
-                        customPhraseInput.style.display = e.target.value === 'Custom' ? 'block' : 'none';
+                // Counts travel as deltas so they combine; other fields go to the latest value
+                const fields = {};
+                new Set([...Object.keys(previous), ...Object.keys(tracker)]).forEach(key => {
+                    if (key !== 'count' && key !== 'rounds' && JSON.stringify(previous[key]) !== JSON.stringify(tracker[key])) {
+                        fields[key] = tracker[key];
                     }
                 });
+                const countDelta = tracker.count - previous.count;
+                const roundsDelta = tracker.rounds - previous.rounds;
+                // Rounds are worked out from the merged count where the op lands, so two tabs crossing
+                // the same boundary count it once; only a reset, which clears them outright, sends them
+                const reset = tracker.count === 0 && tracker.rounds === 0 && roundsDelta !== 0;
+
+                if (Object.keys(fields).length > 0 || countDelta !== 0 || reset) {
+                    ops.push({ type: 'update', id: tracker.id, fields, countDelta, ...(reset && { roundsDelta }) });
+                }
+            });
+
+            const keptOrder = before.map(tracker => tracker.id).filter(id => afterIds.has(id));
+            const newOrder = after.map(tracker => tracker.id).filter(id => beforeById.has(id));
+            if (JSON.stringify(keptOrder) !== JSON.stringify(newOrder)) {
+                ops.push({ type: 'order', ids: after.map(tracker => tracker.id) });
             }
 
-            // Edit tracker modal
-            const confirmEditBtn = document.getElementById('confirm-edit');
-            const cancelEditBtn = document.getElementById('cancel-edit');
-            const deleteBtn = document.getElementById('delete-tracker');
+            return ops;
+        },
 
-            if (confirmEditBtn) {
-                confirmEditBtn.addEventListener('click', trackerManager.saveTrackerEdit);
+        // Replay operations onto a tracker list in place; ones for trackers that no longer exist are dropped
+        applyTrackerOps: (trackers, ops) => {
+            ops.forEach(op => {
+                const index = trackers.findIndex(tracker => tracker.id === (op.id || op.tracker.id));
+
+                switch (op.type) {
+                    case 'add':
+                        if (index === -1) {
+                            trackers.splice(Math.min(op.index, trackers.length), 0, structuredClone(op.tracker));
+                        }
+                        break;
+                    case 'remove':
+                        if (index !== -1) {
+                            trackers.splice(index, 1);
+                        }
+                        break;
+                    case 'update':
+                        if (index !== -1) {
+                            const tracker = trackers[index];
+                            const countBefore = tracker.count;
+                            Object.assign(tracker, structuredClone(op.fields));
+                            tracker.count = Math.max(0, tracker.count + op.countDelta);
+                            if (op.roundsDelta !== undefined) {
+                                tracker.rounds = Math.max(0, tracker.rounds + op.roundsDelta);
+                            } else {
+                                trackerManager.updateRounds(tracker, countBefore);
+                            }
+                        }
+                        break;
+                    case 'order': {
+                        const position = new Map(op.ids.map((id, i) => [id, i]));
+                        const rank = (tracker) => position.has(tracker.id) ? position.get(tracker.id) : op.ids.length;
+                        trackers.sort((a, b) => rank(a) - rank(b));
+                        break;
+                    }
+                }
+            });
+        },
+
+        receiveTrackers: (ops) => {
+            syncManager.applyTrackerOps(state.trackers, ops);
+            syncManager.applyTrackerOps(syncManager.baseTrackers, ops);
+            storage.set(CONFIG.STORAGE_KEYS.TRACKERS, state.trackers);
+
+            // Don't leave the edit modal open on a tracker that was put away or deleted elsewhere
+            if (state.currentEditingTracker && (!state.trackers.includes(state.currentEditingTracker) || !trackerManager.isActive(state.currentEditingTracker))) {
+                state.currentEditingTracker = null;
+                modalManager.closeModal('edit-tracker-modal');
             }
 
-            if (cancelEditBtn) {
-                cancelEditBtn.addEventListener('click', () => modalManager.closeModal('edit-tracker-modal'));
+            const focusedCard = document.activeElement && document.activeElement.closest('.tracker-card');
+            trackerManager.renderTrackers();
+            if (focusedCard) {
+                const card = document.querySelector(`[data-tracker-id="${focusedCard.dataset.trackerId}"]`);
+                if (card) card.focus();
             }
+        }
+    };
 
-            if (deleteBtn) {
-                deleteBtn.addEventListener('click', trackerManager.deleteTracker);
+    // Localization
+    // Text is looked up by key in MESSAGES (defined before app initialization), falling back to English
+    // for anything a locale is missing. Text in the pages is marked with data-i18n attributes:
+    // data-i18n sets the text, data-i18n-html markup from the catalog, and data-i18n-attr a
+    // list of attributes as "attr:key;attr:key".
+    const i18nManager = {
+        pluralRules: null,
+        numberFormat: null,
+
+        init: () => {
+            const localeSelect = document.getElementById('locale-select');
+            const numeralsSelect = document.getElementById('numerals-select');
+
+            state.settings.locale = i18nManager.getPreferredLocale();
+            utils.loadSetting('locale', value => Object.hasOwn(CONFIG.LOCALES, value));
+            utils.loadSetting('numerals', value => CONFIG.NUMERALS.includes(value));
+            syncManager.subscribe('locale', i18nManager.receiveSettings);
+
+            if (localeSelect) {
+                // Each language is named in itself, so it can be found from any other
+                localeSelect.innerHTML = Object.entries(CONFIG.LOCALES)
+                    .map(([locale, { name, dir }]) => `<option value="${locale}" lang="${locale}" dir="${dir}">${name}</option>`)
+                    .join('');
+                localeSelect.addEventListener('change', (e) => i18nManager.saveSettings({ locale: e.target.value }));
+            }
+            if (numeralsSelect) {
+                numeralsSelect.innerHTML = CONFIG.NUMERALS
+                    .map(numerals => `<option value="${numerals}" data-i18n="numerals.${numerals}"></option>`)
+                    .join('');
+                numeralsSelect.addEventListener('change', (e) => i18nManager.saveSettings({ numerals: e.target.value }));
             }
 
-            // Help modal
-            const closeHelpBtn = document.getElementById('close-help');
-            if (closeHelpBtn) {
-                closeHelpBtn.addEventListener('click', () => modalManager.closeModal('help-modal'));
+            i18nManager.applyLocale();
+        },
+
+        // First of the browser's languages that the catalog has
+        getPreferredLocale: () => {
+            const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || 'en'];
+            return languages
+                .map(tag => tag.split('-')[0].toLowerCase())
+                .find(locale => Object.hasOwn(CONFIG.LOCALES, locale)) || 'en';
+        },
+
+        getNumberingSystem: () => state.settings.numerals === 'auto'
+            ? CONFIG.LOCALES[state.settings.locale].numerals
+            : state.settings.numerals,
+
+        // BCP 47 tag for Intl with the chosen digits and, for dates, a calendar
+        getLocaleTag: (calendar = null) => {
+            const extensions = [calendar && `ca-${calendar}`, `nu-${i18nManager.getNumberingSystem()}`].filter(Boolean);
+            return `${state.settings.locale}-u-${extensions.join('-')}`;
+        },
+
+        // Message for a key with {name} placeholders filled from params; numbers are formatted
+        // for the locale. Messages that vary with params.count are objects keyed by plural category.
+        t: (key, params = {}) => {
+            let message = MESSAGES[state.settings.locale][key] ?? MESSAGES.en[key];
+            if (message === undefined) {
+                console.warn(`Missing message: ${key}`);
+                return key;
             }
+            if (typeof message === 'object') {
+                message = message[i18nManager.pluralRules.select(params.count)] ?? message.other;
+            }
+            return message.replace(/\{(\w+)\}/g, (match, name) => {
+                const value = params[name];
+                if (value === undefined) return match;
+                return typeof value === 'number' ? i18nManager.formatNumber(value) : String(value);
+            });
         },
 
-        renderTrackers: () => {
-            const container = document.getElementById('trackers-grid');
-            if (!container) return;
+        formatNumber: (value, options = null) => options
+            ? new Intl.NumberFormat(i18nManager.getLocaleTag(), options).format(value)
+            : i18nManager.numberFormat.format(value),
 
-            container.innerHTML = '';
+        // Swap the ASCII digits in text such as "06:30" for the chosen ones
+        formatDigits: (text) => String(text).replace(/\d/g, digit => i18nManager.formatNumber(Number(digit))),
 
-            state.trackers.forEach((tracker, index) => {
-                const trackerCard = trackerManager.createTrackerCard(tracker, index);
-                container.appendChild(trackerCard);
+        formatList: (items) => new Intl.ListFormat(state.settings.locale, { type: 'conjunction' }).format(items),
+
+        translatePage: (root = document) => {
+            root.querySelectorAll('[data-i18n]').forEach(el => {
+                el.textContent = i18nManager.t(el.dataset.i18n);
+            });
+            root.querySelectorAll('[data-i18n-html]').forEach(el => {
+                el.innerHTML = i18nManager.t(el.dataset.i18nHtml);
+            });
+            root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+                el.dataset.i18nAttr.split(';').forEach(pair => {
+                    const [attr, key] = pair.split(':').map(part => part.trim());
+                    el.setAttribute(attr, i18nManager.t(key));
+                });
             });
         },
 
-        createTrackerCard: (tracker, index) => {
-            const card = document.createElement('div');
-            card.className = 'tracker-card';
-            card.dataset.trackerId = tracker.id;
-            card.tabIndex = 0;
+        applyLocale: () => {
+            const { locale } = state.settings;
+            document.documentElement.lang = locale;
+            document.documentElement.dir = CONFIG.LOCALES[locale].dir;
+            i18nManager.pluralRules = new Intl.PluralRules(locale);
+            i18nManager.numberFormat = new Intl.NumberFormat(i18nManager.getLocaleTag());
 
-            card.innerHTML = `
-                <div class="tracker-header">
-                    <h3 class="tracker-title">${tracker.name}</h3>
-                    <button class="tracker-settings" aria-label="Edit tracker" data-tracker-id="${tracker.id}">
-                        ⚙️
-                    </button>
-                </div>
-                <div class="tracker-count">
-                    <span class="count-number">${tracker.count}</span>
-                    <span class="count-phrase">${tracker.phrase}</span>
-                </div>
-                <div class="tracker-buttons">
-                    <button class="increment-btn" data-tracker-id="${tracker.id}" data-action="increment" tabindex="0">+</button>
-                    <button class="decrement-btn" data-tracker-id="${tracker.id}" data-action="decrement">-</button>
-                    <button class="reset-tracker-btn" data-tracker-id="${tracker.id}" data-action="reset">Reset</button>
-                </div>
-                <div class="tracker-stats">
-                    Last updated: ${utils.formatDate()}
-                </div>
-            `;
+            const localeSelect = document.getElementById('locale-select');
+            const numeralsSelect = document.getElementById('numerals-select');
+            if (localeSelect) localeSelect.value = locale;
+            if (numeralsSelect) numeralsSelect.value = state.settings.numerals;
 
-            // Add event listeners
-            trackerManager.addTrackerCardListeners(card, tracker);
+            i18nManager.translatePage();
+        },
 
-            return card;
+        saveSettings: (settings) => {
+            Object.entries(settings).forEach(([key, value]) => utils.saveSetting(key, value));
+            syncManager.publish('locale', settings);
+            i18nManager.applyLocale();
+            i18nManager.refresh();
         },
 
-        addTrackerCardListeners: (card, tracker) => {
-            // Settings button
-            const settingsBtn = card.querySelector('.tracker-settings');
-            if (settingsBtn) {
-                settingsBtn.addEventListener('click', () => {
-                    state.currentEditingTracker = tracker;
-                    trackerManager.openEditModal(tracker);
+        receiveSettings: (settings) => {
+            Object.assign(state.settings, settings);
+            storage.setCached(CONFIG.STORAGE_KEYS.SETTINGS, { ...storage.get(CONFIG.STORAGE_KEYS.SETTINGS, {}), ...settings });
+            i18nManager.applyLocale();
+            i18nManager.refresh();
+        },
+
+        // Redraw what is rendered from data rather than marked up for translatePage
+        refresh: () => {
+            themeManager.setTheme(state.currentTheme, false);
+            focusManager.applyPalette();
+            keyBindingManager.render();
+            prayerTimeManager.render();
+            dateManager.renderPreview();
+            archiveManager.renderRetentionOptions();
+            archiveManager.render();
+            groupManager.refresh();
+            trackerManager.updateRecentCounts();
+            reminderManager.check();
+        }
+    };
+
+    // Theme Management
+    const themeManager = {
+        init: () => {
+            const savedTheme = storage.get(CONFIG.STORAGE_KEYS.THEME, CONFIG.THEMES.LIGHT);
+            const savedColors = storage.get('custom-accent-colors');
+            if (savedColors) {
+                themeManager.applyCustomAccent(savedColors);
+            }
+            themeManager.setTheme(savedTheme, false);
+            
+            // Set up theme selector buttons
+            document.querySelectorAll('.select-theme-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const theme = e.target.dataset.theme;
+                    if (theme) {
+                        themeManager.setTheme(theme);
+                    }
                 });
+            });
+
+            // Initialize color customization if on themes page
+            if (window.location.pathname.includes('themes.html')) {
+                themeManager.initColorCustomization();
+                themeManager.initTypographySettings();
+                themeManager.initAccessibilityChecker();
             }
+        },
 
-            // Action buttons
-            const actionBtns = card.querySelectorAll('[data-action]');
-            actionBtns.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const action = e.target.dataset.action;
-                    const trackerId = e.target.dataset.trackerId;
-                    trackerManager.handleTrackerAction(trackerId, action);
+        setTheme: (theme, notify = true) => {
+            document.documentElement.setAttribute('data-theme', theme);
+            state.currentTheme = theme;
+            storage.set(CONFIG.STORAGE_KEYS.THEME, theme);
+            
+            // Update active theme button
+            document.querySelectorAll('.select-theme-btn').forEach(btn => {
+                btn.classList.remove('active');
+                if (btn.dataset.theme === theme) {
+                    btn.classList.add('active');
+                    btn.textContent = i18nManager.t('theme.active');
+                } else {
+                    btn.textContent = i18nManager.t('theme.select');
+                }
+            });
+
+            // Each theme has its own background (and, unless one was picked, accent), so the sliders
+            // and contrast results change with it
+            themeManager.showAccentOnSliders();
+            themeManager.updateAccessibilityChecker();
+
+            if (notify) {
+                utils.showToast(i18nManager.t('toast.themeApplied', { theme: i18nManager.t(`theme.${theme}`) }));
+            }
+        },
+
+        // A custom accent replaces the theme's own accent, hover and gradient on every page
+        applyCustomAccent: ({ hue, saturation, lightness }) => {
+            const root = document.documentElement.style;
+            const accent = (l) => `hsl(${hue}, ${saturation}%, ${Math.max(0, l)}%)`;
+
+            root.setProperty('--accent-hue', hue);
+            root.setProperty('--accent-saturation', saturation + '%');
+            root.setProperty('--accent-lightness', lightness + '%');
+            root.setProperty('--accent-color', accent(lightness));
+            root.setProperty('--accent-hover', accent(lightness - 10));
+            root.setProperty('--gradient-accent', `linear-gradient(135deg, ${accent(lightness)} 0%, ${accent(lightness - 10)} 100%)`);
+        },
+
+        clearCustomAccent: () => {
+            ['--accent-hue', '--accent-saturation', '--accent-lightness', '--accent-color', '--accent-hover', '--gradient-accent']
+                .forEach(name => document.documentElement.style.removeProperty(name));
+        },
+
+        hasCustomAccent: () => document.documentElement.style.getPropertyValue('--accent-color') !== '',
+
+        // Until colors are picked, the sliders start from the theme's own accent
+        showAccentOnSliders: () => {
+            const sliders = ['accent-hue', 'accent-saturation', 'accent-lightness'].map(id => document.getElementById(id));
+            if (sliders.some(slider => !slider) || themeManager.hasCustomAccent()) return;
+
+            const hsl = utils.toHsl(getComputedStyle(document.documentElement).getPropertyValue('--accent-color'));
+            if (!hsl) return;
+            sliders.forEach((slider, index) => { slider.value = hsl[index]; });
+            themeManager.renderAccentValues();
+        },
+
+        readAccentSliders: () => ({
+            hue: Number(document.getElementById('accent-hue').value),
+            saturation: Number(document.getElementById('accent-saturation').value),
+            lightness: Number(document.getElementById('accent-lightness').value)
+        }),
+
+        renderAccentValues: () => {
+            const { hue, saturation, lightness } = themeManager.readAccentSliders();
+            const colorSample = document.getElementById('color-sample');
+
+            document.getElementById('hue-value').textContent = i18nManager.formatNumber(hue) + '°';
+            document.getElementById('saturation-value').textContent = i18nManager.formatNumber(saturation / 100, { style: 'percent' });
+            document.getElementById('lightness-value').textContent = i18nManager.formatNumber(lightness / 100, { style: 'percent' });
+
+            if (colorSample) {
+                colorSample.style.background = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+            }
+        },
+
+        initColorCustomization: () => {
+            const hueSlider = document.getElementById('accent-hue');
+            const saturationSlider = document.getElementById('accent-saturation');
+            const lightnessSlider = document.getElementById('accent-lightness');
+            const applyBtn = document.getElementById('apply-custom-colors');
+            const resetBtn = document.getElementById('reset-colors');
+
+            if (!hueSlider || !saturationSlider || !lightnessSlider) return;
+
+            // Moving a slider previews the accent everywhere on the page; Apply keeps it
+            const updateColor = () => {
+                themeManager.applyCustomAccent(themeManager.readAccentSliders());
+                themeManager.renderAccentValues();
+                themeManager.updateAccessibilityChecker();
+            };
+
+            [hueSlider, saturationSlider, lightnessSlider].forEach(slider => {
+                slider.addEventListener('input', updateColor);
+            });
+
+            if (applyBtn) {
+                applyBtn.addEventListener('click', () => {
+                    storage.set('custom-accent-colors', themeManager.readAccentSliders());
+                    utils.showToast(i18nManager.t('toast.colorsSaved'));
+                });
+            }
+
+            if (resetBtn) {
+                resetBtn.addEventListener('click', () => {
+                    themeManager.clearCustomAccent();
+                    themeManager.showAccentOnSliders();
+                    themeManager.updateAccessibilityChecker();
+                    storage.remove('custom-accent-colors');
+                    utils.showToast(i18nManager.t('toast.colorsReset'));
                 });
+            }
+
+            // Saved colors were applied by init(); the sliders show them
+            const savedColors = storage.get('custom-accent-colors');
+            if (savedColors) {
+                hueSlider.value = savedColors.hue;
+                saturationSlider.value = savedColors.saturation;
+                lightnessSlider.value = savedColors.lightness;
+                themeManager.renderAccentValues();
+            } else {
+                themeManager.showAccentOnSliders();
+            }
+        },
+
+        initTypographySettings: () => {
+            const fontSizeSlider = document.getElementById('font-size');
+            const lineHeightSlider = document.getElementById('line-height');
+            const sampleHeading = document.getElementById('sample-heading');
+            const sampleText = document.getElementById('sample-text');
+
+            if (!fontSizeSlider || !lineHeightSlider) return;
+
+            const updateTypography = () => {
+                const fontSize = fontSizeSlider.value;
+                const lineHeight = lineHeightSlider.value;
+
+                document.documentElement.style.setProperty('--font-size-base', fontSize + 'px');
+                document.documentElement.style.setProperty('--line-height-base', lineHeight);
+
+                // Update value displays
+                document.getElementById('font-size-value').textContent = i18nManager.t('theme.pixels', { size: Number(fontSize) });
+                document.getElementById('line-height-value').textContent = i18nManager.formatNumber(Number(lineHeight));
+
+                // Update sample text
+                if (sampleHeading && sampleText) {
+                    sampleText.style.fontSize = fontSize + 'px';
+                    sampleText.style.lineHeight = lineHeight;
+                }
+
+                // Save settings
+                state.settings.fontSize = parseInt(fontSize);
+                state.settings.lineHeight = parseFloat(lineHeight);
+                // Other pages keep settings of their own here, so only these two are overwritten
+                storage.set(CONFIG.STORAGE_KEYS.SETTINGS, {
+                    ...storage.get(CONFIG.STORAGE_KEYS.SETTINGS, {}),
+                    fontSize: state.settings.fontSize,
+                    lineHeight: state.settings.lineHeight
+                });
+            };
+
+            fontSizeSlider.addEventListener('input', updateTypography);
+            lineHeightSlider.addEventListener('input', updateTypography);
+
+            // Load saved settings
+            const savedSettings = storage.get(CONFIG.STORAGE_KEYS.SETTINGS, state.settings);
+            if (savedSettings.fontSize) {
+                fontSizeSlider.value = savedSettings.fontSize;
+                state.settings.fontSize = savedSettings.fontSize;
+            }
+            if (savedSettings.lineHeight) {
+                lineHeightSlider.value = savedSettings.lineHeight;
+                state.settings.lineHeight = savedSettings.lineHeight;
+            }
+
+            updateTypography();
+        },
+
+        initAccessibilityChecker: () => {
+            const applySuggestion = document.getElementById('apply-accent-suggestion');
+            if (applySuggestion) {
+                applySuggestion.addEventListener('click', () => {
+                    // The suggestion keeps the accent's hue and saturation, which the sliders may not show yet
+                    ['hue', 'saturation', 'lightness'].forEach(part => {
+                        document.getElementById(`accent-${part}`).value = applySuggestion.dataset[part];
+                    });
+                    document.getElementById('accent-lightness').dispatchEvent(new Event('input'));
+                });
+            }
+            themeManager.updateAccessibilityChecker();
+        },
+
+        // Highest WCAG level a ratio meets for text of a size, or null
+        getContrastLevel: (ratio, size) => ['AAA', 'AA'].find(level => ratio >= CONFIG.CONTRAST[level][size]) || null,
+
+        // Accent lightness in the slider's range closest to the current one that gives text AA
+        // contrast on the background; null if none does at this hue and saturation
+        findPassingLightness: (hue, saturation, lightness, background) => {
+            const slider = document.getElementById('accent-lightness');
+            const min = Number(slider?.min ?? 0);
+            const max = Number(slider?.max ?? 100);
+            const passes = (l) => utils.getContrastRatio(`hsl(${hue}, ${saturation}%, ${l}%)`, background) >= CONFIG.CONTRAST.AA.normal;
+
+            for (let distance = 1; distance <= max - min; distance++) {
+                const candidate = [lightness - distance, lightness + distance].find(l => l >= min && l <= max && passes(l));
+                if (candidate !== undefined) return candidate;
+            }
+            return null;
+        },
+
+        updateAccessibilityChecker: () => {
+            const headingRatio = document.getElementById('heading-ratio');
+            const bodyRatio = document.getElementById('body-ratio');
+            const accentRatio = document.getElementById('accent-ratio');
+            const headingStatus = document.getElementById('heading-status');
+            const bodyStatus = document.getElementById('body-status');
+            const accentStatus = document.getElementById('accent-status');
+            const suggestion = document.getElementById('accent-suggestion');
+
+            if (!headingRatio || !bodyRatio || !accentRatio) return;
+
+            // Get current colors from computed styles; the accent is the one the pages draw with,
+            // the theme's own or a custom one from the sliders
+            const rootStyles = getComputedStyle(document.documentElement);
+            const readVariable = (name) => rootStyles.getPropertyValue(name).trim();
+            const bgColor = readVariable('--primary-bg');
+            const accentColor = readVariable('--accent-color');
+
+            const headingContrast = utils.getContrastRatio(readVariable('--primary-text'), bgColor);
+            const bodyContrast = utils.getContrastRatio(readVariable('--secondary-text'), bgColor);
+            const accentContrast = utils.getContrastRatio(accentColor, bgColor);
+
+            // Rounded down, so a ratio just short of a threshold doesn't read as meeting it
+            const formatRatio = (ratio) => ratio === null ? i18nManager.t('contrast.unknown') : i18nManager.formatDigits(i18nManager.t('contrast.ratio', {
+                ratio: i18nManager.formatNumber(Math.floor(ratio * 10) / 10, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+            }));
+            headingRatio.textContent = formatRatio(headingContrast);
+            bodyRatio.textContent = formatRatio(bodyContrast);
+            accentRatio.textContent = formatRatio(accentContrast);
+
+            // Levels met for normal and large text; only large text passing is flagged as partial
+            const updateStatus = (element, ratio) => {
+                const normal = ratio === null ? null : themeManager.getContrastLevel(ratio, 'normal');
+                const large = ratio === null ? null : themeManager.getContrastLevel(ratio, 'large');
+                element.textContent = i18nManager.t('contrast.levels', {
+                    normal: normal || i18nManager.t('contrast.fail'),
+                    large: large || i18nManager.t('contrast.fail')
+                });
+                element.className = `contrast-status ${normal ? 'pass' : large ? 'partial' : 'fail'}`;
+            };
+
+            updateStatus(headingStatus, headingContrast);
+            updateStatus(bodyStatus, bodyContrast);
+            updateStatus(accentStatus, accentContrast);
+
+            if (!suggestion) return;
+            const failing = accentContrast !== null && accentContrast < CONFIG.CONTRAST.AA.normal;
+            suggestion.hidden = !failing;
+            if (!failing) return;
+
+            const [hue, saturation, lightness] = utils.toHsl(accentColor);
+            const passing = themeManager.findPassingLightness(hue, saturation, lightness, bgColor);
+            const applySuggestion = document.getElementById('apply-accent-suggestion');
+            document.getElementById('accent-suggestion-text').textContent = passing === null
+                ? i18nManager.t('contrast.noSuggestion')
+                : i18nManager.t('contrast.suggestion', { lightness: i18nManager.formatNumber(passing / 100, { style: 'percent' }) });
+            applySuggestion.hidden = passing === null;
+            Object.assign(applySuggestion.dataset, { hue, saturation, lightness: passing ?? '' });
+        }
+    };
+
+    // Phrase Library
+    const phraseManager = {
+        init: () => {
+            const searchInput = document.getElementById('phrase-search');
+            const library = document.getElementById('phrase-library');
+            const saveCustomBtn = document.getElementById('save-custom-phrase');
+
+            syncManager.subscribe('phrases', phraseManager.receiveChange);
+            phraseManager.renderSuggestions();
+
+            if (!library) return;
+
+            phraseManager.renderLibrary();
+
+            if (searchInput) {
+                searchInput.addEventListener('input', () => phraseManager.filterLibrary(searchInput.value));
+            }
+
+            if (saveCustomBtn) {
+                saveCustomBtn.addEventListener('click', phraseManager.saveCustomPhrase);
+            }
+
+            library.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.phrase-remove');
+                if (removeBtn) {
+                    phraseManager.removeCustomPhrase(removeBtn.dataset.phraseId);
+                }
+            });
+        },
+
+        getCustomPhrases: () => storage.get(CONFIG.STORAGE_KEYS.PHRASES, []),
+
+        getAll: () => [...CONFIG.PHRASE_LIBRARY, ...phraseManager.getCustomPhrases()],
+
+        getById: (id) => phraseManager.getAll().find(entry => entry.id === id) || null,
+
+        findByText: (text) => {
+            const key = phraseManager.normalize(text || '');
+            return phraseManager.getAll().find(entry => phraseManager.normalize(entry.transliteration) === key) || null;
+        },
+
+        // Fold case, accents, Arabic vowel marks and spacing so "subhan allah" finds "SubhanAllah"
+        // and unvowelled Arabic finds the vowelled text
+        normalize: (text) => {
+            return text
+                .toLowerCase()
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f\u064b-\u065f\u0670\u0640]/g, '')
+                .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627')
+                .replace(/[\s'’`\-.,]/g, '');
+        },
+
+        matches: (entry, query) => {
+            const key = phraseManager.normalize(query);
+            return [entry.arabic, entry.transliteration, entry.meaning, entry.source]
+                .some(field => field && phraseManager.normalize(field).includes(key));
+        },
+
+        renderLibrary: (selectedId) => {
+            const library = document.getElementById('phrase-library');
+            if (!library) return;
+
+            const checkedId = selectedId || library.querySelector('input:checked')?.value || CONFIG.PHRASE_LIBRARY[0].id;
+
+            library.innerHTML = phraseManager.getAll().map(entry => {
+                const details = [entry.meaning, entry.source].filter(Boolean).map(utils.escapeHtml).join(' · ');
+                const isCustom = !CONFIG.PHRASE_LIBRARY.includes(entry);
+
+                return `
+                    <div class="phrase-option" data-phrase-id="${utils.escapeHtml(entry.id)}">
+                        <label>
+                            <input type="radio" name="tracker-phrase" value="${utils.escapeHtml(entry.id)}"${entry.id === checkedId ? ' checked' : ''}>
+                            <span class="phrase-option-text">
+                                ${entry.arabic ? `<span class="phrase-arabic" lang="ar" dir="rtl">${utils.escapeHtml(entry.arabic)}</span>` : ''}
+                                <span class="phrase-transliteration">${utils.escapeHtml(entry.transliteration)}</span>
+                                ${details ? `<span class="phrase-meaning">${details}</span>` : ''}
+                            </span>
+                        </label>
+                        ${isCustom ? `<button type="button" class="phrase-remove" data-phrase-id="${utils.escapeHtml(entry.id)}" aria-label="${utils.escapeHtml(i18nManager.t('phrases.remove', { phrase: entry.transliteration }))}">&times;</button>` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            const searchInput = document.getElementById('phrase-search');
+            phraseManager.filterLibrary(searchInput ? searchInput.value : '');
+        },
+
+        filterLibrary: (query) => {
+            const entries = phraseManager.getAll();
+            let visible = 0;
+
+            document.querySelectorAll('#phrase-library .phrase-option').forEach(option => {
+                const entry = entries.find(e => e.id === option.dataset.phraseId);
+                option.hidden = !!query.trim() && !(entry && phraseManager.matches(entry, query));
+                if (!option.hidden) visible += 1;
+            });
+
+            const empty = document.getElementById('phrase-library-empty');
+            if (empty) {
+                empty.hidden = visible > 0;
+            }
+        },
+
+        // Transliterations offered while typing a phrase in the edit modal or a sequence step
+        renderSuggestions: () => {
+            const datalist = document.getElementById('phrase-suggestions');
+            if (!datalist) return;
+
+            datalist.innerHTML = phraseManager.getAll()
+                .map(entry => `<option value="${utils.escapeHtml(entry.transliteration)}">${utils.escapeHtml(entry.meaning || '')}</option>`)
+                .join('');
+        },
+
+        getSelected: () => {
+            const checked = document.querySelector('#phrase-library input[name="tracker-phrase"]:checked');
+            return checked ? phraseManager.getById(checked.value) : null;
+        },
+
+        saveCustomPhrase: () => {
+            const fields = ['transliteration', 'arabic', 'meaning', 'source'];
+            const inputs = Object.fromEntries(fields.map(field => [field, document.getElementById(`custom-${field}`)]));
+            const entry = Object.fromEntries(fields.map(field => [field, inputs[field]?.value.trim() ?? '']));
+
+            if (!entry.transliteration) {
+                utils.showToast(i18nManager.t('toast.phraseRequired'), 'error');
+                return;
+            }
+
+            const existing = phraseManager.findByText(entry.transliteration);
+            if (existing) {
+                phraseManager.renderLibrary(existing.id);
+                utils.showToast(i18nManager.t('toast.phraseExists', { phrase: existing.transliteration }));
+                return;
+            }
+
+            entry.id = `custom-${utils.generateId()}`;
+            storage.set(CONFIG.STORAGE_KEYS.PHRASES, [...phraseManager.getCustomPhrases(), entry]);
+            syncManager.publish('phrases', { type: 'add', entry });
+
+            fields.forEach(field => {
+                if (inputs[field]) inputs[field].value = '';
+            });
+            const details = document.getElementById('phrase-custom');
+            if (details) details.open = false;
+            const searchInput = document.getElementById('phrase-search');
+            if (searchInput) searchInput.value = '';
+
+            phraseManager.renderLibrary(entry.id);
+            phraseManager.renderSuggestions();
+            utils.showToast(i18nManager.t('toast.phraseAdded', { phrase: entry.transliteration }));
+        },
+
+        // Trackers using the phrase keep their text; they just lose the Arabic
+        removeCustomPhrase: (id) => {
+            const entry = phraseManager.getById(id);
+            if (!entry) return;
+
+            storage.set(CONFIG.STORAGE_KEYS.PHRASES, phraseManager.getCustomPhrases().filter(e => e.id !== id));
+            syncManager.publish('phrases', { type: 'remove', id });
+
+            phraseManager.renderLibrary();
+            phraseManager.renderSuggestions();
+            trackerManager.renderTrackers();
+            utils.showToast(i18nManager.t('toast.phraseRemoved', { phrase: entry.transliteration }));
+        },
+
+        // Imports replace or add to the user's phrases wholesale
+        setCustomPhrases: (phrases) => {
+            storage.set(CONFIG.STORAGE_KEYS.PHRASES, phrases);
+            syncManager.publish('phrases', { type: 'replace', phrases });
+            phraseManager.renderLibrary();
+            phraseManager.renderSuggestions();
+        },
+
+        receiveChange: (change) => {
+            let phrases = phraseManager.getCustomPhrases();
+
+            if (change.type === 'add' && !phrases.some(e => e.id === change.entry.id)) {
+                phrases.push(change.entry);
+            } else if (change.type === 'remove') {
+                phrases = phrases.filter(e => e.id !== change.id);
+            } else if (change.type === 'replace') {
+                phrases = change.phrases;
+            }
+
+            storage.set(CONFIG.STORAGE_KEYS.PHRASES, phrases);
+            phraseManager.renderLibrary();
+            phraseManager.renderSuggestions();
+            trackerManager.renderTrackers();
+        }
+    };
+
+    // Tracker Groups
+    // Groups are an ordered list of { id, name }; a tracker joins one through `groupId`. Trackers
+    // without a group, or whose group was deleted, are shown together after the groups.
+    const groupManager = {
+        UNGROUPED: 'ungrouped',
+
+        init: () => {
+            const manageBtn = document.getElementById('manage-groups');
+            const addGroupBtn = document.getElementById('add-group');
+            const newGroupInput = document.getElementById('new-group-name');
+            const groupList = document.getElementById('group-list');
+            const closeBtn = document.getElementById('close-groups');
+
+            syncManager.subscribe('groups', groupManager.receiveGroups);
+            groupManager.renderGroupOptions();
+
+            if (manageBtn) {
+                manageBtn.addEventListener('click', () => {
+                    groupManager.renderGroupList();
+                    modalManager.openModal('groups-modal');
+                });
+            }
+
+            if (addGroupBtn && newGroupInput) {
+                addGroupBtn.addEventListener('click', groupManager.addGroup);
+                newGroupInput.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        groupManager.addGroup();
+                    }
+                });
+            }
+
+            if (groupList) {
+                groupList.addEventListener('change', (e) => {
+                    if (e.target.matches('.group-name-input')) {
+                        groupManager.renameGroup(e.target.dataset.groupId, e.target.value);
+                    }
+                });
+
+                groupList.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-group-action]');
+                    if (!button) return;
+
+                    const { groupId, groupAction } = button.dataset;
+                    if (groupAction === 'delete') {
+                        groupManager.deleteGroup(groupId);
+                    } else {
+                        groupManager.moveGroup(groupId, groupAction === 'up' ? -1 : 1);
+                    }
+                });
+            }
+
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => modalManager.closeModal('groups-modal'));
+            }
+        },
+
+        getGroups: () => storage.get(CONFIG.STORAGE_KEYS.GROUPS, []),
+
+        saveGroups: (groups) => {
+            storage.set(CONFIG.STORAGE_KEYS.GROUPS, groups);
+            syncManager.publish('groups', groups);
+            groupManager.refresh();
+        },
+
+        receiveGroups: (groups) => {
+            storage.setCached(CONFIG.STORAGE_KEYS.GROUPS, groups);
+            groupManager.refresh();
+        },
+
+        refresh: () => {
+            groupManager.renderGroupOptions();
+            if (document.getElementById('groups-modal')?.classList.contains('active')) {
+                groupManager.renderGroupList();
+            }
+            trackerManager.renderTrackers();
+        },
+
+        // The section a tracker is shown in
+        getGroupId: (tracker, groups = groupManager.getGroups()) => {
+            return groups.some(group => group.id === tracker.groupId) ? tracker.groupId : groupManager.UNGROUPED;
+        },
+
+        // Groups in order with their trackers, then the ungrouped trackers. The ungrouped section is
+        // kept even when empty so there is always somewhere to drag a tracker out of a group.
+        getSections: () => {
+            const groups = groupManager.getGroups();
+            const inSection = (id) => state.trackers.filter(tracker => trackerManager.isActive(tracker) && groupManager.getGroupId(tracker, groups) === id);
+
+            return [
+                ...groups.map(group => ({ id: group.id, name: group.name, trackers: inSection(group.id) })),
+                { id: groupManager.UNGROUPED, name: i18nManager.t('groups.ungrouped'), trackers: inSection(groupManager.UNGROUPED) }
+            ];
+        },
+
+        isCollapsed: (groupId) => storage.get(CONFIG.STORAGE_KEYS.COLLAPSED_GROUPS, []).includes(groupId),
+
+        toggleCollapsed: (groupId) => {
+            const collapsed = storage.get(CONFIG.STORAGE_KEYS.COLLAPSED_GROUPS, []);
+            const isCollapsed = !collapsed.includes(groupId);
+            storage.set(
+                CONFIG.STORAGE_KEYS.COLLAPSED_GROUPS,
+                isCollapsed ? [...collapsed, groupId] : collapsed.filter(id => id !== groupId)
+            );
+
+            const section = document.querySelector(`.tracker-group[data-group-id="${groupId}"]`);
+            if (section) {
+                section.querySelector('.tracker-group-toggle').setAttribute('aria-expanded', String(!isCollapsed));
+                section.querySelector('.tracker-group-cards').hidden = isCollapsed;
+            }
+        },
+
+        createSection: (section) => {
+            const element = document.createElement('section');
+            const collapsed = groupManager.isCollapsed(section.id);
+            const cardsId = `tracker-group-${section.id}`;
+
+            element.className = 'tracker-group';
+            element.dataset.groupId = section.id;
+            element.innerHTML = `
+                <h3 class="tracker-group-header">
+                    <button class="tracker-group-toggle" aria-expanded="${!collapsed}" aria-controls="${utils.escapeHtml(cardsId)}">
+                        <span class="tracker-group-name">${utils.escapeHtml(section.name)}</span>
+                        <span class="tracker-group-count">${i18nManager.t('groups.trackerCount', { count: section.trackers.length })}</span>
+                    </button>
+                </h3>
+                <div class="trackers-grid tracker-group-cards" id="${utils.escapeHtml(cardsId)}" data-group-id="${utils.escapeHtml(section.id)}"${collapsed ? ' hidden' : ''}>
+                    ${section.trackers.length === 0 ? `<p class="tracker-group-empty">${i18nManager.t('groups.emptySection')}</p>` : ''}
+                </div>
+            `;
+
+            const cards = element.querySelector('.tracker-group-cards');
+            section.trackers.forEach(tracker => {
+                cards.appendChild(trackerManager.createTrackerCard(tracker, state.trackers.indexOf(tracker)));
+            });
+
+            const toggle = element.querySelector('.tracker-group-toggle');
+            toggle.addEventListener('click', () => groupManager.toggleCollapsed(section.id));
+
+            // Alt+Arrow moves the group, matching how cards are moved
+            if (section.id !== groupManager.UNGROUPED) {
+                toggle.addEventListener('keydown', (e) => {
+                    if (!e.altKey || !['ArrowUp', 'ArrowDown'].includes(e.key)) return;
+                    e.preventDefault();
+                    groupManager.moveGroup(section.id, e.key === 'ArrowUp' ? -1 : 1);
+                    document.querySelector(`.tracker-group[data-group-id="${section.id}"] .tracker-group-toggle`)?.focus();
+                });
+            }
+
+            return element;
+        },
+
+        // Options for the group pickers in the add and edit modals
+        renderGroupOptions: () => {
+            const options = `<option value="">${i18nManager.t('groups.none')}</option>` + groupManager.getGroups()
+                .map(group => `<option value="${utils.escapeHtml(group.id)}">${utils.escapeHtml(group.name)}</option>`)
+                .join('');
+
+            ['tracker-group', 'edit-tracker-group'].forEach(id => {
+                const select = document.getElementById(id);
+                if (!select) return;
+
+                const value = select.value;
+                select.innerHTML = options;
+                select.value = value;
+                if (select.selectedIndex === -1) select.value = '';
+            });
+        },
+
+        renderGroupList: () => {
+            const list = document.getElementById('group-list');
+            if (!list) return;
+
+            const groups = groupManager.getGroups();
+            if (groups.length === 0) {
+                list.innerHTML = `<li class="group-list-empty">${i18nManager.t('groups.emptyList')}</li>`;
+                return;
+            }
+
+            list.innerHTML = groups.map((group, index) => {
+                const id = utils.escapeHtml(group.id);
+                const name = utils.escapeHtml(group.name);
+                const label = (key) => utils.escapeHtml(i18nManager.t(key, { name: group.name, position: index + 1 }));
+                return `
+                    <li class="group-list-item">
+                        <input type="text" class="group-name-input" value="${name}" data-group-id="${id}" aria-label="${label('groups.nameLabel')}">
+                        <button type="button" class="group-action" data-group-action="up" data-group-id="${id}" aria-label="${label('groups.moveUp')}"${index === 0 ? ' disabled' : ''}>↑</button>
+                        <button type="button" class="group-action" data-group-action="down" data-group-id="${id}" aria-label="${label('groups.moveDown')}"${index === groups.length - 1 ? ' disabled' : ''}>↓</button>
+                        <button type="button" class="group-action danger" data-group-action="delete" data-group-id="${id}" aria-label="${label('groups.delete')}">&times;</button>
+                    </li>
+                `;
+            }).join('');
+        },
+
+        addGroup: () => {
+            const input = document.getElementById('new-group-name');
+            const name = input ? input.value.trim() : '';
+
+            if (!name) {
+                utils.showToast(i18nManager.t('toast.groupNameRequired'), 'error');
+                return;
+            }
+
+            groupManager.saveGroups([...groupManager.getGroups(), { id: `group-${utils.generateId()}`, name }]);
+            input.value = '';
+            utils.showToast(i18nManager.t('toast.groupAdded', { name }));
+        },
+
+        renameGroup: (groupId, name) => {
+            const trimmed = name.trim();
+            if (!trimmed) {
+                groupManager.renderGroupList();
+                utils.showToast(i18nManager.t('toast.groupNameEmpty'), 'error');
+                return;
+            }
+
+            groupManager.saveGroups(groupManager.getGroups().map(group => group.id === groupId ? { ...group, name: trimmed } : group));
+        },
+
+        moveGroup: (groupId, offset) => {
+            const groups = groupManager.getGroups();
+            const index = groups.findIndex(group => group.id === groupId);
+            const target = index + offset;
+            if (index === -1 || target < 0 || target >= groups.length) return;
+
+            [groups[index], groups[target]] = [groups[target], groups[index]];
+            groupManager.saveGroups(groups);
+            trackerManager.announce(i18nManager.t('announce.moved', { name: groups[target].name, position: target + 1, total: groups.length }));
+        },
+
+        // The group's trackers stay, shown as ungrouped
+        deleteGroup: (groupId) => {
+            const groups = groupManager.getGroups();
+            const group = groups.find(g => g.id === groupId);
+            if (!group) return;
+
+            state.trackers.forEach(tracker => {
+                if (tracker.groupId === groupId) tracker.groupId = null;
+            });
+            trackerManager.saveTrackers();
+
+            groupManager.saveGroups(groups.filter(g => g.id !== groupId));
+            storage.set(
+                CONFIG.STORAGE_KEYS.COLLAPSED_GROUPS,
+                storage.get(CONFIG.STORAGE_KEYS.COLLAPSED_GROUPS, []).filter(id => id !== groupId)
+            );
+            utils.showToast(i18nManager.t('toast.groupDeleted', { name: group.name }));
+        }
+    };
+
+    // Archive and Trash
+    // Archived trackers are put away with their count and history intact. Trashed ones stay
+    // restorable for the retention period in settings, then are deleted for good.
+    const archiveManager = {
+        STATUSES: ['active', 'archived', 'trashed'],
+        DAY_MS: 24 * 60 * 60 * 1000,
+
+        init: () => {
+            const manageBtn = document.getElementById('manage-archive');
+            const retentionSelect = document.getElementById('trash-retention');
+            const emptyTrashBtn = document.getElementById('empty-trash');
+            const closeBtn = document.getElementById('close-archive');
+            const modal = document.getElementById('archive-modal');
+
+            utils.loadSetting('trashRetentionDays', days => CONFIG.TRASH_RETENTION_OPTIONS.includes(days));
+            syncManager.subscribe('trash-retention', archiveManager.receiveRetention);
+
+            archiveManager.purgeExpired();
+            setInterval(archiveManager.purgeExpired, CONFIG.RESET_CHECK_INTERVAL);
+
+            if (manageBtn) {
+                manageBtn.addEventListener('click', () => {
+                    archiveManager.render();
+                    modalManager.openModal('archive-modal');
+                });
+            }
+
+            if (retentionSelect) {
+                archiveManager.renderRetentionOptions();
+                retentionSelect.addEventListener('change', (e) => archiveManager.setRetentionDays(parseInt(e.target.value, 10)));
+            }
+
+            if (emptyTrashBtn) {
+                emptyTrashBtn.addEventListener('click', () => {
+                    archiveManager.purge(state.trackers.filter(t => t.status === 'trashed').map(t => t.id));
+                });
+            }
+
+            if (modal) {
+                modal.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-archive-action]');
+                    if (!button) return;
+
+                    const { trackerId, archiveAction } = button.dataset;
+                    if (archiveAction === 'purge') {
+                        archiveManager.purge([trackerId]);
+                    } else {
+                        archiveManager.setStatus(trackerId, archiveAction);
+                    }
+                });
+            }
+
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => modalManager.closeModal('archive-modal'));
+            }
+
+            archiveManager.render();
+        },
+
+        // Archive, trash or restore a tracker; each can be undone from the toast
+        setStatus: (trackerId, status) => {
+            const tracker = state.trackers.find(t => t.id === trackerId);
+            if (!tracker || tracker.status === status) return;
+
+            const before = { ...tracker };
+            const now = new Date().toISOString();
+            tracker.status = status;
+            tracker.archivedAt = status === 'archived' ? now : null;
+            tracker.trashedAt = status === 'trashed' ? now : null;
+            if (status === 'active') {
+                // Schedules pick up from here rather than firing for resets missed while it was put away
+                tracker.lastReset = now;
+            }
+
+            const commandId = undoManager.push({ active: 'restore', archived: 'archive', trashed: 'trash' }[status], before, { ...tracker });
+            trackerManager.saveTrackers();
+            trackerManager.renderTrackers();
+
+            utils.showToast(i18nManager.t(`toast.${status}`, { name: tracker.name }), 'success', undoManager.getToastAction(commandId));
+        },
+
+        // The one step that can't be undone, so it asks first
+        purge: (trackerIds) => {
+            const trackers = state.trackers.filter(t => trackerIds.includes(t.id));
+            if (trackers.length === 0) return;
+
+            const params = { name: trackers[0].name, count: trackers.length };
+            const suffix = trackers.length === 1 ? 'One' : 'Many';
+            if (!confirm(i18nManager.t(`archive.confirmPurge${suffix}`, params))) return;
+
+            archiveManager.remove(trackerIds);
+            utils.showToast(i18nManager.t(`toast.purged${suffix}`, params));
+        },
+
+        purgeExpired: () => {
+            const cutoff = Date.now() - state.settings.trashRetentionDays * archiveManager.DAY_MS;
+            const expired = state.trackers
+                .filter(t => t.status === 'trashed' && Date.parse(t.trashedAt) <= cutoff)
+                .map(t => t.id);
+
+            if (expired.length > 0) {
+                archiveManager.remove(expired);
+            }
+        },
+
+        remove: (trackerIds) => {
+            state.trackers = state.trackers.filter(t => !trackerIds.includes(t.id));
+            undoManager.forget(trackerIds);
+            trackerManager.saveTrackers();
+            trackerManager.renderTrackers();
+        },
+
+        setRetentionDays: (days) => {
+            if (!CONFIG.TRASH_RETENTION_OPTIONS.includes(days)) return;
+
+            utils.saveSetting('trashRetentionDays', days);
+            archiveManager.receiveRetention(days);
+            syncManager.publish('trash-retention', days);
+            utils.showToast(i18nManager.t('toast.retentionSet', { count: days }));
+        },
+
+        renderRetentionOptions: () => {
+            const retentionSelect = document.getElementById('trash-retention');
+            if (!retentionSelect) return;
+
+            retentionSelect.innerHTML = CONFIG.TRASH_RETENTION_OPTIONS
+                .map(days => `<option value="${days}">${i18nManager.t('archive.days', { count: days })}</option>`)
+                .join('');
+            retentionSelect.value = state.settings.trashRetentionDays;
+        },
+
+        receiveRetention: (days) => {
+            state.settings.trashRetentionDays = days;
+            storage.setCached(CONFIG.STORAGE_KEYS.SETTINGS, { ...storage.get(CONFIG.STORAGE_KEYS.SETTINGS, {}), trashRetentionDays: days });
+
+            const retentionSelect = document.getElementById('trash-retention');
+            if (retentionSelect) retentionSelect.value = days;
+
+            // A shorter period may already have run out for some of the trash
+            archiveManager.purgeExpired();
+            archiveManager.render();
+        },
+
+        render: () => {
+            const archivedList = document.getElementById('archived-list');
+            const trashList = document.getElementById('trash-list');
+            const archivedCount = document.getElementById('archived-count');
+            const trashCount = document.getElementById('trash-count');
+            const emptyTrashBtn = document.getElementById('empty-trash');
+            if (!archivedList || !trashList) return;
+
+            const archived = state.trackers.filter(t => t.status === 'archived');
+            const trashed = state.trackers.filter(t => t.status === 'trashed');
+
+            if (archivedCount) archivedCount.textContent = i18nManager.formatNumber(archived.length);
+            if (trashCount) trashCount.textContent = i18nManager.formatNumber(trashed.length);
+            if (emptyTrashBtn) emptyTrashBtn.disabled = trashed.length === 0;
+
+            archivedList.innerHTML = archived.length === 0
+                ? `<li class="archive-list-empty">${i18nManager.t('archive.noArchived')}</li>`
+                : archived.map(tracker => archiveManager.createItem(tracker,
+                    i18nManager.t('archive.archivedOn', { date: utils.formatDate(new Date(tracker.archivedAt)) }),
+                    [['active', 'archive.restore', ''], ['trashed', 'archive.trash', ' danger']])).join('');
+
+            trashList.innerHTML = trashed.length === 0
+                ? `<li class="archive-list-empty">${i18nManager.t('archive.noTrash')}</li>`
+                : trashed.map(tracker => {
+                    const expires = Date.parse(tracker.trashedAt) + state.settings.trashRetentionDays * archiveManager.DAY_MS;
+                    const daysLeft = Math.ceil((expires - Date.now()) / archiveManager.DAY_MS);
+                    const date = utils.formatDate(new Date(tracker.trashedAt));
+                    return archiveManager.createItem(tracker,
+                        daysLeft <= 1
+                            ? i18nManager.t('archive.trashedSoon', { date })
+                            : i18nManager.t('archive.trashedOn', { date, count: daysLeft }),
+                        [['active', 'archive.restore', ''], ['purge', 'archive.purge', ' danger']]);
+                }).join('');
+        },
+
+        createItem: (tracker, note, actions) => {
+            const id = utils.escapeHtml(tracker.id);
+            const name = utils.escapeHtml(tracker.name);
+            const count = `${i18nManager.formatNumber(tracker.count)} ${utils.escapeHtml(trackerManager.getPhrase(tracker))}`;
+
+            return `
+                <li class="archive-item">
+                    <div class="archive-item-info">
+                        <span class="archive-item-name">${name}</span>
+                        <span class="archive-item-meta">${count} · ${note}</span>
+                    </div>
+                    ${actions.map(([action, key, modifier]) => `
+                        <button type="button" class="archive-action${modifier}" data-archive-action="${action}" data-tracker-id="${id}" aria-label="${utils.escapeHtml(i18nManager.t(`${key}Label`, { name: tracker.name }))}">${i18nManager.t(key)}</button>
+                    `).join('')}
+                </li>
+            `;
+        }
+    };
+
+    // Pointer Gestures
+    // One layer for mouse, touch and pen: a tap, a long press and a swipe back (left, or right in
+    // a right-to-left layout). Clicks that follow a handled gesture are swallowed so a tap never
+    // counts twice, and contacts that look like a resting palm, or a second finger landing, are ignored.
+    const gestureManager = {
+        // `countsOn` names controls inside the element that belong to the gesture (other buttons
+        // and fields keep their own clicks); `ignore` names areas that take no gestures at all
+        attach: (element, handlers, options = {}) => {
+            const { countsOn = null, ignore = null } = options;
+            let gesture = null;
+            let suppressClickUntil = 0;
+
+            const cancel = () => {
+                if (!gesture) return;
+                clearTimeout(gesture.timer);
+                element.classList.remove('pressing');
+                gesture = null;
+            };
+
+            const finish = (handler) => {
+                cancel();
+                suppressClickUntil = Date.now() + CONFIG.GESTURES.CLICK_SUPPRESS;
+                if (handler) handler();
+            };
+
+            element.addEventListener('pointerdown', (e) => {
+                // A second contact while one is down is a palm or a pinch, not a count
+                if (gesture) {
+                    cancel();
+                    return;
+                }
+                suppressClickUntil = 0;
+
+                const control = e.target.closest('button, a, input, select, textarea, label, summary');
+                if (!e.isPrimary || e.button !== 0
+                    || (control && !(countsOn && control.matches(countsOn)))
+                    || (ignore && e.target.closest(ignore))
+                    || (e.pointerType === 'touch' && Math.max(e.width, e.height) > CONFIG.GESTURES.PALM_SIZE)) {
+                    return;
+                }
+
+                gesture = {
+                    pointerId: e.pointerId,
+                    x: e.clientX,
+                    y: e.clientY,
+                    time: Date.now(),
+                    timer: setTimeout(() => {
+                        // Counted now, while still held; the release then does nothing more
+                        gesture.longPressed = true;
+                        element.classList.remove('pressing');
+                        handlers.onLongPress();
+                    }, CONFIG.GESTURES.LONG_PRESS_DELAY)
+                };
+                element.classList.add('pressing');
+            });
+
+            element.addEventListener('pointermove', (e) => {
+                if (!gesture || e.pointerId !== gesture.pointerId) return;
+
+                // Once the pointer wanders it is no longer a tap or a long press, but may still be a swipe
+                if (Math.hypot(e.clientX - gesture.x, e.clientY - gesture.y) > CONFIG.GESTURES.TAP_SLOP) {
+                    clearTimeout(gesture.timer);
+                    gesture.moved = true;
+                    element.classList.remove('pressing');
+                }
+            });
+
+            element.addEventListener('pointerup', (e) => {
+                if (!gesture || e.pointerId !== gesture.pointerId) return;
+
+                const dx = e.clientX - gesture.x;
+                const dy = e.clientY - gesture.y;
+                if (gesture.longPressed) {
+                    finish(null);
+                } else if (!gesture.moved) {
+                    finish(handlers.onTap);
+                } else if (gestureManager.getBackDistance(dx) >= CONFIG.GESTURES.SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) * 2
+                    && Date.now() - gesture.time <= CONFIG.GESTURES.SWIPE_TIME) {
+                    finish(handlers.onSwipeBack);
+                } else {
+                    finish(null);
+                }
+            });
+
+            // The browser took the pointer over (scrolling, a drag) or it left the element
+            element.addEventListener('pointercancel', cancel);
+            element.addEventListener('pointerleave', (e) => {
+                if (gesture && e.pointerId === gesture.pointerId && e.pointerType === 'mouse') cancel();
+            });
+
+            // A touch long press would otherwise open the context menu
+            element.addEventListener('contextmenu', (e) => {
+                if (gesture || Date.now() < suppressClickUntil) e.preventDefault();
+            });
+
+            // The click a browser sends after a handled tap (or a late one from a touch screen).
+            // Keyboard presses arrive as clicks with no detail and always go through.
+            element.addEventListener('click', (e) => {
+                if (e.detail > 0 && Date.now() < suppressClickUntil) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    suppressClickUntil = 0;
+                }
+            }, true);
+        },
+
+        // How far a horizontal movement went towards the start of the line
+        getBackDistance: (dx) => document.documentElement.dir === 'rtl' ? dx : -dx
+    };
+
+    // Focus Mode
+    // A full-screen counter for long sessions. Counting goes through handleTrackerAction like the
+    // cards, so history, undo, rounds and syncing behave the same; the card is up to date on exit.
+    const focusManager = {
+        trackerId: null,
+        wakeLock: null,
+        enteredFullscreen: false,
+
+        init: () => {
+            const overlay = document.getElementById('focus-mode');
+            const exitBtn = document.getElementById('focus-exit');
+            const paletteBtn = document.getElementById('focus-palette');
+            if (!overlay) return;
+
+            utils.loadSetting('focusPalette', palette => CONFIG.FOCUS_PALETTES.includes(palette));
+
+            gestureManager.attach(overlay, {
+                onTap: () => trackerManager.handleTrackerAction(focusManager.trackerId, 'increment'),
+                onLongPress: () => trackerManager.handleTrackerAction(focusManager.trackerId, 'increment-step'),
+                onSwipeBack: () => trackerManager.handleTrackerAction(focusManager.trackerId, 'decrement')
+            }, { ignore: '.focus-controls' });
+
+            overlay.addEventListener('keydown', (e) => {
+                if (e.target.closest('.focus-controls')) {
+                    if (e.key === 'Escape') focusManager.close();
+                    return;
+                }
+                if (e.key === ' ' || e.key === 'Enter') {
+                    e.preventDefault();
+                    trackerManager.handleTrackerAction(focusManager.trackerId, 'increment');
+                } else if (e.key === 'Escape') {
+                    focusManager.close();
+                }
+            });
+
+            if (exitBtn) {
+                exitBtn.addEventListener('click', focusManager.close);
+            }
+
+            if (paletteBtn) {
+                paletteBtn.addEventListener('click', focusManager.cyclePalette);
+            }
+
+            // Browsers drop the wake lock whenever the page is hidden
+            document.addEventListener('visibilitychange', () => {
+                if (focusManager.trackerId && !document.hidden) {
+                    focusManager.requestWakeLock();
+                }
+            });
+
+            // Leaving full screen from the browser (usually with Esc) leaves focus mode too
+            document.addEventListener('fullscreenchange', () => {
+                if (focusManager.enteredFullscreen && !document.fullscreenElement) {
+                    focusManager.enteredFullscreen = false;
+                    focusManager.close();
+                }
+            });
+        },
+
+        open: (trackerId) => {
+            const overlay = document.getElementById('focus-mode');
+            if (!overlay || !state.trackers.some(t => t.id === trackerId)) return;
+
+            focusManager.trackerId = trackerId;
+            focusManager.applyPalette();
+            focusManager.render();
+
+            // Everything behind the overlay is taken out of reach of Tab and screen readers
+            document.querySelectorAll('.site-header, main, .site-footer').forEach(element => {
+                element.inert = true;
+            });
+            overlay.hidden = false;
+            document.body.style.overflow = 'hidden';
+            overlay.focus();
+
+            focusManager.requestWakeLock();
+            focusManager.requestFullscreen();
+        },
+
+        close: () => {
+            const overlay = document.getElementById('focus-mode');
+            const trackerId = focusManager.trackerId;
+            if (!overlay || !trackerId) return;
+
+            focusManager.trackerId = null;
+            overlay.hidden = true;
+            document.querySelectorAll('.site-header, main, .site-footer').forEach(element => {
+                element.inert = false;
+            });
+            document.body.style.overflow = '';
+
+            if (focusManager.wakeLock) {
+                focusManager.wakeLock.release().catch(() => {});
+                focusManager.wakeLock = null;
+            }
+            if (focusManager.enteredFullscreen && document.fullscreenElement) {
+                focusManager.enteredFullscreen = false;
+                document.exitFullscreen().catch(() => {});
+            }
+
+            // Back to the card that opened it, which has been kept up to date all along
+            const card = document.querySelector(`.tracker-card[data-tracker-id="${trackerId}"]`);
+            if (card) {
+                card.scrollIntoView({ block: 'center' });
+                card.focus();
+            }
+        },
+
+        // Keeps the screen on; not every browser has the API, and it can be refused (e.g. on low battery)
+        requestWakeLock: async () => {
+            if (!('wakeLock' in navigator) || focusManager.wakeLock) return;
+
+            try {
+                const lock = await navigator.wakeLock.request('screen');
+                if (!focusManager.trackerId) {
+                    lock.release();
+                    return;
+                }
+                focusManager.wakeLock = lock;
+                lock.addEventListener('release', () => {
+                    if (focusManager.wakeLock === lock) focusManager.wakeLock = null;
+                });
+            } catch (error) {
+                console.warn('Screen wake lock unavailable:', error);
+            }
+        },
+
+        // The whole page goes full screen rather than the overlay alone, so toasts still show
+        requestFullscreen: async () => {
+            const root = document.documentElement;
+            if (!root.requestFullscreen || document.fullscreenElement) return;
+
+            try {
+                await root.requestFullscreen();
+                focusManager.enteredFullscreen = Boolean(focusManager.trackerId);
+                if (!focusManager.trackerId) document.exitFullscreen();
+            } catch (error) {
+                console.warn('Full screen unavailable:', error);
+            }
+        },
+
+        // Called whenever a tracker changes, here or in another tab
+        render: () => {
+            if (!focusManager.trackerId) return;
+
+            const tracker = state.trackers.find(t => t.id === focusManager.trackerId);
+            if (!tracker || !trackerManager.isActive(tracker)) {
+                focusManager.close();
+                return;
+            }
+
+            const name = document.getElementById('focus-name');
+            const step = document.getElementById('focus-step');
+            const count = document.getElementById('focus-count');
+            const phrase = document.getElementById('focus-phrase');
+            const rounds = document.getElementById('focus-rounds');
+            const hint = document.getElementById('focus-hint');
+            const displayCount = i18nManager.formatNumber(trackerManager.getDisplayCount(tracker));
+
+            if (name) name.textContent = tracker.name;
+            if (step) step.textContent = tracker.type === 'sequence' ? trackerManager.formatStepLabel(tracker) : '';
+            if (phrase) phrase.innerHTML = trackerManager.renderPhrase(tracker);
+            if (rounds) rounds.textContent = tracker.target ? trackerManager.formatRoundInfo(tracker) : '';
+            if (hint) hint.textContent = i18nManager.t('focus.hint', { step: tracker.longPressStep });
+            if (count && count.textContent !== displayCount) {
+                count.textContent = displayCount;
+                count.classList.add('updated');
+                setTimeout(() => count.classList.remove('updated'), 300);
+            }
+        },
+
+        cyclePalette: () => {
+            const palettes = CONFIG.FOCUS_PALETTES;
+            const next = palettes[(palettes.indexOf(state.settings.focusPalette) + 1) % palettes.length];
+
+            utils.saveSetting('focusPalette', next);
+            focusManager.applyPalette();
+        },
+
+        applyPalette: () => {
+            const overlay = document.getElementById('focus-mode');
+            const paletteBtn = document.getElementById('focus-palette');
+            const palette = state.settings.focusPalette;
+
+            if (overlay) overlay.dataset.palette = palette;
+            if (paletteBtn) {
+                paletteBtn.textContent = i18nManager.t('focus.palette', { palette: i18nManager.t(`focus.palette.${palette}`) });
+            }
+        }
+    };
+
+    // Sound Feedback
+    // Every sound is synthesised with Web Audio, so there is nothing to download and it works
+    // offline. Quiet preferences are respected: on iOS the ringer switch mutes it, and with
+    // reduce motion on the chimes are cut short.
+    const soundManager = {
+        context: null,
+
+        init: () => {
+            const enabledCheckbox = document.getElementById('sound-enabled');
+            const volumeSlider = document.getElementById('sound-volume');
+            const previewBtn = document.getElementById('sound-preview');
+            const openBtn = document.getElementById('sound-settings');
+            const closeBtn = document.getElementById('close-sound');
+            const trackerSoundSelect = document.getElementById('edit-sound');
+
+            utils.loadSetting('soundEnabled', enabled => typeof enabled === 'boolean');
+            utils.loadSetting('soundVolume', volume => typeof volume === 'number' && volume >= 0 && volume <= 1);
+
+            // Treat our sounds like a game's rather than media: they mix with music and obey the silent switch
+            if ('audioSession' in navigator) {
+                navigator.audioSession.type = 'ambient';
+            }
+
+            if (openBtn) {
+                openBtn.addEventListener('click', () => modalManager.openModal('sound-modal'));
+            }
+
+            if (enabledCheckbox) {
+                enabledCheckbox.checked = state.settings.soundEnabled;
+                enabledCheckbox.addEventListener('change', () => {
+                    utils.saveSetting('soundEnabled', enabledCheckbox.checked);
+                    soundManager.play('click');
+                });
+            }
+
+            if (volumeSlider) {
+                volumeSlider.value = Math.round(state.settings.soundVolume * 100);
+                volumeSlider.addEventListener('change', () => {
+                    utils.saveSetting('soundVolume', parseInt(volumeSlider.value, 10) / 100);
+                    soundManager.play('click', true);
+                });
+            }
+
+            if (previewBtn) {
+                previewBtn.addEventListener('click', () => {
+                    soundManager.play('click', true);
+                    setTimeout(() => soundManager.play('chime', true), 400);
+                });
+            }
+
+            if (trackerSoundSelect) {
+                trackerSoundSelect.innerHTML = CONFIG.COUNT_SOUNDS
+                    .map(sound => `<option value="${sound}" data-i18n="sound.${sound}">${i18nManager.t(`sound.${sound}`)}</option>`)
+                    .join('');
+                trackerSoundSelect.addEventListener('change', () => soundManager.play(trackerSoundSelect.value, true));
+            }
+
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => modalManager.closeModal('sound-modal'));
+            }
+        },
+
+        // Created on first use, which is always inside a tap or key press, so browsers let it start
+        getContext: () => {
+            if (!soundManager.context) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                if (!AudioContextClass) return null;
+                soundManager.context = new AudioContextClass();
+            }
+            if (soundManager.context.state === 'suspended') {
+                soundManager.context.resume();
+            }
+            return soundManager.context;
+        },
+
+        isReduced: () => Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+
+        // `preview` plays even with sound switched off, for trying sounds out in settings
+        play: (name, preview = false) => {
+            if (!state.settings.soundEnabled && !preview) return;
+            const sound = soundManager.SOUNDS[name];
+            const context = sound && state.settings.soundVolume > 0 ? soundManager.getContext() : null;
+            if (!context) return;
+
+            const output = context.createGain();
+            output.gain.value = state.settings.soundVolume;
+            output.connect(context.destination);
+
+            const tone = ({ frequency, endFrequency = frequency, type = 'sine', start = 0, duration, peak }) => {
+                const at = context.currentTime + start;
+                const oscillator = context.createOscillator();
+                const envelope = context.createGain();
+
+                oscillator.type = type;
+                oscillator.frequency.setValueAtTime(frequency, at);
+                oscillator.frequency.exponentialRampToValueAtTime(endFrequency, at + duration);
+                // A few milliseconds of attack avoids an audible pop
+                envelope.gain.setValueAtTime(0.0001, at);
+                envelope.gain.exponentialRampToValueAtTime(peak, at + 0.005);
+                envelope.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+
+                oscillator.connect(envelope).connect(output);
+                oscillator.start(at);
+                oscillator.stop(at + duration + 0.05);
+            };
+
+            sound(tone, soundManager.isReduced());
+        },
+
+        SOUNDS: {
+            click: (tone) => tone({ frequency: 2000, type: 'triangle', duration: 0.03, peak: 0.4 }),
+            bead: (tone) => {
+                tone({ frequency: 480, duration: 0.08, peak: 0.6 });
+                tone({ frequency: 1450, duration: 0.04, peak: 0.15 });
+            },
+            drop: (tone) => tone({ frequency: 700, endFrequency: 1400, duration: 0.1, peak: 0.45 }),
+            none: () => {},
+            // Round complete or a milestone: a rising three-note bell
+            chime: (tone, reduced) => {
+                const notes = reduced ? [880] : [659.25, 987.77, 1318.51];
+                notes.forEach((frequency, index) => {
+                    tone({ frequency, start: index * 0.12, duration: reduced ? 0.25 : 1.2, peak: 0.3 });
+                });
+            },
+            // The next step of a sequence: two notes, softer than a round
+            step: (tone, reduced) => {
+                tone({ frequency: 783.99, duration: reduced ? 0.2 : 0.6, peak: 0.25 });
+                if (!reduced) tone({ frequency: 1174.66, start: 0.1, duration: 0.6, peak: 0.2 });
+            },
+            reset: (tone) => tone({ frequency: 600, endFrequency: 200, duration: 0.3, peak: 0.35 })
+        }
+    };
+
+    // Haptic Patterns
+    // A pattern is a list of milliseconds, alternately vibrating and pausing, as navigator.vibrate takes it.
+    // Each tracker has one for every count, plus optional milestones ("every 33 counts") with their own.
+    const hapticsManager = {
+        init: () => {
+            const presetSelect = document.getElementById('edit-haptic-preset');
+            const patternInput = document.getElementById('edit-haptic-pattern');
+            const milestoneList = document.getElementById('edit-haptic-milestones');
+            const addMilestoneBtn = document.getElementById('add-haptic-milestone');
+            const editor = document.getElementById('edit-haptics');
+            if (!editor) return;
+
+            if (presetSelect) {
+                presetSelect.innerHTML = [...Object.keys(CONFIG.VIBRATION_PATTERNS), 'custom']
+                    .map(name => `<option value="${name}" data-i18n="haptics.${name}">${i18nManager.t(`haptics.${name}`)}</option>`)
+                    .join('');
+                presetSelect.addEventListener('change', () => {
+                    if (presetSelect.value === 'custom') {
+                        patternInput.focus();
+                        return;
+                    }
+                    patternInput.value = hapticsManager.formatPattern(CONFIG.VIBRATION_PATTERNS[presetSelect.value]);
+                    hapticsManager.preview(CONFIG.VIBRATION_PATTERNS[presetSelect.value]);
+                });
+            }
+
+            if (patternInput) {
+                patternInput.addEventListener('input', () => {
+                    presetSelect.value = hapticsManager.getPresetName(hapticsManager.parsePattern(patternInput.value));
+                });
+            }
+
+            // Every Preview button plays the pattern typed next to it
+            editor.addEventListener('click', (e) => {
+                const previewBtn = e.target.closest('.haptic-preview');
+                if (previewBtn) {
+                    const input = previewBtn.parentElement.querySelector('.haptic-pattern');
+                    const pattern = hapticsManager.parsePattern(input.value);
+                    if (pattern) {
+                        hapticsManager.preview(pattern);
+                    } else {
+                        utils.showToast(i18nManager.t('haptics.patternHint'), 'error');
+                    }
+                    return;
+                }
+
+                const removeBtn = e.target.closest('.haptic-milestone-remove');
+                if (removeBtn) {
+                    const milestones = hapticsManager.readMilestoneRows();
+                    milestones.splice(parseInt(removeBtn.dataset.milestoneIndex, 10), 1);
+                    hapticsManager.renderMilestones(milestones);
+                }
+            });
+
+            if (addMilestoneBtn && milestoneList) {
+                addMilestoneBtn.addEventListener('click', () => {
+                    hapticsManager.renderMilestones([
+                        ...hapticsManager.readMilestoneRows(),
+                        { every: '33', pattern: hapticsManager.formatPattern(CONFIG.VIBRATION_PATTERNS.long) }
+                    ]);
+                    milestoneList.querySelector('.haptic-milestone:last-child .haptic-every').focus();
+                });
+            }
+        },
+
+        // "100, 50, 100" → [100, 50, 100]; null unless it's something a phone can sensibly play
+        parsePattern: (text) => {
+            const parts = String(text).trim().split(/[\s,]+/).filter(Boolean);
+            const pattern = parts.map(Number);
+            return hapticsManager.isPattern(pattern) && parts.every(part => /^\d+$/.test(part)) ? pattern : null;
+        },
+
+        isPattern: (pattern) => {
+            return Array.isArray(pattern)
+                && pattern.length > 0
+                && pattern.length <= CONFIG.HAPTIC_LIMITS.STEPS
+                && pattern.every(ms => Number.isInteger(ms) && ms >= 0 && ms <= CONFIG.HAPTIC_LIMITS.STEP_MS)
+                && pattern[0] > 0;
+        },
+
+        isMilestone: (milestone) => {
+            return milestone !== null && typeof milestone === 'object'
+                && Number.isInteger(milestone.every) && milestone.every > 0
+                && hapticsManager.isPattern(milestone.pattern);
+        },
+
+        formatPattern: (pattern) => pattern.join(', '),
+
+        getPresetName: (pattern) => {
+            const match = pattern && Object.keys(CONFIG.VIBRATION_PATTERNS)
+                .find(name => hapticsManager.formatPattern(CONFIG.VIBRATION_PATTERNS[name]) === hapticsManager.formatPattern(pattern));
+            return match || 'custom';
+        },
+
+        preview: (pattern) => {
+            if (!navigator.vibrate) {
+                utils.showToast(i18nManager.t('toast.noVibration'), 'error');
+                return;
+            }
+            navigator.vibrate(pattern);
+        },
+
+        // What to play after a count: a milestone crossed takes priority, then a finished round or step,
+        // then the tracker's own pattern. Counting down, or with vibration off, plays nothing.
+        getPattern: (tracker, previousCount, roundsCompleted, startedNewStep) => {
+            if (!tracker.vibration || tracker.count <= previousCount) return null;
+
+            const milestone = tracker.hapticMilestones
+                .find(m => Math.floor(tracker.count / m.every) > Math.floor(previousCount / m.every));
+            if (milestone) return milestone.pattern;
+            if (roundsCompleted > 0) return CONFIG.VIBRATION_PATTERNS.long;
+            if (startedNewStep) return CONFIG.VIBRATION_PATTERNS.double;
+            return tracker.hapticPattern;
+        },
+
+        // Fill the editor in the edit-tracker modal
+        fillEditor: (tracker) => {
+            const presetSelect = document.getElementById('edit-haptic-preset');
+            const patternInput = document.getElementById('edit-haptic-pattern');
+
+            if (patternInput) patternInput.value = hapticsManager.formatPattern(tracker.hapticPattern);
+            if (presetSelect) presetSelect.value = hapticsManager.getPresetName(tracker.hapticPattern);
+            hapticsManager.renderMilestones(tracker.hapticMilestones.map(milestone => ({
+                every: String(milestone.every),
+                pattern: hapticsManager.formatPattern(milestone.pattern)
+            })));
+        },
+
+        renderMilestones: (milestones) => {
+            const list = document.getElementById('edit-haptic-milestones');
+            if (!list) return;
+
+            const label = (key, index) => utils.escapeHtml(i18nManager.t(key, { position: index + 1 }));
+            list.innerHTML = milestones.map((milestone, index) => `
+                <li class="haptic-milestone">
+                    <label class="haptic-every-label">${label('haptics.every', index)}
+                        <input type="number" class="haptic-every" value="${utils.escapeHtml(milestone.every)}" min="1" step="1"
+                               list="round-targets" aria-label="${label('haptics.everyLabel', index)}">
+                    </label>
+                    <input type="text" class="haptic-pattern" value="${utils.escapeHtml(milestone.pattern)}" inputmode="numeric"
+                           aria-label="${label('haptics.patternLabel', index)}">
+                    <button type="button" class="btn secondary haptic-preview">${label('haptics.preview', index)}</button>
+                    <button type="button" class="step-remove haptic-milestone-remove" data-milestone-index="${index}" aria-label="${label('haptics.removeMilestone', index)}">&times;</button>
+                </li>
+            `).join('');
+        },
+
+        readMilestoneRows: () => {
+            return Array.from(document.querySelectorAll('#edit-haptic-milestones .haptic-milestone')).map(row => ({
+                every: row.querySelector('.haptic-every').value,
+                pattern: row.querySelector('.haptic-pattern').value
+            }));
+        },
+
+        // Validated contents of the editor, or null after explaining what's wrong
+        readEditor: () => {
+            const patternInput = document.getElementById('edit-haptic-pattern');
+            const pattern = patternInput ? hapticsManager.parsePattern(patternInput.value) : CONFIG.VIBRATION_PATTERNS.single;
+            if (!pattern) {
+                utils.showToast(i18nManager.t('haptics.patternHint'), 'error');
+                return null;
+            }
+
+            const milestones = [];
+            for (const row of hapticsManager.readMilestoneRows()) {
+                const every = trackerManager.parseTarget(row.every);
+                const milestonePattern = hapticsManager.parsePattern(row.pattern);
+                if (!every) {
+                    utils.showToast(i18nManager.t('toast.milestoneEvery'), 'error');
+                    return null;
+                }
+                if (!milestonePattern) {
+                    utils.showToast(i18nManager.t('toast.milestonePattern', { every }), 'error');
+                    return null;
+                }
+                milestones.push({ every, pattern: milestonePattern });
+            }
+
+            return { pattern, milestones };
+        }
+    };
+
+    // Keyboard Bindings
+    // Shortcuts are saved as action → key, so any of them can be moved, e.g. onto the keys a foot
+    // pedal or presenter clicker sends. Digits and letters are named by key position ("Shift+1",
+    // not "!"), so a binding works the same on every keyboard layout.
+    const keyBindingManager = {
+        capturing: null,
+
+        init: () => {
+            const list = document.getElementById('key-bindings');
+            const resetBtn = document.getElementById('reset-key-bindings');
+            const helpBtn = document.getElementById('help-btn');
+
+            syncManager.subscribe('key-bindings', keyBindingManager.receiveBindings);
+            if (!list) return;
+
+            if (helpBtn) {
+                helpBtn.addEventListener('click', keyBindingManager.render);
+            }
+
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('.key-capture');
+                if (button) keyBindingManager.startCapture(button.dataset.binding);
+            });
+            list.addEventListener('focusout', (e) => {
+                if (e.target.closest('.key-capture')) keyBindingManager.stopCapture();
+            });
+
+            // Runs before every other key handler so the key being recorded does nothing else
+            document.addEventListener('keydown', (e) => {
+                if (!keyBindingManager.capturing) return;
+                e.preventDefault();
+                e.stopPropagation();
+
+                if (e.key === 'Escape') {
+                    keyBindingManager.stopCapture();
+                } else if (e.key === 'Backspace' || e.key === 'Delete') {
+                    keyBindingManager.assign(keyBindingManager.capturing, null);
+                } else {
+                    const combo = keyBindingManager.getCombo(e);
+                    // A modifier on its own: wait for the key it goes with
+                    if (combo) keyBindingManager.assign(keyBindingManager.capturing, combo);
+                }
+            }, true);
+
+            if (resetBtn) {
+                resetBtn.addEventListener('click', () => {
+                    keyBindingManager.saveBindings({ ...CONFIG.DEFAULT_KEY_BINDINGS });
+                    keyBindingManager.setStatus(i18nManager.t('keys.restored'));
+                });
+            }
+
+            keyBindingManager.render();
+        },
+
+        getActions: () => [
+            { id: 'focus-first', label: i18nManager.t('keys.focusFirst') },
+            { id: 'add-tracker', label: i18nManager.t('keys.addTracker') },
+            { id: 'export', label: i18nManager.t('keys.export') },
+            ...[1, 2, 3, 4, 5, 6, 7, 8, 9].flatMap(n => [
+                { id: `increment-${n}`, label: i18nManager.t('keys.increment', { slot: n }), slot: n },
+                { id: `decrement-${n}`, label: i18nManager.t('keys.decrement', { slot: n }), slot: n }
+            ])
+        ],
+
+        getBindings: () => ({ ...CONFIG.DEFAULT_KEY_BINDINGS, ...storage.get(CONFIG.STORAGE_KEYS.KEY_BINDINGS, {}) }),
+
+        saveBindings: (bindings) => {
+            storage.set(CONFIG.STORAGE_KEYS.KEY_BINDINGS, bindings);
+            syncManager.publish('key-bindings', bindings);
+            keyBindingManager.render();
+        },
+
+        receiveBindings: (bindings) => {
+            storage.setCached(CONFIG.STORAGE_KEYS.KEY_BINDINGS, bindings);
+            keyBindingManager.render();
+        },
+
+        // "Ctrl+Shift+1", "PageDown", "Space"; null for a modifier pressed on its own
+        getCombo: (e) => {
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return null;
+
+            const position = /^(?:Digit|Numpad)(\d)$/.exec(e.code || '') || /^Key([A-Z])$/.exec(e.code || '');
+            let key = e.key;
+            if (position) {
+                key = position[1];
+            } else if (key === ' ') {
+                key = 'Space';
+            } else if (key === '+') {
+                key = 'Plus';
+            } else if (key.length === 1) {
+                key = key.toUpperCase();
+            }
+
+            // Cmd on a Mac counts as Ctrl, as it does for undo
+            const modifiers = [(e.ctrlKey || e.metaKey) && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift'].filter(Boolean);
+            return [...modifiers, key].join('+');
+        },
+
+        getAction: (combo) => {
+            const match = Object.entries(keyBindingManager.getBindings()).find(([, bound]) => bound === combo);
+            return match ? match[0] : null;
+        },
+
+        // Trackers in on-screen order, which is what "tracker 3" means to someone looking at the page
+        getSlotTracker: (slot) => groupManager.getSections().flatMap(section => section.trackers)[slot - 1] || null,
+
+        // Carry out a bound action; returns false when the key isn't bound to anything here
+        run: (action, e) => {
+            const [type, slot] = action.split('-');
+
+            switch (action) {
+                case 'focus-first': {
+                    const firstTracker = document.querySelector('.tracker-card');
+                    if (!firstTracker) return false;
+                    firstTracker.focus();
+                    firstTracker.classList.add('focused');
+                    setTimeout(() => firstTracker.classList.remove('focused'), 2000);
+                    return true;
+                }
+                case 'add-tracker':
+                    if (!document.getElementById('add-tracker')) return false;
+                    modalManager.openModal('add-tracker-modal');
+                    return true;
+                case 'export':
+                    if (!document.getElementById('export-data')) return false;
+                    trackerManager.exportData();
+                    return true;
+            }
+
+            if (!document.getElementById('trackers-grid')) return false;
+            // A held key would otherwise keep counting at the keyboard's repeat rate
+            if (e.repeat) return true;
+
+            const tracker = keyBindingManager.getSlotTracker(parseInt(slot, 10));
+            if (tracker) {
+                trackerManager.handleTrackerAction(tracker.id, type);
+            } else {
+                utils.showToast(i18nManager.t('toast.noSlotTracker', { slot: parseInt(slot, 10) }), 'error');
+            }
+            return true;
+        },
+
+        startCapture: (action) => {
+            keyBindingManager.capturing = action;
+            const button = document.querySelector(`.key-capture[data-binding="${action}"]`);
+            if (button) {
+                button.classList.add('capturing');
+                button.textContent = i18nManager.t('keys.pressKey');
+            }
+            keyBindingManager.setStatus(i18nManager.t('keys.capturing'));
+        },
+
+        stopCapture: () => {
+            if (!keyBindingManager.capturing) return;
+            keyBindingManager.capturing = null;
+            keyBindingManager.render();
+        },
+
+        // Refused, with the reason shown, when the key is kept for something else or already taken
+        assign: (action, combo) => {
+            const label = keyBindingManager.getActions().find(a => a.id === action).label;
+            const owner = combo && keyBindingManager.getAction(combo);
+
+            if (combo && CONFIG.RESERVED_KEYS[combo]) {
+                keyBindingManager.setStatus(i18nManager.t('keys.reserved', { combo, use: i18nManager.t(CONFIG.RESERVED_KEYS[combo]) }), true);
+                return;
+            }
+            if (owner && owner !== action) {
+                const ownerLabel = keyBindingManager.getActions().find(a => a.id === owner).label;
+                keyBindingManager.setStatus(i18nManager.t('keys.taken', { combo, action: ownerLabel }), true);
+                return;
+            }
+
+            keyBindingManager.capturing = null;
+            keyBindingManager.saveBindings({ ...keyBindingManager.getBindings(), [action]: combo });
+            keyBindingManager.setStatus(i18nManager.t(combo ? 'keys.assigned' : 'keys.cleared', { action: label, combo }));
+            document.querySelector(`.key-capture[data-binding="${action}"]`)?.focus();
+        },
+
+        setStatus: (message, isError = false) => {
+            const status = document.getElementById('key-binding-status');
+            if (!status) return;
+            status.textContent = message;
+            status.classList.toggle('error', isError);
+        },
+
+        renderCombo: (combo) => combo
+            ? combo.split('+').map(key => `<kbd>${utils.escapeHtml(key)}</kbd>`).join(' + ')
+            : `<span class="key-unbound">${i18nManager.t('keys.none')}</span>`,
+
+        render: () => {
+            const list = document.getElementById('key-bindings');
+            if (!list) return;
+
+            const bindings = keyBindingManager.getBindings();
+            // Two actions on one key can still arrive from older saves or another tab; flag them
+            const used = Object.values(bindings).filter(Boolean);
+            const isConflict = (combo) => combo && used.indexOf(combo) !== used.lastIndexOf(combo);
+
+            list.innerHTML = keyBindingManager.getActions().map(action => {
+                const combo = bindings[action.id];
+                const tracker = action.slot ? keyBindingManager.getSlotTracker(action.slot) : null;
+                const trackerName = tracker ? ` <span class="key-binding-tracker">(${utils.escapeHtml(tracker.name)})</span>` : '';
+                const conflict = isConflict(combo);
+
+                return `
+                    <li class="key-binding${conflict ? ' conflict' : ''}">
+                        <span class="key-binding-label">${action.label}${trackerName}${conflict ? ` <strong class="key-binding-warning">${i18nManager.t('keys.conflict')}</strong>` : ''}</span>
+                        <button type="button" class="key-capture" data-binding="${action.id}"
+                                aria-label="${utils.escapeHtml(i18nManager.t('keys.changeLabel', { action: action.label, combo: combo || i18nManager.t('keys.none') }))}">${keyBindingManager.renderCombo(combo)}</button>
+                    </li>
+                `;
+            }).join('');
+        }
+    };
+
+    // Prayer Times
+    // Worked out on the device from the sun's position (the method PrayTimes.org publishes), so they
+    // need no network. Resets and reminders use them as schedule anchors through getAnchorTime.
+    const prayerTimeManager = {
+        ANCHORS: ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'],
+        // Times by day; day keys look up Maghrib for every history event, so they're worked out once
+        cache: new Map(),
+
+        init: () => {
+            const openBtn = document.getElementById('prayer-settings');
+            const saveBtn = document.getElementById('save-prayer');
+            const cancelBtn = document.getElementById('cancel-prayer');
+            const locateBtn = document.getElementById('prayer-locate');
+            const methodSelect = document.getElementById('prayer-method');
+            const asrSelect = document.getElementById('prayer-asr');
+            const zoneList = document.getElementById('time-zones');
+
+            utils.loadSetting('prayer', prayerTimeManager.isSettings);
+            syncManager.subscribe('prayer-settings', prayerTimeManager.receiveSettings);
+
+            if (methodSelect) {
+                methodSelect.innerHTML = Object.keys(CONFIG.PRAYER_METHODS)
+                    .map(method => `<option value="${method}" data-i18n="prayer.method.${method}">${i18nManager.t(`prayer.method.${method}`)}</option>`)
+                    .join('');
+            }
+            if (asrSelect) {
+                asrSelect.innerHTML = Object.keys(CONFIG.ASR_METHODS)
+                    .map(asr => `<option value="${asr}" data-i18n="prayer.asr.${asr}">${i18nManager.t(`prayer.asr.${asr}`)}</option>`)
+                    .join('');
+            }
+            if (zoneList && Intl.supportedValuesOf) {
+                zoneList.innerHTML = Intl.supportedValuesOf('timeZone').map(zone => `<option value="${zone}">`).join('');
+            }
+
+            if (openBtn) {
+                openBtn.addEventListener('click', () => {
+                    prayerTimeManager.fillForm();
+                    modalManager.openModal('prayer-modal');
+                });
+            }
+            if (saveBtn) {
+                saveBtn.addEventListener('click', prayerTimeManager.saveForm);
+            }
+            if (cancelBtn) {
+                cancelBtn.addEventListener('click', () => modalManager.closeModal('prayer-modal'));
+            }
+
+            // Optional: the device's own position fix, which needs no network either
+            if (locateBtn) {
+                locateBtn.hidden = !navigator.geolocation;
+                locateBtn.addEventListener('click', () => {
+                    navigator.geolocation.getCurrentPosition((position) => {
+                        document.getElementById('prayer-latitude').value = position.coords.latitude.toFixed(4);
+                        document.getElementById('prayer-longitude').value = position.coords.longitude.toFixed(4);
+                        document.getElementById('prayer-time-zone').value = prayerTimeManager.getDeviceTimeZone();
+                    }, () => {
+                        utils.showToast(i18nManager.t('toast.locationFailed'), 'error');
+                    });
+                });
+            }
+
+            // Keep "next prayer" current
+            prayerTimeManager.render();
+            setInterval(prayerTimeManager.render, CONFIG.RESET_CHECK_INTERVAL);
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) prayerTimeManager.render();
+            });
+        },
+
+        isSettings: (settings) => {
+            return Boolean(settings) && typeof settings === 'object'
+                && (settings.latitude === null || (typeof settings.latitude === 'number' && Math.abs(settings.latitude) <= 90))
+                && (settings.longitude === null || (typeof settings.longitude === 'number' && Math.abs(settings.longitude) <= 180))
+                && typeof settings.timeZone === 'string' && (settings.timeZone === '' || prayerTimeManager.isTimeZone(settings.timeZone))
+                && Object.hasOwn(CONFIG.PRAYER_METHODS, settings.method)
+                && Object.hasOwn(CONFIG.ASR_METHODS, settings.asr);
+        },
+
+        isTimeZone: (timeZone) => {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone });
+                return true;
+            } catch {
+                return false;
+            }
+        },
+
+        getDeviceTimeZone: () => Intl.DateTimeFormat().resolvedOptions().timeZone,
+
+        hasLocation: () => state.settings.prayer.latitude !== null && state.settings.prayer.longitude !== null,
+
+        // Hours ahead of UTC in a time zone at a moment, e.g. 5.5 for Asia/Kolkata
+        getOffset: (timeZone, date) => {
+            const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+                .formatToParts(date)
+                .find(part => part.type === 'timeZoneName').value;
+            const match = /([+-])(\d{1,2}):?(\d{2})?/.exec(name);
+            return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) + Number(match[3] || 0) / 60) : 0;
+        },
+
+        // Each time as hours after midnight on one day, in a zone `offset` hours ahead of UTC.
+        // NaN where the sun never gets that low or high (near the poles).
+        computeHours: (year, month, day, settings, offset) => {
+            const { latitude, longitude } = settings;
+            const method = CONFIG.PRAYER_METHODS[settings.method];
+            const rad = Math.PI / 180;
+            const sin = (deg) => Math.sin(deg * rad);
+            const cos = (deg) => Math.cos(deg * rad);
+            const fix = (value, range) => ((value % range) + range) % range;
+
+            // Julian date of the day, moved to local noon by longitude
+            let y = year;
+            let m = month + 1;
+            if (m <= 2) {
+                y -= 1;
+                m += 12;
+            }
+            const century = Math.floor(y / 100);
+            const julianDate = Math.floor(365.25 * (y + 4716)) + Math.floor(30.6001 * (m + 1)) + day
+                + 2 - century + Math.floor(century / 4) - 1524.5 - longitude / (15 * 24);
+
+            // The sun's declination and the equation of time, `hours` into the day
+            const sun = (hours) => {
+                const d = julianDate + hours / 24 - 2451545.0;
+                const anomaly = fix(357.529 + 0.98560028 * d, 360);
+                const meanLongitude = fix(280.459 + 0.98564736 * d, 360);
+                const eclipticLongitude = fix(meanLongitude + 1.915 * sin(anomaly) + 0.020 * sin(2 * anomaly), 360);
+                const obliquity = 23.439 - 0.00000036 * d;
+                const rightAscension = fix(Math.atan2(cos(obliquity) * sin(eclipticLongitude), cos(eclipticLongitude)) / rad / 15, 24);
+                return {
+                    declination: Math.asin(sin(obliquity) * sin(eclipticLongitude)) / rad,
+                    equation: meanLongitude / 15 - rightAscension
+                };
+            };
+            const noon = (hours) => fix(12 - sun(hours).equation, 24);
+            // When the sun is `angle` degrees below the horizon: before noon if `rising`, after it otherwise
+            const sunAngle = (angle, hours, rising) => {
+                const { declination } = sun(hours);
+                const span = Math.acos((-sin(angle) - sin(declination) * sin(latitude)) / (cos(declination) * cos(latitude))) / rad / 15;
+                return noon(hours) + (rising ? -span : span);
+            };
+            // When a thing's shadow is `factor` times its length plus its noon shadow
+            const asr = (factor, hours) => {
+                const { declination } = sun(hours);
+                const angle = -Math.atan(1 / (factor + Math.tan(Math.abs(latitude - declination) * rad))) / rad;
+                return sunAngle(angle, hours, false);
+            };
+
+            const times = {
+                fajr: sunAngle(method.fajr, 5, true),
+                sunrise: sunAngle(0.833, 6, true),
+                dhuhr: noon(12),
+                asr: asr(CONFIG.ASR_METHODS[settings.asr].factor, 13),
+                sunset: sunAngle(0.833, 18, false),
+                maghrib: method.maghrib ? sunAngle(method.maghrib, 18, false) : NaN,
+                isha: method.isha ? sunAngle(method.isha, 18, false) : NaN
+            };
+            Object.keys(times).forEach(name => {
+                times[name] += offset - longitude / 15;
+            });
+
+            if (!method.maghrib) times.maghrib = times.sunset;
+            if (method.ishaMinutes) times.isha = times.maghrib + method.ishaMinutes / 60;
+
+            // Far from the equator twilight can last all night; then Fajr and Isha fall back to the middle of the night
+            const night = fix(times.sunrise - times.sunset, 24);
+            if (isNaN(times.fajr) || fix(times.sunrise - times.fajr, 24) > night / 2) {
+                times.fajr = times.sunrise - night / 2;
+            }
+            if (!method.ishaMinutes && (isNaN(times.isha) || fix(times.isha - times.sunset, 24) > night / 2)) {
+                times.isha = times.sunset + night / 2;
+            }
+            return times;
+        },
+
+        // Today's (or another day's) times as Dates, or null until a location is set.
+        // A time is null on days the sun doesn't rise or set.
+        getTimes: (date = new Date()) => {
+            if (!prayerTimeManager.hasLocation()) return null;
+
+            const settings = state.settings.prayer;
+            const year = date.getFullYear();
+            const month = date.getMonth();
+            const day = date.getDate();
+            const cacheKey = `${year}-${month}-${day}`;
+            if (prayerTimeManager.cache.has(cacheKey)) return prayerTimeManager.cache.get(cacheKey);
+
+            const offset = prayerTimeManager.getOffset(settings.timeZone || prayerTimeManager.getDeviceTimeZone(), new Date(Date.UTC(year, month, day, 12)));
+            const hours = prayerTimeManager.computeHours(year, month, day, settings, offset);
+            const minute = 60 * 1000;
+
+            const times = Object.fromEntries(prayerTimeManager.ANCHORS.map(anchor => [
+                anchor,
+                Number.isFinite(hours[anchor])
+                    ? new Date(Math.round((Date.UTC(year, month, day) + (hours[anchor] - offset) * 60 * minute) / minute) * minute)
+                    : null
+            ]));
+            prayerTimeManager.cache.set(cacheKey, times);
+            return times;
+        },
+
+        // Schedule anchor: when `anchor` (e.g. 'fajr') falls on the day of `date`, or null
+        getAnchorTime: (anchor, date) => {
+            const times = prayerTimeManager.getTimes(date);
+            return times ? times[anchor] : null;
+        },
+
+        formatTime: (date) => {
+            return new Intl.DateTimeFormat(i18nManager.getLocaleTag(), {
+                hour: '2-digit',
+                minute: '2-digit',
+                timeZone: state.settings.prayer.timeZone || undefined
+            }).format(date);
+        },
+
+        render: () => {
+            const list = document.getElementById('prayer-times-list');
+            const note = document.getElementById('prayer-times-note');
+            if (!list) return;
+
+            const times = prayerTimeManager.getTimes();
+            if (!times) {
+                list.innerHTML = '';
+                if (note) note.textContent = i18nManager.t('prayer.noLocation');
+                return;
+            }
+
+            const now = new Date();
+            const next = prayerTimeManager.ANCHORS.find(anchor => times[anchor] && times[anchor] > now);
+            list.innerHTML = prayerTimeManager.ANCHORS.map(anchor => `
+                <li class="prayer-time${anchor === next ? ' next' : ''}"${anchor === next ? ' aria-current="time"' : ''}>
+                    <span class="prayer-name">${i18nManager.t(`prayer.${anchor}`)}</span>
+                    <span class="prayer-clock">${times[anchor] ? prayerTimeManager.formatTime(times[anchor]) : '—'}</span>
+                </li>
+            `).join('');
+
+            if (note) {
+                const { latitude, longitude, method, asr, timeZone } = state.settings.prayer;
+                const coordinate = (value) => i18nManager.formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+                note.textContent = [
+                    i18nManager.t('prayer.coordinates', { latitude: coordinate(latitude), longitude: coordinate(longitude) }),
+                    timeZone || prayerTimeManager.getDeviceTimeZone(),
+                    i18nManager.t(`prayer.method.${method}`),
+                    i18nManager.t(`prayer.asr.${asr}`)
+                ].join(' · ');
+            }
+        },
+
+        fillForm: () => {
+            const { latitude, longitude, timeZone, method, asr } = state.settings.prayer;
+            document.getElementById('prayer-latitude').value = latitude ?? '';
+            document.getElementById('prayer-longitude').value = longitude ?? '';
+            document.getElementById('prayer-time-zone').value = timeZone || prayerTimeManager.getDeviceTimeZone();
+            document.getElementById('prayer-method').value = method;
+            document.getElementById('prayer-asr').value = asr;
+        },
+
+        saveForm: () => {
+            const latitudeValue = document.getElementById('prayer-latitude').value.trim();
+            const longitudeValue = document.getElementById('prayer-longitude').value.trim();
+            const timeZone = document.getElementById('prayer-time-zone').value.trim();
+            const latitude = latitudeValue === '' ? null : Number(latitudeValue);
+            const longitude = longitudeValue === '' ? null : Number(longitudeValue);
+
+            if ((latitude === null) !== (longitude === null)) {
+                utils.showToast(i18nManager.t('toast.coordinatesPair'), 'error');
+                return;
+            }
+            if (latitude !== null && !(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+                utils.showToast(i18nManager.t('toast.coordinatesRange'), 'error');
+                return;
+            }
+            if (timeZone && !prayerTimeManager.isTimeZone(timeZone)) {
+                utils.showToast(i18nManager.t('toast.unknownTimeZone', { timeZone }), 'error');
+                return;
+            }
+
+            const settings = {
+                latitude,
+                longitude,
+                // The device's own zone is stored as "follow the device", so it moves with travel
+                timeZone: timeZone === prayerTimeManager.getDeviceTimeZone() ? '' : timeZone,
+                method: document.getElementById('prayer-method').value,
+                asr: document.getElementById('prayer-asr').value
+            };
+
+            utils.saveSetting('prayer', settings);
+            prayerTimeManager.cache.clear();
+            syncManager.publish('prayer-settings', settings);
+
+            // As with an edited schedule, anchored resets count from now rather than firing for times already past
+            const now = new Date().toISOString();
+            state.trackers.filter(t => t.resetSchedule.anchor).forEach(t => {
+                t.lastReset = now;
+            });
+            trackerManager.saveTrackers();
+
+            prayerTimeManager.applySettings();
+            modalManager.closeModal('prayer-modal');
+            utils.showToast(i18nManager.t(latitude === null ? 'toast.prayerOff' : 'toast.prayerUpdated'));
+        },
+
+        receiveSettings: (settings) => {
+            state.settings.prayer = settings;
+            prayerTimeManager.cache.clear();
+            storage.setCached(CONFIG.STORAGE_KEYS.SETTINGS, { ...storage.get(CONFIG.STORAGE_KEYS.SETTINGS, {}), prayer: settings });
+            prayerTimeManager.applySettings();
+        },
+
+        // Schedules on cards and reminder timers move with the times
+        applySettings: () => {
+            prayerTimeManager.cache.clear();
+            prayerTimeManager.render();
+            trackerManager.renderTrackers();
+        }
+    };
+
+    // Dates
+    // Hijri dates come from the browser's Intl islamic calendars, which can be a day away from the
+    // local moon sighting, hence the manual adjustment. utils.formatDate, formatDay and getDayKey
+    // read these settings, so every date in the app follows them.
+    const dateManager = {
+        SETTINGS: ['dateCalendar', 'hijriCalendar', 'hijriAdjustment', 'dayStartsAtMaghrib'],
+
+        init: () => {
+            const openBtn = document.getElementById('date-settings');
+            const saveBtn = document.getElementById('save-dates');
+            const cancelBtn = document.getElementById('cancel-dates');
+            const form = document.getElementById('dates-modal');
+            const hijriSelect = document.getElementById('hijri-calendar');
+
+            utils.loadSetting('dateCalendar', value => CONFIG.DATE_CALENDARS.includes(value));
+            utils.loadSetting('hijriCalendar', value => CONFIG.HIJRI_CALENDARS.includes(value));
+            utils.loadSetting('hijriAdjustment', value => CONFIG.HIJRI_ADJUSTMENTS.includes(value));
+            utils.loadSetting('dayStartsAtMaghrib', value => typeof value === 'boolean');
+            syncManager.subscribe('date-settings', dateManager.receiveSettings);
+
+            if (hijriSelect) {
+                // Only the calendars this browser has
+                hijriSelect.innerHTML = CONFIG.HIJRI_CALENDARS
+                    .filter(dateManager.isSupported)
+                    .map(calendar => `<option value="${calendar}" data-i18n="dates.calendar.${calendar}">${i18nManager.t(`dates.calendar.${calendar}`)}</option>`)
+                    .join('');
+            }
+
+            if (openBtn) {
+                openBtn.addEventListener('click', () => {
+                    dateManager.fillForm();
+                    modalManager.openModal('dates-modal');
+                });
+            }
+            if (form) {
+                form.addEventListener('change', dateManager.renderPreview);
+            }
+            if (saveBtn) {
+                saveBtn.addEventListener('click', dateManager.saveForm);
+            }
+            if (cancelBtn) {
+                cancelBtn.addEventListener('click', () => modalManager.closeModal('dates-modal'));
+            }
+        },
+
+        // Asked for every date shown, so each answer is kept
+        supported: new Map(),
+
+        isSupported: (calendar) => {
+            if (!dateManager.supported.has(calendar)) {
+                let supported;
+                try {
+                    supported = new Intl.DateTimeFormat(`en-US-u-ca-${calendar}`).resolvedOptions().calendar === calendar;
+                } catch {
+                    supported = false;
+                }
+                dateManager.supported.set(calendar, supported);
+            }
+            return dateManager.supported.get(calendar);
+        },
+
+        // The chosen calendar may have come from another browser that has it; this one shows the
+        // first Islamic calendar it does have rather than let Intl quietly fall back to Gregorian
+        getHijriCalendar: (calendar = state.settings.hijriCalendar) => {
+            return dateManager.isSupported(calendar) ? calendar : CONFIG.HIJRI_CALENDARS.find(dateManager.isSupported) || calendar;
+        },
+
+        // Hijri date of a day key, formatted by Intl with the adjustment applied
+        formatHijri: (dayKey, options, settings = state.settings) => {
+            const date = utils.parseDayKey(dayKey);
+            date.setDate(date.getDate() + settings.hijriAdjustment);
+            return new Intl.DateTimeFormat(i18nManager.getLocaleTag(dateManager.getHijriCalendar(settings.hijriCalendar)), options).format(date);
+        },
+
+        // YYYY-MM-DD in the Hijri calendar, for file names
+        getHijriKey: (dayKey) => {
+            const date = utils.parseDayKey(dayKey);
+            date.setDate(date.getDate() + state.settings.hijriAdjustment);
+            const parts = Object.fromEntries(
+                new Intl.DateTimeFormat(`en-US-u-ca-${dateManager.getHijriCalendar()}`, { year: 'numeric', month: '2-digit', day: '2-digit' })
+                    .formatToParts(date)
+                    .map(part => [part.type, part.value])
+            );
+            return `${parts.year}-${parts.month}-${parts.day}`;
+        },
+
+        fillForm: () => {
+            document.getElementById('date-calendar').value = state.settings.dateCalendar;
+            document.getElementById('hijri-calendar').value = dateManager.getHijriCalendar();
+            document.getElementById('hijri-adjustment').value = state.settings.hijriAdjustment;
+            document.getElementById('day-starts-maghrib').checked = state.settings.dayStartsAtMaghrib;
+            dateManager.renderPreview();
+        },
+
+        readForm: () => ({
+            dateCalendar: document.getElementById('date-calendar').value,
+            hijriCalendar: document.getElementById('hijri-calendar').value,
+            hijriAdjustment: parseInt(document.getElementById('hijri-adjustment').value, 10),
+            dayStartsAtMaghrib: document.getElementById('day-starts-maghrib').checked
+        }),
+
+        // Today's Hijri date with the choices in the form, so the adjustment can be checked against the moon
+        renderPreview: () => {
+            const preview = document.getElementById('date-preview');
+            const maghribNote = document.getElementById('maghrib-note');
+            if (!preview) return;
+
+            const settings = dateManager.readForm();
+            preview.textContent = i18nManager.t('dates.preview', {
+                date: dateManager.formatHijri(utils.getDayKey(), { day: 'numeric', month: 'long', year: 'numeric' }, settings)
+            });
+            if (maghribNote) {
+                maghribNote.hidden = !settings.dayStartsAtMaghrib || prayerTimeManager.hasLocation();
+            }
+        },
+
+        saveForm: () => {
+            const settings = dateManager.readForm();
+            dateManager.SETTINGS.forEach(key => utils.saveSetting(key, settings[key]));
+            syncManager.publish('date-settings', settings);
+            dateManager.applySettings();
+            modalManager.closeModal('dates-modal');
+            utils.showToast(i18nManager.t('toast.datesSaved'));
+        },
+
+        receiveSettings: (settings) => {
+            Object.assign(state.settings, settings);
+            storage.setCached(CONFIG.STORAGE_KEYS.SETTINGS, { ...storage.get(CONFIG.STORAGE_KEYS.SETTINGS, {}), ...settings });
+            dateManager.applySettings();
+        },
+
+        // Cards, history and the calendar all show dates
+        applySettings: () => {
+            trackerManager.renderTrackers();
+            trackerManager.updateRecentCounts();
+        }
+    };
+
+    // Reminders
+    // Scheduled on this device with no push server: a timer while a page is open, periodic
+    // background sync in sw.js where the browser offers it, and a catch-up check on every load.
+    // The schedule and what has been handled live in a cache that sw.js reads and writes too.
+    const reminderManager = {
+        timer: null,
+        started: false,
+        checking: null,
+        checkAgain: false,
+        // What the last check saw scheduled, so renders only check again when it changes
+        scheduledKey: null,
+        DAY_MS: 24 * 60 * 60 * 1000,
+
+        init: async () => {
+            const editor = document.getElementById('edit-reminders');
+            const addTimeBtn = document.getElementById('add-reminder-time');
+
+            if (editor) {
+                // Switching between a clock time and a prayer shows the input that goes with it
+                editor.addEventListener('change', (e) => {
+                    const anchorSelect = e.target.closest('.reminder-anchor');
+                    if (!anchorSelect) return;
+                    const row = anchorSelect.closest('.reminder-time-row');
+                    row.querySelector('.reminder-time').hidden = Boolean(anchorSelect.value);
+                    row.querySelector('.reminder-offset-label').hidden = !anchorSelect.value;
+                });
+
+                editor.addEventListener('click', (e) => {
+                    const removeBtn = e.target.closest('.reminder-remove');
+                    if (!removeBtn) return;
+                    const times = reminderManager.readTimeRows();
+                    times.splice(parseInt(removeBtn.dataset.reminderIndex, 10), 1);
+                    reminderManager.renderTimes(times);
+                });
+            }
+            if (addTimeBtn) {
+                addTimeBtn.addEventListener('click', () => {
+                    const times = reminderManager.readTimeRows();
+                    if (times.length >= CONFIG.REMINDERS.TIME_LIMIT) {
+                        utils.showToast(i18nManager.t('toast.reminderLimit', { count: CONFIG.REMINDERS.TIME_LIMIT }), 'error');
+                        return;
+                    }
+                    reminderManager.renderTimes([...times, '']);
+                    document.querySelector('#edit-reminder-times .reminder-time-row:last-child .reminder-time').focus();
+                });
+            }
+
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', reminderManager.receiveMessage);
+            }
+
+            // Timers are held back in hidden tabs, so look again whenever the page comes back
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) reminderManager.check();
+            });
+
+            // Notification buttons pressed while no page was open
+            const pending = await reminderManager.withLock(async () => {
+                const store = await reminderManager.readStore();
+                if (store.pending.length > 0) {
+                    await reminderManager.writeStore({ ...store, pending: [] });
+                }
+                return store.pending;
+            });
+            pending.forEach(({ action, trackerId }) => {
+                if (action === 'done') reminderManager.markDone(trackerId);
+            });
+
+            const linked = /^#tracker-(.+)$/.exec(window.location.hash);
+            if (linked) reminderManager.showTracker(decodeURIComponent(linked[1]));
+
+            reminderManager.started = true;
+            await reminderManager.check();
+        },
+
+        // { times: [...], days: [0-6, ...] }, with at least one of each. A time is a clock time ('06:30')
+        // or a prayer time with minutes after it, or before it ('asr', 'fajr+20', 'maghrib-10').
+        isReminder: (reminder) => {
+            return Boolean(reminder) && Array.isArray(reminder.times) && Array.isArray(reminder.days)
+                && reminder.times.length > 0 && reminder.times.length <= CONFIG.REMINDERS.TIME_LIMIT
+                && reminder.times.every(time => /^([01]\d|2[0-3]):[0-5]\d$/.test(time) || reminderManager.parseAnchor(time))
+                && reminder.days.length > 0 && reminder.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        },
+
+        // { anchor: 'fajr', minutes: 20 } for 'fajr+20', or null
+        parseAnchor: (time) => {
+            const match = /^([a-z]+)([+-]\d{1,3})?$/.exec(time);
+            if (!match || !prayerTimeManager.ANCHORS.includes(match[1])) return null;
+            const minutes = parseInt(match[2] || '0', 10);
+            return Math.abs(minutes) <= CONFIG.REMINDERS.MAX_OFFSET ? { anchor: match[1], minutes } : null;
+        },
+
+        getScheduled: () => state.trackers.filter(t => trackerManager.isActive(t) && t.reminder),
+
+        // Reminder times after `from` and up to `to` (both ms), earliest first.
+        // Prayer-time reminders are skipped until a location is set.
+        getOccurrences: (reminder, from, to) => {
+            const occurrences = [];
+            const day = new Date(from);
+            day.setHours(0, 0, 0, 0);
+
+            for (; day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+                if (!reminder.days.includes(day.getDay())) continue;
+                reminder.times.forEach(time => {
+                    const anchored = reminderManager.parseAnchor(time);
+                    let at;
+                    if (anchored) {
+                        const prayerTime = prayerTimeManager.getAnchorTime(anchored.anchor, day);
+                        if (!prayerTime) return;
+                        at = prayerTime.getTime() + anchored.minutes * 60 * 1000;
+                    } else {
+                        const [hours, minutes] = time.split(':').map(Number);
+                        at = new Date(day).setHours(hours, minutes, 0, 0);
+                    }
+                    if (at > from && at <= to) occurrences.push(at);
+                });
+            }
+            return occurrences.sort((a, b) => a - b);
+        },
+
+        // { schedule: [...], log: { trackerId: { handledAt, snoozedUntil } }, pending: [{ action, trackerId }] }
+        readStore: async () => {
+            const empty = { schedule: [], log: {}, pending: [] };
+            // Without the Cache API (e.g. over plain http) there's no service worker to share with either
+            if (!('caches' in window)) return { ...empty, ...storage.get(CONFIG.STORAGE_KEYS.REMINDERS, {}) };
+
+            try {
+                const cache = await caches.open(CONFIG.REMINDERS.CACHE);
+                const response = await cache.match(CONFIG.REMINDERS.STORE_URL);
+                return response ? { ...empty, ...(await response.json()) } : empty;
+            } catch (error) {
+                console.warn('Could not read reminders:', error);
+                return empty;
+            }
+        },
+
+        writeStore: async (store) => {
+            if (!('caches' in window)) {
+                storage.set(CONFIG.STORAGE_KEYS.REMINDERS, store);
+                return;
+            }
+
+            try {
+                const cache = await caches.open(CONFIG.REMINDERS.CACHE);
+                await cache.put(CONFIG.REMINDERS.STORE_URL, new Response(JSON.stringify(store), {
+                    headers: { 'Content-Type': 'application/json' }
+                }));
+            } catch (error) {
+                console.warn('Could not save reminders:', error);
+            }
+        },
+
+        getScheduledKey: () => JSON.stringify(reminderManager.getScheduled()
+            .map(tracker => [tracker.id, tracker.name, trackerManager.getPhrase(tracker), tracker.reminder])),
+
+        // Renders happen on every count; only a change to what is scheduled needs a check
+        checkIfChanged: () => {
+            if (reminderManager.getScheduledKey() !== reminderManager.scheduledKey) {
+                reminderManager.check();
+            }
+        },
+
+        withLock: (callback) => navigator.locks ? navigator.locks.request(CONFIG.REMINDERS.LOCK, callback) : callback(),
+
+        // One check at a time: calls made while one runs are folded into a single check after it
+        check: () => {
+            if (reminderManager.checking) {
+                reminderManager.checkAgain = true;
+                return reminderManager.checking;
+            }
+
+            reminderManager.checking = reminderManager.withLock(reminderManager.runCheck).finally(() => {
+                reminderManager.checking = null;
+                if (reminderManager.checkAgain) {
+                    reminderManager.checkAgain = false;
+                    reminderManager.check();
+                }
+            });
+            return reminderManager.checking;
+        },
+
+        // Show what has come due, note what was missed while closed, and set the timer for the next one
+        runCheck: async () => {
+            clearTimeout(reminderManager.timer);
+            reminderManager.scheduledKey = reminderManager.getScheduledKey();
+
+            const store = await reminderManager.readStore();
+            const now = Date.now();
+            const trackers = reminderManager.getScheduled();
+            const missed = [];
+            const dueNow = [];
+
+            trackers.forEach(tracker => {
+                const entry = store.log[tracker.id];
+                // A new reminder starts from now rather than catching up on earlier days
+                if (!entry) {
+                    store.log[tracker.id] = { handledAt: now, snoozedUntil: null };
+                    return;
+                }
+
+                const snoozeDue = entry.snoozedUntil && entry.snoozedUntil <= now ? entry.snoozedUntil : null;
+                const since = Math.max(entry.handledAt, now - CONFIG.REMINDERS.LOOKBACK_DAYS * reminderManager.DAY_MS);
+                const due = snoozeDue || reminderManager.getOccurrences(tracker.reminder, since, now).pop();
+                if (!due) return;
+
+                entry.handledAt = now;
+                entry.snoozedUntil = null;
+
+                // Counting since it came due answers the reminder
+                if (tracker.lastUpdated && Date.parse(tracker.lastUpdated) >= due) return;
+
+                if (now - due > CONFIG.REMINDERS.GRACE) {
+                    missed.push({ tracker, due });
+                } else {
+                    dueNow.push(tracker);
+                }
+            });
+            await Promise.all(dueNow.map(reminderManager.notify));
+
+            // Forget trackers whose reminders were removed
+            const ids = trackers.map(t => t.id);
+            Object.keys(store.log).forEach(id => {
+                if (!ids.includes(id)) delete store.log[id];
+            });
+            // sw.js can't work out prayer times, so it gets the coming week's reminders ready-made
+            const lookahead = now + CONFIG.REMINDERS.LOOKAHEAD_DAYS * reminderManager.DAY_MS;
+            store.schedule = trackers.map(t => ({
+                trackerId: t.id,
+                name: t.name,
+                phrase: trackerManager.getPhrase(t),
+                notification: reminderManager.getNotification(t),
+                upcoming: reminderManager.getOccurrences(t.reminder, now, lookahead)
+            }));
+            await reminderManager.writeStore(store);
+
+            if (missed.length > 0) {
+                const first = missed[0];
+                const time = new Date(first.due).toLocaleTimeString(i18nManager.getLocaleTag(), { hour: '2-digit', minute: '2-digit' });
+                const message = missed.length === 1
+                    ? i18nManager.t('reminders.missedOne', { name: first.tracker.name, time })
+                    : i18nManager.t('reminders.missedMany', { count: missed.length, names: i18nManager.formatList(missed.map(m => m.tracker.name)) });
+                utils.showToast(message, 'success', { label: i18nManager.t('reminders.open'), onClick: () => reminderManager.showTracker(first.tracker.id) });
+            }
+
+            reminderManager.scheduleNext(store);
+        },
+
+        scheduleNext: (store) => {
+            const now = Date.now();
+            const next = reminderManager.getScheduled()
+                .map(tracker => {
+                    const snoozedUntil = store.log[tracker.id]?.snoozedUntil;
+                    const upcoming = reminderManager.getOccurrences(tracker.reminder, now, now + CONFIG.REMINDERS.LOOKAHEAD_DAYS * reminderManager.DAY_MS)[0];
+                    return Math.min(snoozedUntil > now ? snoozedUntil : Infinity, upcoming ?? Infinity);
+                })
+                .reduce((earliest, at) => Math.min(earliest, at), Infinity);
+
+            if (next === Infinity) return;
+            // Checked at least hourly, so a changed clock or time zone can't leave it far off
+            reminderManager.timer = setTimeout(reminderManager.check, Math.min(next - now, CONFIG.REMINDERS.MAX_TIMER));
+        },
+
+        // Through the service worker when allowed, so the buttons work; otherwise, or if the browser
+        // turns it down (permission revoked, actions unsupported), as a toast so it isn't lost
+        notify: async (tracker) => {
+            const registration = 'serviceWorker' in navigator && window.Notification?.permission === 'granted'
+                ? await navigator.serviceWorker.getRegistration()
+                : null;
+
+            if (registration) {
+                const { title, options } = reminderManager.getNotification(tracker);
+                try {
+                    await registration.showNotification(title, options);
+                    return;
+                } catch (error) {
+                    console.warn('Could not show reminder notification:', error);
+                }
+            }
+
+            utils.showToast(i18nManager.t('reminders.toast', { name: tracker.name, phrase: trackerManager.getPhrase(tracker) }), 'success', {
+                label: i18nManager.t('reminders.open'),
+                onClick: () => reminderManager.showTracker(tracker.id)
+            });
+        },
+
+        // Built here in the current language and saved with the schedule, so the ones sw.js shows
+        // in the background match those shown from the page
+        getNotification: (tracker) => ({
+            title: i18nManager.t('reminders.title', { name: tracker.name }),
+            options: {
+                body: trackerManager.getPhrase(tracker),
+                lang: state.settings.locale,
+                dir: CONFIG.LOCALES[state.settings.locale].dir,
+                tag: `reminder-${tracker.id}`,
+                data: { trackerId: tracker.id },
+                actions: [
+                    { action: 'done', title: i18nManager.t('reminders.done') },
+                    { action: 'snooze', title: i18nManager.t('reminders.snooze', { minutes: CONFIG.REMINDERS.SNOOZE_MINUTES }) }
+                ]
+            }
+        }),
+
+        receiveMessage: (event) => {
+            const { type, trackerId } = event.data || {};
+            if (type === 'REMINDER_DONE') {
+                reminderManager.markDone(trackerId);
+            } else if (type === 'SHOW_TRACKER') {
+                reminderManager.showTracker(trackerId);
+            } else if (type === 'REMINDER_SNOOZED') {
+                reminderManager.check();
+            }
+        },
+
+        // "Mark done" finishes the current round, or adds one to a tracker without a target
+        markDone: (trackerId) => {
+            const tracker = state.trackers.find(t => t.id === trackerId);
+            if (!tracker || !trackerManager.isActive(tracker)) return;
+            trackerManager.handleTrackerAction(trackerId, 'increment-round');
+        },
+
+        // Scroll to the tracker's card, from another page if need be
+        showTracker: (trackerId) => {
+            const card = document.querySelector(`.tracker-card[data-tracker-id="${CSS.escape(trackerId)}"]`);
+            if (!card) {
+                if (!document.getElementById('trackers-grid')) {
+                    window.location.href = `tracker.html#tracker-${encodeURIComponent(trackerId)}`;
+                }
+                return;
+            }
+
+            card.scrollIntoView({ block: 'center' });
+            card.focus();
+            card.classList.add('focused');
+            setTimeout(() => card.classList.remove('focused'), 2000);
+        },
+
+        // Asked for when a reminder is saved, so the prompt follows something the user did
+        requestPermission: async () => {
+            if (window.Notification?.permission === 'default') {
+                await Notification.requestPermission();
+            }
+            if (window.Notification?.permission !== 'granted') {
+                utils.showToast(i18nManager.t('toast.notificationsOff'));
+                return;
+            }
+
+            // Lets sw.js look for due reminders now and then while the app is closed (installed apps only)
+            try {
+                const registration = await navigator.serviceWorker?.getRegistration();
+                await registration?.periodicSync?.register(CONFIG.REMINDERS.SYNC_TAG, { minInterval: CONFIG.REMINDERS.SYNC_INTERVAL });
+            } catch (error) {
+                console.log('Background reminder checks not available:', error.message);
+            }
+        },
+
+        // Fill the editor in the edit-tracker modal
+        fillEditor: (tracker) => {
+            const days = tracker.reminder ? tracker.reminder.days : [0, 1, 2, 3, 4, 5, 6];
+            reminderManager.renderTimes(tracker.reminder ? tracker.reminder.times : []);
+            document.querySelectorAll('#edit-reminders .reminder-day').forEach(checkbox => {
+                checkbox.checked = days.includes(parseInt(checkbox.value, 10));
+            });
+        },
+
+        // Each row is a clock time, or minutes before or after a prayer time
+        renderTimes: (times) => {
+            const list = document.getElementById('edit-reminder-times');
+            if (!list) return;
+
+            list.innerHTML = times.map((time, index) => {
+                const anchored = reminderManager.parseAnchor(time);
+                const options = [['', 'reminders.at'], ...prayerTimeManager.ANCHORS.map(anchor => [anchor, `prayer.${anchor}`])]
+                    .map(([value, key]) => `<option value="${value}"${(anchored?.anchor || '') === value ? ' selected' : ''}>${i18nManager.t(key)}</option>`)
+                    .join('');
+                const label = (key) => utils.escapeHtml(i18nManager.t(key, { position: index + 1 }));
+
+                return `
+                    <li class="reminder-time-row">
+                        <select class="reminder-anchor" aria-label="${label('reminders.anchorLabel')}">${options}</select>
+                        <input type="time" class="reminder-time" value="${anchored ? '' : utils.escapeHtml(time)}"
+                               aria-label="${label('reminders.timeLabel')}"${anchored ? ' hidden' : ''}>
+                        <label class="reminder-offset-label"${anchored ? '' : ' hidden'}>
+                            <input type="number" class="reminder-offset" value="${anchored ? anchored.minutes : 0}" step="5"
+                                   min="-${CONFIG.REMINDERS.MAX_OFFSET}" max="${CONFIG.REMINDERS.MAX_OFFSET}" aria-label="${label('reminders.offsetLabel')}">
+                            ${i18nManager.t('reminders.minutesAfter')}
+                        </label>
+                        <button type="button" class="step-remove reminder-remove" data-reminder-index="${index}" aria-label="${label('reminders.remove')}">&times;</button>
+                    </li>
+                `;
+            }).join('');
+        },
+
+        // Rows as stored: 'HH:MM', 'asr' or 'fajr+20'; '' for an unfilled time
+        readTimeRows: () => {
+            return Array.from(document.querySelectorAll('#edit-reminder-times .reminder-time-row')).map(row => {
+                const anchor = row.querySelector('.reminder-anchor').value;
+                if (!anchor) return row.querySelector('.reminder-time').value;
+                const minutes = parseInt(row.querySelector('.reminder-offset').value, 10) || 0;
+                return minutes === 0 ? anchor : `${anchor}${minutes > 0 ? '+' : ''}${minutes}`;
+            });
+        },
+
+        // The reminder from the editor, null for none, or undefined after explaining what's wrong
+        readEditor: () => {
+            if (!document.getElementById('edit-reminders')) return null;
+
+            const times = [...new Set(reminderManager.readTimeRows().filter(Boolean))].sort();
+            const days = Array.from(document.querySelectorAll('#edit-reminders .reminder-day:checked'))
+                .map(checkbox => parseInt(checkbox.value, 10));
+
+            if (times.length === 0) return null;
+            if (times.some(time => !time.includes(':') && !reminderManager.parseAnchor(time))) {
+                utils.showToast(i18nManager.t('toast.reminderOffset', { count: CONFIG.REMINDERS.MAX_OFFSET }), 'error');
+                return undefined;
+            }
+            if (days.length === 0) {
+                utils.showToast(i18nManager.t('toast.reminderDays'), 'error');
+                return undefined;
+            }
+            return { times, days };
+        }
+    };
+
+    // Tracker Management
+    const trackerManager = {
+        init: () => {
+            // Load trackers from storage
+            const defaults = CONFIG.DEFAULT_TRACKERS.map(tracker => ({ ...tracker, name: i18nManager.t(`trackers.default.${tracker.id}`) }));
+            state.trackers = storage.get(CONFIG.STORAGE_KEYS.TRACKERS, defaults)
+                .map(trackerManager.normalizeTracker);
+            syncManager.setBaseTrackers(state.trackers);
+            trackerManager.migrateQuickTracker();
+            // Drop the shared recent-counts list older versions kept
+            if (storage.get(CONFIG.STORAGE_KEYS.RECENT_COUNTS) !== null) {
+                storage.remove(CONFIG.STORAGE_KEYS.RECENT_COUNTS);
+            }
+
+            // Catch up on resets that came due while the app was closed, then keep checking
+            trackerManager.claimResets();
+            trackerManager.applyScheduledResets();
+            setInterval(trackerManager.applyScheduledResets, CONFIG.RESET_CHECK_INTERVAL);
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) {
+                    trackerManager.applyScheduledResets();
+                }
+            });
+            
+            // Initialize tracker display
+            trackerManager.renderTrackers();
+            
+            // Set up event listeners
+            trackerManager.setupEventListeners();
+
+            // Initialize quick tracker on homepage
+            if (window.location.pathname === '/' || window.location.pathname.includes('index.html')) {
+                trackerManager.initQuickTracker();
+            }
+        },
+
+        // Fill in fields added after a tracker was first saved
+        normalizeTracker: (tracker) => {
+            return {
+                ...tracker,
+                type: tracker.type === 'sequence' && Array.isArray(tracker.steps) && tracker.steps.length > 0 ? 'sequence' : 'counter',
+                count: Math.max(0, parseInt(tracker.count, 10) || 0),
+                target: trackerManager.parseTarget(tracker.target),
+                rounds: Math.max(0, parseInt(tracker.rounds, 10) || 0),
+                hapticPattern: hapticsManager.isPattern(tracker.hapticPattern) ? tracker.hapticPattern : [...CONFIG.VIBRATION_PATTERNS.single],
+                hapticMilestones: Array.isArray(tracker.hapticMilestones) ? tracker.hapticMilestones.filter(hapticsManager.isMilestone) : [],
+                sound: CONFIG.COUNT_SOUNDS.includes(tracker.sound) ? tracker.sound : 'click',
+                longPressStep: parseInt(tracker.longPressStep, 10) > 0 ? parseInt(tracker.longPressStep, 10) : CONFIG.DEFAULT_LONG_PRESS_STEP,
+                reminder: reminderManager.isReminder(tracker.reminder) ? tracker.reminder : null,
+                lastUpdated: tracker.lastUpdated || null,
+                showArabic: tracker.showArabic !== false,
+                groupId: tracker.groupId || null,
+                status: archiveManager.STATUSES.includes(tracker.status) ? tracker.status : 'active',
+                archivedAt: tracker.status === 'archived' ? tracker.archivedAt || new Date().toISOString() : null,
+                trashedAt: tracker.status === 'trashed' ? tracker.trashedAt || new Date().toISOString() : null,
+                resetSchedule: { ...CONFIG.DEFAULT_RESET_SCHEDULE, ...tracker.resetSchedule },
+                // Schedules only look forward from here, so a tracker never resets retroactively
+                lastReset: tracker.lastReset || new Date().toISOString()
+            };
+        },
+
+        // Archived and trashed trackers keep their data but are left out of the counting views
+        isActive: (tracker) => tracker.status === 'active',
+
+        // Earliest scheduled reset strictly after the given moment, or null when the tracker never resets
+        getNextReset: (schedule, after) => {
+            const [hours, minutes] = schedule.time.split(':').map(Number);
+            // Clock time stands in for a prayer time until a location is set
+            const atTime = (year, month, day) => (schedule.anchor && prayerTimeManager.getAnchorTime(schedule.anchor, new Date(year, month, day)))
+                || new Date(year, month, day, hours, minutes);
+            const year = after.getFullYear();
+            const month = after.getMonth();
+            const date = after.getDate();
+            let candidate;
+
+            switch (schedule.type) {
+                case 'daily':
+                    candidate = atTime(year, month, date);
+                    return candidate > after ? candidate : atTime(year, month, date + 1);
+                case 'weekly':
+                    candidate = atTime(year, month, date + (schedule.weekday - after.getDay() + 7) % 7);
+                    return candidate > after
+                        ? candidate
+                        : atTime(candidate.getFullYear(), candidate.getMonth(), candidate.getDate() + 7);
+                case 'monthly': {
+                    // Day 31 falls back to the last day of shorter months
+                    const dayIn = (y, m) => Math.min(schedule.dayOfMonth, new Date(y, m + 1, 0).getDate());
+                    candidate = atTime(year, month, dayIn(year, month));
+                    return candidate > after ? candidate : atTime(year, month + 1, dayIn(year, month + 1));
+                }
+                default:
+                    return null;
+            }
+        },
+
+        // Reset every tracker whose scheduled reset has passed, archiving the closing count first
+        // Every open tab runs the reset timer, but only the one holding the lock applies resets, so
+        // each is logged once; when that tab closes the lock passes to another. Without Web Locks
+        // each tab applies them itself.
+        ownsResets: false,
+
+        claimResets: () => {
+            if (!navigator.locks) {
+                trackerManager.ownsResets = true;
+                return;
+            }
+
+            navigator.locks.request(CONFIG.RESET_LOCK, () => {
+                trackerManager.ownsResets = true;
+                trackerManager.applyScheduledResets();
+                // Held for as long as the tab is open
+                return new Promise(() => {});
+            });
+        },
+
+        applyScheduledResets: () => {
+            if (!trackerManager.ownsResets) return;
+
+            const now = new Date();
+            const resetIds = [];
+
+            state.trackers.filter(trackerManager.isActive).forEach(tracker => {
+                const due = trackerManager.getNextReset(tracker.resetSchedule, new Date(tracker.lastReset));
+                if (!due || due > now) return;
+
+                const closingCount = tracker.count;
+                tracker.count = 0;
+                tracker.rounds = 0;
+                tracker.lastReset = now.toISOString();
+                resetIds.push(tracker.id);
+
+                // Dated to when the reset was due, so a missed reset lands on the right day
+                if (closingCount > 0) {
+                    historyManager.record(tracker, 'reset', -closingCount, {
+                        time: due.toISOString(),
+                        scheduled: true
+                    });
+                }
+            });
+
+            if (resetIds.length > 0) {
+                // The count starts afresh, so changes from before the reset can't be undone into it
+                undoManager.forget(resetIds, now.toISOString());
+                trackerManager.saveTrackers();
+                trackerManager.renderTrackers();
+            }
+        },
+
+        describeSchedule: (schedule) => {
+            const time = i18nManager.formatDigits(schedule.time);
+            const at = !schedule.anchor
+                ? time
+                : prayerTimeManager.hasLocation()
+                    ? i18nManager.t(`prayer.${schedule.anchor}`)
+                    : i18nManager.t('schedule.anchorPending', { time, prayer: i18nManager.t(`prayer.${schedule.anchor}`) });
+
+            switch (schedule.type) {
+                case 'daily':
+                    return i18nManager.t('schedule.daily', { at });
+                case 'weekly':
+                    return i18nManager.t('schedule.weekly', { weekday: i18nManager.t(`weekday.${schedule.weekday}`), at });
+                case 'monthly':
+                    return i18nManager.t('schedule.monthly', { day: schedule.dayOfMonth, at });
+                default:
+                    return '';
+            }
+        },
+
+        // Parse a round target; anything that isn't a positive whole number means "no target"
+        parseTarget: (value) => {
+            // Digits only, so "1.5" or "33abc" isn't read as a whole number
+            const target = typeof value === 'string' ? (/^\d+$/.test(value.trim()) ? Number(value) : NaN) : value;
+            return Number.isInteger(target) && target > 0 ? target : null;
+        },
+
+        setupEventListeners: () => {
+            trackerManager.setupDragAndDrop();
+
+            // Add tracker button
+            const addBtn = document.getElementById('add-tracker');
+            if (addBtn) {
+                addBtn.addEventListener('click', () => modalManager.openModal('add-tracker-modal'));
+            }
+
+            // Export/Import buttons
+            const exportBtn = document.getElementById('export-data');
+            const importBtn = document.getElementById('import-data');
+            const importFile = document.getElementById('import-file');
+
+            if (exportBtn) {
+                exportBtn.addEventListener('click', trackerManager.exportData);
+            }
+
+            const exportCsvBtn = document.getElementById('export-csv');
+            if (exportCsvBtn) {
+                exportCsvBtn.addEventListener('click', () => {
+                    const historyBtn = document.getElementById('export-history-csv');
+                    if (historyBtn) {
+                        historyBtn.disabled = historyManager.getEvents().length === 0;
+                    }
+                    modalManager.openModal('csv-export-modal');
+                });
+            }
+
+            if (importBtn) {
+                importBtn.addEventListener('click', () => importFile?.click());
+            }
+
+            if (importFile) {
+                importFile.addEventListener('change', trackerManager.importData);
+            }
+
+            // Help button
+            const helpBtn = document.getElementById('help-btn');
+            if (helpBtn) {
+                helpBtn.addEventListener('click', () => modalManager.openModal('help-modal'));
+            }
+
+            // Modal event listeners
+            trackerManager.setupModalListeners();
+
+            // Keyboard shortcuts
+            document.addEventListener('keydown', trackerManager.handleKeyboardShortcuts);
+        },
+
+        setupModalListeners: () => {
+            // Add tracker modal
+            const confirmAddBtn = document.getElementById('confirm-add');
+            const cancelAddBtn = document.getElementById('cancel-add');
+
+            if (confirmAddBtn) {
+                confirmAddBtn.addEventListener('click', trackerManager.addTracker);
+            }
+
+            if (cancelAddBtn) {
+                cancelAddBtn.addEventListener('click', () => modalManager.closeModal('add-tracker-modal'));
+            }
+
+            // Sequence trackers
+            const typeSelect = document.getElementById('tracker-type');
+            const editTypeSelect = document.getElementById('edit-tracker-type');
+            const presetSelect = document.getElementById('tracker-sequence-preset');
+
+            if (typeSelect) {
+                typeSelect.addEventListener('change', (e) => {
+                    trackerManager.updateTypeFields('add-tracker-modal', e.target.value);
+                });
+            }
+
+            if (editTypeSelect) {
+                editTypeSelect.addEventListener('change', (e) => {
+                    trackerManager.updateTypeFields('edit-tracker-modal', e.target.value);
+                });
+            }
+
+            if (presetSelect) {
+                presetSelect.addEventListener('change', (e) => {
+                    const preset = CONFIG.SEQUENCE_PRESETS[e.target.value];
+                    if (!preset) return;
+
+                    trackerManager.renderSteps('tracker-steps', preset.steps);
+                    const nameInput = document.getElementById('tracker-name');
+                    if (nameInput && !nameInput.value.trim()) {
+                        nameInput.value = i18nManager.t(`trackers.preset.${e.target.value}`);
+                    }
+                });
+            }
+
+            trackerManager.setupStepsEditor('tracker-steps');
+            trackerManager.setupStepsEditor('edit-tracker-steps');
+
+            // Edit tracker modal
+            const confirmEditBtn = document.getElementById('confirm-edit');
+            const cancelEditBtn = document.getElementById('cancel-edit');
+            const archiveBtn = document.getElementById('archive-tracker');
+            const deleteBtn = document.getElementById('delete-tracker');
+
+            if (confirmEditBtn) {
+                confirmEditBtn.addEventListener('click', trackerManager.saveTrackerEdit);
+            }
+
+            if (cancelEditBtn) {
+                cancelEditBtn.addEventListener('click', () => modalManager.closeModal('edit-tracker-modal'));
+            }
+
+            if (archiveBtn) {
+                archiveBtn.addEventListener('click', () => trackerManager.putAwayTracker('archived'));
+            }
+
+            if (deleteBtn) {
+                deleteBtn.addEventListener('click', () => trackerManager.putAwayTracker('trashed'));
+            }
+
+            const resetScheduleSelect = document.getElementById('edit-reset-schedule');
+            if (resetScheduleSelect) {
+                resetScheduleSelect.addEventListener('change', (e) => {
+                    trackerManager.updateScheduleFields(e.target.value);
+                });
+            }
+
+            // Import preview modal
+            const confirmImportBtn = document.getElementById('confirm-import');
+            const cancelImportBtn = document.getElementById('cancel-import');
+
+            if (confirmImportBtn) {
+                confirmImportBtn.addEventListener('click', backupManager.applyPendingImport);
+            }
+
+            if (cancelImportBtn) {
+                cancelImportBtn.addEventListener('click', () => {
+                    state.pendingImport = null;
+                    modalManager.closeModal('import-preview-modal');
+                });
+            }
+
+            document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+                radio.addEventListener('change', backupManager.renderChanges);
+            });
+
+            // Picking an overall strategy resets every conflict to it; each can still be changed after
+            const conflictStrategySelect = document.getElementById('import-conflict-strategy');
+            if (conflictStrategySelect) {
+                conflictStrategySelect.addEventListener('change', backupManager.renderChanges);
+            }
+
+            // CSV modals
+            const exportTrackersCsvBtn = document.getElementById('export-trackers-csv');
+            const exportHistoryCsvBtn = document.getElementById('export-history-csv');
+            const csvKindSelect = document.getElementById('csv-kind');
+            const confirmCsvBtn = document.getElementById('confirm-csv');
+            const cancelCsvBtn = document.getElementById('cancel-csv');
+
+            if (exportTrackersCsvBtn) {
+                exportTrackersCsvBtn.addEventListener('click', () => {
+                    csvManager.exportTrackers();
+                    modalManager.closeModal('csv-export-modal');
+                });
+            }
+
+            if (exportHistoryCsvBtn) {
+                exportHistoryCsvBtn.addEventListener('click', () => {
+                    csvManager.exportHistory();
+                    modalManager.closeModal('csv-export-modal');
+                });
+            }
+
+            if (csvKindSelect) {
+                csvKindSelect.addEventListener('change', csvManager.renderMapping);
+            }
+
+            if (confirmCsvBtn) {
+                confirmCsvBtn.addEventListener('click', csvManager.applyMapping);
+            }
+
+            if (cancelCsvBtn) {
+                cancelCsvBtn.addEventListener('click', () => {
+                    state.pendingCsv = null;
+                    modalManager.closeModal('csv-import-modal');
+                });
+            }
+
+            // Help modal
+            const closeHelpBtn = document.getElementById('close-help');
+            if (closeHelpBtn) {
+                closeHelpBtn.addEventListener('click', () => modalManager.closeModal('help-modal'));
+            }
+        },
+
+        renderTrackers: () => {
+            // The home page has no cards, only the quick tracker
+            trackerManager.renderQuickTracker();
+            // Renames, archiving and edits all change what is scheduled
+            if (reminderManager.started) reminderManager.checkIfChanged();
+
+            const container = document.getElementById('trackers-grid');
+            if (!container) return;
+
+            container.innerHTML = '';
+
+            // With no groups the cards sit straight in the grid, as before groups existed
+            const sections = groupManager.getSections();
+            const grouped = sections.some(section => section.id !== groupManager.UNGROUPED);
+            container.classList.toggle('grouped', grouped);
+
+            if (grouped) {
+                sections.forEach(section => container.appendChild(groupManager.createSection(section)));
+            } else {
+                state.trackers.forEach((tracker, index) => {
+                    if (!trackerManager.isActive(tracker)) return;
+                    const trackerCard = trackerManager.createTrackerCard(tracker, index);
+                    container.appendChild(trackerCard);
+                });
+            }
+
+            // Keep the history, calendar and archive lists (and focus mode) in step with renames and deletions
+            historyManager.render();
+            calendarManager.render();
+            archiveManager.render();
+            focusManager.render();
+        },
+
+        createTrackerCard: (tracker, index) => {
+            const card = document.createElement('div');
+            card.className = 'tracker-card';
+            card.dataset.trackerId = tracker.id;
+            card.tabIndex = 0;
+            card.draggable = true;
+
+            card.innerHTML = `
+                <div class="tracker-header">
+                    <h3 class="tracker-title">${utils.escapeHtml(tracker.name)}</h3>
+                    <div class="tracker-header-actions">
+                        <button class="tracker-focus" aria-label="${i18nManager.t('card.focus')}" title="${i18nManager.t('card.focus')}" data-tracker-id="${tracker.id}">
+                            ⛶
+                        </button>
+                        <button class="tracker-settings" aria-label="${i18nManager.t('card.edit')}" data-tracker-id="${tracker.id}">
+                            ⚙️
+                        </button>
+                    </div>
+                </div>
+                <div class="tracker-count">
+                    ${tracker.type === 'sequence' ? `<span class="sequence-step">${trackerManager.formatStepLabel(tracker)}</span>` : ''}
+                    ${trackerManager.renderCountDisplay(tracker)}
+                    <span class="phrase-block">${trackerManager.renderPhrase(tracker)}</span>
+                    ${tracker.target ? `<span class="round-info">${trackerManager.formatRoundInfo(tracker)}</span>` : ''}
+                </div>
+                <div class="tracker-buttons">
+                    <button class="increment-btn" data-tracker-id="${tracker.id}" data-action="increment" tabindex="0">+</button>
+                    <button class="decrement-btn" data-tracker-id="${tracker.id}" data-action="decrement">-</button>
+                    <button class="reset-tracker-btn" data-tracker-id="${tracker.id}" data-action="reset">${i18nManager.t('card.reset')}</button>
+                </div>
+                <div class="tracker-stats">
+                    ${trackerManager.formatTrackerStats(tracker)}
+                </div>
+                ${tracker.resetSchedule.type !== 'never' ? `<div class="tracker-schedule">${trackerManager.describeSchedule(tracker.resetSchedule)}</div>` : ''}
+            `;
+
+            // Add event listeners
+            trackerManager.addTrackerCardListeners(card, tracker);
+
+            return card;
+        },
+
+        renderCountDisplay: (tracker) => {
+            const countNumber = `<span class="count-number">${i18nManager.formatNumber(trackerManager.getDisplayCount(tracker))}</span>`;
+            const progress = trackerManager.getRoundProgress(tracker);
+            if (!progress) return countNumber;
+
+            const radius = CONFIG.PROGRESS_RING_RADIUS;
+            const circumference = 2 * Math.PI * radius;
+
+            return `
+                <div class="progress-ring" role="progressbar" aria-label="${i18nManager.t(tracker.type === 'sequence' ? 'card.stepProgress' : 'card.roundProgress')}"
+                     aria-valuemin="0" aria-valuemax="${progress.target}" aria-valuenow="${progress.current}">
+                    <svg class="progress-ring-svg" viewBox="0 0 120 120" aria-hidden="true">
+                        <circle class="progress-ring-track" cx="60" cy="60" r="${radius}"></circle>
+                        <circle class="progress-ring-value" cx="60" cy="60" r="${radius}"
+                                stroke-dasharray="${circumference}"
+                                stroke-dashoffset="${circumference * (1 - progress.ratio)}"></circle>
+                    </svg>
+                    ${countNumber}
+                </div>
+            `;
+        },
+
+        // Position within the current round; a just-finished round shows as full rather than empty.
+        // Sequences report progress through their current step instead.
+        getRoundProgress: (tracker) => {
+            if (tracker.type === 'sequence') {
+                const step = trackerManager.getSequenceStep(tracker);
+                return { current: step.current, target: step.target, ratio: step.current / step.target };
+            }
+
+            if (!tracker.target) return null;
+
+            const remainder = tracker.count % tracker.target;
+            const current = remainder === 0 && tracker.count > 0 ? tracker.target : remainder;
+            return { current, target: tracker.target, ratio: current / tracker.target };
+        },
+
+        // A sequence's target is the length of one full pass, so the step follows from where the
+        // count falls within the pass. Reaching a step's target moves straight on to the next step;
+        // only a finished pass stays on its last step, full, like a finished round.
+        getSequenceStep: (tracker) => {
+            const steps = tracker.steps;
+            let position = tracker.count % tracker.target;
+            if (position === 0 && tracker.count > 0) {
+                position = tracker.target;
+            }
+
+            let start = 0;
+            for (let index = 0; index < steps.length; index++) {
+                const step = steps[index];
+                if (position < start + step.target || index === steps.length - 1) {
+                    return { index, phrase: step.phrase, target: step.target, current: position - start };
+                }
+                start += step.target;
+            }
+        },
+
+        // Library entry for the phrase being counted: the one picked when the tracker was made, or one with the same text
+        getPhraseEntry: (tracker) => {
+            const picked = tracker.type !== 'sequence' && tracker.phraseId && phraseManager.getById(tracker.phraseId);
+            return picked || phraseManager.findByText(trackerManager.getPhrase(tracker));
+        },
+
+        renderPhrase: (tracker) => {
+            const entry = trackerManager.getPhraseEntry(tracker);
+            const arabic = tracker.showArabic && entry && entry.arabic
+                ? `<span class="count-phrase-arabic" lang="ar" dir="rtl">${utils.escapeHtml(entry.arabic)}</span>`
+                : '';
+            const meaning = entry && entry.meaning ? ` title="${utils.escapeHtml(entry.meaning)}"` : '';
+
+            return `${arabic}<span class="count-phrase"${meaning}>${utils.escapeHtml(trackerManager.getPhrase(tracker))}</span>`;
+        },
+
+        getPhrase: (tracker) => {
+            return tracker.type === 'sequence' ? trackerManager.getSequenceStep(tracker).phrase : tracker.phrase;
+        },
+
+        // Sequences show the count within the current step
+        getDisplayCount: (tracker) => {
+            return tracker.type === 'sequence' ? trackerManager.getSequenceStep(tracker).current : tracker.count;
+        },
+
+        formatStepLabel: (tracker) => {
+            return i18nManager.t('card.step', { step: trackerManager.getSequenceStep(tracker).index + 1, total: tracker.steps.length });
+        },
+
+        // Stored phrase for a sequence, used wherever a single line is shown (exports, import previews)
+        summarizeSteps: (steps) => steps.map(step => step.phrase).join(' → '),
+
+        formatTrackerStats: (tracker) => {
+            const lastUpdated = tracker.lastUpdated ? utils.formatDate(new Date(tracker.lastUpdated)) : i18nManager.t('card.never');
+            const { current } = historyManager.getStreaks(tracker.id);
+            const stats = i18nManager.t('card.lastUpdated', { date: lastUpdated });
+            return current > 0 ? `${stats} · ${i18nManager.t('card.streak', { count: current })}` : stats;
+        },
+
+        formatRoundInfo: (tracker) => {
+            const progress = trackerManager.getRoundProgress(tracker);
+            return i18nManager.t('card.roundInfo', { current: progress.current, target: progress.target, count: tracker.rounds });
+        },
+
+        addTrackerCardListeners: (card, tracker) => {
+            // Settings button
+            const settingsBtn = card.querySelector('.tracker-settings');
+            if (settingsBtn) {
+                settingsBtn.addEventListener('click', () => {
+                    state.currentEditingTracker = tracker;
+                    trackerManager.openEditModal(tracker);
+                });
+            }
+
+            const focusBtn = card.querySelector('.tracker-focus');
+            if (focusBtn) {
+                focusBtn.addEventListener('click', () => focusManager.open(tracker.id));
+            }
+
+            // Action buttons; pointer taps on "+" come through the gestures below, keyboard presses through here
+            const actionBtns = card.querySelectorAll('[data-action]');
+            actionBtns.forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const action = e.target.dataset.action;
+                    const trackerId = e.target.dataset.trackerId;
+                    trackerManager.handleTrackerAction(trackerId, action);
+                });
+            });
+
+            // Tap anywhere to count, hold to add the tracker's step, swipe back to take one off.
+            // The header is left out so it can serve as the drag handle on touch screens.
+            gestureManager.attach(card, {
+                onTap: () => trackerManager.handleTrackerAction(tracker.id, 'increment'),
+                onLongPress: () => trackerManager.handleTrackerAction(tracker.id, 'increment-step'),
+                onSwipeBack: () => trackerManager.handleTrackerAction(tracker.id, 'decrement')
+            }, { countsOn: '[data-action="increment"]', ignore: '.tracker-header' });
+
+            // Keyboard support for the card
+            card.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    const incrementBtn = card.querySelector('[data-action="increment"]');
+                    if (incrementBtn) {
+                        incrementBtn.click();
+                    }
+                } else if (e.key === 'r' || e.key === 'R') {
+                    e.preventDefault();
+                    const resetBtn = card.querySelector('[data-action="reset"]');
+                    if (resetBtn) {
+                        resetBtn.click();
+                    }
+                } else if (e.altKey && ['ArrowUp', 'ArrowLeft', 'ArrowDown', 'ArrowRight'].includes(e.key)) {
+                    // Keyboard alternative to dragging; the arrow pointing back along the line moves earlier
+                    e.preventDefault();
+                    const back = document.documentElement.dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+                    trackerManager.shiftTracker(tracker.id, e.key === 'ArrowUp' || e.key === back ? -1 : 1);
+                }
+            });
+        },
+
+        // Drag-and-drop reordering; listeners sit on the grid so they survive re-renders
+        setupDragAndDrop: () => {
+            const container = document.getElementById('trackers-grid');
+            if (!container) return;
+
+            let draggedId = null;
+            let pressedOutsideHeader = false;
+
+            // On touch screens holding a card counts, so only its header picks it up
+            container.addEventListener('pointerdown', (e) => {
+                pressedOutsideHeader = e.pointerType !== 'mouse' && !e.target.closest('.tracker-header');
+            });
+
+            const clearIndicators = () => {
+                container.querySelectorAll('.drop-before, .drop-after, .drop-target').forEach(element => {
+                    element.classList.remove('drop-before', 'drop-after', 'drop-target');
+                });
+            };
+
+            // Where a drop at this point would put the card: its section, and the card it goes before (null for the end)
+            const getDropPosition = (e) => {
+                const card = e.target.closest('.tracker-card');
+                const cards = e.target.closest('.tracker-group-cards');
+                const groupId = cards ? cards.dataset.groupId : groupManager.UNGROUPED;
+
+                if (!card) {
+                    return { groupId, beforeId: null, card: null, area: cards || container };
+                }
+
+                const rect = card.getBoundingClientRect();
+                // Cards run right to left in an RTL layout, so there the left half is "after"
+                const after = (e.clientX > rect.left + rect.width / 2) !== (document.documentElement.dir === 'rtl');
+                const next = card.nextElementSibling;
+                return {
+                    groupId,
+                    beforeId: after ? (next && next.dataset.trackerId) || null : card.dataset.trackerId,
+                    card,
+                    after
+                };
+            };
+
+            container.addEventListener('dragstart', (e) => {
+                const card = e.target.closest && e.target.closest('.tracker-card');
+                if (!card) return;
+                if (pressedOutsideHeader) {
+                    e.preventDefault();
+                    return;
+                }
+
+                draggedId = card.dataset.trackerId;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', draggedId);
+                card.classList.add('dragging');
+            });
+
+            container.addEventListener('dragover', (e) => {
+                if (!draggedId) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+
+                clearIndicators();
+                const position = getDropPosition(e);
+                if (position.card) {
+                    position.card.classList.add(position.after ? 'drop-after' : 'drop-before');
+                } else {
+                    position.area.classList.add('drop-target');
+                }
+            });
+
+            container.addEventListener('dragleave', (e) => {
+                if (!container.contains(e.relatedTarget)) clearIndicators();
+            });
+
+            container.addEventListener('drop', (e) => {
+                if (!draggedId) return;
+                e.preventDefault();
+
+                const { groupId, beforeId } = getDropPosition(e);
+                clearIndicators();
+                trackerManager.moveTracker(draggedId, groupId, beforeId);
+                draggedId = null;
+            });
+
+            container.addEventListener('dragend', () => {
+                clearIndicators();
+                container.querySelectorAll('.dragging').forEach(card => card.classList.remove('dragging'));
+                draggedId = null;
+            });
+        },
+
+        // Put a tracker into a section, before another tracker or at the end of the section
+        moveTracker: (trackerId, groupId, beforeId) => {
+            const tracker = state.trackers.find(t => t.id === trackerId);
+            if (!tracker || trackerId === beforeId) return;
+
+            state.trackers.splice(state.trackers.indexOf(tracker), 1);
+            tracker.groupId = groupId === groupManager.UNGROUPED ? null : groupId;
+
+            let index = beforeId ? state.trackers.findIndex(t => t.id === beforeId) : -1;
+            if (index === -1) {
+                const groups = groupManager.getGroups();
+                const lastInSection = state.trackers.map(t => groupManager.getGroupId(t, groups)).lastIndexOf(groupId);
+                index = lastInSection === -1 ? state.trackers.length : lastInSection + 1;
+            }
+            state.trackers.splice(index, 0, tracker);
+
+            trackerManager.saveTrackers();
+            trackerManager.renderTrackers();
+
+            const card = document.querySelector(`.tracker-card[data-tracker-id="${trackerId}"]`);
+            if (card) card.focus();
+
+            const section = groupManager.getSections().find(s => s.trackers.includes(tracker));
+            if (section) {
+                const params = { name: tracker.name, position: section.trackers.indexOf(tracker) + 1, total: section.trackers.length, group: section.name };
+                trackerManager.announce(i18nManager.t(section.id === groupManager.UNGROUPED ? 'announce.moved' : 'announce.movedInGroup', params));
+            }
+        },
+
+        // Move one place earlier or later in the on-screen order, crossing into the neighbouring group at either end
+        shiftTracker: (trackerId, direction) => {
+            const sections = groupManager.getSections();
+            const sectionIndex = sections.findIndex(section => section.trackers.some(t => t.id === trackerId));
+            if (sectionIndex === -1) return;
+
+            const section = sections[sectionIndex];
+            const position = section.trackers.findIndex(t => t.id === trackerId);
+            const neighbour = sections[sectionIndex + direction];
+
+            if (direction < 0) {
+                if (position > 0) {
+                    trackerManager.moveTracker(trackerId, section.id, section.trackers[position - 1].id);
+                } else if (neighbour) {
+                    trackerManager.moveTracker(trackerId, neighbour.id, null);
+                }
+            } else if (position < section.trackers.length - 1) {
+                const afterNext = section.trackers[position + 2];
+                trackerManager.moveTracker(trackerId, section.id, afterNext ? afterNext.id : null);
+            } else if (neighbour) {
+                const first = neighbour.trackers[0];
+                trackerManager.moveTracker(trackerId, neighbour.id, first ? first.id : null);
+            }
+        },
+
+        // Screen reader announcement for moves, which have no visible toast
+        announce: (message) => {
+            const status = document.getElementById('reorder-status');
+            if (status) status.textContent = message;
+        },
+
+        handleTrackerAction: (trackerId, action) => {
+            const tracker = state.trackers.find(t => t.id === trackerId);
+            if (!tracker) return;
+
+            const previousCount = tracker.count;
+            const before = { ...tracker };
+            const phrase = trackerManager.getPhrase(tracker);
+            let message = null;
+
+            switch (action) {
+                case 'increment':
+                    tracker.count += 1;
+                    break;
+                case 'increment-step':
+                    tracker.count += tracker.longPressStep;
+                    message = i18nManager.t('toast.addedStep', { step: tracker.longPressStep, phrase });
+                    break;
+                // "Mark done" on a reminder: the rest of the round, or one without a target
+                case 'increment-round':
+                    tracker.count += tracker.target ? tracker.target - (tracker.count % tracker.target) : 1;
+                    message = i18nManager.t('toast.markedDone', { name: tracker.name });
+                    break;
+                case 'decrement':
+                    tracker.count = Math.max(0, tracker.count - 1);
+                    break;
+                case 'reset':
+                    tracker.count = 0;
+                    tracker.rounds = 0;
+                    message = i18nManager.t('toast.reset', { name: tracker.name, count: previousCount });
+                    break;
+            }
+
+            // A decrement or reset at zero changes nothing, so there's nothing to log
+            if (tracker.count !== previousCount) {
+                tracker.lastUpdated = new Date().toISOString();
+                // 'increment-step' is logged as an increment of the step
+                historyManager.record(tracker, action.split('-')[0], tracker.count - previousCount);
+            }
+
+            const roundsCompleted = action === 'reset' ? 0 : trackerManager.updateRounds(tracker, previousCount);
+
+            // "-" at zero changes nothing, so there's nothing to undo
+            const commandId = tracker.count !== previousCount
+                ? undoManager.push(action, before, { ...tracker })
+                : null;
+
+            const startedNewStep = trackerManager.startedNewStep(before, tracker);
+            const pattern = hapticsManager.getPattern(tracker, previousCount, roundsCompleted, startedNewStep);
+            if (pattern) {
+                utils.vibrate(pattern);
+            }
+
+            // One sound per tap: finishing a round or step plays its chime instead of the count sound
+            const sound = trackerManager.getActionSound(tracker, action, previousCount, roundsCompleted, startedNewStep);
+            if (sound) {
+                soundManager.play(sound);
+            }
+
+            if (roundsCompleted > 0) {
+                trackerManager.handleRoundComplete(tracker);
+            } else if (startedNewStep) {
+                trackerManager.handleStepComplete(tracker);
+            } else if (message) {
+                utils.showToast(message, 'success', commandId && undoManager.getToastAction(commandId));
+            }
+
+            // Update display
+            trackerManager.updateTrackerDisplay(tracker);
+            
+            // Save to storage
+            trackerManager.saveTrackers();
+        },
+
+        // Keep the rounds counter in step with target boundaries crossed by the last action
+        updateRounds: (tracker, previousCount) => {
+            if (!tracker.target) return 0;
+
+            const roundsBefore = Math.floor(previousCount / tracker.target);
+            const roundsAfter = Math.floor(tracker.count / tracker.target);
+            const difference = roundsAfter - roundsBefore;
+
+            tracker.rounds = Math.max(0, tracker.rounds + difference);
+            return difference;
+        },
+
+        getActionSound: (tracker, action, previousCount, roundsCompleted, startedNewStep) => {
+            if (roundsCompleted > 0) return 'chime';
+            if (startedNewStep) return 'step';
+            if (action === 'reset') return previousCount > 0 ? 'reset' : null;
+            if (trackerManager.passedMilestone(previousCount, tracker)) return 'chime';
+            return tracker.count > previousCount ? tracker.sound : null;
+        },
+
+        handleRoundComplete: (tracker) => {
+            const completed = tracker.type === 'sequence'
+                ? tracker.name
+                : i18nManager.t('toast.times', { count: tracker.target, phrase: tracker.phrase });
+            utils.showToast(i18nManager.t('toast.roundComplete', { round: tracker.rounds, completed }));
+        },
+
+        // Without rounds to mark progress, every SOUND_MILESTONE counts is one
+        passedMilestone: (previousCount, tracker) => {
+            return !tracker.target
+                && Math.floor(tracker.count / CONFIG.SOUND_MILESTONE) > Math.floor(previousCount / CONFIG.SOUND_MILESTONE);
+        },
+
+        // Counting forward into a different step of a sequence
+        startedNewStep: (before, tracker) => {
+            return tracker.type === 'sequence'
+                && tracker.count > before.count
+                && trackerManager.getSequenceStep(before).index !== trackerManager.getSequenceStep(tracker).index;
+        },
+
+        handleStepComplete: (tracker) => {
+            const step = trackerManager.getSequenceStep(tracker);
+            utils.showToast(`${trackerManager.formatStepLabel(tracker)}: ${i18nManager.t('toast.times', { count: step.target, phrase: step.phrase })}`);
+        },
+
+        updateTrackerDisplay: (tracker) => {
+            focusManager.render();
+            trackerManager.renderQuickTracker();
+
+            const card = document.querySelector(`[data-tracker-id="${tracker.id}"]`);
+            if (!card) return;
+
+            const countNumber = card.querySelector('.count-number');
+            if (countNumber) {
+                countNumber.textContent = i18nManager.formatNumber(trackerManager.getDisplayCount(tracker));
+                
+                // Add animation class
+                countNumber.classList.add('updated');
+                setTimeout(() => countNumber.classList.remove('updated'), 300);
+            }
+
+            const progress = trackerManager.getRoundProgress(tracker);
+            const ring = card.querySelector('.progress-ring');
+            if (ring && progress) {
+                const circumference = 2 * Math.PI * CONFIG.PROGRESS_RING_RADIUS;
+                ring.setAttribute('aria-valuenow', progress.current);
+                ring.querySelector('.progress-ring-value')
+                    .setAttribute('stroke-dashoffset', circumference * (1 - progress.ratio));
+            }
+
+            const roundInfo = card.querySelector('.round-info');
+            if (roundInfo && progress) {
+                roundInfo.textContent = trackerManager.formatRoundInfo(tracker);
+            }
+
+            if (tracker.type === 'sequence') {
+                const stepLabel = card.querySelector('.sequence-step');
+                const phraseBlock = card.querySelector('.phrase-block');
+                if (stepLabel) stepLabel.textContent = trackerManager.formatStepLabel(tracker);
+                if (phraseBlock) phraseBlock.innerHTML = trackerManager.renderPhrase(tracker);
+            }
+
+            const stats = card.querySelector('.tracker-stats');
+            if (stats) {
+                stats.textContent = trackerManager.formatTrackerStats(tracker);
+            }
+        },
+
+        addTracker: () => {
+            const nameInput = document.getElementById('tracker-name');
+            const typeSelect = document.getElementById('tracker-type');
+            const searchInput = document.getElementById('phrase-search');
+            const targetInput = document.getElementById('tracker-target');
+            const presetSelect = document.getElementById('tracker-sequence-preset');
+            const groupSelect = document.getElementById('tracker-group');
+
+            if (!nameInput) return;
+
+            const name = nameInput.value.trim();
+            const type = typeSelect?.value || 'counter';
+            const entry = phraseManager.getSelected();
+
+            if (!name) {
+                utils.showToast(i18nManager.t('toast.fillAll'), 'error');
+                return;
+            }
+
+            const fields = trackerManager.readPhraseFields(type, entry?.transliteration, targetInput?.value.trim() ?? '', 'tracker-steps');
+            if (!fields) return;
+
+            const newTracker = {
+                id: utils.generateId(),
+                name,
+                type,
+                phrase: fields.phrase,
+                count: 0,
+                target: fields.target,
+                rounds: 0,
+                vibration: true,
+                groupId: groupSelect?.value || null,
+                created: new Date().toISOString()
+            };
+            if (fields.steps) {
+                newTracker.steps = fields.steps;
+            } else {
+                newTracker.phraseId = entry.id;
+            }
+
+            state.trackers.push(trackerManager.normalizeTracker(newTracker));
+            trackerManager.saveTrackers();
+            trackerManager.renderTrackers();
+            
+            // Clear form
+            nameInput.value = '';
+            if (searchInput) searchInput.value = '';
+            phraseManager.renderLibrary(CONFIG.PHRASE_LIBRARY[0].id);
+            if (targetInput) targetInput.value = '';
+            if (typeSelect) typeSelect.value = 'counter';
+            if (presetSelect) presetSelect.value = '';
+            trackerManager.renderSteps('tracker-steps', []);
+            trackerManager.updateTypeFields('add-tracker-modal', 'counter');
+            
+            modalManager.closeModal('add-tracker-modal');
+            utils.showToast(i18nManager.t('toast.trackerAdded', { name }));
+        },
+
+        // Phrase, target and steps from a tracker modal, or null (after saying why) when they don't add up
+        readPhraseFields: (type, phrase, targetValue, stepsListId) => {
+            if (type === 'sequence') {
+                const steps = trackerManager.readSteps(stepsListId);
+
+                if (steps.length < 2) {
+                    utils.showToast(i18nManager.t('toast.sequenceSteps'), 'error');
+                    return null;
+                }
+
+                if (steps.some(step => !step.phrase || !step.target)) {
+                    utils.showToast(i18nManager.t('toast.stepFields'), 'error');
+                    return null;
+                }
+
+                return {
+                    phrase: trackerManager.summarizeSteps(steps),
+                    target: steps.reduce((total, step) => total + step.target, 0),
+                    steps
+                };
+            }
+
+            const target = trackerManager.parseTarget(targetValue);
+
+            if (!phrase) {
+                utils.showToast(i18nManager.t('toast.fillAll'), 'error');
+                return null;
+            }
+
+            if (targetValue && !target) {
+                utils.showToast(i18nManager.t('toast.targetInvalid'), 'error');
+                return null;
+            }
+
+            return { phrase, target, steps: null };
+        },
+
+        // Show the single-phrase or the sequence inputs of a tracker modal
+        updateTypeFields: (modalId, type) => {
+            document.querySelectorAll(`#${modalId} [data-types]`).forEach(field => {
+                field.hidden = field.dataset.types !== type;
+            });
+
+            // Start a new sequence with two empty steps to fill in
+            const stepsList = document.querySelector(`#${modalId} .sequence-steps`);
+            if (type === 'sequence' && stepsList && stepsList.children.length === 0) {
+                trackerManager.renderSteps(stepsList.id, [{ phrase: '', target: 33 }, { phrase: '', target: 33 }]);
+            }
+        },
+
+        renderSteps: (listId, steps) => {
+            const list = document.getElementById(listId);
+            if (!list) return;
+
+            const label = (key, index) => utils.escapeHtml(i18nManager.t(key, { position: index + 1 }));
+            list.innerHTML = steps.map((step, index) => `
+                <li class="sequence-step-row">
+                    <input type="text" class="step-phrase" value="${utils.escapeHtml(step.phrase)}" list="phrase-suggestions"
+                           placeholder="${label('steps.placeholder', index)}" aria-label="${label('steps.phraseLabel', index)}">
+                    <input type="number" class="step-target" value="${step.target || ''}" min="1" step="1"
+                           list="round-targets" aria-label="${label('steps.countLabel', index)}">
+                    <button type="button" class="step-remove" data-step-index="${index}" aria-label="${label('steps.remove', index)}">&times;</button>
+                </li>
+            `).join('');
+        },
+
+        readSteps: (listId) => {
+            return Array.from(document.querySelectorAll(`#${listId} .sequence-step-row`)).map(row => ({
+                phrase: row.querySelector('.step-phrase').value.trim(),
+                target: trackerManager.parseTarget(row.querySelector('.step-target').value.trim())
+            }));
+        },
+
+        // Wire the add/remove controls of a steps list; edits in progress are read back before re-rendering
+        setupStepsEditor: (listId) => {
+            const list = document.getElementById(listId);
+            const addStepBtn = document.querySelector(`[data-add-step="${listId}"]`);
+            if (!list) return;
+
+            const readRaw = () => Array.from(list.querySelectorAll('.sequence-step-row')).map(row => ({
+                phrase: row.querySelector('.step-phrase').value,
+                target: row.querySelector('.step-target').value
+            }));
+
+            list.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.step-remove');
+                if (!removeBtn) return;
+
+                const steps = readRaw();
+                steps.splice(parseInt(removeBtn.dataset.stepIndex, 10), 1);
+                trackerManager.renderSteps(listId, steps);
+            });
+
+            if (addStepBtn) {
+                addStepBtn.addEventListener('click', () => {
+                    trackerManager.renderSteps(listId, [...readRaw(), { phrase: '', target: 33 }]);
+                    list.querySelector('.sequence-step-row:last-child .step-phrase').focus();
+                });
+            }
+        },
+
+        openEditModal: (tracker) => {
+            const nameInput = document.getElementById('edit-tracker-name');
+            const typeSelect = document.getElementById('edit-tracker-type');
+            const phraseInput = document.getElementById('edit-tracker-phrase');
+            const targetInput = document.getElementById('edit-tracker-target');
+            const vibrationCheckbox = document.getElementById('edit-vibration');
+            const showArabicCheckbox = document.getElementById('edit-show-arabic');
+            const groupSelect = document.getElementById('edit-tracker-group');
+            const longPressInput = document.getElementById('edit-long-press-step');
+            const soundSelect = document.getElementById('edit-sound');
+
+            if (nameInput) nameInput.value = tracker.name;
+            if (soundSelect) soundSelect.value = tracker.sound;
+            if (showArabicCheckbox) showArabicCheckbox.checked = tracker.showArabic;
+            if (groupSelect) groupSelect.value = groupManager.getGroupId(tracker) === groupManager.UNGROUPED ? '' : tracker.groupId;
+            if (typeSelect) typeSelect.value = tracker.type;
+            if (phraseInput) phraseInput.value = tracker.type === 'sequence' ? '' : tracker.phrase;
+            if (targetInput) targetInput.value = tracker.type === 'sequence' ? '' : tracker.target || '';
+            if (vibrationCheckbox) vibrationCheckbox.checked = tracker.vibration;
+            if (longPressInput) longPressInput.value = tracker.longPressStep;
+            hapticsManager.fillEditor(tracker);
+            reminderManager.fillEditor(tracker);
+
+            trackerManager.renderSteps('edit-tracker-steps', tracker.type === 'sequence' ? tracker.steps : []);
+            trackerManager.updateTypeFields('edit-tracker-modal', tracker.type);
+
+            const schedule = tracker.resetSchedule;
+            const scheduleSelect = document.getElementById('edit-reset-schedule');
+            const timeInput = document.getElementById('edit-reset-time');
+            const weekdaySelect = document.getElementById('edit-reset-weekday');
+            const dayInput = document.getElementById('edit-reset-day');
+            const anchorSelect = document.getElementById('edit-reset-anchor');
+
+            if (scheduleSelect) scheduleSelect.value = schedule.type;
+            if (timeInput) timeInput.value = schedule.time;
+            if (anchorSelect) anchorSelect.value = schedule.anchor || '';
+            if (weekdaySelect) weekdaySelect.value = schedule.weekday;
+            if (dayInput) dayInput.value = schedule.dayOfMonth;
+            trackerManager.updateScheduleFields(schedule.type);
+
+            modalManager.openModal('edit-tracker-modal');
+        },
+
+        // Only show the time/day inputs that apply to the chosen schedule
+        updateScheduleFields: (type) => {
+            document.querySelectorAll('[data-schedules]').forEach(field => {
+                field.hidden = !field.dataset.schedules.split(' ').includes(type);
+            });
+        },
+
+        readScheduleFields: () => {
+            const scheduleSelect = document.getElementById('edit-reset-schedule');
+            const timeInput = document.getElementById('edit-reset-time');
+            const weekdaySelect = document.getElementById('edit-reset-weekday');
+            const dayInput = document.getElementById('edit-reset-day');
+            const anchorSelect = document.getElementById('edit-reset-anchor');
+
+            return {
+                type: scheduleSelect?.value || 'never',
+                time: timeInput?.value || CONFIG.DEFAULT_RESET_SCHEDULE.time,
+                weekday: parseInt(weekdaySelect?.value, 10) || 0,
+                dayOfMonth: Math.min(31, Math.max(1, parseInt(dayInput?.value, 10) || 1)),
+                anchor: anchorSelect?.value || null
+            };
+        },
+
+        saveTrackerEdit: () => {
+            if (!state.currentEditingTracker) return;
+
+            const before = { ...state.currentEditingTracker };
+
+            const nameInput = document.getElementById('edit-tracker-name');
+            const typeSelect = document.getElementById('edit-tracker-type');
+            const phraseInput = document.getElementById('edit-tracker-phrase');
+            const targetInput = document.getElementById('edit-tracker-target');
+            const vibrationCheckbox = document.getElementById('edit-vibration');
+            const showArabicCheckbox = document.getElementById('edit-show-arabic');
+            const groupSelect = document.getElementById('edit-tracker-group');
+            const longPressInput = document.getElementById('edit-long-press-step');
+
+            const name = nameInput?.value.trim();
+            const type = typeSelect?.value || 'counter';
+            const vibration = vibrationCheckbox?.checked ?? true;
+            const longPressValue = longPressInput?.value.trim() || String(CONFIG.DEFAULT_LONG_PRESS_STEP);
+            const longPressStep = parseInt(longPressValue, 10);
+
+            if (!name) {
+                utils.showToast(i18nManager.t('toast.fillAll'), 'error');
+                return;
+            }
+
+            if (!/^\d+$/.test(longPressValue) || longPressStep < 1) {
+                utils.showToast(i18nManager.t('toast.longPressInvalid'), 'error');
+                return;
+            }
+
+            const haptics = hapticsManager.readEditor();
+            if (!haptics) return;
+
+            const reminder = reminderManager.readEditor();
+            if (reminder === undefined) return;
+
+            const fields = trackerManager.readPhraseFields(type, phraseInput?.value.trim(), targetInput?.value.trim() ?? '', 'edit-tracker-steps');
+            if (!fields) return;
+            const { phrase, target } = fields;
+
+            state.currentEditingTracker.name = name;
+            state.currentEditingTracker.type = type;
+            state.currentEditingTracker.phrase = phrase;
+            state.currentEditingTracker.vibration = vibration;
+            state.currentEditingTracker.longPressStep = longPressStep;
+            state.currentEditingTracker.hapticPattern = haptics.pattern;
+            state.currentEditingTracker.hapticMilestones = haptics.milestones;
+            const addsReminder = reminder && !state.currentEditingTracker.reminder;
+            state.currentEditingTracker.reminder = reminder;
+            state.currentEditingTracker.sound = document.getElementById('edit-sound')?.value || state.currentEditingTracker.sound;
+            state.currentEditingTracker.showArabic = showArabicCheckbox?.checked ?? true;
+
+            // Joining a different group puts the tracker at the end of that group
+            const groupId = groupSelect ? groupSelect.value || null : state.currentEditingTracker.groupId;
+            if (groupId !== (state.currentEditingTracker.groupId || null)) {
+                const tracker = state.currentEditingTracker;
+                const groups = groupManager.getGroups();
+                state.trackers.splice(state.trackers.indexOf(tracker), 1);
+                tracker.groupId = groupId;
+                const lastInGroup = state.trackers.map(t => groupManager.getGroupId(t, groups)).lastIndexOf(groupManager.getGroupId(tracker, groups));
+                state.trackers.splice(lastInGroup === -1 ? state.trackers.length : lastInGroup + 1, 0, tracker);
+            }
+            if (fields.steps) {
+                state.currentEditingTracker.steps = fields.steps;
+                delete state.currentEditingTracker.phraseId;
+            } else {
+                delete state.currentEditingTracker.steps;
+
+                // Keep the library link while the text still matches it
+                const picked = phraseManager.getById(state.currentEditingTracker.phraseId);
+                const entry = picked && picked.transliteration === phrase ? picked : phraseManager.findByText(phrase);
+                if (entry) {
+                    state.currentEditingTracker.phraseId = entry.id;
+                } else {
+                    delete state.currentEditingTracker.phraseId;
+                }
+            }
+
+            // A changed schedule starts counting from now rather than firing for times already past
+            const resetSchedule = trackerManager.readScheduleFields();
+            if (JSON.stringify(resetSchedule) !== JSON.stringify(state.currentEditingTracker.resetSchedule)) {
+                state.currentEditingTracker.resetSchedule = resetSchedule;
+                state.currentEditingTracker.lastReset = new Date().toISOString();
+            }
+
+            // Changing the round size (or a sequence's length) recounts completed rounds from the current count
+            if (target !== state.currentEditingTracker.target) {
+                state.currentEditingTracker.target = target;
+                state.currentEditingTracker.rounds = target
+                    ? Math.floor(state.currentEditingTracker.count / target)
+                    : 0;
+            }
+
+            const commandId = undoManager.push('edit', before, { ...state.currentEditingTracker });
+
+            trackerManager.saveTrackers();
+            trackerManager.renderTrackers();
+            modalManager.closeModal('edit-tracker-modal');
+            utils.showToast(i18nManager.t('toast.trackerUpdated'), 'success', undoManager.getToastAction(commandId));
+            if (addsReminder) {
+                reminderManager.requestPermission();
+            }
+        },
+
+        // Archive or trash the tracker being edited. No confirm() step: both can be undone from
+        // the toast or with Ctrl+Z, and restored later from the Archive & Trash view
+        putAwayTracker: (status) => {
+            if (!state.currentEditingTracker) return;
+
+            const trackerId = state.currentEditingTracker.id;
+            state.currentEditingTracker = null;
+            modalManager.closeModal('edit-tracker-modal');
+            archiveManager.setStatus(trackerId, status);
+        },
+
+        saveTrackers: () => {
+            storage.set(CONFIG.STORAGE_KEYS.TRACKERS, state.trackers);
+            syncManager.publishTrackers();
+        },
+
+        exportData: () => {
+            const data = backupManager.createBackup();
+
+            utils.downloadFile(
+                JSON.stringify(data, null, 2),
+                `spiritual-count-backup-${utils.getFileDate()}.json`,
+                'application/json'
+            );
+
+            utils.showToast(i18nManager.t('toast.exported'));
+        },
+
+        // Nothing is written until the user confirms the preview
+        importData: (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                if (file.name.toLowerCase().endsWith('.csv')) {
+                    csvManager.showMapping(e.target.result, file.name);
+                    return;
+                }
+
+                let raw;
+                try {
+                    raw = JSON.parse(e.target.result);
+                } catch (error) {
+                    utils.showToast(i18nManager.t('toast.invalidFile'), 'error');
+                    console.error('Import error:', error);
+                    return;
+                }
+
+                backupManager.showPreview(backupManager.prepare(raw), file.name);
+            };
+            reader.readAsText(file);
+
+            // Let the same file be picked again after a cancelled import
+            event.target.value = '';
+        },
+
+        handleKeyboardShortcuts: (e) => {
+            // Only handle shortcuts when not in a form field
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+            // Undo/redo only applies where the trackers are on screen
+            if ((e.ctrlKey || e.metaKey) && document.getElementById('trackers-grid')) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' || key === 'y') {
+                    e.preventDefault();
+                    if (key === 'y' || e.shiftKey) {
+                        undoManager.redo();
+                    } else {
+                        undoManager.undo();
+                    }
+                    return;
+                }
+            }
+
+            if (e.key === 'Escape') {
+                modalManager.closeAllModals();
+                return;
+            }
+
+            // Focus mode handles its own keys, and nothing counts behind an open dialog
+            if (focusManager.trackerId || document.querySelector('.modal.active')) return;
+
+            const combo = keyBindingManager.getCombo(e);
+            const action = combo && keyBindingManager.getAction(combo);
+            if (action && keyBindingManager.run(action, e)) {
+                e.preventDefault();
+            }
+        },
+
+        // The home page widget counts one of the real trackers, chosen per device
+        initQuickTracker: () => {
+            const quickIncrement = document.getElementById('quick-increment');
+            const quickReset = document.getElementById('quick-reset');
+            const quickCount = document.getElementById('quick-count');
+            const vibrationToggle = document.getElementById('vibration-toggle');
+            const trackerSelect = document.getElementById('quick-tracker-select');
+            const prevBtn = document.getElementById('quick-prev');
+            const nextBtn = document.getElementById('quick-next');
+
+            if (!quickIncrement || !quickCount) return;
+
+            const changeCount = (action) => {
+                const tracker = trackerManager.getQuickTracker();
+                if (tracker) trackerManager.handleTrackerAction(tracker.id, action);
+            };
+
+            // Increment button, for keyboard presses; pointer taps come through the gestures below
+            quickIncrement.addEventListener('click', () => changeCount('increment'));
+
+            // Same gestures as the tracker cards, anywhere on the widget but the picker and recent counts
+            const widget = quickIncrement.closest('.widget-card');
+            if (widget) {
+                gestureManager.attach(widget, {
+                    onTap: () => changeCount('increment'),
+                    onLongPress: () => changeCount('increment-step'),
+                    onSwipeBack: () => changeCount('decrement')
+                }, { countsOn: '#quick-increment', ignore: '.recent-counts, .quick-tracker-picker' });
+            }
+
+            if (quickReset) {
+                quickReset.addEventListener('click', () => changeCount('reset'));
+            }
+
+            // Vibration toggle, the same setting as in the tracker's own settings
+            if (vibrationToggle) {
+                vibrationToggle.addEventListener('click', () => {
+                    const tracker = trackerManager.getQuickTracker();
+                    if (!tracker) return;
+                    tracker.vibration = !tracker.vibration;
+                    trackerManager.saveTrackers();
+                    trackerManager.renderQuickTracker();
+                    utils.showToast(i18nManager.t(tracker.vibration ? 'toast.vibrationOn' : 'toast.vibrationOff', { name: tracker.name }));
+                });
+            }
+
+            if (trackerSelect) {
+                trackerSelect.addEventListener('change', () => trackerManager.setQuickTracker(trackerSelect.value));
+            }
+            if (prevBtn) {
+                prevBtn.addEventListener('click', () => trackerManager.switchQuickTracker(-1));
+            }
+            if (nextBtn) {
+                nextBtn.addEventListener('click', () => trackerManager.switchQuickTracker(1));
+            }
+
+            // Keyboard support
+            quickIncrement.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    quickIncrement.click();
+                }
+            });
+
+            trackerManager.renderQuickTracker();
+        },
+
+        // Active trackers in the order the tracker page shows them
+        getQuickTrackers: () => groupManager.getSections().flatMap(section => section.trackers),
+
+        // The chosen tracker, or the first one when it has been archived, trashed or never chosen
+        getQuickTracker: () => {
+            const trackers = trackerManager.getQuickTrackers();
+            const id = storage.get(CONFIG.STORAGE_KEYS.QUICK_TRACKER, null);
+            return trackers.find(t => t.id === id) || trackers[0] || null;
+        },
+
+        setQuickTracker: (trackerId) => {
+            storage.set(CONFIG.STORAGE_KEYS.QUICK_TRACKER, trackerId);
+            trackerManager.renderQuickTracker();
+        },
+
+        // Step to the previous or next tracker, wrapping round at the ends
+        switchQuickTracker: (direction) => {
+            const trackers = trackerManager.getQuickTrackers();
+            const current = trackers.indexOf(trackerManager.getQuickTracker());
+            if (trackers.length < 2) return;
+            trackerManager.setQuickTracker(trackers[(current + direction + trackers.length) % trackers.length].id);
+        },
+
+        renderQuickTracker: () => {
+            const quickCount = document.getElementById('quick-count');
+            if (!quickCount) return;
+
+            const quickPhrase = document.getElementById('quick-phrase');
+            const quickRounds = document.getElementById('quick-rounds');
+            const vibrationToggle = document.getElementById('vibration-toggle');
+            const trackerSelect = document.getElementById('quick-tracker-select');
+            const trackers = trackerManager.getQuickTrackers();
+            const tracker = trackerManager.getQuickTracker();
+
+            if (trackerSelect) {
+                trackerSelect.innerHTML = trackers
+                    .map(t => `<option value="${utils.escapeHtml(t.id)}">${utils.escapeHtml(t.name)}</option>`)
+                    .join('');
+                trackerSelect.value = tracker ? tracker.id : '';
+                trackerSelect.disabled = trackers.length === 0;
+            }
+            document.querySelectorAll('#quick-prev, #quick-next').forEach(btn => {
+                btn.disabled = trackers.length < 2;
+            });
+            document.querySelectorAll('#quick-increment, #quick-reset, #vibration-toggle').forEach(btn => {
+                btn.disabled = !tracker;
+            });
+
+            const count = i18nManager.formatNumber(tracker ? trackerManager.getDisplayCount(tracker) : 0);
+            if (quickCount.textContent !== count && quickCount.textContent !== '') {
+                quickCount.classList.add('updated');
+                setTimeout(() => quickCount.classList.remove('updated'), 300);
+            }
+            quickCount.textContent = count;
+
+            if (quickPhrase) {
+                quickPhrase.textContent = tracker ? trackerManager.getPhrase(tracker) : i18nManager.t('quick.noTrackers');
+            }
+            if (quickRounds) {
+                const progress = tracker && trackerManager.getRoundProgress(tracker);
+                quickRounds.textContent = progress ? trackerManager.formatRoundInfo(tracker) : '';
+                quickRounds.hidden = !progress;
+            }
+            if (vibrationToggle) {
+                vibrationToggle.classList.toggle('active', Boolean(tracker && tracker.vibration));
+            }
+
+            trackerManager.updateRecentCounts();
+        },
+
+        // The widget's old separate count becomes a tracker of its own, once
+        migrateQuickTracker: () => {
+            const legacy = storage.get('quick-tracker', null);
+            if (!legacy) return;
+
+            if (legacy.count > 0 && !state.trackers.some(t => t.id === CONFIG.LEGACY_QUICK_TRACKER_ID)) {
+                state.trackers.push(trackerManager.normalizeTracker({
+                    id: CONFIG.LEGACY_QUICK_TRACKER_ID,
+                    name: i18nManager.t('trackers.default.quick-dhikr'),
+                    phrase: 'SubhanAllah',
+                    count: legacy.count,
+                    target: null,
+                    rounds: 0,
+                    vibration: legacy.vibration !== false,
+                    created: new Date().toISOString()
+                }));
+                storage.set(CONFIG.STORAGE_KEYS.QUICK_TRACKER, CONFIG.LEGACY_QUICK_TRACKER_ID);
+                trackerManager.saveTrackers();
+            }
+            storage.remove('quick-tracker');
+        },
+
+        // Recent counts of the tracker the quick widget is bound to, from the history log,
+        // so counting other trackers doesn't push them out
+        updateRecentCounts: () => {
+            const container = document.getElementById('recent-counts');
+            if (!container) return;
+
+            const tracker = trackerManager.getQuickTracker();
+            const events = tracker ? historyManager.getRecentEvents(tracker.id, 'increment', 5) : [];
+            
+            if (events.length === 0) {
+                container.innerHTML = `<p>${i18nManager.t('quick.noRecent')}</p>`;
+                return;
+            }
+
+            container.innerHTML = events
+                .map(event => `<div class="recent-entry">${utils.escapeHtml(i18nManager.t('quick.recentEntry', {
+                    count: event.amount,
+                    // A sequence's step is the one the count landed in
+                    phrase: trackerManager.getPhrase({ ...tracker, count: event.count }),
+                    date: utils.formatDate(new Date(event.time))
+                }))}</div>`)
+                .join('');
+        }
+    };
+
+    // Backup Format
+    //
+    // Version 3 (current):
+    // {
+    //   version: 3,
+    //   exportDate: ISO date string,
+    //   trackers: [{
+    //     id, name, phrase: non-empty strings; ids are unique
+    //     count, rounds: whole numbers, 0 or more
+    //     target: whole number above 0, or null for no round target
+    //     vibration: boolean
+    //     longPressStep?: whole number above 0, added by a long press
+    //     sound?: one of CONFIG.COUNT_SOUNDS, played for each count
+    //     hapticPattern?: [milliseconds, alternately vibrating and pausing], for each count
+    //     hapticMilestones?: [{ every: whole number above 0, pattern: as hapticPattern }]
+    //     reminder?: { times: ['HH:MM', ...] (up to CONFIG.REMINDERS.TIME_LIMIT), days: [0-6, ...] }, or null
+    //     phraseId?: id of the phrase library entry the tracker was made from
+    //     showArabic?: boolean
+    //     groupId?: id of one of the groups below, or null
+    //     status?: 'active' | 'archived' | 'trashed'
+    //     archivedAt?, trashedAt?: ISO date strings (or null), when it was archived or trashed
+    //     type?: 'counter' | 'sequence'
+    //     steps?: [{ phrase: non-empty string, target: whole number above 0 }], for sequences;
+    //             target is then the sum of the step targets
+    //     created?, lastUpdated?, lastReset?: ISO date strings (or null)
+    //     resetSchedule?: { type: 'never' | 'daily' | 'weekly' | 'monthly',
+    //                       time: 'HH:MM', weekday: 0-6, dayOfMonth: 1-31,
+    //                       anchor?: 'fajr' | 'sunrise' | 'dhuhr' | 'asr' | 'maghrib' | 'isha' | null }
+    //   }],
+    //   settings?: { vibrationEnabled?, soundEnabled?: boolean, soundVolume?: 0-1, fontSize?: 10-40, lineHeight?: 1-3,
+    //                trashRetentionDays?: one of CONFIG.TRASH_RETENTION_OPTIONS,
+    //                focusPalette?: one of CONFIG.FOCUS_PALETTES,
+    //                prayer?: { latitude, longitude: degrees or null, timeZone: IANA name or '' for the device's,
+    //                           method: one of the keys of CONFIG.PRAYER_METHODS, asr: one of the keys of CONFIG.ASR_METHODS },
+    //                dateCalendar?: one of CONFIG.DATE_CALENDARS, hijriCalendar?: one of CONFIG.HIJRI_CALENDARS,
+    //                hijriAdjustment?: one of CONFIG.HIJRI_ADJUSTMENTS, dayStartsAtMaghrib?: boolean,
+    //                locale?: one of the keys of CONFIG.LOCALES, numerals?: one of CONFIG.NUMERALS },
+    //   theme?: 'light' | 'dark' | 'oasis',
+    //   phrases?: [{ id, transliteration: non-empty strings; arabic?, meaning?, source?: strings }],
+    //             the user's own phrase library entries
+    //   groups?: [{ id, name: non-empty strings }], in display order
+    //   history?: {
+    //     events: [{ trackerId, type: 'increment' | 'decrement' | 'reset' | 'restore',
+    //                amount: whole number, count: whole number >= 0, time: ISO date string, scheduled?: boolean }],
+    //     dailyTotals: { [trackerId]: { 'YYYY-MM-DD': { added, removed, resets } } }
+    //   }
+    // }
+    //
+    // Version 2 trackers carried only id, name, phrase, count, rounds, target, vibration, the dates
+    // and resetSchedule (without anchor), and settings only vibrationEnabled, soundEnabled, fontSize
+    // and lineHeight. Settings a backup lacks keep their current values, so only trackers are filled in.
+    //
+    // Version 1 (written as version: '1.0', or no version at all) had no history, and trackers
+    // carried only id, name, phrase, count, vibration and created.
+    const backupManager = {
+        CURRENT_VERSION: 3,
+
+        // Each entry upgrades a backup from that version to the next one
+        MIGRATIONS: {
+            1: (data) => ({
+                ...data,
+                version: 2,
+                trackers: Array.isArray(data.trackers)
+                    ? data.trackers.map(tracker => ({ target: null, rounds: 0, vibration: true, ...tracker }))
+                    : data.trackers,
+                history: { events: [], dailyTotals: {} }
+            }),
+            2: (data) => ({
+                ...data,
+                version: 3,
+                trackers: Array.isArray(data.trackers)
+                    ? data.trackers.map(tracker => ({
+                        type: 'counter',
+                        longPressStep: CONFIG.DEFAULT_LONG_PRESS_STEP,
+                        sound: 'click',
+                        hapticPattern: [...CONFIG.VIBRATION_PATTERNS.single],
+                        hapticMilestones: [],
+                        reminder: null,
+                        showArabic: true,
+                        groupId: null,
+                        status: 'active',
+                        ...tracker
+                    }))
+                    : data.trackers
+            })
+        },
+
+        createBackup: () => ({
+            version: backupManager.CURRENT_VERSION,
+            exportDate: new Date().toISOString(),
+            trackers: state.trackers,
+            settings: state.settings,
+            theme: state.currentTheme,
+            phrases: phraseManager.getCustomPhrases(),
+            groups: groupManager.getGroups(),
+            history: {
+                events: historyManager.getEvents(),
+                dailyTotals: historyManager.getDailyTotals()
+            }
+        }),
+
+        // '1.0' and missing versions are the original format; anything unreadable is NaN
+        getVersion: (data) => {
+            if (data.version === undefined || data.version === '1.0') return 1;
+            return typeof data.version === 'number' ? data.version : parseInt(data.version, 10);
+        },
+
+        // Upgrade and validate a parsed backup. Returns { data, errors, fromVersion }.
+        prepare: (raw) => {
+            if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+                return { data: null, fromVersion: null, errors: [{ path: '(file)', message: 'is not a backup object' }] };
+            }
+
+            const fromVersion = backupManager.getVersion(raw);
+
+            if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+                return { data: null, fromVersion, errors: [{ path: 'version', message: `"${raw.version}" is not a known backup version` }] };
+            }
+
+            if (fromVersion > backupManager.CURRENT_VERSION) {
+                return { data: null, fromVersion, errors: [{ path: 'version', message: `${fromVersion} is newer than this app supports (${backupManager.CURRENT_VERSION}); please update the app` }] };
+            }
+
+            let data = raw;
+            for (let version = fromVersion; version < backupManager.CURRENT_VERSION; version++) {
+                data = backupManager.MIGRATIONS[version](data);
+            }
+
+            return { data, fromVersion, errors: backupManager.validate(data) };
+        },
+
+        // Check a current-version backup field by field; returns a list of { path, message }
+        validate: (data) => {
+            const errors = [];
+            const check = (condition, path, message) => {
+                if (!condition) errors.push({ path, message });
+            };
+            const isText = (value) => typeof value === 'string' && value.trim() !== '';
+            const isWhole = (value, min = 0) => Number.isInteger(value) && value >= min;
+            const isDate = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+            const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+            check(isDate(data.exportDate) || data.exportDate === undefined, 'exportDate', 'must be a date');
+
+            if (!Array.isArray(data.trackers)) {
+                check(false, 'trackers', 'must be a list of trackers');
+            } else {
+                const ids = new Set();
+                data.trackers.forEach((tracker, index) => {
+                    const path = `trackers[${index}]`;
+                    if (!isObject(tracker)) {
+                        check(false, path, 'must be a tracker object');
+                        return;
+                    }
+
+                    // Ids go into markup and selectors unescaped, so they are kept to the characters ours use
+                    check(typeof tracker.id === 'string' && /^[\w-]+$/.test(tracker.id), `${path}.id`, 'must be letters, digits, - or _');
+                    check(!ids.has(tracker.id), `${path}.id`, `"${tracker.id}" is used by more than one tracker`);
+                    ids.add(tracker.id);
+                    check(isText(tracker.name), `${path}.name`, 'must be a non-empty string');
+                    check(isText(tracker.phrase), `${path}.phrase`, 'must be a non-empty string');
+                    check(isWhole(tracker.count), `${path}.count`, 'must be a whole number, 0 or more');
+                    check(isWhole(tracker.rounds), `${path}.rounds`, 'must be a whole number, 0 or more');
+                    check(tracker.target === null || isWhole(tracker.target, 1), `${path}.target`, 'must be a whole number above 0, or null');
+                    check(typeof tracker.vibration === 'boolean', `${path}.vibration`, 'must be true or false');
+                    check(tracker.hapticPattern === undefined || hapticsManager.isPattern(tracker.hapticPattern),
+                        `${path}.hapticPattern`, `must be a list of up to ${CONFIG.HAPTIC_LIMITS.STEPS} durations from 0 to ${CONFIG.HAPTIC_LIMITS.STEP_MS} ms, starting above 0`);
+                    check(tracker.hapticMilestones === undefined || (Array.isArray(tracker.hapticMilestones) && tracker.hapticMilestones.every(hapticsManager.isMilestone)),
+                        `${path}.hapticMilestones`, 'must be a list of { every, pattern } milestones');
+                    check(tracker.sound === undefined || CONFIG.COUNT_SOUNDS.includes(tracker.sound), `${path}.sound`, `must be one of ${CONFIG.COUNT_SOUNDS.join(', ')}`);
+                    check(tracker.longPressStep === undefined || isWhole(tracker.longPressStep, 1), `${path}.longPressStep`, 'must be a whole number above 0');
+                    check(tracker.reminder == null || reminderManager.isReminder(tracker.reminder), `${path}.reminder`, 'must be { times, days } with HH:MM or prayer times and days 0-6');
+
+                    check(tracker.phraseId === undefined || isText(tracker.phraseId), `${path}.phraseId`, 'must be a non-empty string');
+                    check(tracker.showArabic === undefined || typeof tracker.showArabic === 'boolean', `${path}.showArabic`, 'must be true or false');
+                    check(tracker.groupId == null || isText(tracker.groupId), `${path}.groupId`, 'must be a non-empty string or null');
+                    check(tracker.status === undefined || archiveManager.STATUSES.includes(tracker.status), `${path}.status`, 'must be active, archived or trashed');
+                    check(tracker.type === undefined || ['counter', 'sequence'].includes(tracker.type), `${path}.type`, 'must be counter or sequence');
+                    if (tracker.type === 'sequence') {
+                        if (!Array.isArray(tracker.steps) || tracker.steps.length === 0) {
+                            check(false, `${path}.steps`, 'must be a list of steps');
+                        } else {
+                            tracker.steps.forEach((step, stepIndex) => {
+                                const stepPath = `${path}.steps[${stepIndex}]`;
+                                check(isObject(step) && isText(step.phrase), `${stepPath}.phrase`, 'must be a non-empty string');
+                                check(isObject(step) && isWhole(step.target, 1), `${stepPath}.target`, 'must be a whole number above 0');
+                            });
+                            const total = tracker.steps.reduce((sum, step) => sum + (step && step.target), 0);
+                            check(tracker.target === total, `${path}.target`, `must be ${total}, the sum of the step targets`);
+                        }
+                    }
+
+                    ['created', 'lastUpdated', 'lastReset', 'archivedAt', 'trashedAt'].forEach(field => {
+                        check(tracker[field] == null || isDate(tracker[field]), `${path}.${field}`, 'must be a date');
+                    });
+
+                    const schedule = tracker.resetSchedule;
+                    if (schedule !== undefined) {
+                        const schedulePath = `${path}.resetSchedule`;
+                        if (!isObject(schedule)) {
+                            check(false, schedulePath, 'must be a schedule object');
+                        } else {
+                            check(['never', 'daily', 'weekly', 'monthly'].includes(schedule.type), `${schedulePath}.type`, 'must be never, daily, weekly or monthly');
+                            check(schedule.time === undefined || /^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time), `${schedulePath}.time`, 'must be a 24-hour time like 05:30');
+                            check(schedule.weekday === undefined || (isWhole(schedule.weekday) && schedule.weekday <= 6), `${schedulePath}.weekday`, 'must be 0 (Sunday) to 6 (Saturday)');
+                            check(schedule.dayOfMonth === undefined || (isWhole(schedule.dayOfMonth, 1) && schedule.dayOfMonth <= 31), `${schedulePath}.dayOfMonth`, 'must be 1 to 31');
+                            check(schedule.anchor == null || prayerTimeManager.ANCHORS.includes(schedule.anchor), `${schedulePath}.anchor`, `must be one of ${prayerTimeManager.ANCHORS.join(', ')}, or null`);
+                        }
+                    }
+                });
+            }
+
+            if (data.phrases !== undefined) {
+                if (!Array.isArray(data.phrases)) {
+                    check(false, 'phrases', 'must be a list of phrases');
+                } else {
+                    data.phrases.forEach((phrase, index) => {
+                        const path = `phrases[${index}]`;
+                        if (!isObject(phrase)) {
+                            check(false, path, 'must be a phrase object');
+                            return;
+                        }
+                        check(isText(phrase.id), `${path}.id`, 'must be a non-empty string');
+                        check(isText(phrase.transliteration), `${path}.transliteration`, 'must be a non-empty string');
+                        ['arabic', 'meaning', 'source'].forEach(field => {
+                            check(phrase[field] === undefined || typeof phrase[field] === 'string', `${path}.${field}`, 'must be text');
+                        });
+                    });
+                }
+            }
+
+            if (data.groups !== undefined) {
+                if (!Array.isArray(data.groups)) {
+                    check(false, 'groups', 'must be a list of groups');
+                } else {
+                    data.groups.forEach((group, index) => {
+                        const path = `groups[${index}]`;
+                        check(isObject(group) && isText(group.id), `${path}.id`, 'must be a non-empty string');
+                        check(isObject(group) && isText(group.name), `${path}.name`, 'must be a non-empty string');
+                    });
+                }
+            }
+
+            if (data.settings !== undefined) {
+                if (!isObject(data.settings)) {
+                    check(false, 'settings', 'must be a settings object');
+                } else {
+                    const { vibrationEnabled, soundEnabled, soundVolume, fontSize, lineHeight, trashRetentionDays, focusPalette, prayer,
+                        dateCalendar, hijriCalendar, hijriAdjustment, dayStartsAtMaghrib, locale, numerals } = data.settings;
+                    check(vibrationEnabled === undefined || typeof vibrationEnabled === 'boolean', 'settings.vibrationEnabled', 'must be true or false');
+                    check(soundEnabled === undefined || typeof soundEnabled === 'boolean', 'settings.soundEnabled', 'must be true or false');
+                    check(soundVolume === undefined || (typeof soundVolume === 'number' && soundVolume >= 0 && soundVolume <= 1), 'settings.soundVolume', 'must be a number from 0 to 1');
+                    check(fontSize === undefined || (typeof fontSize === 'number' && fontSize >= 10 && fontSize <= 40), 'settings.fontSize', 'must be a number from 10 to 40');
+                    check(lineHeight === undefined || (typeof lineHeight === 'number' && lineHeight >= 1 && lineHeight <= 3), 'settings.lineHeight', 'must be a number from 1 to 3');
+                    check(trashRetentionDays === undefined || CONFIG.TRASH_RETENTION_OPTIONS.includes(trashRetentionDays),
+                        'settings.trashRetentionDays', `must be one of ${CONFIG.TRASH_RETENTION_OPTIONS.join(', ')}`);
+                    check(focusPalette === undefined || CONFIG.FOCUS_PALETTES.includes(focusPalette),
+                        'settings.focusPalette', `must be one of ${CONFIG.FOCUS_PALETTES.join(', ')}`);
+                    check(prayer === undefined || prayerTimeManager.isSettings(prayer), 'settings.prayer', 'must be { latitude, longitude, timeZone, method, asr } with a known method and time zone');
+                    check(dateCalendar === undefined || CONFIG.DATE_CALENDARS.includes(dateCalendar),
+                        'settings.dateCalendar', `must be one of ${CONFIG.DATE_CALENDARS.join(', ')}`);
+                    check(hijriCalendar === undefined || CONFIG.HIJRI_CALENDARS.includes(hijriCalendar),
+                        'settings.hijriCalendar', `must be one of ${CONFIG.HIJRI_CALENDARS.join(', ')}`);
+                    check(hijriAdjustment === undefined || CONFIG.HIJRI_ADJUSTMENTS.includes(hijriAdjustment),
+                        'settings.hijriAdjustment', `must be one of ${CONFIG.HIJRI_ADJUSTMENTS.join(', ')}`);
+                    check(dayStartsAtMaghrib === undefined || typeof dayStartsAtMaghrib === 'boolean', 'settings.dayStartsAtMaghrib', 'must be true or false');
+                    check(locale === undefined || Object.hasOwn(CONFIG.LOCALES, locale),
+                        'settings.locale', `must be one of ${Object.keys(CONFIG.LOCALES).join(', ')}`);
+                    check(numerals === undefined || CONFIG.NUMERALS.includes(numerals),
+                        'settings.numerals', `must be one of ${CONFIG.NUMERALS.join(', ')}`);
+                }
+            }
+
+            check(data.theme === undefined || Object.values(CONFIG.THEMES).includes(data.theme), 'theme', `must be one of ${Object.values(CONFIG.THEMES).join(', ')}`);
+
+            if (data.history !== undefined) {
+                if (!isObject(data.history)) {
+                    check(false, 'history', 'must be a history object');
+                } else {
+                    const { events, dailyTotals } = data.history;
+
+                    if (!Array.isArray(events)) {
+                        check(false, 'history.events', 'must be a list of events');
+                    } else {
+                        events.forEach((event, index) => {
+                            const path = `history.events[${index}]`;
+                            if (!isObject(event)) {
+                                check(false, path, 'must be an event object');
+                                return;
+                            }
+                            check(isText(event.trackerId), `${path}.trackerId`, 'must be a non-empty string');
+                            check(['increment', 'decrement', 'reset', 'restore'].includes(event.type), `${path}.type`, 'must be increment, decrement, reset or restore');
+                            check(Number.isInteger(event.amount), `${path}.amount`, 'must be a whole number');
+                            check(isWhole(event.count), `${path}.count`, 'must be a whole number, 0 or more');
+                            check(isDate(event.time), `${path}.time`, 'must be a date');
+                        });
+                    }
+
+                    if (!isObject(dailyTotals)) {
+                        check(false, 'history.dailyTotals', 'must be an object of daily totals');
+                    } else {
+                        Object.entries(dailyTotals).forEach(([trackerId, days]) => {
+                            if (!isObject(days)) {
+                                check(false, `history.dailyTotals.${trackerId}`, 'must be an object of days');
+                                return;
+                            }
+                            Object.entries(days).forEach(([dayKey, totals]) => {
+                                const path = `history.dailyTotals.${trackerId}.${dayKey}`;
+                                check(/^\d{4}-\d{2}-\d{2}$/.test(dayKey), path, 'day must be written as YYYY-MM-DD');
+                                check(isObject(totals) && ['added', 'removed', 'resets'].every(field => isWhole(totals[field])),
+                                    path, 'must have whole-number added, removed and resets');
+                            });
+                        });
+                    }
+                }
+            }
+
+            return errors;
+        },
+
+        // Values of the per-tracker picker, each labelled by `import.strategy.<value>`
+        CONFLICT_STRATEGIES: ['local', 'imported', 'higher', 'sum'],
+
+        trackersDiffer: (a, b) => {
+            return a.count !== b.count || a.name !== b.name || a.phrase !== b.phrase || a.target !== b.target
+                || (a.status || 'active') !== (b.status || 'active') || JSON.stringify(a.steps) !== JSON.stringify(b.steps);
+        },
+
+        // Describe what a full replace would change, one line per change
+        describeReplace: (data) => {
+            const { t } = i18nManager;
+            const changes = [];
+            const incomingIds = new Set(data.trackers.map(t => t.id));
+
+            data.trackers.forEach(incoming => {
+                const existing = state.trackers.find(t => t.id === incoming.id);
+                if (!existing) {
+                    changes.push(t('import.add', { name: incoming.name, count: incoming.count }));
+                } else if (backupManager.trackersDiffer(existing, incoming)) {
+                    changes.push(t('import.replace', {
+                        name: existing.name,
+                        count: existing.count,
+                        newName: incoming.name,
+                        newCount: incoming.count
+                    }));
+                }
+            });
+
+            state.trackers
+                .filter(tracker => !incomingIds.has(tracker.id))
+                .forEach(tracker => changes.push(t('import.remove', { name: tracker.name, count: tracker.count })));
+
+            if (data.theme && data.theme !== state.currentTheme) {
+                changes.push(t('import.theme', { from: t(`theme.${state.currentTheme}`), to: t(`theme.${data.theme}`) }));
+            }
+
+            if (data.settings) {
+                Object.entries(data.settings)
+                    .filter(([key, value]) => key in state.settings && state.settings[key] !== value)
+                    .forEach(([key, value]) => changes.push(t('import.setting', { key, from: String(state.settings[key]), to: String(value) })));
+            }
+
+            if (data.phrases) {
+                changes.push(t('import.phrases', { count: data.phrases.length }));
+            }
+
+            if (data.groups) {
+                changes.push(t('import.groups', { count: data.groups.length }));
+            }
+
+            if (data.history) {
+                changes.push(t('import.history', { count: data.history.events.length }));
+            }
+
+            return changes;
+        },
+
+        // Merge preview: plain lines, plus a strategy picker for each tracker that differs on both sides
+        renderMergeChanges: (data, defaultStrategy) => {
+            const { t } = i18nManager;
+            const text = (key, params) => utils.escapeHtml(t(key, params));
+            const incomingIds = new Set(data.trackers.map(tracker => tracker.id));
+            const options = backupManager.CONFLICT_STRATEGIES
+                .map(value => `<option value="${value}"${value === defaultStrategy ? ' selected' : ''}>${text(`import.strategy.${value}`)}</option>`)
+                .join('');
+            const items = [];
+
+            data.trackers.forEach(incoming => {
+                const local = state.trackers.find(tracker => tracker.id === incoming.id);
+
+                if (!local) {
+                    items.push(`<li>${text('import.add', { name: incoming.name, count: incoming.count })}</li>`);
+                } else if (!backupManager.trackersDiffer(local, incoming)) {
+                    items.push(`<li>${text('import.skip', { name: local.name })}</li>`);
+                } else {
+                    const selectId = `conflict-${utils.escapeHtml(local.id)}`;
+                    items.push(`
+                        <li class="import-conflict">
+                            <label for="${selectId}">${text('import.conflict', { name: local.name, count: local.count, newCount: incoming.count })}</label>
+                            <select id="${selectId}" data-conflict-id="${utils.escapeHtml(local.id)}">${options}</select>
+                        </li>
+                    `);
+                }
+            });
+
+            state.trackers
+                .filter(tracker => !incomingIds.has(tracker.id))
+                .forEach(tracker => items.push(`<li>${text('import.keep', { name: tracker.name })}</li>`));
+
+            const newPhrases = backupManager.getNewPhrases(data);
+            if (newPhrases.length > 0) {
+                items.push(`<li>${text('import.addPhrases', { count: newPhrases.length })}</li>`);
+            }
+
+            const newGroups = backupManager.getNewGroups(data);
+            if (newGroups.length > 0) {
+                items.push(`<li>${text('import.addGroups', { count: newGroups.length })}</li>`);
+            }
+
+            items.push(`<li>${text('import.settingsKept')}</li>`);
+
+            return items.join('');
+        },
+
+        // Phrases in the backup that this device doesn't have yet
+        getNewPhrases: (data) => {
+            const local = phraseManager.getCustomPhrases();
+            return (data.phrases || []).filter(phrase => !local.some(e => e.id === phrase.id));
+        },
+
+        // Groups in the backup that this device doesn't have yet
+        getNewGroups: (data) => {
+            const local = groupManager.getGroups();
+            return (data.groups || []).filter(group => !local.some(g => g.id === group.id));
+        },
+
+        // Settle one tracker that exists on both sides
+        resolveConflict: (local, incoming, strategy) => {
+            const latest = [local.lastUpdated, incoming.lastUpdated]
+                .filter(Boolean)
+                .sort()
+                .pop() || null;
+
+            // Our tracker at another count, with rounds (and a sequence's step, which follows from the
+            // count) moved on by the round boundaries crossed, as a tap would
+            const withCount = (count) => {
+                const merged = { ...local, count, lastUpdated: latest };
+                trackerManager.updateRounds(merged, local.count);
+                return merged;
+            };
+
+            switch (strategy) {
+                case 'imported':
+                    return { ...incoming };
+                case 'higher':
+                    return incoming.count > local.count ? withCount(incoming.count) : local;
+                case 'sum':
+                    return withCount(local.count + incoming.count);
+                default:
+                    return local;
+            }
+        },
+
+        // Merge by tracker id. `resolutions` maps conflicting ids to a CONFLICT_STRATEGIES key.
+        mergeTrackers: (data, resolutions) => {
+            const summary = { added: 0, updated: 0, skipped: 0 };
+
+            const trackers = state.trackers.map(local => {
+                const incoming = data.trackers.find(t => t.id === local.id);
+                if (!incoming) return local;
+
+                const resolved = backupManager.trackersDiffer(local, incoming)
+                    ? backupManager.resolveConflict(local, trackerManager.normalizeTracker(incoming), resolutions[local.id])
+                    : local;
+
+                if (resolved === local) {
+                    summary.skipped += 1;
+                } else {
+                    summary.updated += 1;
+                }
+                return resolved;
+            });
+
+            data.trackers
+                .filter(incoming => !state.trackers.some(t => t.id === incoming.id))
+                .forEach(incoming => {
+                    trackers.push(trackerManager.normalizeTracker(incoming));
+                    summary.added += 1;
+                });
+
+            return { trackers, summary };
+        },
+
+        getImportMode: () => document.querySelector('input[name="import-mode"]:checked')?.value || 'replace',
+
+        renderChanges: () => {
+            const data = state.pendingImport;
+            const changesList = document.getElementById('import-changes');
+            const mergeOptions = document.getElementById('import-merge-options');
+            const strategySelect = document.getElementById('import-conflict-strategy');
+
+            if (!data || !changesList) return;
+
+            const mode = backupManager.getImportMode();
+            if (mergeOptions) {
+                mergeOptions.hidden = mode !== 'merge';
+            }
+
+            if (mode === 'merge') {
+                changesList.innerHTML = backupManager.renderMergeChanges(data, strategySelect?.value || 'local');
+                return;
+            }
+
+            const changes = backupManager.describeReplace(data);
+            changesList.innerHTML = changes.length
+                ? changes.map(change => `<li>${utils.escapeHtml(change)}</li>`).join('')
+                : `<li>${utils.escapeHtml(i18nManager.t('import.noChanges'))}</li>`;
+        },
+
+        showPreview: ({ data, errors, fromVersion }, fileName, { mode = 'replace', strategy = 'local' } = {}) => {
+            const summary = document.getElementById('import-summary');
+            const changesList = document.getElementById('import-changes');
+            const errorsList = document.getElementById('import-errors');
+            const modeFieldset = document.getElementById('import-mode');
+            const mergeOptions = document.getElementById('import-merge-options');
+            const confirmBtn = document.getElementById('confirm-import');
+
+            if (!summary || !changesList || !errorsList) return;
+
+            const { t } = i18nManager;
+            const upgraded = fromVersion && fromVersion < backupManager.CURRENT_VERSION
+                ? ` · ${t('import.upgraded', { version: fromVersion })}`
+                : '';
+            const exported = data?.exportDate ? ` · ${t('import.exported', { date: utils.formatDate(new Date(data.exportDate)) })}` : '';
+            summary.textContent = `${fileName}${exported}${upgraded}`;
+
+            if (errors.length > 0) {
+                state.pendingImport = null;
+                changesList.innerHTML = '';
+                errorsList.innerHTML = `<li class="import-errors-title">${utils.escapeHtml(t('import.invalid'))}</li>` + errors
+                    .map(error => `<li><code>${utils.escapeHtml(error.path)}</code> ${utils.escapeHtml(error.message)}</li>`)
+                    .join('');
+            } else {
+                state.pendingImport = data;
+                errorsList.innerHTML = '';
+                const modeRadio = document.querySelector(`input[name="import-mode"][value="${mode}"]`);
+                if (modeRadio) modeRadio.checked = true;
+                const strategySelect = document.getElementById('import-conflict-strategy');
+                if (strategySelect) strategySelect.value = strategy;
+                backupManager.renderChanges();
+            }
+
+            if (modeFieldset) {
+                modeFieldset.hidden = errors.length > 0;
+            }
+            if (mergeOptions && errors.length > 0) {
+                mergeOptions.hidden = true;
+            }
+            if (confirmBtn) {
+                confirmBtn.disabled = errors.length > 0;
+            }
+
+            modalManager.openModal('import-preview-modal');
+        },
+
+        applyPendingImport: () => {
+            const data = state.pendingImport;
+            if (!data) return;
+
+            if (backupManager.getImportMode() === 'merge') {
+                backupManager.applyMerge(data);
+            } else {
+                backupManager.applyReplace(data);
+            }
+
+            state.pendingImport = null;
+            modalManager.closeModal('import-preview-modal');
+        },
+
+        applyMerge: (data) => {
+            const resolutions = {};
+            document.querySelectorAll('[data-conflict-id]').forEach(select => {
+                resolutions[select.dataset.conflictId] = select.value;
+            });
+
+            const { trackers, summary } = backupManager.mergeTrackers(data, resolutions);
+            state.trackers = trackers;
+            trackerManager.saveTrackers();
+
+            const newPhrases = backupManager.getNewPhrases(data);
+            if (newPhrases.length > 0) {
+                phraseManager.setCustomPhrases([...phraseManager.getCustomPhrases(), ...newPhrases]);
+            }
+
+            const newGroups = backupManager.getNewGroups(data);
+            if (newGroups.length > 0) {
+                groupManager.saveGroups([...groupManager.getGroups(), ...newGroups]);
+            }
+
+            const newEvents = data.history ? historyManager.mergeHistory(data.history) : 0;
+            trackerManager.renderTrackers();
+
+            const history = newEvents > 0 ? i18nManager.t('toast.mergedHistory', { count: newEvents }) : '';
+            utils.showToast(i18nManager.t('toast.merged', { ...summary, history }));
+        },
+
+        applyReplace: (data) => {
+            const writes = [];
+            state.trackers = data.trackers.map(trackerManager.normalizeTracker);
+            trackerManager.saveTrackers();
+
+            if (data.phrases) {
+                phraseManager.setCustomPhrases(data.phrases);
+            }
+
+            if (data.groups) {
+                groupManager.saveGroups(data.groups);
+            }
+
+            if (data.history) {
+                writes.push(
+                    storage.set(CONFIG.STORAGE_KEYS.HISTORY, data.history.events),
+                    storage.set(CONFIG.STORAGE_KEYS.DAILY_TOTALS, data.history.dailyTotals)
+                );
+                syncManager.publish('history', data.history);
+            }
+
+            trackerManager.renderTrackers();
+
+            if (data.theme) {
+                themeManager.setTheme(data.theme, false);
+            }
+
+            if (data.settings) {
+                // Only settings this version knows about are taken from the file
+                Object.keys(state.settings).forEach(key => {
+                    if (data.settings[key] !== undefined) {
+                        state.settings[key] = data.settings[key];
+                    }
+                });
+                storage.set(CONFIG.STORAGE_KEYS.SETTINGS, state.settings);
+                prayerTimeManager.cache.clear();
+                i18nManager.applyLocale();
+                i18nManager.refresh();
+            }
+
+            // History is the bulk of a backup; don't claim success if it didn't fit (the failure has its own toast)
+            Promise.all(writes).then(saved => {
+                if (saved.every(Boolean)) utils.showToast(i18nManager.t('toast.imported'));
+            });
+        }
+    };
+
+    // CSV Export and Import
+    const csvManager = {
+        // Columns we can read, with header names each is recognised by when guessing the mapping.
+        // Each is labelled by `csv.<kind>.<key>`; exported headers stay in English so files read back anywhere.
+        FIELDS: {
+            trackers: [
+                { key: 'id', aliases: ['id', 'trackerid'] },
+                { key: 'name', required: true, aliases: ['name', 'tracker', 'trackername'] },
+                { key: 'phrase', required: true, aliases: ['phrase', 'dhikr', 'dhikrphrase', 'text'] },
+                { key: 'count', aliases: ['count', 'total'] },
+                { key: 'target', aliases: ['target', 'roundtarget'] },
+                { key: 'created', aliases: ['created', 'createddate', 'date'] }
+            ],
+            history: [
+                { key: 'trackerId', aliases: ['trackerid', 'id'] },
+                { key: 'tracker', aliases: ['tracker', 'trackername', 'name'] },
+                { key: 'type', aliases: ['type', 'action'] },
+                { key: 'amount', required: true, aliases: ['amount', 'change'] },
+                { key: 'count', aliases: ['count', 'countafter'] },
+                { key: 'time', required: true, aliases: ['time', 'date', 'timestamp'] }
+            ]
+        },
+
+        FORMULA_START: /^[=+\-@\t\r]/,
+
+        // Quote a cell when it holds a comma, quote, line break or edge whitespace (RFC 4180).
+        // Text a spreadsheet would run as a formula gets a leading ' so it stays text.
+        toCell: (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value === 'string' && csvManager.FORMULA_START.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        },
+
+        // The byte-order mark lets spreadsheet apps detect UTF-8, so Arabic text opens correctly
+        stringify: (rows) => '\uFEFF' + rows.map(row => row.map(csvManager.toCell).join(',')).join('\r\n') + '\r\n',
+
+        // Parse CSV text into rows of cells, handling quoted commas, quotes and line breaks
+        parse: (text) => {
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let inQuotes = false;
+            const source = text.replace(/^\uFEFF/, '');
+
+            for (let i = 0; i < source.length; i++) {
+                const char = source[i];
+
+                if (inQuotes) {
+                    if (char === '"' && source[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        inQuotes = false;
+                    } else {
+                        cell += char;
+                    }
+                } else if (char === '"') {
+                    inQuotes = true;
+                } else if (char === ',') {
+                    row.push(cell);
+                    cell = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && source[i + 1] === '\n') i++;
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+
+            if (cell !== '' || row.length > 0) {
+                row.push(cell);
+                rows.push(row);
+            }
+
+            // Blank lines carry no data
+            return rows.filter(cells => cells.some(value => value.trim() !== ''));
+        },
+
+        exportTrackers: () => {
+            const rows = [['ID', 'Name', 'Phrase', 'Count', 'Target', 'Created']];
+            state.trackers.forEach(tracker => {
+                rows.push([tracker.id, tracker.name, tracker.phrase, tracker.count, tracker.target ?? '', tracker.created || '']);
+            });
+
+            utils.downloadFile(
+                csvManager.stringify(rows),
+                `spiritual-count-trackers-${utils.getFileDate()}.csv`,
+                'text/csv;charset=utf-8'
+            );
+            utils.showToast(i18nManager.t('toast.csvTrackers'));
+        },
+
+        exportHistory: () => {
+            const rows = [['Time', 'Tracker ID', 'Tracker', 'Type', 'Amount', 'Count']];
+            historyManager.getEvents().forEach(event => {
+                const tracker = state.trackers.find(t => t.id === event.trackerId);
+                rows.push([event.time, event.trackerId, tracker ? tracker.name : '', event.type, event.amount, event.count]);
+            });
+
+            utils.downloadFile(
+                csvManager.stringify(rows),
+                `spiritual-count-history-${utils.getFileDate()}.csv`,
+                'text/csv;charset=utf-8'
+            );
+            utils.showToast(i18nManager.t('toast.csvHistory'));
+        },
+
+        normalizeHeader: (header) => header.toLowerCase().replace(/[^a-z0-9]/g, ''),
+
+        // Column index a field most likely lives in, or -1
+        guessColumn: (headers, field) => {
+            return headers.findIndex(header => field.aliases.includes(csvManager.normalizeHeader(header)));
+        },
+
+        showMapping: (text, fileName) => {
+            const rows = csvManager.parse(text);
+
+            if (rows.length < 2) {
+                utils.showToast(i18nManager.t('toast.csvEmpty'), 'error');
+                return;
+            }
+
+            const [headers, ...dataRows] = rows;
+            state.pendingCsv = { headers, rows: dataRows, fileName };
+
+            const summary = document.getElementById('csv-summary');
+            if (summary) {
+                summary.textContent = `${fileName} · ${i18nManager.t('csv.rows', { count: dataRows.length })}`;
+            }
+
+            // History exports are the ones with an amount column
+            const kindSelect = document.getElementById('csv-kind');
+            if (kindSelect) {
+                const amountField = csvManager.FIELDS.history.find(field => field.key === 'amount');
+                kindSelect.value = csvManager.guessColumn(headers, amountField) >= 0 ? 'history' : 'trackers';
+            }
+
+            csvManager.renderMapping();
+            modalManager.openModal('csv-import-modal');
+        },
+
+        renderMapping: () => {
+            const pending = state.pendingCsv;
+            const mapping = document.getElementById('csv-mapping');
+            const preview = document.getElementById('csv-preview');
+            const kind = document.getElementById('csv-kind')?.value || 'trackers';
+
+            if (!pending || !mapping) return;
+
+            const columnOptions = pending.headers
+                .map((header, index) => `<option value="${index}">${utils.escapeHtml(header || i18nManager.t('csv.column', { index: index + 1 }))}</option>`)
+                .join('');
+
+            mapping.innerHTML = csvManager.FIELDS[kind].map(field => `
+                <div class="csv-mapping-row">
+                    <label for="csv-field-${field.key}">${utils.escapeHtml(i18nManager.t(`csv.${kind}.${field.key}`))}${field.required ? ' *' : ''}</label>
+                    <select id="csv-field-${field.key}" data-field="${field.key}">
+                        <option value="">${utils.escapeHtml(i18nManager.t('csv.notInFile'))}</option>
+                        ${columnOptions}
+                    </select>
+                </div>
+            `).join('');
+
+            // Preselect the column whose header matches each field
+            csvManager.FIELDS[kind].forEach(field => {
+                const select = document.getElementById(`csv-field-${field.key}`);
+                const guessed = csvManager.guessColumn(pending.headers, field);
+                if (select && guessed >= 0) {
+                    select.value = String(guessed);
+                }
+            });
+
+            if (preview) {
+                const head = pending.headers.map(header => `<th scope="col">${utils.escapeHtml(header)}</th>`).join('');
+                const body = pending.rows.slice(0, 3)
+                    .map(row => `<tr>${pending.headers.map((_, index) => `<td>${utils.escapeHtml(row[index] ?? '')}</td>`).join('')}</tr>`)
+                    .join('');
+                preview.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+            }
+        },
+
+        // Read the chosen mapping into { fieldKey: columnIndex }
+        readMapping: () => {
+            const columns = {};
+            document.querySelectorAll('#csv-mapping [data-field]').forEach(select => {
+                if (select.value !== '') {
+                    columns[select.dataset.field] = parseInt(select.value, 10);
+                }
+            });
+            return columns;
+        },
+
+        applyMapping: () => {
+            const pending = state.pendingCsv;
+            if (!pending) return;
+
+            const kind = document.getElementById('csv-kind')?.value || 'trackers';
+            const columns = csvManager.readMapping();
+            const missing = csvManager.FIELDS[kind]
+                .filter(field => field.required && columns[field.key] === undefined)
+                .map(field => i18nManager.t(`csv.${kind}.${field.key}`));
+
+            if (kind === 'history' && columns.trackerId === undefined && columns.tracker === undefined) {
+                missing.push(i18nManager.t('csv.history.trackerIdOrName'));
+            }
+
+            if (missing.length > 0) {
+                utils.showToast(i18nManager.t('toast.csvMissing', { fields: i18nManager.formatList(missing) }), 'error');
+                return;
+            }
+
+            // Returns the cell for a field, or undefined when that field isn't mapped.
+            // The ' that export puts before formula-like text is taken off again.
+            const cellReader = (row) => (key) => {
+                if (columns[key] === undefined) return undefined;
+                const text = row[columns[key]] ?? '';
+                return (text.startsWith("'") && csvManager.FORMULA_START.test(text.slice(1)) ? text.slice(1) : text).trim();
+            };
+
+            state.pendingCsv = null;
+            modalManager.closeModal('csv-import-modal');
+
+            if (kind === 'history') {
+                csvManager.importHistory(pending.rows.map(cellReader), pending.fileName);
+            } else {
+                csvManager.importTrackers(pending.rows.map(cellReader), pending.fileName);
+            }
+        },
+
+        // Turn a numeric cell into a number, leaving anything unreadable as-is so validation can name it
+        toNumber: (value, fallback) => {
+            if (value === undefined || value === '') return fallback;
+            return /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+        },
+
+        // Trackers go through the same validation and replace/merge preview as a JSON backup
+        importTrackers: (readers, fileName) => {
+            const trackers = readers.map(cell => {
+                const name = cell('name');
+                const existing = state.trackers.find(t => t.id === cell('id'))
+                    || state.trackers.find(t => t.name === name);
+                const count = csvManager.toNumber(cell('count'), 0);
+                const target = csvManager.toNumber(cell('target'), null);
+                const created = cell('created');
+                // CSV has no column for steps, so a sequence keeps its own while its phrases are unchanged
+                const keepsSteps = existing?.type === 'sequence' && existing.phrase === cell('phrase');
+                // Nor for sounds, reminders, groups, schedules or archive state, which a known tracker keeps
+                const { type, steps, ...kept } = existing || {};
+                const unchanged = existing && count === existing.count && target === existing.target;
+
+                return {
+                    ...kept,
+                    id: cell('id') || existing?.id || utils.generateId(),
+                    name,
+                    phrase: cell('phrase'),
+                    count,
+                    target,
+                    rounds: unchanged ? existing.rounds
+                        : Number.isInteger(count) && Number.isInteger(target) && target > 0 ? Math.floor(count / target) : 0,
+                    vibration: existing?.vibration ?? true,
+                    ...(keepsSteps && { type, steps }),
+                    created: created
+                        ? (isNaN(Date.parse(created)) ? created : new Date(created).toISOString())
+                        : existing?.created || new Date().toISOString()
+                };
+            });
+
+            // A CSV holds only some trackers, so by default it is merged in and its rows win for the trackers it names
+            backupManager.showPreview(backupManager.prepare({ version: backupManager.CURRENT_VERSION, trackers }), fileName,
+                { mode: 'merge', strategy: 'imported' });
+        },
+
+        // History rows are merged into ours; rows that can't be read are skipped and counted
+        importHistory: (readers, fileName) => {
+            const events = [];
+            let skipped = 0;
+
+            readers.forEach(cell => {
+                const tracker = state.trackers.find(t => t.id === cell('trackerId'))
+                    || state.trackers.find(t => t.name === cell('tracker'));
+                const amount = csvManager.toNumber(cell('amount'));
+                const count = csvManager.toNumber(cell('count'), 0);
+                const time = Date.parse(cell('time'));
+                const type = cell('type') || (amount > 0 ? 'increment' : 'decrement');
+
+                if (!tracker || !Number.isInteger(amount) || !Number.isInteger(count) || isNaN(time)
+                    || !['increment', 'decrement', 'reset', 'restore'].includes(type)) {
+                    skipped += 1;
+                    return;
+                }
+
+                events.push({ trackerId: tracker.id, type, amount, count, time: new Date(time).toISOString() });
+            });
+
+            const added = historyManager.mergeHistory({ events, dailyTotals: {} });
+            trackerManager.renderTrackers();
+
+            const skippedNote = skipped > 0 ? i18nManager.t('toast.csvSkipped', { count: skipped }) : '';
+            utils.showToast(i18nManager.t('toast.csvHistoryAdded', { count: added, fileName, skipped: skippedNote }), skipped > 0 && added === 0 ? 'error' : 'success');
+        }
+    };
 
-                // Long press for increment by 10
-                if (btn.dataset.action === 'increment') {
-                    let pressTimer = null;
-                    let longPressTriggered = false;
-
-                    btn.addEventListener('mousedown', () => {
-                        longPressTriggered = false;
-                        pressTimer = setTimeout(() => {
-                            longPressTriggered = true;
-                            trackerManager.handleTrackerAction(btn.dataset.trackerId, 'increment-10');
-                            utils.vibrate(CONFIG.VIBRATION_PATTERNS.double);
-                        }, 1000);
-                    });
+    // Activity History
+    const historyManager = {
+        renderFrame: null,
 
-                    btn.addEventListener('mouseup', () => {
-                        if (pressTimer) {
-                            clearTimeout(pressTimer);
-                            if (!longPressTriggered) {
-                                // Regular click
-                                utils.vibrate(CONFIG.VIBRATION_PATTERNS.single);
-                            }
-                        }
-                    });
+        init: () => {
+            const trackerSelect = document.getElementById('history-tracker');
+            const rangeSelect = document.getElementById('history-range');
 
-                    btn.addEventListener('mouseleave', () => {
-                        if (pressTimer) {
-                            clearTimeout(pressTimer);
-                        }
-                    });
-                }
-            });
+            if (!trackerSelect) return;
 
-            // Keyboard support for the card
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    const incrementBtn = card.querySelector('[data-action="increment"]');
-                    if (incrementBtn) {
-                        incrementBtn.click();
-                    }
-                } else if (e.key === 'r' || e.key === 'R') {
-                    e.preventDefault();
-                    const resetBtn = card.querySelector('[data-action="reset"]');
-                    if (resetBtn) {
-                        resetBtn.click();
-                    }
+            [trackerSelect, rangeSelect].forEach(select => {
+                if (select) {
+                    select.addEventListener('change', historyManager.render);
                 }
             });
+
+            historyManager.render();
         },
 
-        handleTrackerAction: (trackerId, action) => {
-            const tracker = state.trackers.find(t => t.id === trackerId);
-            if (!tracker) return;
+        // Archived trackers keep their history on show; trashed ones drop out of the lists
+        getListedTrackers: () => state.trackers.filter(tracker => tracker.status !== 'trashed'),
 
-            switch (action) {
-                case 'increment':
-                    tracker.count += 1;
-                    if (tracker.vibration) {
-                        utils.vibrate(CONFIG.VIBRATION_PATTERNS.single);
-                    }
-                    break;
-                case 'increment-10':
-                    tracker.count += 10;
-                    utils.showToast(`+10 ${tracker.phrase}`);
-                    break;
-                case 'decrement':
-                    tracker.count = Math.max(0, tracker.count - 1);
-                    break;
-                case 'reset':
-                    const oldCount = tracker.count;
-                    tracker.count = 0;
-                    utils.showToast(`Reset ${tracker.name} (was ${oldCount})`);
-                    break;
-            }
+        getTrackerLabel: (tracker) => utils.escapeHtml(tracker.status === 'archived'
+            ? i18nManager.t('history.archivedTracker', { name: tracker.name })
+            : tracker.name),
 
-            // Update display
-            trackerManager.updateTrackerDisplay(tracker);
-            
-            // Save to storage
-            trackerManager.saveTrackers();
-            
-            // Add to recent counts for quick tracker
-            if (action === 'increment' || action === 'increment-10') {
-                trackerManager.addToRecentCounts(tracker);
+        getEvents: () => storage.get(CONFIG.STORAGE_KEYS.HISTORY, []),
+
+        // A tracker's latest events of one type, newest first; read in place, as the quick
+        // widget asks on every count and the log can be long
+        getRecentEvents: (trackerId, type, limit) => {
+            const events = storage.peek(CONFIG.STORAGE_KEYS.HISTORY, []);
+            const recent = [];
+            for (let i = events.length - 1; i >= 0 && recent.length < limit; i--) {
+                if (events[i].trackerId === trackerId && events[i].type === type) {
+                    recent.push(events[i]);
+                }
             }
+            return structuredClone(recent);
         },
 
-        updateTrackerDisplay: (tracker) => {
-            const card = document.querySelector(`[data-tracker-id="${tracker.id}"]`);
-            if (!card) return;
+        getDailyTotals: () => storage.get(CONFIG.STORAGE_KEYS.DAILY_TOTALS, {}),
 
-            const countNumber = card.querySelector('.count-number');
-            if (countNumber) {
-                countNumber.textContent = tracker.count;
-                
-                // Add animation class
-                countNumber.classList.add('updated');
-                setTimeout(() => countNumber.classList.remove('updated'), 300);
-            }
+        // Append an event to the log and fold it into the tracker's total for the day
+        // `details` can backdate the event (`time`) or flag it (`scheduled`)
+        record: (tracker, type, amount, details = {}) => {
+            // A decrement or reset at zero changes nothing, so there's nothing to log
+            if (amount === 0) return;
 
-            const stats = card.querySelector('.tracker-stats');
-            if (stats) {
-                stats.textContent = `Last updated: ${utils.formatDate()}`;
-            }
+            const event = {
+                trackerId: tracker.id,
+                type,
+                amount,
+                count: tracker.count,
+                time: new Date().toISOString(),
+                ...details
+            };
+
+            storage.append(CONFIG.STORAGE_KEYS.HISTORY, event, CONFIG.HISTORY_LIMIT);
+            storage.update(CONFIG.STORAGE_KEYS.DAILY_TOTALS, totals => historyManager.addToTotals(totals, event), {});
+            syncManager.publish('history-event', event);
+
+            historyManager.scheduleRender();
         },
 
-        addTracker: () => {
-            const nameInput = document.getElementById('tracker-name');
-            const phraseSelect = document.getElementById('tracker-phrase');
-            const customPhraseInput = document.getElementById('custom-phrase');
+        // The sending tab already saved the event; totals are saved again here so both tabs' days add up
+        receiveEvent: (event) => {
+            storage.appendCached(CONFIG.STORAGE_KEYS.HISTORY, event, CONFIG.HISTORY_LIMIT);
+            storage.update(CONFIG.STORAGE_KEYS.DAILY_TOTALS, totals => historyManager.addToTotals(totals, event), {});
 
-            if (!nameInput || !phraseSelect) return;
+            historyManager.scheduleRender();
+            trackerManager.updateRecentCounts();
+        },
 
-            const name = nameInput.value.trim();
-            const selectedPhrase = phraseSelect.value;
-            const phrase = selectedPhrase === 'Custom' ? customPhraseInput.value.trim() : selectedPhrase;
+        // Counting can log many events a second; the table and calendar are redrawn once per frame
+        scheduleRender: () => {
+            if (historyManager.renderFrame) return;
+            historyManager.renderFrame = requestAnimationFrame(() => {
+                historyManager.renderFrame = null;
+                historyManager.render();
+                calendarManager.render();
+            });
+        },
 
-            if (!name || !phrase) {
-                utils.showToast('Please fill in all fields', 'error');
-                return;
-            }
+        // Whole-history changes from an import in another tab
+        receiveHistory: ({ events, dailyTotals }) => {
+            storage.setCached(CONFIG.STORAGE_KEYS.HISTORY, events);
+            storage.setCached(CONFIG.STORAGE_KEYS.DAILY_TOTALS, dailyTotals);
 
-            const newTracker = {
-                id: utils.generateId(),
-                name,
-                phrase,
-                count: 0,
-                vibration: true,
-                created: new Date().toISOString()
-            };
+            historyManager.render();
+            calendarManager.render();
+            trackerManager.updateRecentCounts();
+        },
 
-            state.trackers.push(newTracker);
-            trackerManager.saveTrackers();
-            trackerManager.renderTrackers();
-            
-            // Clear form
-            nameInput.value = '';
-            phraseSelect.value = '';
-            customPhraseInput.value = '';
-            customPhraseInput.style.display = 'none';
-            
-            modalManager.closeModal('add-tracker-modal');
-            utils.showToast(`Added tracker: ${name}`);
+        // Fold one event into a daily totals object (mutates `totals`)
+        addToTotals: (totals, event) => {
+            const dayKey = utils.getDayKey(new Date(event.time));
+            const trackerTotals = totals[event.trackerId] = totals[event.trackerId] || {};
+            const dayTotals = trackerTotals[dayKey] = trackerTotals[dayKey] || { added: 0, removed: 0, resets: 0 };
+
+            if (event.type === 'reset') {
+                dayTotals.resets += 1;
+            } else if (event.type === 'restore') {
+                // An undone reset brings the old count back without it being counted again
+            } else if (event.amount > 0) {
+                dayTotals.added += event.amount;
+            } else {
+                dayTotals.removed -= event.amount;
+            }
         },
 
-        openEditModal: (tracker) => {
-            const nameInput = document.getElementById('edit-tracker-name');
-            const phraseInput = document.getElementById('edit-tracker-phrase');
-            const vibrationCheckbox = document.getElementById('edit-vibration');
+        // Combine imported history with ours. Events already present are skipped so restoring a
+        // backup of this same device doesn't double count; imported days we have no events for
+        // (e.g. trimmed ones) are copied over as they are. Returns how many events were new.
+        mergeHistory: (history) => {
+            const eventKey = (event) => `${event.trackerId}|${event.time}|${event.type}|${event.amount}`;
+            const events = historyManager.getEvents();
+            const totals = historyManager.getDailyTotals();
+            const knownEvents = new Set(events.map(eventKey));
+            const newEvents = history.events.filter(event => !knownEvents.has(eventKey(event)));
+            const touchedDays = new Set();
+
+            newEvents.forEach(event => {
+                historyManager.addToTotals(totals, event);
+                touchedDays.add(`${event.trackerId}|${utils.getDayKey(new Date(event.time))}`);
+            });
 
-            if (nameInput) nameInput.value = tracker.name;
-            if (phraseInput) phraseInput.value = tracker.phrase;
-            if (vibrationCheckbox) vibrationCheckbox.checked = tracker.vibration;
+            Object.entries(history.dailyTotals).forEach(([trackerId, days]) => {
+                Object.entries(days).forEach(([dayKey, dayTotals]) => {
+                    const hasLocal = totals[trackerId]?.[dayKey];
+                    if (!hasLocal && !touchedDays.has(`${trackerId}|${dayKey}`)) {
+                        totals[trackerId] = totals[trackerId] || {};
+                        totals[trackerId][dayKey] = { ...dayTotals };
+                    }
+                });
+            });
 
-            modalManager.openModal('edit-tracker-modal');
+            const merged = [...events, ...newEvents].sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+            storage.set(CONFIG.STORAGE_KEYS.HISTORY, merged);
+            storage.set(CONFIG.STORAGE_KEYS.DAILY_TOTALS, totals);
+            syncManager.publish('history', { events: merged, dailyTotals: totals });
+
+            return newEvents.length;
         },
 
-        saveTrackerEdit: () => {
-            if (!state.currentEditingTracker) return;
+        // Net count (added minus removed) for one tracker on one day
+        getDayTotal: (trackerId, dayKey, totals = historyManager.getDailyTotals()) => {
+            const dayTotals = totals[trackerId]?.[dayKey];
+            return dayTotals ? dayTotals.added - dayTotals.removed : 0;
+        },
 
-            const nameInput = document.getElementById('edit-tracker-name');
-            const phraseInput = document.getElementById('edit-tracker-phrase');
-            const vibrationCheckbox = document.getElementById('edit-vibration');
+        // Day keys from today going back the given number of days
+        getRecentDayKeys: (days) => {
+            const today = utils.getDayKey();
+            return Array.from({ length: days }, (_, offset) => utils.shiftDayKey(today, -offset));
+        },
 
-            const name = nameInput?.value.trim();
-            const phrase = phraseInput?.value.trim();
-            const vibration = vibrationCheckbox?.checked ?? true;
+        // Days on which the tracker was counted, oldest first
+        getActiveDays: (trackerId, totals = historyManager.getDailyTotals()) => {
+            const trackerTotals = totals[trackerId] || {};
+            return Object.keys(trackerTotals)
+                .filter(dayKey => trackerTotals[dayKey].added > 0)
+                .sort();
+        },
 
-            if (!name || !phrase) {
-                utils.showToast('Please fill in all fields', 'error');
-                return;
-            }
+        // A streak stays current until a full day passes with no counting
+        getStreaks: (trackerId, totals = historyManager.getDailyTotals()) => {
+            let longest = 0;
+            let run = 0;
+            let previous = null;
 
-            state.currentEditingTracker.name = name;
-            state.currentEditingTracker.phrase = phrase;
-            state.currentEditingTracker.vibration = vibration;
+            historyManager.getActiveDays(trackerId, totals).forEach(dayKey => {
+                run = previous && utils.shiftDayKey(previous, 1) === dayKey ? run + 1 : 1;
+                longest = Math.max(longest, run);
+                previous = dayKey;
+            });
 
-            trackerManager.saveTrackers();
-            trackerManager.renderTrackers();
-            modalManager.closeModal('edit-tracker-modal');
-            utils.showToast('Tracker updated');
+            const today = utils.getDayKey();
+            const isCurrent = previous === today || previous === utils.shiftDayKey(today, -1);
+
+            return { current: isCurrent ? run : 0, longest };
         },
 
-        deleteTracker: () => {
-            if (!state.currentEditingTracker) return;
+        render: () => {
+            const trackerSelect = document.getElementById('history-tracker');
+            const rangeSelect = document.getElementById('history-range');
+            const tableBody = document.getElementById('history-days');
+            const eventsList = document.getElementById('history-events');
 
-            if (confirm(`Are you sure you want to delete "${state.currentEditingTracker.name}"?`)) {
-                state.trackers = state.trackers.filter(t => t.id !== state.currentEditingTracker.id);
-                trackerManager.saveTrackers();
-                trackerManager.renderTrackers();
-                modalManager.closeModal('edit-tracker-modal');
-                utils.showToast('Tracker deleted');
-            }
-        },
+            if (!trackerSelect || !tableBody) return;
 
-        saveTrackers: () => {
-            storage.set(CONFIG.STORAGE_KEYS.TRACKERS, state.trackers);
-        },
+            // Rebuild tracker options, keeping the current choice if it still exists
+            const selected = trackerSelect.value || 'all';
+            const listed = historyManager.getListedTrackers();
+            trackerSelect.innerHTML = `<option value="all">${utils.escapeHtml(i18nManager.t('history.allTrackers'))}</option>` + listed
+                .map(tracker => `<option value="${tracker.id}">${historyManager.getTrackerLabel(tracker)}</option>`)
+                .join('');
+            trackerSelect.value = listed.some(t => t.id === selected) ? selected : 'all';
+
+            const trackers = trackerSelect.value === 'all'
+                ? listed
+                : listed.filter(t => t.id === trackerSelect.value);
+            const days = parseInt(rangeSelect?.value, 10) || 7;
+            const totals = historyManager.getDailyTotals();
+
+            const rows = [];
+            historyManager.getRecentDayKeys(days).forEach(dayKey => {
+                trackers.forEach(tracker => {
+                    const dayTotals = totals[tracker.id]?.[dayKey];
+                    if (!dayTotals) return;
+
+                    rows.push(`
+                        <tr>
+                            <td>${utils.formatDay(dayKey)}</td>
+                            <td>${utils.escapeHtml(tracker.name)}</td>
+                            <td>${i18nManager.formatNumber(dayTotals.added - dayTotals.removed)}</td>
+                            <td>${i18nManager.formatNumber(dayTotals.resets)}</td>
+                        </tr>
+                    `);
+                });
+            });
 
-        exportData: () => {
-            const data = {
-                trackers: state.trackers,
-                settings: state.settings,
-                theme: state.currentTheme,
-                exportDate: new Date().toISOString(),
-                version: '1.0'
-            };
+            tableBody.innerHTML = rows.length
+                ? rows.join('')
+                : `<tr><td colspan="4" class="history-empty">${utils.escapeHtml(i18nManager.t('history.noActivity'))}</td></tr>`;
 
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `spiritual-count-backup-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            if (eventsList) {
+                const trackerIds = trackers.map(t => t.id);
+                const events = historyManager.getEvents()
+                    .filter(event => trackerIds.includes(event.trackerId))
+                    .slice(-20)
+                    .reverse();
 
-            utils.showToast('Data exported successfully');
+                eventsList.innerHTML = events.length
+                    ? events.map(historyManager.renderEvent).join('')
+                    : `<li class="history-empty">${utils.escapeHtml(i18nManager.t('history.emptyEvents'))}</li>`;
+            }
         },
 
-        importData: (event) => {
-            const file = event.target.files[0];
-            if (!file) return;
+        renderEvent: (event) => {
+            const { t, formatNumber } = i18nManager;
+            const tracker = state.trackers.find(item => item.id === event.trackerId);
+            let description = t('history.change', {
+                amount: formatNumber(event.amount, { signDisplay: 'exceptZero' }),
+                count: event.count
+            });
+            if (event.type === 'reset') {
+                description = t(event.scheduled ? 'history.scheduledReset' : 'history.reset', { count: -event.amount });
+            } else if (event.type === 'restore') {
+                description = t('history.restored', { count: event.count });
+            }
 
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    
-                    if (data.trackers && Array.isArray(data.trackers)) {
-                        state.trackers = data.trackers;
-                        trackerManager.saveTrackers();
-                        trackerManager.renderTrackers();
-                    }
+            return `
+                <li class="history-event">
+                    <span class="history-event-tracker">${utils.escapeHtml(tracker ? tracker.name : t('history.deletedTracker'))}</span>
+                    <span class="history-event-change">${utils.escapeHtml(description)}</span>
+                    <time class="history-event-time" datetime="${event.time}">${utils.formatDate(new Date(event.time))}</time>
+                </li>
+            `;
+        }
+    };
 
-                    if (data.theme) {
-                        themeManager.setTheme(data.theme);
-                    }
+    // Undo/Redo History
+    // The stacks are shared by every open tab. Changes to them are sent to the other tabs as
+    // operations, like tracker changes, so one tab's save doesn't drop what another pushed.
+    const undoManager = {
+        // Each command type is named by `undo.action.<type>` in the toasts
+        getStacks: () => storage.get(CONFIG.STORAGE_KEYS.UNDO_STACK, { undo: [], redo: [] }),
 
-                    if (data.settings) {
-                        state.settings = { ...state.settings, ...data.settings };
-                        storage.set(CONFIG.STORAGE_KEYS.SETTINGS, state.settings);
-                    }
+        // Commands that put back a tracker's settings; the rest changed its count
+        SETTINGS_COMMANDS: ['edit', 'delete', 'archive', 'trash', 'restore'],
 
-                    utils.showToast('Data imported successfully');
-                } catch (error) {
-                    utils.showToast('Invalid file format', 'error');
-                    console.error('Import error:', error);
-                }
+        getTrackerId: (command) => command?.before?.id ?? command?.after?.id,
+
+        // Record a change as before/after tracker snapshots; null means the tracker didn't exist.
+        // Returns the command id so a toast can undo this exact change.
+        push: (type, before, after, index = state.trackers.findIndex(t => t.id === (after || before).id)) => {
+            const command = {
+                id: utils.generateId(),
+                type,
+                before,
+                after,
+                index,
+                time: new Date().toISOString()
             };
-            reader.readAsText(file);
+
+            undoManager.change({ type: 'push', command });
+            return command.id;
         },
 
-        handleKeyboardShortcuts: (e) => {
-            // Only handle shortcuts when not in an input field
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        // Drop changes to trackers deleted for good, so undo can't bring them back, or with `before`
+        // only the changes made earlier than that time
+        forget: (trackerIds, before = null) => {
+            undoManager.change({ type: 'forget', trackerIds, before });
+        },
 
-            switch (e.key.toLowerCase()) {
-                case 't':
-                    e.preventDefault();
-                    const firstTracker = document.querySelector('.tracker-card');
-                    if (firstTracker) {
-                        firstTracker.focus();
-                        firstTracker.classList.add('focused');
-                        setTimeout(() => firstTracker.classList.remove('focused'), 2000);
-                    }
-                    break;
-                case 'a':
-                    if (document.getElementById('add-tracker')) {
-                        e.preventDefault();
-                        modalManager.openModal('add-tracker-modal');
+        change: (op) => {
+            undoManager.applyChange(op);
+            syncManager.publish('undo', op);
+        },
+
+        receiveChange: (op) => {
+            undoManager.applyChange(op);
+        },
+
+        applyChange: (op) => {
+            const stacks = undoManager.getStacks();
+
+            switch (op.type) {
+                case 'push':
+                    stacks.undo.push(op.command);
+                    if (stacks.undo.length > CONFIG.UNDO_LIMIT) {
+                        stacks.undo.splice(0, stacks.undo.length - CONFIG.UNDO_LIMIT);
                     }
+                    stacks.redo = [];
                     break;
-                case 'e':
-                    if (document.getElementById('export-data')) {
-                        e.preventDefault();
-                        trackerManager.exportData();
+                case 'move': {
+                    // Already moved when two tabs undo at once
+                    const index = stacks[op.from].findIndex(command => command.id === op.id);
+                    if (index >= 0) {
+                        stacks[op.to].push(...stacks[op.from].splice(index, 1));
                     }
                     break;
-                case 'escape':
-                    modalManager.closeAllModals();
+                }
+                case 'forget': {
+                    // A command with no tracker id (from a damaged or older stack) can't be undone, so it goes too
+                    const keep = (command) => {
+                        const trackerId = undoManager.getTrackerId(command);
+                        return trackerId !== undefined && (!op.trackerIds.includes(trackerId) || (op.before !== null && command.time >= op.before));
+                    };
+                    stacks.undo = stacks.undo.filter(keep);
+                    stacks.redo = stacks.redo.filter(keep);
                     break;
+                }
             }
+
+            storage.set(CONFIG.STORAGE_KEYS.UNDO_STACK, stacks);
         },
 
-        initQuickTracker: () => {
-            const quickIncrement = document.getElementById('quick-increment');
-            const quickReset = document.getElementById('quick-reset');
-            const quickCount = document.getElementById('quick-count');
-            const vibrationToggle = document.getElementById('vibration-toggle');
-            const recentCounts = document.getElementById('recent-counts');
+        getToastAction: (commandId) => ({
+            label: i18nManager.t('undo.label'),
+            onClick: () => undoManager.undo(commandId)
+        }),
 
-            if (!quickIncrement || !quickCount) return;
+        // Undo the latest change, or everything back to and including the given command
+        undo: (commandId = null) => {
+            if (commandId && !undoManager.getStacks().undo.some(command => command.id === commandId)) {
+                utils.showToast(i18nManager.t('toast.alreadyUndone'), 'error');
+                return;
+            }
 
-            // Load quick tracker state
-            let quickTrackerData = storage.get('quick-tracker', { count: 0, vibration: true });
+            let command;
+            do {
+                command = undoManager.step('undo', 'redo');
+            } while (command && commandId && command.id !== commandId);
+        },
 
-            // Update display
-            quickCount.textContent = quickTrackerData.count;
-            
-            if (vibrationToggle) {
-                vibrationToggle.classList.toggle('active', quickTrackerData.vibration);
+        redo: () => {
+            undoManager.step('redo', 'undo');
+        },
+
+        step: (from, to) => {
+            const command = undoManager.getStacks()[from].at(-1);
+            if (!command) {
+                utils.showToast(i18nManager.t(`toast.nothingTo.${from}`), 'error');
+                return null;
             }
 
-            // Increment button
-            quickIncrement.addEventListener('click', () => {
-                quickTrackerData.count++;
-                quickCount.textContent = quickTrackerData.count;
-                
-                // Add animation
-                quickCount.classList.add('updated');
-                setTimeout(() => quickCount.classList.remove('updated'), 300);
+            if (undoManager.getTrackerId(command) === undefined) {
+                undoManager.forget([]);
+                return undoManager.step(from, to);
+            }
 
-                // Vibrate if enabled
-                if (quickTrackerData.vibration) {
-                    utils.vibrate(CONFIG.VIBRATION_PATTERNS.single);
-                }
+            undoManager.change({ type: 'move', id: command.id, from, to });
+            undoManager.applySnapshot(command, from);
 
-                // Save state
-                storage.set('quick-tracker', quickTrackerData);
-                
-                // Update recent counts
-                trackerManager.updateRecentCounts();
-            });
+            utils.showToast(i18nManager.t(`toast.${from}Done`, {
+                action: i18nManager.t(`undo.action.${command.type}`),
+                name: command.before?.name ?? command.after?.name
+            }));
 
-            // Reset button
-            if (quickReset) {
-                quickReset.addEventListener('click', () => {
-                    const oldCount = quickTrackerData.count;
-                    quickTrackerData.count = 0;
-                    quickCount.textContent = '0';
-                    storage.set('quick-tracker', quickTrackerData);
-                    utils.showToast(`Reset quick tracker (was ${oldCount})`);
-                });
-            }
+            return command;
+        },
 
-            // Vibration toggle
-            if (vibrationToggle) {
-                vibrationToggle.addEventListener('click', () => {
-                    quickTrackerData.vibration = !quickTrackerData.vibration;
-                    vibrationToggle.classList.toggle('active', quickTrackerData.vibration);
-                    storage.set('quick-tracker', quickTrackerData);
-                    utils.showToast(quickTrackerData.vibration ? 'Vibration enabled' : 'Vibration disabled');
-                });
-            }
+        // A count change is undone as the difference it made, on top of whatever was counted since
+        // (here or in another tab); a settings change puts back the settings, keeping the live count
+        applySnapshot: (command, direction) => {
+            const snapshot = direction === 'undo' ? command.before : command.after;
+            const index = state.trackers.findIndex(t => t.id === undoManager.getTrackerId(command));
+            const current = index >= 0 ? state.trackers[index] : null;
 
-            // Keyboard support
-            quickIncrement.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    quickIncrement.click();
+            if (!snapshot) {
+                if (current) {
+                    state.trackers.splice(index, 1);
                 }
-            });
+            } else if (!current) {
+                state.trackers.splice(Math.min(command.index, state.trackers.length), 0, { ...snapshot });
+            } else {
+                const change = command.before && command.after ? command.after.count - command.before.count : 0;
+                // Keep the live reset marker so an old snapshot can't make a scheduled reset fire again
+                const tracker = undoManager.SETTINGS_COMMANDS.includes(command.type)
+                    ? { ...snapshot, count: current.count, rounds: current.rounds, lastUpdated: current.lastUpdated, lastReset: current.lastReset }
+                    : { ...current };
+
+                tracker.count = Math.max(0, current.count + (direction === 'undo' ? -change : change));
+                if (tracker.count !== current.count) {
+                    tracker.lastUpdated = new Date().toISOString();
+                    trackerManager.updateRounds(tracker, current.count);
+                }
+                state.trackers[index] = tracker;
 
-            // Initialize recent counts
-            trackerManager.updateRecentCounts();
-        },
+                // Keep daily totals honest: undoing +1 logs -1, and undoing a reset logs a restore
+                const amount = tracker.count - current.count;
+                let type = amount > 0 ? 'increment' : 'decrement';
+                if (command.type === 'reset') {
+                    type = direction === 'undo' ? 'restore' : 'reset';
+                }
+                historyManager.record(tracker, type, amount);
+            }
 
-        addToRecentCounts: (tracker) => {
-            const recentCounts = storage.get(CONFIG.STORAGE_KEYS.RECENT_COUNTS, []);
-            recentCounts.unshift({
-                tracker: tracker.name,
-                phrase: tracker.phrase,
-                time: new Date().toISOString(),
-                count: 1
-            });
+            trackerManager.saveTrackers();
+            trackerManager.renderTrackers();
+        }
+    };
 
-            // Keep only last 10 entries
-            recentCounts.splice(10);
-            storage.set(CONFIG.STORAGE_KEYS.RECENT_COUNTS, recentCounts);
-            trackerManager.updateRecentCounts();
+    // Calendar Heatmap and Streaks
+    const calendarManager = {
+        init: () => {
+            const trackerSelect = document.getElementById('calendar-tracker');
+            if (!trackerSelect) return;
+
+            trackerSelect.addEventListener('change', calendarManager.render);
+            calendarManager.render();
         },
 
-        updateRecentCounts: () => {
-            const container = document.getElementById('recent-counts');
-            if (!container) return;
+        // Intensity bucket 0-4 relative to the busiest day in view
+        getLevel: (value, max) => {
+            if (value <= 0 || max <= 0) return 0;
+            return Math.min(4, Math.ceil((value / max) * 4));
+        },
 
-            const recentCounts = storage.get(CONFIG.STORAGE_KEYS.RECENT_COUNTS, []);
-            
-            if (recentCounts.length === 0) {
-                container.innerHTML = '<p>Recent counts will appear here</p>';
-                return;
-            }
+        render: () => {
+            const trackerSelect = document.getElementById('calendar-tracker');
+            const heatmap = document.getElementById('calendar-heatmap');
+            const streakSummary = document.getElementById('streak-summary');
 
-            container.innerHTML = recentCounts
-                .slice(0, 5)
-                .map(entry => `<div class="recent-entry">${entry.tracker}: +${entry.count} at ${utils.formatDate(new Date(entry.time))}</div>`)
+            if (!trackerSelect || !heatmap) return;
+
+            const selected = trackerSelect.value || 'all';
+            const listed = historyManager.getListedTrackers();
+            trackerSelect.innerHTML = `<option value="all">${utils.escapeHtml(i18nManager.t('history.allTrackers'))}</option>` + listed
+                .map(tracker => `<option value="${tracker.id}">${historyManager.getTrackerLabel(tracker)}</option>`)
                 .join('');
+            trackerSelect.value = listed.some(t => t.id === selected) ? selected : 'all';
+
+            const trackers = trackerSelect.value === 'all'
+                ? listed
+                : listed.filter(t => t.id === trackerSelect.value);
+            const totals = historyManager.getDailyTotals();
+
+            // Start on the Sunday that opens the first week so each column is one week
+            const today = utils.getDayKey();
+            const todayDate = utils.parseDayKey(today);
+            const start = utils.shiftDayKey(today, -(CONFIG.HEATMAP_WEEKS - 1) * 7 - todayDate.getDay());
+
+            const days = [];
+            for (let dayKey = start; dayKey <= today; dayKey = utils.shiftDayKey(dayKey, 1)) {
+                const value = trackers.reduce((sum, tracker) => {
+                    return sum + historyManager.getDayTotal(tracker.id, dayKey, totals);
+                }, 0);
+                days.push({ dayKey, value });
+            }
+
+            const max = Math.max(0, ...days.map(day => day.value));
+
+            heatmap.innerHTML = days.map(({ dayKey, value }) => {
+                const label = utils.escapeHtml(i18nManager.t('calendar.dayLabel', { day: utils.formatDay(dayKey), count: value }));
+                return `<span class="heatmap-cell" data-level="${calendarManager.getLevel(value, max)}" title="${label}" aria-label="${label}"></span>`;
+            }).join('');
+
+            if (streakSummary) {
+                streakSummary.innerHTML = trackers.map(tracker => {
+                    const { current, longest } = historyManager.getStreaks(tracker.id, totals);
+                    return `
+                        <li class="streak-item">
+                            <span class="streak-tracker">${utils.escapeHtml(tracker.name)}</span>
+                            <span class="streak-value">${utils.escapeHtml(i18nManager.t('calendar.current', { count: current }))}</span>
+                            <span class="streak-value">${utils.escapeHtml(i18nManager.t('calendar.longest', { count: longest }))}</span>
+                        </li>
+                    `;
+                }).join('');
+            }
         }
     };
 
@@ -1089,19 +6945,19 @@
                     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
                     if (!emailRegex.test(field.value)) {
                         isValid = false;
-                        errorMessage = 'Please enter a valid email address';
+                        errorMessage = i18nManager.t('contact.invalidEmail');
                     }
                     break;
                 case 'checkbox':
                     if (field.required && !field.checked) {
                         isValid = false;
-                        errorMessage = 'This field is required';
+                        errorMessage = i18nManager.t('contact.required');
                     }
                     break;
                 default:
                     if (field.required && !field.value.trim()) {
                         isValid = false;
-                        errorMessage = 'This field is required';
+                        errorMessage = i18nManager.t('contact.required');
                     }
             }
 
@@ -1129,7 +6985,7 @@
             });
 
             if (!isFormValid) {
-                utils.showToast('Please fix the errors before submitting', 'error');
+                utils.showToast(i18nManager.t('toast.fixErrors'), 'error');
                 return;
             }
 
@@ -1137,7 +6993,7 @@
             const formData = new FormData(form);
             const data = Object.fromEntries(formData);
 
-            // Create mailto link
+            // Create mailto link; the message is read by the team, so its frame stays in English
             const subject = encodeURIComponent(`[Spiritual Count] ${data.subject} - ${data.name}`);
             const body = encodeURIComponent(`
 Name: ${data.name}
@@ -1156,14 +7012,14 @@ This message was sent from the Spiritual Count contact form.
             // Try to open mailto link
             try {
                 window.location.href = mailtoLink;
-                utils.showToast('Opening your email client...');
+                utils.showToast(i18nManager.t('toast.openingEmail'));
                 
                 // Reset form after successful submission
                 setTimeout(() => {
                     form.reset();
                 }, 1000);
             } catch (error) {
-                utils.showToast('Unable to open email client. Please email us directly at hello@spiritualcount.com', 'error');
+                utils.showToast(i18nManager.t('toast.emailFailed', { email: 'hello@spiritualcount.com' }), 'error');
             }
         }
     };
@@ -1242,18 +7098,1894 @@ This message was sent from the Spiritual Count contact form.
         }
     };
 
+    // Message Catalog
+    // One object per locale in CONFIG.LOCALES, keyed as used by i18nManager.t; English is
+    // the fallback, so it is the only catalog that must have every key.
+    const MESSAGES = {
+        en: {
+            'date.withTime': '{date}, {time}',
+            'date.withWeekday': '{weekday}, {date}',
+            'date.today': 'Today',
+            'date.yesterday': 'Yesterday',
+            'toast.saveFailed': 'Could not save your changes. Device storage may be full.',
+            'toast.dataUnavailable': 'Your saved data could not be opened. Showing defaults; changes made now are kept separately.',
+            'theme.active': 'Active',
+            'theme.select': 'Select',
+            'theme.light': 'Light',
+            'theme.dark': 'Dark',
+            'theme.oasis': 'Oasis',
+            'toast.themeApplied': '{theme} theme applied',
+            'toast.colorsSaved': 'Custom colors saved',
+            'toast.colorsReset': 'Colors reset to default',
+            'theme.pixels': '{size}px',
+            'contrast.ratio': '{ratio}:1',
+            'contrast.unknown': 'Unreadable color',
+            'contrast.levels': 'Normal text: {normal} · Large text: {large}',
+            'contrast.fail': 'Fail',
+            'contrast.suggestion': 'The nearest accent lightness that passes AA for normal text is {lightness}.',
+            'contrast.noSuggestion': 'No accent lightness passes AA for normal text at this hue and saturation; try a lower saturation.',
+            'contrast.apply': 'Use It',
+            'numerals.auto': 'Language default',
+            'numerals.latn': 'Western (0123456789)',
+            'numerals.arab': 'Eastern Arabic (٠١٢٣٤٥٦٧٨٩)',
+            'numerals.arabext': 'Persian and Urdu (۰۱۲۳۴۵۶۷۸۹)',
+            'phrases.remove': 'Remove {phrase} from library',
+            'toast.phraseRequired': 'Enter the phrase in Latin letters',
+            'toast.phraseExists': '{phrase} is already in the library',
+            'toast.phraseAdded': 'Added {phrase} to your phrases',
+            'toast.phraseRemoved': 'Removed {phrase} from your phrases',
+            'groups.ungrouped': 'Ungrouped',
+            'groups.trackerCount': { one: '{count} tracker', other: '{count} trackers' },
+            'groups.emptySection': 'Drag trackers here, or move one with Alt+Arrow keys',
+            'groups.none': 'No group',
+            'groups.emptyList': 'No groups yet. Add one below, e.g. Morning, After Salah or Ramadan.',
+            'groups.nameLabel': 'Name of group {position}',
+            'groups.moveUp': 'Move {name} up',
+            'groups.moveDown': 'Move {name} down',
+            'groups.delete': 'Delete {name}',
+            'toast.groupNameRequired': 'Enter a name for the group',
+            'toast.groupAdded': 'Added group: {name}',
+            'toast.groupNameEmpty': 'Group names can\'t be empty',
+            'announce.moved': '{name} moved to position {position} of {total}',
+            'toast.groupDeleted': 'Deleted group {name}; its trackers are now ungrouped',
+            'toast.active': 'Restored {name}',
+            'toast.archived': 'Archived {name}',
+            'toast.trashed': 'Moved {name} to the trash',
+            'archive.confirmPurgeOne': 'Delete "{name}" for good? Its count can\'t be restored, though its history stays.',
+            'archive.confirmPurgeMany': { one: 'Delete {count} tracker for good? Their counts can\'t be restored, though their history stays.', other: 'Delete {count} trackers for good? Their counts can\'t be restored, though their history stays.' },
+            'toast.purgedOne': 'Deleted "{name}" for good',
+            'toast.purgedMany': { one: 'Deleted {count} tracker for good', other: 'Deleted {count} trackers for good' },
+            'toast.retentionSet': { one: 'Trashed trackers are now kept for {count} day', other: 'Trashed trackers are now kept for {count} days' },
+            'archive.days': { one: '{count} day', other: '{count} days' },
+            'archive.noArchived': 'No archived trackers. Archive one from its settings to put it away without losing its count.',
+            'archive.archivedOn': 'Archived {date}',
+            'archive.noTrash': 'The trash is empty.',
+            'archive.trashedSoon': 'Trashed {date}, deleted for good within a day',
+            'archive.trashedOn': { one: 'Trashed {date}, deleted for good in {count} day', other: 'Trashed {date}, deleted for good in {count} days' },
+            'archive.restore': 'Restore',
+            'archive.restoreLabel': 'Restore {name}',
+            'archive.trash': 'Move to Trash',
+            'archive.trashLabel': 'Move {name} to Trash',
+            'archive.purge': 'Delete Forever',
+            'archive.purgeLabel': 'Delete {name} forever',
+            'focus.hint': 'Tap anywhere to count · hold to add {step} · swipe back to take one off · Esc to exit',
+            'focus.palette': 'Colours: {palette}',
+            'focus.palette.theme': 'Theme',
+            'focus.palette.dim': 'Dim',
+            'focus.palette.oled': 'OLED black',
+            'sound.click': 'Soft click',
+            'sound.bead': 'Wooden bead',
+            'sound.drop': 'Water drop',
+            'sound.none': 'Silent',
+            'haptics.single': 'Single',
+            'haptics.double': 'Double',
+            'haptics.triple': 'Triple',
+            'haptics.long': 'Long',
+            'haptics.heartbeat': 'Heartbeat',
+            'haptics.custom': 'Custom',
+            'haptics.patternHint': 'Write a vibration pattern as milliseconds, e.g. 100, 50, 100',
+            'toast.noVibration': 'This device can\'t vibrate, so patterns can\'t be previewed here',
+            'haptics.every': 'Every',
+            'haptics.everyLabel': 'Milestone {position}: every how many counts',
+            'haptics.patternLabel': 'Milestone {position} pattern in milliseconds',
+            'haptics.preview': 'Preview',
+            'haptics.removeMilestone': 'Remove milestone {position}',
+            'toast.milestoneEvery': 'Each milestone needs a whole number of counts above 0',
+            'toast.milestonePattern': 'Milestone every {every}: write a vibration pattern as milliseconds, e.g. 100, 50, 100',
+            'reserved.dialogs': 'closing dialogs',
+            'reserved.navigate': 'moving between trackers',
+            'reserved.count': 'counting the focused tracker',
+            'reserved.reset': 'resetting the focused tracker',
+            'reserved.undo': 'undo',
+            'reserved.redo': 'redo',
+            'reserved.move': 'moving the focused tracker',
+            'keys.restored': 'Shortcuts restored to the defaults',
+            'keys.focusFirst': 'Focus first tracker',
+            'keys.addTracker': 'Add new tracker',
+            'keys.export': 'Export data',
+            'keys.increment': 'Count tracker {slot}',
+            'keys.decrement': 'Take one off tracker {slot}',
+            'toast.noSlotTracker': 'There is no tracker {slot} on this page',
+            'keys.pressKey': 'Press a key…',
+            'keys.capturing': 'Press the new key, Backspace to clear this shortcut, or Esc to keep it',
+            'keys.reserved': '{combo} is kept for {use}; choose another key',
+            'keys.taken': '{combo} is already used for "{action}". Clear that shortcut first, or choose another key',
+            'keys.assigned': '"{action}" is now {combo}',
+            'keys.cleared': '"{action}" no longer has a shortcut',
+            'keys.none': 'None',
+            'keys.conflict': 'Conflict',
+            'keys.changeLabel': 'Change shortcut for {action}, now {combo}',
+            'prayer.fajr': 'Fajr',
+            'prayer.sunrise': 'Sunrise',
+            'prayer.dhuhr': 'Dhuhr',
+            'prayer.asr': 'Asr',
+            'prayer.maghrib': 'Maghrib',
+            'prayer.isha': 'Isha',
+            'prayer.method.MWL': 'Muslim World League',
+            'prayer.method.ISNA': 'Islamic Society of North America',
+            'prayer.method.Egypt': 'Egyptian General Authority of Survey',
+            'prayer.method.Makkah': 'Umm al-Qura, Makkah',
+            'prayer.method.Karachi': 'University of Islamic Sciences, Karachi',
+            'prayer.method.Tehran': 'Institute of Geophysics, Tehran',
+            'prayer.method.Jafari': 'Shia Ithna Ashari, Qum',
+            'prayer.asr.standard': 'Standard Asr (Shafi\'i, Maliki, Hanbali)',
+            'prayer.asr.hanafi': 'Hanafi Asr',
+            'toast.locationFailed': 'Could not get this device\'s location; enter it by hand instead',
+            'prayer.noLocation': 'Set your location to see today\'s prayer times and to reset or remind at them.',
+            'prayer.coordinates': '{latitude}, {longitude}',
+            'toast.coordinatesPair': 'Enter both latitude and longitude, or neither',
+            'toast.coordinatesRange': 'Latitude must be between -90 and 90, and longitude between -180 and 180',
+            'toast.unknownTimeZone': '"{timeZone}" isn\'t a time zone this browser knows, e.g. Europe/London',
+            'toast.prayerOff': 'Prayer times turned off',
+            'toast.prayerUpdated': 'Prayer times updated',
+            'dates.calendar.islamic-umalqura': 'Umm al-Qura',
+            'dates.calendar.islamic-civil': 'Tabular (civil)',
+            'dates.calendar.islamic-tbla': 'Tabular (astronomical)',
+            'dates.calendar.islamic': 'Astronomical',
+            'dates.preview': 'Today is {date}',
+            'toast.datesSaved': 'Date settings saved',
+            'toast.reminderLimit': { one: 'Up to {count} reminder time per tracker', other: 'Up to {count} reminder times per tracker' },
+            'reminders.missedOne': 'Missed reminder: {name} at {time}',
+            'reminders.missedMany': { one: 'Missed {count} reminder: {names}', other: 'Missed {count} reminders: {names}' },
+            'reminders.open': 'Open',
+            'reminders.toast': 'Time for {name}: {phrase}',
+            'reminders.title': 'Time for {name}',
+            'reminders.done': 'Mark done',
+            'reminders.snooze': 'Snooze {minutes} min',
+            'toast.notificationsOff': 'Notifications are off, so reminders will only appear while the app is open',
+            'reminders.at': 'At',
+            'reminders.anchorLabel': 'Reminder {position}: clock time or prayer',
+            'reminders.timeLabel': 'Reminder {position} time',
+            'reminders.offsetLabel': 'Reminder {position}: minutes after the prayer, or before if negative',
+            'reminders.minutesAfter': 'min after',
+            'reminders.remove': 'Remove reminder {position}',
+            'toast.reminderOffset': { one: 'Reminders can be up to {count} minute before or after a prayer', other: 'Reminders can be up to {count} minutes before or after a prayer' },
+            'toast.reminderDays': 'Choose at least one day for the reminders',
+            'trackers.default.morning-dhikr': 'Morning Dhikr',
+            'trackers.default.evening-dhikr': 'Evening Dhikr',
+            'trackers.default.salah-count': 'Salah Count',
+            'trackers.preset.tasbih-fatimah': 'Tasbih Fatimah',
+            'trackers.preset.after-salah': 'After Salah',
+            'schedule.anchorPending': '{time} ({prayer} once a location is set)',
+            'schedule.daily': 'Resets daily at {at}',
+            'schedule.weekly': 'Resets every {weekday} at {at}',
+            'schedule.monthly': 'Resets monthly on day {day} at {at}',
+            'weekday.0': 'Sunday',
+            'weekday.1': 'Monday',
+            'weekday.2': 'Tuesday',
+            'weekday.3': 'Wednesday',
+            'weekday.4': 'Thursday',
+            'weekday.5': 'Friday',
+            'weekday.6': 'Saturday',
+            'weekday.short.0': 'Sun',
+            'weekday.short.1': 'Mon',
+            'weekday.short.2': 'Tue',
+            'weekday.short.3': 'Wed',
+            'weekday.short.4': 'Thu',
+            'weekday.short.5': 'Fri',
+            'weekday.short.6': 'Sat',
+            'card.focus': 'Focus mode',
+            'card.edit': 'Edit tracker',
+            'card.reset': 'Reset',
+            'card.stepProgress': 'Step progress',
+            'card.roundProgress': 'Round progress',
+            'card.step': 'Step {step} of {total}',
+            'card.never': 'Never',
+            'card.lastUpdated': 'Last updated: {date}',
+            'card.streak': { one: '{count}-day streak', other: '{count}-day streak' },
+            'card.roundInfo': { one: '{current} / {target} · {count} round completed', other: '{current} / {target} · {count} rounds completed' },
+            'announce.movedInGroup': '{name} moved to position {position} of {total} in {group}',
+            'toast.addedStep': '+{step} {phrase}',
+            'toast.markedDone': 'Marked {name} done',
+            'toast.reset': 'Reset {name} (was {count})',
+            'toast.times': '{count} × {phrase}',
+            'toast.roundComplete': 'Round {round} complete: {completed}',
+            'toast.fillAll': 'Please fill in all fields',
+            'toast.trackerAdded': 'Added tracker: {name}',
+            'toast.sequenceSteps': 'A sequence needs at least two steps',
+            'toast.stepFields': 'Every step needs a phrase and a count above zero',
+            'toast.targetInvalid': 'Target must be a whole number above zero',
+            'steps.placeholder': 'Phrase',
+            'steps.phraseLabel': 'Step {position} phrase',
+            'steps.countLabel': 'Step {position} count',
+            'steps.remove': 'Remove step {position}',
+            'toast.longPressInvalid': 'Long press step must be a whole number above 0',
+            'toast.trackerUpdated': 'Tracker updated',
+            'toast.exported': 'Data exported successfully',
+            'toast.invalidFile': 'Invalid file format',
+            'toast.vibrationOn': 'Vibration enabled for {name}',
+            'toast.vibrationOff': 'Vibration disabled for {name}',
+            'quick.noTrackers': 'Add a tracker on the tracker page to start counting',
+            'trackers.default.quick-dhikr': 'Quick Dhikr',
+            'quick.noRecent': 'Recent counts will appear here',
+            'quick.recentEntry': '+{count} {phrase} at {date}',
+            'import.strategy.local': 'Keep local',
+            'import.strategy.imported': 'Keep imported',
+            'import.strategy.higher': 'Take the higher count',
+            'import.strategy.sum': 'Add the counts together',
+            'import.add': 'Add "{name}" ({count})',
+            'import.replace': 'Replace "{name}" ({count}) with "{newName}" ({newCount})',
+            'import.remove': 'Remove "{name}" ({count}), which isn\'t in the backup',
+            'import.theme': 'Switch theme from {from} to {to}',
+            'import.setting': 'Change {key} from {from} to {to}',
+            'import.phrases': { one: 'Replace your phrases with {count} from the backup', other: 'Replace your phrases with {count} from the backup' },
+            'import.groups': { one: 'Replace your groups with {count} from the backup', other: 'Replace your groups with {count} from the backup' },
+            'import.history': { one: 'Replace activity history with {count} event from the backup', other: 'Replace activity history with {count} events from the backup' },
+            'import.skip': 'Skip "{name}": same on both sides',
+            'import.conflict': '"{name}": {count} here, {newCount} in backup',
+            'import.keep': 'Keep "{name}" (only on this device)',
+            'import.addPhrases': { one: 'Add {count} phrase to your library', other: 'Add {count} phrases to your library' },
+            'import.addGroups': { one: 'Add {count} group', other: 'Add {count} groups' },
+            'import.settingsKept': 'Theme and settings stay as they are',
+            'import.noChanges': 'No changes: this backup matches your current data',
+            'import.upgraded': 'upgraded from format version {version}',
+            'import.exported': 'exported {date}',
+            'import.invalid': 'This backup can\'t be imported:',
+            'toast.merged': 'Merged: {added} added, {updated} updated, {skipped} skipped{history}',
+            'toast.mergedHistory': { one: ', {count} history event added', other: ', {count} history events added' },
+            'toast.imported': 'Data imported successfully',
+            'csv.trackers.id': 'Tracker ID',
+            'csv.trackers.name': 'Name',
+            'csv.trackers.phrase': 'Phrase',
+            'csv.trackers.count': 'Count',
+            'csv.trackers.target': 'Round target',
+            'csv.trackers.created': 'Created date',
+            'csv.history.trackerId': 'Tracker ID',
+            'csv.history.tracker': 'Tracker name',
+            'csv.history.type': 'Type',
+            'csv.history.amount': 'Amount',
+            'csv.history.count': 'Count after',
+            'csv.history.time': 'Time',
+            'csv.history.trackerIdOrName': 'Tracker ID or Tracker name',
+            'csv.rows': { one: '{count} row', other: '{count} rows' },
+            'csv.column': 'Column {index}',
+            'csv.notInFile': 'Not in file',
+            'toast.csvTrackers': 'Trackers exported as CSV',
+            'toast.csvHistory': 'History exported as CSV',
+            'toast.csvEmpty': 'This CSV file has no data rows',
+            'toast.csvMissing': 'Choose a column for {fields}',
+            'toast.csvSkipped': { one: ', {count} row skipped (unreadable or unknown tracker)', other: ', {count} rows skipped (unreadable or unknown tracker)' },
+            'toast.csvHistoryAdded': { one: '{fileName}: {count} history event added{skipped}', other: '{fileName}: {count} history events added{skipped}' },
+            'history.archivedTracker': '{name} (archived)',
+            'history.allTrackers': 'All trackers',
+            'history.noActivity': 'No activity in this period',
+            'history.emptyEvents': 'Activity will appear here as you count',
+            'history.change': '{amount} → {count}',
+            'history.reset': 'reset (was {count})',
+            'history.scheduledReset': 'scheduled reset (was {count})',
+            'history.restored': 'restored to {count}',
+            'history.deletedTracker': 'Deleted tracker',
+            'undo.label': 'Undo',
+            'undo.action.increment': '+1',
+            'undo.action.increment-10': '+10',
+            'undo.action.increment-step': 'long press',
+            'undo.action.increment-round': 'mark done',
+            'undo.action.decrement': '-1',
+            'undo.action.reset': 'reset',
+            'undo.action.edit': 'edit',
+            'undo.action.delete': 'delete',
+            'undo.action.archive': 'archive',
+            'undo.action.trash': 'trash',
+            'undo.action.restore': 'restore',
+            'toast.alreadyUndone': 'That change was already undone',
+            'toast.nothingTo.undo': 'Nothing to undo',
+            'toast.nothingTo.redo': 'Nothing to redo',
+            'toast.undoDone': 'Undid {action} on {name}',
+            'toast.redoDone': 'Redid {action} on {name}',
+            'calendar.dayLabel': { one: '{day}: {count} counted', other: '{day}: {count} counted' },
+            'calendar.current': { one: 'Current: {count} day', other: 'Current: {count} days' },
+            'calendar.longest': { one: 'Longest: {count} day', other: 'Longest: {count} days' },
+            'contact.invalidEmail': 'Please enter a valid email address',
+            'contact.required': 'This field is required',
+            'toast.fixErrors': 'Please fix the errors before submitting',
+            'toast.openingEmail': 'Opening your email client...',
+            'toast.emailFailed': 'Unable to open email client. Please email us directly at {email}',
+            'nav.skip': 'Skip to main content',
+            'nav.toggle': 'Toggle navigation',
+            'nav.language': 'Language',
+            'nav.home': 'Home',
+            'nav.about': 'About',
+            'nav.tracker': 'Tracker',
+            'nav.themes': 'Themes',
+            'nav.contact': 'Contact',
+            'footer.rights': '© 2025 Spiritual Count. All rights reserved.',
+            'footer.contact': 'Contact:',
+            'footer.privacy': 'Privacy Policy',
+            'offline.banner': 'You\'re offline. Data will be saved locally and synced when you\'re back online.',
+            'common.close': 'Close modal',
+            'common.cancel': 'Cancel',
+            'common.save': 'Save',
+            'common.done': 'Done',
+            'common.add': 'Add',
+            'common.continue': 'Continue',
+            'index.title': 'Spiritual Count - Track dhikr & prayers with focus',
+            'index.description': 'Track dhikr & prayers with focus — offline, private, and customizable',
+            'index.heroTitle': 'Track dhikr & prayers with focus',
+            'index.heroSubtitle': 'Offline, private, and customizable spiritual companion',
+            'index.readArticle': 'Read Article',
+            'index.ctaTitle': 'Begin Your Spiritual Journey',
+            'index.startTracking': 'Start Tracking',
+            'index.chooseTheme': 'Choose Theme',
+            'quick.title': 'Quick Dhikr Tracker',
+            'quick.previous': 'Previous tracker',
+            'quick.select': 'Tracker to count',
+            'quick.next': 'Next tracker',
+            'quick.vibration': 'Toggle vibration',
+            'about.title': 'About - Spiritual Count',
+            'about.description': 'Learn about Spiritual Count\'s mission to help Muslims track dhikr and prayers with privacy and focus',
+            'about.heading': 'About Spiritual Count',
+            'about.tagline': 'A modern tool for timeless spiritual practice',
+            'about.mission': 'Our Mission',
+            'about.mission1': 'Spiritual Count is designed to help Muslims maintain consistent dhikr and prayer tracking in today\'s fast-paced digital world. Our goal is to provide a private, offline-first, and customizable tool that enhances your spiritual practice without compromising the essence of remembrance.',
+            'about.mission2': 'We believe that technology should serve spirituality, not distract from it. That\'s why we\'ve created a simple, focused application that works entirely offline, stores all data locally on your device, and respects your privacy completely.',
+            'about.features': 'Key Features',
+            'about.offline': 'Offline First',
+            'about.offlineText': 'Track your dhikr anytime, anywhere, without internet connection',
+            'about.privacy': 'Complete Privacy',
+            'about.privacyText': 'All data stored locally on your device. No cloud sync, no tracking',
+            'about.multiple': 'Multiple Trackers',
+            'about.multipleText': 'Create separate counters for different prayers and dhikr',
+            'about.themes': 'Customizable Themes',
+            'about.themesText': 'Choose from light, dark, and accent themes to suit your preference',
+            'about.vibration': 'Vibration Feedback',
+            'about.vibrationText': 'Gentle haptic feedback to maintain focus during dhikr',
+            'about.backup': 'Export & Import',
+            'about.backupText': 'Backup and restore your data as JSON files',
+            'about.journey': 'How It Helps Your Spiritual Journey',
+            'about.consistent': 'Stay Consistent',
+            'about.consistentText': 'Track your daily dhikr routine and maintain consistency in your spiritual practice',
+            'about.focus': 'Focus Better',
+            'about.focusText': 'Let the app handle counting so you can focus entirely on the spiritual meaning',
+            'about.progress': 'Track Progress',
+            'about.progressText': 'See your spiritual growth over time with detailed tracking and history',
+            'about.motivated': 'Stay Motivated',
+            'about.motivatedText': 'Visual feedback and progress tracking help maintain motivation',
+            'about.policy': 'Privacy & Data Policy',
+            'about.policy1': 'All data is stored locally on your device using the browser\'s IndexedDB (or localStorage where IndexedDB is unavailable)',
+            'about.policy2': 'No personal information is collected, transmitted, or stored on external servers',
+            'about.policy3': 'No tracking, analytics, or third-party services are used',
+            'about.policy4': 'No cloud backup unless you explicitly export and upload files yourself',
+            'about.policy5': 'The app works completely offline after the first load',
+            'about.policy6': 'You have full control over your data with export/import functionality',
+            'about.storage': 'Data Storage',
+            'about.storageIntro': 'The following data is stored locally in your browser:',
+            'about.storage1': 'Dhikr counts and tracker names',
+            'about.storage2': 'Theme preferences',
+            'about.storage3': 'Vibration settings',
+            'about.storage4': 'Dhikr activity history and daily totals',
+            'about.faq': 'Frequently Asked Questions',
+            'about.faq1': 'Is this app permissible in Islam?',
+            'about.faq1Answer': 'Yes, digital dhikr counters are generally considered permissible by Islamic scholars when used with sincere intention for remembrance of Allah. The app is designed to enhance, not replace, traditional spiritual practices.',
+            'about.faq2': 'Does the app work offline?',
+            'about.faq2Answer': 'Yes, after the initial load, the app works completely offline. All functionality including counting, data storage, and theme switching is available without internet connection.',
+            'about.faq3': 'Can I backup my data?',
+            'about.faq3Answer': 'Yes, you can export all your data as a JSON file from the tracker page and import it later to restore your progress.',
+            'about.faq4': 'Is my data secure?',
+            'about.faq4Answer': 'Your data never leaves your device. Everything is stored locally in your browser, ensuring complete privacy and security.',
+            'about.accessibility': 'Accessibility',
+            'about.accessibilityIntro': 'Spiritual Count is designed to be accessible to everyone:',
+            'tracker.title': 'Dhikr Tracker - Spiritual Count',
+            'tracker.description': 'Track your daily dhikr and prayers with customizable counters',
+            'tracker.heading': 'Dhikr Tracker',
+            'tracker.tagline': 'Focus on remembrance while we handle the counting',
+            'controls.addTracker': '+ Add Tracker',
+            'controls.groups': 'Groups',
+            'controls.archive': 'Archive & Trash',
+            'controls.sound': 'Sound',
+            'controls.dates': 'Dates',
+            'controls.export': 'Export Data',
+            'controls.exportCsv': 'Export CSV',
+            'controls.import': 'Import Data',
+            'controls.shortcuts': 'Keyboard Shortcuts',
+            'prayer.heading': 'Today\'s Prayer Times',
+            'prayer.settings': 'Location & Method',
+            'calendar.heading': 'Calendar',
+            'calendar.heatmap': 'Daily activity over the last 12 weeks',
+            'calendar.less': 'Less',
+            'calendar.more': 'More',
+            'calendar.streaks': 'Streaks',
+            'history.heading': 'History',
+            'history.period': 'Period',
+            'history.range.7': 'Last 7 days',
+            'history.range.30': 'Last 30 days',
+            'history.range.90': 'Last 90 days',
+            'history.day': 'Day',
+            'history.counted': 'Counted',
+            'history.resets': 'Resets',
+            'history.recent': 'Recent Activity',
+            'help.heading': 'Usage Instructions',
+            'form.addHeading': 'Add New Tracker',
+            'form.name': 'Tracker Name:',
+            'form.namePlaceholder': 'e.g., Morning Dhikr',
+            'form.group': 'Group:',
+            'form.type': 'Tracker Type:',
+            'form.type.counter': 'Single phrase',
+            'form.type.sequence': 'Sequence of phrases',
+            'form.phrase': 'Dhikr Phrase:',
+            'form.phraseSearch': 'Search Arabic, transliteration or meaning',
+            'form.phraseLibrary': 'Phrase library',
+            'form.noPhrases': 'No phrases match your search.',
+            'form.customPhrase': 'Add your own phrase',
+            'form.transliteration': 'Transliteration:',
+            'form.transliterationPlaceholder': 'e.g., SubhanAllahil Azim',
+            'form.arabic': 'Arabic (optional):',
+            'form.meaning': 'Meaning (optional):',
+            'form.source': 'Source (optional):',
+            'form.sourcePlaceholder': 'e.g., Sahih Muslim 2694',
+            'form.saveToLibrary': 'Save to Library',
+            'form.target': 'Round Target (optional):',
+            'form.targetPlaceholder': 'e.g., 33',
+            'form.startFrom': 'Start From:',
+            'form.blankSequence': 'Blank sequence',
+            'form.preset.tasbih-fatimah': 'Tasbih Fatimah (33 · 33 · 34)',
+            'form.preset.after-salah': 'After Salah (33 · 33 · 33 · 1)',
+            'form.steps': 'Steps, in order:',
+            'form.addStep': '+ Add Step',
+            'form.addTracker': 'Add Tracker',
+            'form.editHeading': 'Edit Tracker',
+            'form.noTarget': 'Leave empty for no target',
+            'form.sound': 'Count Sound:',
+            'form.longPress': 'Long Press Adds:',
+            'form.reset': 'Automatic Reset:',
+            'form.reset.never': 'Never',
+            'form.reset.daily': 'Daily',
+            'form.reset.weekly': 'Weekly',
+            'form.reset.monthly': 'Monthly',
+            'form.weekday': 'Day of Week:',
+            'form.monthDay': 'Day of Month:',
+            'form.resetAt': 'Reset At:',
+            'form.setTime': 'A set time',
+            'form.resetTime': 'Reset Time (also used for a prayer until a location is set):',
+            'form.vibration': 'Enable vibration feedback',
+            'form.vibrationPattern': 'Vibration Pattern',
+            'form.patternPreset': 'Pattern preset',
+            'form.patternPlaceholder': 'e.g. 100, 50, 100',
+            'form.pattern': 'Pattern for each count, in milliseconds',
+            'form.milestones': 'Milestones:',
+            'form.addMilestone': '+ Add Milestone',
+            'form.hapticNote': 'Milliseconds of vibration and pause, alternating. A milestone plays instead of the usual pattern each time the count passes a multiple of its number, so you can keep count by feel.',
+            'form.reminders': 'Reminders',
+            'form.addTime': '+ Add Time',
+            'form.reminderDays': 'Days to remind',
+            'form.reminderNote': 'Reminders are kept on this device and work offline. If the app is closed when one is due, it is shown when you next open it.',
+            'form.showArabic': 'Show Arabic text on the card',
+            'form.archive': 'Archive',
+            'form.saveChanges': 'Save Changes',
+            'import.heading': 'Review Import',
+            'import.mode': 'Import mode',
+            'import.replaceAll': 'Replace everything',
+            'import.merge': 'Merge with trackers on this device',
+            'import.strategy': 'When a tracker differs on both sides:',
+            'import.confirm': 'Import',
+            'groups.heading': 'Tracker Groups',
+            'groups.new': 'New Group:',
+            'groups.placeholder': 'e.g., Morning, After Salah, Ramadan',
+            'focus.exit': 'Exit',
+            'sound.enabled': 'Play sounds while counting',
+            'sound.volume': 'Volume:',
+            'sound.note': 'Each count plays its tracker\'s sound (chosen in the tracker settings), rounds and every 100 counts chime, and resets have a sound of their own. Sounds follow the silent switch where the browser supports it, and chimes are kept short when your device asks for reduced motion.',
+            'prayer.modalHeading': 'Prayer Times',
+            'prayer.latitude': 'Latitude:',
+            'prayer.latitudePlaceholder': 'e.g. 21.4225',
+            'prayer.longitude': 'Longitude:',
+            'prayer.longitudePlaceholder': 'e.g. 39.8262',
+            'prayer.locate': 'Use This Device\'s Location',
+            'prayer.timeZone': 'Time Zone:',
+            'prayer.method': 'Calculation Method:',
+            'prayer.asrLabel': 'Asr:',
+            'prayer.note': 'Times are calculated on this device and need no internet connection. Leave latitude and longitude empty to turn prayer times off; resets and reminders set for a prayer then use their clock time.',
+            'dates.showIn': 'Show Dates In:',
+            'dates.gregorian': 'Gregorian',
+            'dates.hijri': 'Hijri',
+            'dates.both': 'Gregorian and Hijri',
+            'dates.hijriCalendar': 'Hijri Calendar:',
+            'dates.adjustment': 'Adjustment:',
+            'dates.earlier': 'One day earlier',
+            'dates.later': 'One day later',
+            'dates.maghrib': 'Day begins at Maghrib',
+            'dates.maghribInfo': 'Counts after Maghrib go to the next day in history, the calendar and daily totals. Counts already made keep their day.',
+            'dates.maghribNote': 'Set your location under Prayer Times first; until then days begin at midnight.',
+            'archive.archived': 'Archived',
+            'archive.trashHeading': 'Trash',
+            'archive.retention': 'Keep trashed trackers for:',
+            'archive.empty': 'Empty Trash',
+            'csv.intro': 'CSV files open in spreadsheet apps. Use Export Data for a full backup.',
+            'csv.kind.trackers': 'Trackers',
+            'csv.kind.history': 'Activity history',
+            'csv.importHeading': 'Import CSV',
+            'csv.contains': 'This file contains:',
+            'shortcuts.increment': 'Increment focused tracker',
+            'shortcuts.move': 'Move between trackers',
+            'shortcuts.reset': 'Reset focused tracker',
+            'shortcuts.reorder': 'Move focused tracker (or group heading) earlier or later',
+            'shortcuts.undo': 'Undo last change',
+            'shortcuts.redo': 'Redo',
+            'shortcuts.close': 'Close modals',
+            'shortcuts.yours': 'Your shortcuts',
+            'shortcuts.note': 'Select a shortcut, then press the key to use instead — including keys sent by a foot pedal or clicker. Backspace clears a shortcut; Esc keeps it. Tracker numbers follow the order on this page.',
+            'shortcuts.restore': 'Restore Default Shortcuts',
+            'shortcuts.gotIt': 'Got it',
+            'themes.title': 'Themes - Spiritual Count',
+            'themes.description': 'Customize your spiritual tracking experience with beautiful themes',
+            'themes.heading': 'Customize Your Experience',
+            'themes.tagline': 'Choose a theme that enhances your spiritual practice',
+            'themes.light': 'Light Theme',
+            'themes.lightText': 'Clean and bright for daytime use',
+            'themes.dark': 'Dark Theme',
+            'themes.darkText': 'Easy on the eyes for evening dhikr',
+            'themes.oasis': 'Oasis Theme',
+            'themes.oasisText': 'Warm gradients inspired by desert tranquility',
+            'themes.colors': 'Color Customization',
+            'themes.colorsText': 'Fine-tune your accent colors',
+            'themes.hue': 'Accent Hue',
+            'themes.saturation': 'Saturation',
+            'themes.lightness': 'Lightness',
+            'themes.apply': 'Apply Colors',
+            'themes.resetColors': 'Reset to Default',
+            'themes.accessibility': 'Accessibility Check',
+            'themes.accessibilityText': 'Ensuring your theme meets accessibility standards',
+            'themes.headingText': 'Heading Text',
+            'themes.bodyText': 'Body Text',
+            'themes.accentColor': 'Accent Color',
+            'themes.typography': 'Typography Settings',
+            'themes.typographyText': 'Adjust text size for better readability',
+            'themes.fontSize': 'Base Font Size',
+            'themes.lineHeight': 'Line Height',
+            'themes.digits': 'Digits',
+            'themes.sampleHeading': 'Sample Heading',
+            'themes.sampleText': 'This is sample body text to preview your typography settings. The quick brown fox jumps over the lazy dog.',
+            'contact.title': 'Contact - Spiritual Count',
+            'contact.description': 'Get in touch with the Spiritual Count team',
+            'contact.heading': 'Get In Touch',
+            'contact.tagline': 'We\'d love to hear from you',
+            'contact.info': 'Contact Information',
+            'contact.email': 'Email',
+            'contact.response': 'We typically respond within 24-48 hours',
+            'contact.hours': 'Support Hours',
+            'contact.weekdays': 'Monday - Friday: 9:00 AM - 6:00 PM (UTC)',
+            'contact.weekend': 'Weekend: Limited support available',
+            'contact.technical': 'Technical Support',
+            'contact.technicalIntro': 'For technical issues, please include:',
+            'contact.browser': 'Browser and version',
+            'contact.device': 'Device type (mobile/desktop)',
+            'contact.issue': 'Description of the issue',
+            'contact.steps': 'Steps to reproduce',
+            'contact.feedback': 'Feedback & Suggestions',
+            'contact.feedbackText': 'We welcome your ideas for improving Spiritual Count. Your feedback helps us create a better spiritual experience for everyone.',
+            'contact.send': 'Send Us a Message',
+            'contact.name': 'Full Name *',
+            'contact.emailAddress': 'Email Address *',
+            'contact.subject': 'Subject *',
+            'contact.subject.none': 'Choose a subject',
+            'contact.subject.general': 'General Inquiry',
+            'contact.subject.bug': 'Bug Report',
+            'contact.subject.feature': 'Feature Request',
+            'contact.subject.accessibility': 'Accessibility Issue',
+            'contact.subject.feedback': 'Feedback',
+            'contact.message': 'Message *',
+            'contact.messagePlaceholder': 'Please provide as much detail as possible...',
+            'contact.consent': 'I understand that this message will be sent via email and consent to my information being used for the purpose of responding to my inquiry. No information will be stored or used for marketing purposes. *',
+            'contact.submit': 'Send Message',
+            'contact.prefer': 'Prefer direct email?',
+            'history.tracker': 'Tracker',
+            'dates.noAdjustment': 'None',
+            'help.tap': '<strong>Tap:</strong> Tap or click anywhere on a card to increment by 1',
+            'help.longPress': '<strong>Long Press:</strong> Hold for 1 second to add the tracker\'s step (10 unless changed in the tracker settings)',
+            'help.focus': '<strong>Focus Mode:</strong> Press ⛶ on a card to count full screen with the screen kept awake; the whole screen is the tap target',
+            'help.swipe': '<strong>Swipe Left:</strong> Swipe a card to the left to take 1 off; on touch screens, drag a card by its title to reorder',
+            'help.keyboard': '<strong>Keyboard:</strong> Press \'T\' to focus tracker, Space/Enter to increment, or 1–9 to count the first nine trackers (Shift+number takes one off); change any of these keys, e.g. for a foot pedal or clicker, under Keyboard Shortcuts',
+            'help.settings': '<strong>Settings:</strong> Click the gear icon to rename trackers',
+            'help.reset': '<strong>Automatic Reset:</strong> Set a daily, weekly or monthly reset in the tracker settings; the previous total is kept in History',
+            'help.undo': '<strong>Undo:</strong> Press Ctrl+Z or tap "Undo" on the notification to reverse a reset, edit, archive or trash',
+            'help.archive': '<strong>Archive &amp; Trash:</strong> Archive a tracker to put it away with its count and history kept; trashed trackers can be restored until the retention period you choose runs out',
+            'help.rounds': '<strong>Rounds:</strong> Set a target (33, 99, 100) to count in rounds with a progress ring',
+            'help.groups': '<strong>Groups:</strong> Sort trackers into groups such as Morning or Ramadan, fold sections away, and drag cards (or press Alt+Arrow) to reorder',
+            'help.phrases': '<strong>Phrase Library:</strong> Search phrases by Arabic, transliteration or meaning, and save your own; cards show the Arabic text',
+            'help.sequences': '<strong>Sequences:</strong> Chain phrases such as Tasbih Fatimah; the tracker moves to the next phrase when each step\'s count is reached',
+            'help.vibration': '<strong>Vibration:</strong> Toggle haptic feedback for each count, choose its pattern in the tracker settings, and add milestone buzzes such as every 33 or 100 counts',
+            'help.prayer': '<strong>Prayer Times:</strong> Set your location under Prayer Times to see today\'s times; resets can then follow Fajr, Asr or Maghrib instead of the clock',
+            'help.reminders': '<strong>Reminders:</strong> Add reminder times in the tracker settings, at a set time or minutes after a prayer, such as after Fajr and Asr for the morning and evening adhkar; "Mark done" on the notification completes the round, and "Snooze" asks again in 10 minutes',
+            'help.hijri': '<strong>Hijri Dates:</strong> Show dates in the Hijri calendar, or both calendars, under Dates; adjust by a day to match your local sighting, and optionally start each day at Maghrib',
+            'help.sound': '<strong>Sound:</strong> Turn on soft count sounds and chimes under Sound, and pick each tracker\'s sound in its settings',
+            'about.policyIntro': '<strong>Your privacy is paramount.</strong> Spiritual Count operates on these principles:',
+            'about.keyboard': '<strong>Keyboard Navigation:</strong> All functions accessible via keyboard',
+            'about.screenReaders': '<strong>Screen Readers:</strong> Proper semantic markup and ARIA labels',
+            'about.contrast': '<strong>High Contrast:</strong> Multiple themes with accessible color contrast',
+            'about.largeText': '<strong>Large Text:</strong> Scalable fonts that respect browser settings',
+            'about.motor': '<strong>Motor Accessibility:</strong> Large touch targets and keyboard shortcuts',
+            'about.issues': 'We\'re committed to making spiritual practice accessible to everyone. If you encounter any accessibility issues, please <a href="contact.html">contact us</a>.',
+            'themes.aa': '<strong>WCAG AA Standard:</strong> 4.5:1 ratio for normal text, 3:1 for large text',
+            'themes.aaa': '<strong>WCAG AAA Standard:</strong> 7:1 ratio for normal text, 4.5:1 for large text',
+            'contact.direct': 'You can also email us directly at <a href="mailto:hello@spiritualcount.com">hello@spiritualcount.com</a>'
+        },
+        ar: {
+            'date.withTime': '{date}، {time}',
+            'date.withWeekday': '{weekday}، {date}',
+            'date.today': 'اليوم',
+            'date.yesterday': 'أمس',
+            'toast.saveFailed': 'تعذّر حفظ التغييرات. قد تكون مساحة التخزين على الجهاز ممتلئة.',
+            'toast.dataUnavailable': 'تعذّر فتح بياناتك المحفوظة. تُعرض القيم الافتراضية، وتُحفظ التغييرات الحالية بشكل منفصل.',
+            'theme.active': 'مُفعّل',
+            'theme.select': 'اختيار',
+            'theme.light': 'الفاتح',
+            'theme.dark': 'الداكن',
+            'theme.oasis': 'الواحة',
+            'toast.themeApplied': 'تم تطبيق المظهر {theme}',
+            'toast.colorsSaved': 'تم حفظ الألوان المخصصة',
+            'toast.colorsReset': 'أُعيدت الألوان إلى الافتراضية',
+            'theme.pixels': '{size} بكسل',
+            'contrast.ratio': '{ratio}:1',
+            'contrast.unknown': 'لون غير مقروء',
+            'contrast.levels': 'النص العادي: {normal} · النص الكبير: {large}',
+            'contrast.fail': 'غير كافٍ',
+            'contrast.suggestion': 'أقرب سطوع للون المميّز يحقق AA للنص العادي هو {lightness}.',
+            'contrast.noSuggestion': 'لا يوجد سطوع للون المميّز يحقق AA للنص العادي بهذه الدرجة والتشبّع؛ جرّب تشبّعًا أقل.',
+            'contrast.apply': 'استخدمه',
+            'numerals.auto': 'حسب اللغة',
+            'numerals.latn': 'غربية (0123456789)',
+            'numerals.arab': 'عربية مشرقية (٠١٢٣٤٥٦٧٨٩)',
+            'numerals.arabext': 'فارسية وأردية (۰۱۲۳۴۵۶۷۸۹)',
+            'phrases.remove': 'إزالة {phrase} من المكتبة',
+            'toast.phraseRequired': 'اكتب الذكر بالحروف اللاتينية',
+            'toast.phraseExists': '{phrase} موجود في المكتبة بالفعل',
+            'toast.phraseAdded': 'أُضيف {phrase} إلى أذكارك',
+            'toast.phraseRemoved': 'أُزيل {phrase} من أذكارك',
+            'groups.ungrouped': 'بلا مجموعة',
+            'groups.trackerCount': { zero: 'لا عدّادات', one: 'عدّاد واحد', two: 'عدّادان', few: '{count} عدّادات', many: '{count} عدّادًا', other: '{count} عدّاد' },
+            'groups.emptySection': 'اسحب العدّادات إلى هنا، أو انقل أحدها بمفتاحي Alt والأسهم',
+            'groups.none': 'بلا مجموعة',
+            'groups.emptyList': 'لا توجد مجموعات بعد. أضف واحدة أدناه، مثل: الصباح أو بعد الصلاة أو رمضان.',
+            'groups.nameLabel': 'اسم المجموعة {position}',
+            'groups.moveUp': 'نقل {name} إلى الأعلى',
+            'groups.moveDown': 'نقل {name} إلى الأسفل',
+            'groups.delete': 'حذف {name}',
+            'toast.groupNameRequired': 'اكتب اسمًا للمجموعة',
+            'toast.groupAdded': 'أُضيفت المجموعة: {name}',
+            'toast.groupNameEmpty': 'لا يمكن أن يكون اسم المجموعة فارغًا',
+            'announce.moved': 'نُقل {name} إلى الموضع {position} من {total}',
+            'toast.groupDeleted': 'حُذفت المجموعة {name}؛ أصبحت عدّاداتها بلا مجموعة',
+            'toast.active': 'استُعيد {name}',
+            'toast.archived': 'أُرشف {name}',
+            'toast.trashed': 'نُقل {name} إلى المهملات',
+            'archive.confirmPurgeOne': 'حذف «{name}» نهائيًا؟ لا يمكن استعادة عدده، لكن سجله يبقى.',
+            'archive.confirmPurgeMany': { zero: 'حذف {count} عدّاد نهائيًا؟ لا يمكن استعادة أعدادها، لكن سجلها يبقى.', one: 'حذف عدّاد واحد نهائيًا؟ لا يمكن استعادة عدده، لكن سجله يبقى.', two: 'حذف عدّادين نهائيًا؟ لا يمكن استعادة عدديهما، لكن سجلهما يبقى.', few: 'حذف {count} عدّادات نهائيًا؟ لا يمكن استعادة أعدادها، لكن سجلها يبقى.', many: 'حذف {count} عدّادًا نهائيًا؟ لا يمكن استعادة أعدادها، لكن سجلها يبقى.', other: 'حذف {count} عدّاد نهائيًا؟ لا يمكن استعادة أعدادها، لكن سجلها يبقى.' },
+            'toast.purgedOne': 'حُذف «{name}» نهائيًا',
+            'toast.purgedMany': { zero: 'لم يُحذف أي عدّاد', one: 'حُذف عدّاد واحد نهائيًا', two: 'حُذف عدّادان نهائيًا', few: 'حُذفت {count} عدّادات نهائيًا', many: 'حُذف {count} عدّادًا نهائيًا', other: 'حُذف {count} عدّاد نهائيًا' },
+            'toast.retentionSet': { zero: 'تُحذف العدّادات المهملة فورًا', one: 'تُحفظ العدّادات المهملة الآن يومًا واحدًا', two: 'تُحفظ العدّادات المهملة الآن يومين', few: 'تُحفظ العدّادات المهملة الآن {count} أيام', many: 'تُحفظ العدّادات المهملة الآن {count} يومًا', other: 'تُحفظ العدّادات المهملة الآن {count} يوم' },
+            'archive.days': { zero: '{count} يوم', one: 'يوم واحد', two: 'يومان', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+            'archive.noArchived': 'لا توجد عدّادات مؤرشفة. أرشف عدّادًا من إعداداته لتضعه جانبًا دون أن تفقد عدده.',
+            'archive.archivedOn': 'أُرشف {date}',
+            'archive.noTrash': 'المهملات فارغة.',
+            'archive.trashedSoon': 'أُهمل {date}، ويُحذف نهائيًا خلال يوم',
+            'archive.trashedOn': { zero: 'أُهمل {date}، ويُحذف نهائيًا اليوم', one: 'أُهمل {date}، ويُحذف نهائيًا بعد يوم واحد', two: 'أُهمل {date}، ويُحذف نهائيًا بعد يومين', few: 'أُهمل {date}، ويُحذف نهائيًا بعد {count} أيام', many: 'أُهمل {date}، ويُحذف نهائيًا بعد {count} يومًا', other: 'أُهمل {date}، ويُحذف نهائيًا بعد {count} يوم' },
+            'archive.restore': 'استعادة',
+            'archive.restoreLabel': 'استعادة {name}',
+            'archive.trash': 'نقل إلى المهملات',
+            'archive.trashLabel': 'نقل {name} إلى المهملات',
+            'archive.purge': 'حذف نهائي',
+            'archive.purgeLabel': 'حذف {name} نهائيًا',
+            'focus.hint': 'انقر في أي مكان للعدّ · اضغط مطولًا لإضافة {step} · اسحب للخلف لإنقاص واحد · Esc للخروج',
+            'focus.palette': 'الألوان: {palette}',
+            'focus.palette.theme': 'المظهر',
+            'focus.palette.dim': 'خافت',
+            'focus.palette.oled': 'أسود OLED',
+            'sound.click': 'نقرة خفيفة',
+            'sound.bead': 'حبة خشبية',
+            'sound.drop': 'قطرة ماء',
+            'sound.none': 'صامت',
+            'haptics.single': 'مفردة',
+            'haptics.double': 'مزدوجة',
+            'haptics.triple': 'ثلاثية',
+            'haptics.long': 'طويلة',
+            'haptics.heartbeat': 'نبضة قلب',
+            'haptics.custom': 'مخصصة',
+            'haptics.patternHint': 'اكتب نمط الاهتزاز بالمللي ثانية، مثل 100, 50, 100',
+            'toast.noVibration': 'هذا الجهاز لا يهتز، لذا لا يمكن معاينة الأنماط هنا',
+            'haptics.every': 'كل',
+            'haptics.everyLabel': 'المرحلة {position}: كل كم عدّة',
+            'haptics.patternLabel': 'نمط المرحلة {position} بالمللي ثانية',
+            'haptics.preview': 'معاينة',
+            'haptics.removeMilestone': 'إزالة المرحلة {position}',
+            'toast.milestoneEvery': 'تحتاج كل مرحلة إلى عدد صحيح أكبر من 0',
+            'toast.milestonePattern': 'المرحلة كل {every}: اكتب نمط الاهتزاز بالمللي ثانية، مثل 100, 50, 100',
+            'reserved.dialogs': 'إغلاق النوافذ',
+            'reserved.navigate': 'التنقل بين العدّادات',
+            'reserved.count': 'العدّ في العدّاد المحدد',
+            'reserved.reset': 'تصفير العدّاد المحدد',
+            'reserved.undo': 'التراجع',
+            'reserved.redo': 'الإعادة',
+            'reserved.move': 'نقل العدّاد المحدد',
+            'keys.restored': 'أُعيدت الاختصارات إلى الافتراضية',
+            'keys.focusFirst': 'تحديد أول عدّاد',
+            'keys.addTracker': 'إضافة عدّاد جديد',
+            'keys.export': 'تصدير البيانات',
+            'keys.increment': 'العدّ في العدّاد {slot}',
+            'keys.decrement': 'إنقاص واحد من العدّاد {slot}',
+            'toast.noSlotTracker': 'لا يوجد عدّاد رقم {slot} في هذه الصفحة',
+            'keys.pressKey': 'اضغط مفتاحًا…',
+            'keys.capturing': 'اضغط المفتاح الجديد، أو Backspace لمسح هذا الاختصار، أو Esc للإبقاء عليه',
+            'keys.reserved': '{combo} محجوز لـ{use}؛ اختر مفتاحًا آخر',
+            'keys.taken': '{combo} مستخدم بالفعل لـ«{action}». امسح ذلك الاختصار أولًا، أو اختر مفتاحًا آخر',
+            'keys.assigned': 'أصبح «{action}» على {combo}',
+            'keys.cleared': 'لم يعد لـ«{action}» اختصار',
+            'keys.none': 'لا شيء',
+            'keys.conflict': 'تعارض',
+            'keys.changeLabel': 'تغيير اختصار {action}، الحالي {combo}',
+            'prayer.fajr': 'الفجر',
+            'prayer.sunrise': 'الشروق',
+            'prayer.dhuhr': 'الظهر',
+            'prayer.asr': 'العصر',
+            'prayer.maghrib': 'المغرب',
+            'prayer.isha': 'العشاء',
+            'prayer.method.MWL': 'رابطة العالم الإسلامي',
+            'prayer.method.ISNA': 'الجمعية الإسلامية لأمريكا الشمالية',
+            'prayer.method.Egypt': 'الهيئة المصرية العامة للمساحة',
+            'prayer.method.Makkah': 'أم القرى، مكة المكرمة',
+            'prayer.method.Karachi': 'جامعة العلوم الإسلامية، كراتشي',
+            'prayer.method.Tehran': 'معهد الجيوفيزياء، طهران',
+            'prayer.method.Jafari': 'الشيعة الإثنا عشرية، قم',
+            'prayer.asr.standard': 'العصر الأول (الشافعي والمالكي والحنبلي)',
+            'prayer.asr.hanafi': 'العصر الحنفي',
+            'toast.locationFailed': 'تعذّر تحديد موقع الجهاز؛ أدخله يدويًا',
+            'prayer.noLocation': 'حدّد موقعك لترى مواقيت صلاة اليوم، ولتصفّر العدّادات أو تتلقى التذكير عندها.',
+            'prayer.coordinates': '{latitude}، {longitude}',
+            'toast.coordinatesPair': 'أدخل خط العرض وخط الطول معًا، أو اتركهما فارغين',
+            'toast.coordinatesRange': 'يجب أن يكون خط العرض بين -90 و90، وخط الطول بين -180 و180',
+            'toast.unknownTimeZone': '«{timeZone}» ليست منطقة زمنية يعرفها هذا المتصفح، مثل Asia/Riyadh',
+            'toast.prayerOff': 'أُوقفت مواقيت الصلاة',
+            'toast.prayerUpdated': 'حُدّثت مواقيت الصلاة',
+            'dates.calendar.islamic-umalqura': 'أم القرى',
+            'dates.calendar.islamic-civil': 'جدولي (مدني)',
+            'dates.calendar.islamic-tbla': 'جدولي (فلكي)',
+            'dates.calendar.islamic': 'فلكي',
+            'dates.preview': 'اليوم {date}',
+            'toast.datesSaved': 'حُفظت إعدادات التاريخ',
+            'toast.reminderLimit': { zero: 'لا يمكن إضافة أوقات تذكير', one: 'وقت تذكير واحد على الأكثر لكل عدّاد', two: 'وقتا تذكير على الأكثر لكل عدّاد', few: '{count} أوقات تذكير على الأكثر لكل عدّاد', many: '{count} وقتًا للتذكير على الأكثر لكل عدّاد', other: '{count} وقت تذكير على الأكثر لكل عدّاد' },
+            'reminders.missedOne': 'فاتك تذكير: {name} في {time}',
+            'reminders.missedMany': { zero: 'لم يفتك أي تذكير', one: 'فاتك تذكير واحد: {names}', two: 'فاتك تذكيران: {names}', few: 'فاتتك {count} تذكيرات: {names}', many: 'فاتك {count} تذكيرًا: {names}', other: 'فاتك {count} تذكير: {names}' },
+            'reminders.open': 'فتح',
+            'reminders.toast': 'حان وقت {name}: {phrase}',
+            'reminders.title': 'حان وقت {name}',
+            'reminders.done': 'تم',
+            'reminders.snooze': 'غفوة {minutes} دقائق',
+            'toast.notificationsOff': 'الإشعارات متوقفة، لذا لن تظهر التذكيرات إلا والتطبيق مفتوح',
+            'reminders.at': 'في',
+            'reminders.anchorLabel': 'التذكير {position}: وقت محدد أو صلاة',
+            'reminders.timeLabel': 'وقت التذكير {position}',
+            'reminders.offsetLabel': 'التذكير {position}: دقائق بعد الصلاة، أو قبلها إن كانت سالبة',
+            'reminders.minutesAfter': 'دقيقة بعد',
+            'reminders.remove': 'إزالة التذكير {position}',
+            'toast.reminderOffset': { zero: 'يجب أن يكون التذكير في وقت الصلاة نفسه', one: 'يمكن أن يكون التذكير قبل الصلاة أو بعدها بدقيقة واحدة على الأكثر', two: 'يمكن أن يكون التذكير قبل الصلاة أو بعدها بدقيقتين على الأكثر', few: 'يمكن أن يكون التذكير قبل الصلاة أو بعدها بـ{count} دقائق على الأكثر', many: 'يمكن أن يكون التذكير قبل الصلاة أو بعدها بـ{count} دقيقة على الأكثر', other: 'يمكن أن يكون التذكير قبل الصلاة أو بعدها بـ{count} دقيقة على الأكثر' },
+            'toast.reminderDays': 'اختر يومًا واحدًا على الأقل للتذكيرات',
+            'trackers.default.morning-dhikr': 'أذكار الصباح',
+            'trackers.default.evening-dhikr': 'أذكار المساء',
+            'trackers.default.salah-count': 'عدد الصلوات',
+            'trackers.preset.tasbih-fatimah': 'تسبيح فاطمة',
+            'trackers.preset.after-salah': 'أذكار بعد الصلاة',
+            'schedule.anchorPending': '{time} ({prayer} عند تحديد الموقع)',
+            'schedule.daily': 'يُصفَّر يوميًا عند {at}',
+            'schedule.weekly': 'يُصفَّر كل {weekday} عند {at}',
+            'schedule.monthly': 'يُصفَّر شهريًا في اليوم {day} عند {at}',
+            'weekday.0': 'الأحد',
+            'weekday.1': 'الاثنين',
+            'weekday.2': 'الثلاثاء',
+            'weekday.3': 'الأربعاء',
+            'weekday.4': 'الخميس',
+            'weekday.5': 'الجمعة',
+            'weekday.6': 'السبت',
+            'weekday.short.0': 'أحد',
+            'weekday.short.1': 'اثنين',
+            'weekday.short.2': 'ثلاثاء',
+            'weekday.short.3': 'أربعاء',
+            'weekday.short.4': 'خميس',
+            'weekday.short.5': 'جمعة',
+            'weekday.short.6': 'سبت',
+            'card.focus': 'وضع التركيز',
+            'card.edit': 'تعديل العدّاد',
+            'card.reset': 'تصفير',
+            'card.stepProgress': 'تقدّم الخطوة',
+            'card.roundProgress': 'تقدّم الدورة',
+            'card.step': 'الخطوة {step} من {total}',
+            'card.never': 'أبدًا',
+            'card.lastUpdated': 'آخر تحديث: {date}',
+            'card.streak': { zero: 'لا أيام متتالية', one: 'يوم واحد متتالٍ', two: 'يومان متتاليان', few: '{count} أيام متتالية', many: '{count} يومًا متتاليًا', other: '{count} يوم متتالٍ' },
+            'card.roundInfo': { zero: '{current} / {target} · لم تكتمل أي دورة', one: '{current} / {target} · اكتملت دورة واحدة', two: '{current} / {target} · اكتملت دورتان', few: '{current} / {target} · اكتملت {count} دورات', many: '{current} / {target} · اكتملت {count} دورة', other: '{current} / {target} · اكتملت {count} دورة' },
+            'announce.movedInGroup': 'نُقل {name} إلى الموضع {position} من {total} في {group}',
+            'toast.addedStep': '+{step} {phrase}',
+            'toast.markedDone': 'اكتمل {name}',
+            'toast.reset': 'صُفّر {name} (كان {count})',
+            'toast.times': '{count} × {phrase}',
+            'toast.roundComplete': 'اكتملت الدورة {round}: {completed}',
+            'toast.fillAll': 'يُرجى ملء جميع الحقول',
+            'toast.trackerAdded': 'أُضيف العدّاد: {name}',
+            'toast.sequenceSteps': 'تحتاج السلسلة إلى خطوتين على الأقل',
+            'toast.stepFields': 'تحتاج كل خطوة إلى ذكر وعدد أكبر من صفر',
+            'toast.targetInvalid': 'يجب أن يكون الهدف عددًا صحيحًا أكبر من صفر',
+            'steps.placeholder': 'الذكر',
+            'steps.phraseLabel': 'ذكر الخطوة {position}',
+            'steps.countLabel': 'عدد الخطوة {position}',
+            'steps.remove': 'إزالة الخطوة {position}',
+            'toast.longPressInvalid': 'يجب أن تكون إضافة الضغط المطول عددًا صحيحًا أكبر من 0',
+            'toast.trackerUpdated': 'حُدّث العدّاد',
+            'toast.exported': 'صُدّرت البيانات بنجاح',
+            'toast.invalidFile': 'صيغة الملف غير صالحة',
+            'toast.vibrationOn': 'فُعّل الاهتزاز لـ{name}',
+            'toast.vibrationOff': 'أُوقف الاهتزاز لـ{name}',
+            'quick.noTrackers': 'أضف عدّادًا من صفحة العدّاد لتبدأ العدّ',
+            'trackers.default.quick-dhikr': 'ذكر سريع',
+            'quick.noRecent': 'ستظهر الأعداد الأخيرة هنا',
+            'quick.recentEntry': '+{count} {phrase} في {date}',
+            'import.strategy.local': 'الإبقاء على المحلي',
+            'import.strategy.imported': 'الإبقاء على المستورد',
+            'import.strategy.higher': 'أخذ العدد الأكبر',
+            'import.strategy.sum': 'جمع العددين',
+            'import.add': 'إضافة «{name}» ({count})',
+            'import.replace': 'استبدال «{name}» ({count}) بـ«{newName}» ({newCount})',
+            'import.remove': 'إزالة «{name}» ({count})، فهو غير موجود في النسخة الاحتياطية',
+            'import.theme': 'تغيير المظهر من {from} إلى {to}',
+            'import.setting': 'تغيير {key} من {from} إلى {to}',
+            'import.phrases': { zero: 'حذف أذكارك لأن النسخة الاحتياطية لا تحوي أذكارًا', one: 'استبدال أذكارك بذكر واحد من النسخة الاحتياطية', two: 'استبدال أذكارك بذكرين من النسخة الاحتياطية', few: 'استبدال أذكارك بـ{count} أذكار من النسخة الاحتياطية', many: 'استبدال أذكارك بـ{count} ذكرًا من النسخة الاحتياطية', other: 'استبدال أذكارك بـ{count} ذكر من النسخة الاحتياطية' },
+            'import.groups': { zero: 'حذف مجموعاتك لأن النسخة الاحتياطية لا تحوي مجموعات', one: 'استبدال مجموعاتك بمجموعة واحدة من النسخة الاحتياطية', two: 'استبدال مجموعاتك بمجموعتين من النسخة الاحتياطية', few: 'استبدال مجموعاتك بـ{count} مجموعات من النسخة الاحتياطية', many: 'استبدال مجموعاتك بـ{count} مجموعة من النسخة الاحتياطية', other: 'استبدال مجموعاتك بـ{count} مجموعة من النسخة الاحتياطية' },
+            'import.history': { zero: 'مسح سجل النشاط لأن النسخة الاحتياطية لا تحوي أحداثًا', one: 'استبدال سجل النشاط بحدث واحد من النسخة الاحتياطية', two: 'استبدال سجل النشاط بحدثين من النسخة الاحتياطية', few: 'استبدال سجل النشاط بـ{count} أحداث من النسخة الاحتياطية', many: 'استبدال سجل النشاط بـ{count} حدثًا من النسخة الاحتياطية', other: 'استبدال سجل النشاط بـ{count} حدث من النسخة الاحتياطية' },
+            'import.skip': 'تخطي «{name}»: متطابق في الجهتين',
+            'import.conflict': '«{name}»: {count} هنا، و{newCount} في النسخة الاحتياطية',
+            'import.keep': 'الإبقاء على «{name}» (موجود على هذا الجهاز فقط)',
+            'import.addPhrases': { zero: 'لا أذكار جديدة', one: 'إضافة ذكر واحد إلى مكتبتك', two: 'إضافة ذكرين إلى مكتبتك', few: 'إضافة {count} أذكار إلى مكتبتك', many: 'إضافة {count} ذكرًا إلى مكتبتك', other: 'إضافة {count} ذكر إلى مكتبتك' },
+            'import.addGroups': { zero: 'لا مجموعات جديدة', one: 'إضافة مجموعة واحدة', two: 'إضافة مجموعتين', few: 'إضافة {count} مجموعات', many: 'إضافة {count} مجموعة', other: 'إضافة {count} مجموعة' },
+            'import.settingsKept': 'يبقى المظهر والإعدادات كما هي',
+            'import.noChanges': 'لا تغييرات: هذه النسخة الاحتياطية تطابق بياناتك الحالية',
+            'import.upgraded': 'رُقّيت من إصدار الصيغة {version}',
+            'import.exported': 'صُدّرت {date}',
+            'import.invalid': 'لا يمكن استيراد هذه النسخة الاحتياطية:',
+            'toast.merged': 'اكتمل الدمج: أُضيف {added}، وحُدّث {updated}، وتُخطّي {skipped}{history}',
+            'toast.mergedHistory': { zero: '', one: '، وأُضيف حدث واحد إلى السجل', two: '، وأُضيف حدثان إلى السجل', few: '، وأُضيفت {count} أحداث إلى السجل', many: '، وأُضيف {count} حدثًا إلى السجل', other: '، وأُضيف {count} حدث إلى السجل' },
+            'toast.imported': 'اُستوردت البيانات بنجاح',
+            'csv.trackers.id': 'معرّف العدّاد',
+            'csv.trackers.name': 'الاسم',
+            'csv.trackers.phrase': 'الذكر',
+            'csv.trackers.count': 'العدد',
+            'csv.trackers.target': 'هدف الدورة',
+            'csv.trackers.created': 'تاريخ الإنشاء',
+            'csv.history.trackerId': 'معرّف العدّاد',
+            'csv.history.tracker': 'اسم العدّاد',
+            'csv.history.type': 'النوع',
+            'csv.history.amount': 'المقدار',
+            'csv.history.count': 'العدد بعده',
+            'csv.history.time': 'الوقت',
+            'csv.history.trackerIdOrName': 'معرّف العدّاد أو اسم العدّاد',
+            'csv.rows': { zero: 'لا صفوف', one: 'صف واحد', two: 'صفان', few: '{count} صفوف', many: '{count} صفًا', other: '{count} صف' },
+            'csv.column': 'العمود {index}',
+            'csv.notInFile': 'غير موجود في الملف',
+            'toast.csvTrackers': 'صُدّرت العدّادات بصيغة CSV',
+            'toast.csvHistory': 'صُدّر السجل بصيغة CSV',
+            'toast.csvEmpty': 'لا يحتوي ملف CSV هذا على صفوف بيانات',
+            'toast.csvMissing': 'اختر عمودًا لـ{fields}',
+            'toast.csvSkipped': { zero: '', one: '، وتُخطّي صف واحد (غير مقروء أو لعدّاد غير معروف)', two: '، وتُخطّي صفان (غير مقروءين أو لعدّاد غير معروف)', few: '، وتُخطّيت {count} صفوف (غير مقروءة أو لعدّاد غير معروف)', many: '، وتُخطّي {count} صفًا (غير مقروء أو لعدّاد غير معروف)', other: '، وتُخطّي {count} صف (غير مقروء أو لعدّاد غير معروف)' },
+            'toast.csvHistoryAdded': { zero: '{fileName}: لم يُضف أي حدث إلى السجل{skipped}', one: '{fileName}: أُضيف حدث واحد إلى السجل{skipped}', two: '{fileName}: أُضيف حدثان إلى السجل{skipped}', few: '{fileName}: أُضيفت {count} أحداث إلى السجل{skipped}', many: '{fileName}: أُضيف {count} حدثًا إلى السجل{skipped}', other: '{fileName}: أُضيف {count} حدث إلى السجل{skipped}' },
+            'history.archivedTracker': '{name} (مؤرشف)',
+            'history.allTrackers': 'كل العدّادات',
+            'history.noActivity': 'لا نشاط في هذه الفترة',
+            'history.emptyEvents': 'سيظهر النشاط هنا أثناء العدّ',
+            'history.change': '{amount} ← {count}',
+            'history.reset': 'تصفير (كان {count})',
+            'history.scheduledReset': 'تصفير مجدول (كان {count})',
+            'history.restored': 'استُعيد إلى {count}',
+            'history.deletedTracker': 'عدّاد محذوف',
+            'undo.label': 'تراجع',
+            'undo.action.increment': '+1',
+            'undo.action.increment-10': '+10',
+            'undo.action.increment-step': 'الضغط المطول',
+            'undo.action.increment-round': 'إتمام الدورة',
+            'undo.action.decrement': '-1',
+            'undo.action.reset': 'التصفير',
+            'undo.action.edit': 'التعديل',
+            'undo.action.delete': 'الحذف',
+            'undo.action.archive': 'الأرشفة',
+            'undo.action.trash': 'النقل إلى المهملات',
+            'undo.action.restore': 'الاستعادة',
+            'toast.alreadyUndone': 'تم التراجع عن هذا التغيير بالفعل',
+            'toast.nothingTo.undo': 'لا شيء للتراجع عنه',
+            'toast.nothingTo.redo': 'لا شيء لإعادته',
+            'toast.undoDone': 'تم التراجع عن {action} في {name}',
+            'toast.redoDone': 'أُعيد {action} في {name}',
+            'calendar.dayLabel': { zero: '{day}: لا عدّ', one: '{day}: عدّة واحدة', two: '{day}: عدّتان', few: '{day}: {count} عدّات', many: '{day}: {count} عدّة', other: '{day}: {count} عدّة' },
+            'calendar.current': { zero: 'الحالية: لا أيام', one: 'الحالية: يوم واحد', two: 'الحالية: يومان', few: 'الحالية: {count} أيام', many: 'الحالية: {count} يومًا', other: 'الحالية: {count} يوم' },
+            'calendar.longest': { zero: 'الأطول: لا أيام', one: 'الأطول: يوم واحد', two: 'الأطول: يومان', few: 'الأطول: {count} أيام', many: 'الأطول: {count} يومًا', other: 'الأطول: {count} يوم' },
+            'contact.invalidEmail': 'يُرجى إدخال بريد إلكتروني صالح',
+            'contact.required': 'هذا الحقل مطلوب',
+            'toast.fixErrors': 'يُرجى تصحيح الأخطاء قبل الإرسال',
+            'toast.openingEmail': 'جارٍ فتح تطبيق البريد…',
+            'toast.emailFailed': 'تعذّر فتح تطبيق البريد. راسلنا مباشرة على {email}',
+            'nav.skip': 'انتقل إلى المحتوى الرئيسي',
+            'nav.toggle': 'فتح القائمة وإغلاقها',
+            'nav.language': 'اللغة',
+            'nav.home': 'الرئيسية',
+            'nav.about': 'عن التطبيق',
+            'nav.tracker': 'العدّاد',
+            'nav.themes': 'المظاهر',
+            'nav.contact': 'اتصل بنا',
+            'footer.rights': '© 2025 Spiritual Count. جميع الحقوق محفوظة.',
+            'footer.contact': 'للتواصل:',
+            'footer.privacy': 'سياسة الخصوصية',
+            'offline.banner': 'أنت غير متصل. ستُحفظ بياناتك على الجهاز وتُزامن عند عودة الاتصال.',
+            'common.close': 'إغلاق النافذة',
+            'common.cancel': 'إلغاء',
+            'common.save': 'حفظ',
+            'common.done': 'تم',
+            'common.add': 'إضافة',
+            'common.continue': 'متابعة',
+            'index.title': 'Spiritual Count - تتبّع الذكر والصلاة بتركيز',
+            'index.description': 'تتبّع الذكر والصلاة بتركيز — دون اتصال، وبخصوصية، وبما يناسبك',
+            'index.heroTitle': 'تتبّع الذكر والصلاة بتركيز',
+            'index.heroSubtitle': 'رفيق روحي يعمل دون اتصال، يحفظ خصوصيتك، ويتكيّف معك',
+            'index.readArticle': 'اقرأ المقال',
+            'index.ctaTitle': 'ابدأ رحلتك الروحية',
+            'index.startTracking': 'ابدأ العدّ',
+            'index.chooseTheme': 'اختر مظهرًا',
+            'quick.title': 'عدّاد الذكر السريع',
+            'quick.previous': 'العدّاد السابق',
+            'quick.select': 'العدّاد المستخدم',
+            'quick.next': 'العدّاد التالي',
+            'quick.vibration': 'تشغيل الاهتزاز وإيقافه',
+            'about.title': 'عن التطبيق - Spiritual Count',
+            'about.description': 'تعرّف على رسالة Spiritual Count في مساعدة المسلمين على تتبّع الذكر والصلاة بخصوصية وتركيز',
+            'about.heading': 'عن Spiritual Count',
+            'about.tagline': 'أداة حديثة لعبادة لا يحدّها زمن',
+            'about.mission': 'رسالتنا',
+            'about.mission1': 'صُمّم Spiritual Count ليساعد المسلمين على المداومة على الذكر وتتبّع الصلاة في عالم رقمي سريع الإيقاع. هدفنا أداة خاصة، تعمل دون اتصال أولًا، وقابلة للتخصيص، تعين على العبادة دون أن تمسّ جوهر الذكر.',
+            'about.mission2': 'نؤمن بأن التقنية يجب أن تخدم العبادة لا أن تشغل عنها. لذلك صنعنا تطبيقًا بسيطًا مركّزًا يعمل دون اتصال بالكامل، ويحفظ كل البيانات على جهازك، ويحترم خصوصيتك تمامًا.',
+            'about.features': 'أبرز الميزات',
+            'about.offline': 'يعمل دون اتصال',
+            'about.offlineText': 'تتبّع ذكرك في أي وقت وأي مكان دون اتصال بالإنترنت',
+            'about.privacy': 'خصوصية تامة',
+            'about.privacyText': 'كل البيانات محفوظة على جهازك. لا مزامنة سحابية ولا تتبّع',
+            'about.multiple': 'عدّادات متعددة',
+            'about.multipleText': 'أنشئ عدّادات منفصلة لمختلف الصلوات والأذكار',
+            'about.themes': 'مظاهر قابلة للتخصيص',
+            'about.themesText': 'اختر بين المظهر الفاتح والداكن وألوان التمييز بما يناسبك',
+            'about.vibration': 'اهتزاز عند العدّ',
+            'about.vibrationText': 'اهتزاز لطيف يعينك على التركيز أثناء الذكر',
+            'about.backup': 'التصدير والاستيراد',
+            'about.backupText': 'انسخ بياناتك احتياطيًا واستعدها بملفات JSON',
+            'about.journey': 'كيف يعينك في رحلتك الروحية',
+            'about.consistent': 'داوم على العمل',
+            'about.consistentText': 'تتبّع وردك اليومي من الذكر وحافظ على المداومة عليه',
+            'about.focus': 'ركّز أكثر',
+            'about.focusText': 'دع التطبيق يتولى العدّ لتتفرغ لمعاني الذكر',
+            'about.progress': 'تابع تقدّمك',
+            'about.progressText': 'شاهد نموّك الروحي مع الوقت بسجل وتتبّع مفصّل',
+            'about.motivated': 'حافظ على همّتك',
+            'about.motivatedText': 'المؤشرات المرئية وتتبّع التقدّم تعين على استمرار الهمّة',
+            'about.policy': 'سياسة الخصوصية والبيانات',
+            'about.policy1': 'تُحفظ كل البيانات على جهازك في IndexedDB الخاص بالمتصفح (أو localStorage حيث لا يتوفر IndexedDB)',
+            'about.policy2': 'لا تُجمع أي معلومات شخصية ولا تُرسل ولا تُخزّن على خوادم خارجية',
+            'about.policy3': 'لا تتبّع ولا تحليلات ولا خدمات لأطراف ثالثة',
+            'about.policy4': 'لا نسخ احتياطي سحابي إلا إذا صدّرت الملفات ورفعتها بنفسك',
+            'about.policy5': 'يعمل التطبيق دون اتصال بالكامل بعد التحميل الأول',
+            'about.policy6': 'لك تحكّم كامل في بياناتك عبر التصدير والاستيراد',
+            'about.storage': 'تخزين البيانات',
+            'about.storageIntro': 'تُحفظ البيانات التالية على متصفحك:',
+            'about.storage1': 'أعداد الذكر وأسماء العدّادات',
+            'about.storage2': 'تفضيلات المظهر',
+            'about.storage3': 'إعدادات الاهتزاز',
+            'about.storage4': 'سجل نشاط الذكر والمجاميع اليومية',
+            'about.faq': 'الأسئلة الشائعة',
+            'about.faq1': 'هل هذا التطبيق جائز شرعًا؟',
+            'about.faq1Answer': 'نعم، يرى أهل العلم عمومًا جواز عدّادات الذكر الرقمية إذا استُعملت بنية خالصة لذكر الله. صُمّم التطبيق ليعين على العبادات المعهودة لا ليحلّ محلها.',
+            'about.faq2': 'هل يعمل التطبيق دون اتصال؟',
+            'about.faq2Answer': 'نعم، بعد التحميل الأول يعمل التطبيق دون اتصال بالكامل. كل الوظائف، ومنها العدّ وحفظ البيانات وتبديل المظهر، متاحة دون إنترنت.',
+            'about.faq3': 'هل يمكنني نسخ بياناتي احتياطيًا؟',
+            'about.faq3Answer': 'نعم، يمكنك تصدير كل بياناتك في ملف JSON من صفحة العدّاد، ثم استيرادها لاحقًا لاستعادة تقدّمك.',
+            'about.faq4': 'هل بياناتي آمنة؟',
+            'about.faq4Answer': 'بياناتك لا تغادر جهازك أبدًا. كل شيء محفوظ على متصفحك، مما يضمن الخصوصية والأمان التامّين.',
+            'about.accessibility': 'سهولة الاستخدام للجميع',
+            'about.accessibilityIntro': 'صُمّم Spiritual Count ليكون في متناول الجميع:',
+            'tracker.title': 'عدّاد الذكر - Spiritual Count',
+            'tracker.description': 'تتبّع ذكرك وصلاتك اليومية بعدّادات قابلة للتخصيص',
+            'tracker.heading': 'عدّاد الذكر',
+            'tracker.tagline': 'تفرّغ للذكر ودع العدّ علينا',
+            'controls.addTracker': '+ إضافة عدّاد',
+            'controls.groups': 'المجموعات',
+            'controls.archive': 'الأرشيف والمهملات',
+            'controls.sound': 'الصوت',
+            'controls.dates': 'التواريخ',
+            'controls.export': 'تصدير البيانات',
+            'controls.exportCsv': 'تصدير CSV',
+            'controls.import': 'استيراد البيانات',
+            'controls.shortcuts': 'اختصارات لوحة المفاتيح',
+            'prayer.heading': 'مواقيت صلاة اليوم',
+            'prayer.settings': 'الموقع وطريقة الحساب',
+            'calendar.heading': 'التقويم',
+            'calendar.heatmap': 'النشاط اليومي خلال آخر 12 أسبوعًا',
+            'calendar.less': 'أقل',
+            'calendar.more': 'أكثر',
+            'calendar.streaks': 'الأيام المتتالية',
+            'history.heading': 'السجل',
+            'history.period': 'الفترة',
+            'history.range.7': 'آخر 7 أيام',
+            'history.range.30': 'آخر 30 يومًا',
+            'history.range.90': 'آخر 90 يومًا',
+            'history.day': 'اليوم',
+            'history.counted': 'المعدود',
+            'history.resets': 'مرات التصفير',
+            'history.recent': 'النشاط الأخير',
+            'help.heading': 'طريقة الاستخدام',
+            'form.addHeading': 'إضافة عدّاد جديد',
+            'form.name': 'اسم العدّاد:',
+            'form.namePlaceholder': 'مثل: أذكار الصباح',
+            'form.group': 'المجموعة:',
+            'form.type': 'نوع العدّاد:',
+            'form.type.counter': 'ذكر واحد',
+            'form.type.sequence': 'سلسلة أذكار',
+            'form.phrase': 'الذكر:',
+            'form.phraseSearch': 'ابحث بالعربية أو الحروف اللاتينية أو المعنى',
+            'form.phraseLibrary': 'مكتبة الأذكار',
+            'form.noPhrases': 'لا أذكار تطابق بحثك.',
+            'form.customPhrase': 'أضف ذكرًا خاصًا بك',
+            'form.transliteration': 'بالحروف اللاتينية:',
+            'form.transliterationPlaceholder': 'مثل: SubhanAllahil Azim',
+            'form.arabic': 'بالعربية (اختياري):',
+            'form.meaning': 'المعنى (اختياري):',
+            'form.source': 'المصدر (اختياري):',
+            'form.sourcePlaceholder': 'مثل: صحيح مسلم 2694',
+            'form.saveToLibrary': 'حفظ في المكتبة',
+            'form.target': 'هدف الدورة (اختياري):',
+            'form.targetPlaceholder': 'مثل: 33',
+            'form.startFrom': 'البدء من:',
+            'form.blankSequence': 'سلسلة فارغة',
+            'form.preset.tasbih-fatimah': 'تسبيح فاطمة (33 · 33 · 34)',
+            'form.preset.after-salah': 'أذكار بعد الصلاة (33 · 33 · 33 · 1)',
+            'form.steps': 'الخطوات بالترتيب:',
+            'form.addStep': '+ إضافة خطوة',
+            'form.addTracker': 'إضافة العدّاد',
+            'form.editHeading': 'تعديل العدّاد',
+            'form.noTarget': 'اتركه فارغًا لعدم تحديد هدف',
+            'form.sound': 'صوت العدّ:',
+            'form.longPress': 'يضيف الضغط المطول:',
+            'form.reset': 'التصفير التلقائي:',
+            'form.reset.never': 'أبدًا',
+            'form.reset.daily': 'يوميًا',
+            'form.reset.weekly': 'أسبوعيًا',
+            'form.reset.monthly': 'شهريًا',
+            'form.weekday': 'يوم الأسبوع:',
+            'form.monthDay': 'يوم الشهر:',
+            'form.resetAt': 'التصفير عند:',
+            'form.setTime': 'وقت محدد',
+            'form.resetTime': 'وقت التصفير (يُستخدم أيضًا للصلاة حتى يُحدَّد الموقع):',
+            'form.vibration': 'تفعيل الاهتزاز عند العدّ',
+            'form.vibrationPattern': 'نمط الاهتزاز',
+            'form.patternPreset': 'نمط جاهز',
+            'form.patternPlaceholder': 'مثل: 100, 50, 100',
+            'form.pattern': 'النمط لكل عدّة، بالمللي ثانية',
+            'form.milestones': 'المراحل:',
+            'form.addMilestone': '+ إضافة مرحلة',
+            'form.hapticNote': 'مللي ثوانٍ من الاهتزاز والتوقف بالتناوب. تُشغَّل المرحلة بدل النمط المعتاد كلما تجاوز العدد مضاعفًا لرقمها، لتعرف العدد باللمس.',
+            'form.reminders': 'التذكيرات',
+            'form.addTime': '+ إضافة وقت',
+            'form.reminderDays': 'أيام التذكير',
+            'form.reminderNote': 'تُحفظ التذكيرات على هذا الجهاز وتعمل دون اتصال. إذا كان التطبيق مغلقًا عند موعد أحدها، فسيظهر عند فتحه في المرة القادمة.',
+            'form.showArabic': 'إظهار النص العربي على البطاقة',
+            'form.archive': 'أرشفة',
+            'form.saveChanges': 'حفظ التغييرات',
+            'import.heading': 'مراجعة الاستيراد',
+            'import.mode': 'طريقة الاستيراد',
+            'import.replaceAll': 'استبدال كل شيء',
+            'import.merge': 'الدمج مع العدّادات على هذا الجهاز',
+            'import.strategy': 'عندما يختلف العدّاد بين الجهتين:',
+            'import.confirm': 'استيراد',
+            'groups.heading': 'مجموعات العدّادات',
+            'groups.new': 'مجموعة جديدة:',
+            'groups.placeholder': 'مثل: الصباح، بعد الصلاة، رمضان',
+            'focus.exit': 'خروج',
+            'sound.enabled': 'تشغيل الأصوات أثناء العدّ',
+            'sound.volume': 'مستوى الصوت:',
+            'sound.note': 'يُشغَّل مع كل عدّة صوت عدّادها (المختار في إعداداته)، وتُسمع نغمة عند كل دورة وكل 100 عدّة، وللتصفير صوت خاص به. تتبع الأصوات مفتاح الصامت حيث يدعمه المتصفح، وتُقصَّر النغمات إذا طلب جهازك تقليل الحركة.',
+            'prayer.modalHeading': 'مواقيت الصلاة',
+            'prayer.latitude': 'خط العرض:',
+            'prayer.latitudePlaceholder': 'مثل: 21.4225',
+            'prayer.longitude': 'خط الطول:',
+            'prayer.longitudePlaceholder': 'مثل: 39.8262',
+            'prayer.locate': 'استخدام موقع هذا الجهاز',
+            'prayer.timeZone': 'المنطقة الزمنية:',
+            'prayer.method': 'طريقة الحساب:',
+            'prayer.asrLabel': 'العصر:',
+            'prayer.note': 'تُحسب المواقيت على هذا الجهاز ولا تحتاج إلى اتصال بالإنترنت. اترك خطي العرض والطول فارغين لإيقاف مواقيت الصلاة؛ وعندها يستخدم التصفير والتذكير المرتبطان بصلاة وقتهما المحدد.',
+            'dates.showIn': 'عرض التواريخ بـ:',
+            'dates.gregorian': 'الميلادي',
+            'dates.hijri': 'الهجري',
+            'dates.both': 'الميلادي والهجري',
+            'dates.hijriCalendar': 'التقويم الهجري:',
+            'dates.adjustment': 'التعديل:',
+            'dates.earlier': 'يوم واحد قبل',
+            'dates.later': 'يوم واحد بعد',
+            'dates.maghrib': 'يبدأ اليوم عند المغرب',
+            'dates.maghribInfo': 'تُحتسب الأعداد بعد المغرب لليوم التالي في السجل والتقويم والمجاميع اليومية. الأعداد السابقة تبقى في أيامها.',
+            'dates.maghribNote': 'حدّد موقعك في مواقيت الصلاة أولًا؛ وحتى ذلك الحين يبدأ اليوم عند منتصف الليل.',
+            'archive.archived': 'المؤرشفة',
+            'archive.trashHeading': 'المهملات',
+            'archive.retention': 'الاحتفاظ بالعدّادات المهملة لمدة:',
+            'archive.empty': 'إفراغ المهملات',
+            'csv.intro': 'تُفتح ملفات CSV في تطبيقات الجداول. استخدم «تصدير البيانات» لنسخة احتياطية كاملة.',
+            'csv.kind.trackers': 'العدّادات',
+            'csv.kind.history': 'سجل النشاط',
+            'csv.importHeading': 'استيراد CSV',
+            'csv.contains': 'يحتوي هذا الملف على:',
+            'shortcuts.increment': 'زيادة العدّاد المحدد',
+            'shortcuts.move': 'التنقل بين العدّادات',
+            'shortcuts.reset': 'تصفير العدّاد المحدد',
+            'shortcuts.reorder': 'نقل العدّاد المحدد (أو عنوان المجموعة) إلى الأمام أو الخلف',
+            'shortcuts.undo': 'التراجع عن آخر تغيير',
+            'shortcuts.redo': 'إعادة',
+            'shortcuts.close': 'إغلاق النوافذ',
+            'shortcuts.yours': 'اختصاراتك',
+            'shortcuts.note': 'اختر اختصارًا ثم اضغط المفتاح الذي تريده بدلًا منه — ومنها مفاتيح دواسة القدم أو جهاز النقر. Backspace يمسح الاختصار، وEsc يُبقيه. أرقام العدّادات تتبع ترتيبها في هذه الصفحة.',
+            'shortcuts.restore': 'استعادة الاختصارات الافتراضية',
+            'shortcuts.gotIt': 'فهمت',
+            'themes.title': 'المظاهر - Spiritual Count',
+            'themes.description': 'خصّص تجربة تتبّع عبادتك بمظاهر جميلة',
+            'themes.heading': 'خصّص تجربتك',
+            'themes.tagline': 'اختر مظهرًا يعينك على عبادتك',
+            'themes.light': 'المظهر الفاتح',
+            'themes.lightText': 'نقي ومشرق للاستخدام في النهار',
+            'themes.dark': 'المظهر الداكن',
+            'themes.darkText': 'مريح للعين في أذكار المساء',
+            'themes.oasis': 'مظهر الواحة',
+            'themes.oasisText': 'تدرّجات دافئة مستوحاة من سكينة الصحراء',
+            'themes.colors': 'تخصيص الألوان',
+            'themes.colorsText': 'اضبط لون التمييز بدقة',
+            'themes.hue': 'درجة اللون',
+            'themes.saturation': 'التشبّع',
+            'themes.lightness': 'السطوع',
+            'themes.apply': 'تطبيق الألوان',
+            'themes.resetColors': 'إعادة إلى الافتراضي',
+            'themes.accessibility': 'فحص سهولة القراءة',
+            'themes.accessibilityText': 'للتأكد من أن مظهرك يفي بمعايير سهولة الوصول',
+            'themes.headingText': 'نص العناوين',
+            'themes.bodyText': 'نص المحتوى',
+            'themes.accentColor': 'لون التمييز',
+            'themes.typography': 'إعدادات الخط',
+            'themes.typographyText': 'اضبط حجم النص ليسهل قراءته',
+            'themes.fontSize': 'حجم الخط الأساسي',
+            'themes.lineHeight': 'ارتفاع السطر',
+            'themes.digits': 'الأرقام',
+            'themes.sampleHeading': 'عنوان تجريبي',
+            'themes.sampleText': 'هذا نص تجريبي لمعاينة إعدادات الخط. سبحان الله وبحمده، سبحان الله العظيم.',
+            'contact.title': 'اتصل بنا - Spiritual Count',
+            'contact.description': 'تواصل مع فريق Spiritual Count',
+            'contact.heading': 'تواصل معنا',
+            'contact.tagline': 'يسعدنا أن نسمع منك',
+            'contact.info': 'معلومات التواصل',
+            'contact.email': 'البريد الإلكتروني',
+            'contact.response': 'نردّ عادةً خلال 24 إلى 48 ساعة',
+            'contact.hours': 'أوقات الدعم',
+            'contact.weekdays': 'من الاثنين إلى الجمعة: 9:00 صباحًا - 6:00 مساءً (UTC)',
+            'contact.weekend': 'نهاية الأسبوع: دعم محدود',
+            'contact.technical': 'الدعم الفني',
+            'contact.technicalIntro': 'للمشكلات التقنية، يُرجى ذكر:',
+            'contact.browser': 'المتصفح وإصداره',
+            'contact.device': 'نوع الجهاز (جوال أو حاسوب)',
+            'contact.issue': 'وصف المشكلة',
+            'contact.steps': 'خطوات تكرار المشكلة',
+            'contact.feedback': 'الملاحظات والاقتراحات',
+            'contact.feedbackText': 'نرحب بأفكارك لتحسين Spiritual Count. ملاحظاتك تساعدنا على صنع تجربة روحية أفضل للجميع.',
+            'contact.send': 'أرسل لنا رسالة',
+            'contact.name': 'الاسم الكامل *',
+            'contact.emailAddress': 'البريد الإلكتروني *',
+            'contact.subject': 'الموضوع *',
+            'contact.subject.none': 'اختر موضوعًا',
+            'contact.subject.general': 'استفسار عام',
+            'contact.subject.bug': 'الإبلاغ عن خلل',
+            'contact.subject.feature': 'طلب ميزة',
+            'contact.subject.accessibility': 'مشكلة في سهولة الوصول',
+            'contact.subject.feedback': 'ملاحظات',
+            'contact.message': 'الرسالة *',
+            'contact.messagePlaceholder': 'يُرجى ذكر أكبر قدر ممكن من التفاصيل...',
+            'contact.consent': 'أفهم أن هذه الرسالة ستُرسل بالبريد الإلكتروني، وأوافق على استخدام معلوماتي للرد على استفساري. لن تُحفظ أي معلومات أو تُستخدم لأغراض تسويقية. *',
+            'contact.submit': 'إرسال الرسالة',
+            'contact.prefer': 'تفضّل البريد المباشر؟',
+            'history.tracker': 'العدّاد',
+            'dates.noAdjustment': 'بلا تعديل',
+            'help.tap': '<strong>النقر:</strong> انقر في أي مكان على البطاقة لزيادة العدد بواحد',
+            'help.longPress': '<strong>الضغط المطول:</strong> اضغط ثانية واحدة لإضافة خطوة العدّاد (10 ما لم تُغيَّر في إعداداته)',
+            'help.focus': '<strong>وضع التركيز:</strong> اضغط ⛶ على البطاقة للعدّ بملء الشاشة مع إبقائها مضاءة؛ والشاشة كلها موضع للنقر',
+            'help.swipe': '<strong>السحب لليمين:</strong> اسحب البطاقة إلى اليمين لإنقاص واحد؛ وعلى الشاشات اللمسية اسحب البطاقة من عنوانها لإعادة ترتيبها',
+            'help.keyboard': '<strong>لوحة المفاتيح:</strong> اضغط T لتحديد عدّاد، وSpace أو Enter للزيادة، أو 1–9 للعدّ في أول تسعة عدّادات (Shift مع الرقم تُنقص واحدًا)؛ ويمكنك تغيير أي من هذه المفاتيح، مثلًا لدواسة قدم أو جهاز نقر، من «اختصارات لوحة المفاتيح»',
+            'help.settings': '<strong>الإعدادات:</strong> انقر رمز الترس لإعادة تسمية العدّادات',
+            'help.reset': '<strong>التصفير التلقائي:</strong> اضبط تصفيرًا يوميًا أو أسبوعيًا أو شهريًا في إعدادات العدّاد؛ ويبقى المجموع السابق في السجل',
+            'help.undo': '<strong>التراجع:</strong> اضغط Ctrl+Z أو «تراجع» في الإشعار للتراجع عن تصفير أو تعديل أو أرشفة أو نقل إلى المهملات',
+            'help.archive': '<strong>الأرشيف والمهملات:</strong> أرشف العدّاد لتضعه جانبًا مع الاحتفاظ بعدده وسجله؛ ويمكن استعادة العدّادات المهملة حتى تنتهي مدة الاحتفاظ التي تختارها',
+            'help.rounds': '<strong>الدورات:</strong> حدّد هدفًا (33 أو 99 أو 100) للعدّ في دورات مع حلقة تقدّم',
+            'help.groups': '<strong>المجموعات:</strong> رتّب العدّادات في مجموعات مثل الصباح أو رمضان، واطوِ الأقسام، واسحب البطاقات (أو اضغط Alt مع الأسهم) لإعادة ترتيبها',
+            'help.phrases': '<strong>مكتبة الأذكار:</strong> ابحث عن الأذكار بالعربية أو الحروف اللاتينية أو المعنى، واحفظ أذكارك الخاصة؛ وتعرض البطاقات النص العربي',
+            'help.sequences': '<strong>السلاسل:</strong> اجمع أذكارًا متتابعة مثل تسبيح فاطمة؛ وينتقل العدّاد إلى الذكر التالي عند بلوغ عدد كل خطوة',
+            'help.vibration': '<strong>الاهتزاز:</strong> فعّل الاهتزاز مع كل عدّة، واختر نمطه في إعدادات العدّاد، وأضف اهتزازات للمراحل مثل كل 33 أو 100 عدّة',
+            'help.prayer': '<strong>مواقيت الصلاة:</strong> حدّد موقعك في مواقيت الصلاة لترى مواقيت اليوم؛ ويمكن عندها أن يتبع التصفير الفجر أو العصر أو المغرب بدل الساعة',
+            'help.reminders': '<strong>التذكيرات:</strong> أضف أوقات تذكير في إعدادات العدّاد، في وقت محدد أو بعد صلاة بدقائق، مثل بعد الفجر والعصر لأذكار الصباح والمساء؛ و«تم» في الإشعار يُتمّ الدورة، و«غفوة» يذكّرك بعد 10 دقائق',
+            'help.hijri': '<strong>التاريخ الهجري:</strong> اعرض التواريخ بالتقويم الهجري، أو بالتقويمين معًا، من «التواريخ»؛ وعدّلها بيوم لتوافق رؤية الهلال في بلدك، ويمكنك أن تبدأ كل يوم عند المغرب',
+            'help.sound': '<strong>الصوت:</strong> شغّل أصوات العدّ والنغمات الهادئة من «الصوت»، واختر صوت كل عدّاد في إعداداته',
+            'about.policyIntro': '<strong>خصوصيتك أولًا.</strong> يعمل Spiritual Count وفق هذه المبادئ:',
+            'about.keyboard': '<strong>التنقل بلوحة المفاتيح:</strong> كل الوظائف متاحة من لوحة المفاتيح',
+            'about.screenReaders': '<strong>قارئات الشاشة:</strong> بنية دلالية سليمة وتسميات ARIA',
+            'about.contrast': '<strong>تباين عالٍ:</strong> مظاهر متعددة بتباين ألوان سهل القراءة',
+            'about.largeText': '<strong>نص كبير:</strong> خطوط قابلة للتكبير تحترم إعدادات المتصفح',
+            'about.motor': '<strong>سهولة الحركة:</strong> أهداف لمس كبيرة واختصارات للوحة المفاتيح',
+            'about.issues': 'نلتزم بأن تكون العبادة في متناول الجميع. إن واجهت أي مشكلة في سهولة الوصول، يُرجى <a href="contact.html">التواصل معنا</a>.',
+            'themes.aa': '<strong>معيار WCAG AA:</strong> نسبة 4.5:1 للنص العادي، و3:1 للنص الكبير',
+            'themes.aaa': '<strong>معيار WCAG AAA:</strong> نسبة 7:1 للنص العادي، و4.5:1 للنص الكبير',
+            'contact.direct': 'يمكنك أيضًا مراسلتنا مباشرة على <a href="mailto:hello@spiritualcount.com">hello@spiritualcount.com</a>'
+        },
+        ur: {
+            'date.withTime': '{date}، {time}',
+            'date.withWeekday': '{weekday}، {date}',
+            'date.today': 'آج',
+            'date.yesterday': 'کل',
+            'toast.saveFailed': 'تبدیلیاں محفوظ نہیں ہو سکیں۔ ممکن ہے آلے کی اسٹوریج بھر گئی ہو۔',
+            'toast.dataUnavailable': 'آپ کا محفوظ ڈیٹا کھولا نہیں جا سکا۔ ڈیفالٹ دکھائے جا رہے ہیں، اور اب کی گئی تبدیلیاں الگ محفوظ ہوں گی۔',
+            'theme.active': 'فعال',
+            'theme.select': 'منتخب کریں',
+            'theme.light': 'روشن',
+            'theme.dark': 'تاریک',
+            'theme.oasis': 'نخلستان',
+            'toast.themeApplied': '{theme} تھیم لاگو ہو گئی',
+            'toast.colorsSaved': 'حسب منشا رنگ محفوظ ہو گئے',
+            'toast.colorsReset': 'رنگ پہلے جیسے کر دیے گئے',
+            'theme.pixels': '{size} پکسل',
+            'contrast.ratio': '{ratio}:1',
+            'contrast.unknown': 'ناقابل فہم رنگ',
+            'contrast.levels': 'عام متن: {normal} · بڑا متن: {large}',
+            'contrast.fail': 'ناکافی',
+            'contrast.suggestion': 'نمایاں رنگ کی قریب ترین روشنی جو عام متن کے لیے AA پر پوری اترتی ہے {lightness} ہے۔',
+            'contrast.noSuggestion': 'اس رنگ اور گہرائی پر نمایاں رنگ کی کوئی روشنی عام متن کے لیے AA پر پوری نہیں اترتی؛ کم گہرائی آزمائیں۔',
+            'contrast.apply': 'یہ استعمال کریں',
+            'numerals.auto': 'زبان کے مطابق',
+            'numerals.latn': 'مغربی (0123456789)',
+            'numerals.arab': 'مشرقی عربی (٠١٢٣٤٥٦٧٨٩)',
+            'numerals.arabext': 'فارسی اور اردو (۰۱۲۳۴۵۶۷۸۹)',
+            'phrases.remove': '{phrase} کو لائبریری سے ہٹائیں',
+            'toast.phraseRequired': 'ذکر لاطینی حروف میں لکھیں',
+            'toast.phraseExists': '{phrase} پہلے سے لائبریری میں ہے',
+            'toast.phraseAdded': '{phrase} آپ کے اذکار میں شامل ہو گیا',
+            'toast.phraseRemoved': '{phrase} آپ کے اذکار سے ہٹا دیا گیا',
+            'groups.ungrouped': 'بغیر گروپ',
+            'groups.trackerCount': { one: '{count} کاؤنٹر', other: '{count} کاؤنٹر' },
+            'groups.emptySection': 'کاؤنٹر یہاں گھسیٹیں، یا Alt اور تیر والی کلیدوں سے منتقل کریں',
+            'groups.none': 'کوئی گروپ نہیں',
+            'groups.emptyList': 'ابھی کوئی گروپ نہیں۔ نیچے ایک شامل کریں، جیسے صبح، نماز کے بعد یا رمضان۔',
+            'groups.nameLabel': 'گروپ {position} کا نام',
+            'groups.moveUp': '{name} کو اوپر لے جائیں',
+            'groups.moveDown': '{name} کو نیچے لے جائیں',
+            'groups.delete': '{name} حذف کریں',
+            'toast.groupNameRequired': 'گروپ کا نام لکھیں',
+            'toast.groupAdded': 'گروپ شامل ہو گیا: {name}',
+            'toast.groupNameEmpty': 'گروپ کا نام خالی نہیں ہو سکتا',
+            'announce.moved': '{name} کو {total} میں سے مقام {position} پر منتقل کیا گیا',
+            'toast.groupDeleted': 'گروپ {name} حذف ہو گیا؛ اس کے کاؤنٹر اب بغیر گروپ ہیں',
+            'toast.active': '{name} بحال ہو گیا',
+            'toast.archived': '{name} محفوظ شدہ میں چلا گیا',
+            'toast.trashed': '{name} ردی میں منتقل ہو گیا',
+            'archive.confirmPurgeOne': '«{name}» کو ہمیشہ کے لیے حذف کریں؟ اس کی گنتی بحال نہیں ہو سکے گی، البتہ اس کی تاریخ باقی رہے گی۔',
+            'archive.confirmPurgeMany': { one: '{count} کاؤنٹر ہمیشہ کے لیے حذف کریں؟ اس کی گنتی بحال نہیں ہو سکے گی، البتہ تاریخ باقی رہے گی۔', other: '{count} کاؤنٹر ہمیشہ کے لیے حذف کریں؟ ان کی گنتیاں بحال نہیں ہو سکیں گی، البتہ تاریخ باقی رہے گی۔' },
+            'toast.purgedOne': '«{name}» ہمیشہ کے لیے حذف ہو گیا',
+            'toast.purgedMany': { one: '{count} کاؤنٹر ہمیشہ کے لیے حذف ہو گیا', other: '{count} کاؤنٹر ہمیشہ کے لیے حذف ہو گئے' },
+            'toast.retentionSet': { one: 'ردی میں ڈالے گئے کاؤنٹر اب {count} دن رکھے جائیں گے', other: 'ردی میں ڈالے گئے کاؤنٹر اب {count} دن رکھے جائیں گے' },
+            'archive.days': { one: '{count} دن', other: '{count} دن' },
+            'archive.noArchived': 'کوئی محفوظ شدہ کاؤنٹر نہیں۔ کسی کاؤنٹر کو اس کی ترتیبات سے محفوظ کریں تاکہ اس کی گنتی کھوئے بغیر اسے الگ رکھ سکیں۔',
+            'archive.archivedOn': '{date} کو محفوظ کیا گیا',
+            'archive.noTrash': 'ردی خالی ہے۔',
+            'archive.trashedSoon': '{date} کو ردی میں ڈالا گیا، ایک دن کے اندر ہمیشہ کے لیے حذف ہو جائے گا',
+            'archive.trashedOn': { one: '{date} کو ردی میں ڈالا گیا، {count} دن میں ہمیشہ کے لیے حذف ہو جائے گا', other: '{date} کو ردی میں ڈالا گیا، {count} دن میں ہمیشہ کے لیے حذف ہو جائے گا' },
+            'archive.restore': 'بحال کریں',
+            'archive.restoreLabel': '{name} بحال کریں',
+            'archive.trash': 'ردی میں ڈالیں',
+            'archive.trashLabel': '{name} کو ردی میں ڈالیں',
+            'archive.purge': 'ہمیشہ کے لیے حذف کریں',
+            'archive.purgeLabel': '{name} کو ہمیشہ کے لیے حذف کریں',
+            'focus.hint': 'گننے کے لیے کہیں بھی تھپتھپائیں · {step} جمع کرنے کے لیے دبائے رکھیں · ایک کم کرنے کے لیے پیچھے سوائپ کریں · باہر نکلنے کے لیے Esc',
+            'focus.palette': 'رنگ: {palette}',
+            'focus.palette.theme': 'تھیم',
+            'focus.palette.dim': 'مدھم',
+            'focus.palette.oled': 'OLED سیاہ',
+            'sound.click': 'ہلکی کلک',
+            'sound.bead': 'لکڑی کا دانہ',
+            'sound.drop': 'پانی کا قطرہ',
+            'sound.none': 'خاموش',
+            'haptics.single': 'ایک',
+            'haptics.double': 'دوہری',
+            'haptics.triple': 'تہری',
+            'haptics.long': 'لمبی',
+            'haptics.heartbeat': 'دل کی دھڑکن',
+            'haptics.custom': 'حسب منشا',
+            'haptics.patternHint': 'ارتعاش کا پیٹرن ملی سیکنڈ میں لکھیں، جیسے 100, 50, 100',
+            'toast.noVibration': 'یہ آلہ ارتعاش نہیں کر سکتا، اس لیے یہاں پیٹرن آزمائے نہیں جا سکتے',
+            'haptics.every': 'ہر',
+            'haptics.everyLabel': 'سنگ میل {position}: کتنی گنتی کے بعد',
+            'haptics.patternLabel': 'سنگ میل {position} کا پیٹرن ملی سیکنڈ میں',
+            'haptics.preview': 'آزمائیں',
+            'haptics.removeMilestone': 'سنگ میل {position} ہٹائیں',
+            'toast.milestoneEvery': 'ہر سنگ میل کے لیے 0 سے بڑا پورا عدد درکار ہے',
+            'toast.milestonePattern': 'ہر {every} والا سنگ میل: ارتعاش کا پیٹرن ملی سیکنڈ میں لکھیں، جیسے 100, 50, 100',
+            'reserved.dialogs': 'ڈائیلاگ بند کرنے',
+            'reserved.navigate': 'کاؤنٹروں کے درمیان جانے',
+            'reserved.count': 'منتخب کاؤنٹر پر گننے',
+            'reserved.reset': 'منتخب کاؤنٹر کو صفر کرنے',
+            'reserved.undo': 'واپس لینے',
+            'reserved.redo': 'دوبارہ کرنے',
+            'reserved.move': 'منتخب کاؤنٹر کو منتقل کرنے',
+            'keys.restored': 'شارٹ کٹ پہلے جیسے کر دیے گئے',
+            'keys.focusFirst': 'پہلا کاؤنٹر منتخب کریں',
+            'keys.addTracker': 'نیا کاؤنٹر شامل کریں',
+            'keys.export': 'ڈیٹا برآمد کریں',
+            'keys.increment': 'کاؤنٹر {slot} پر گنیں',
+            'keys.decrement': 'کاؤنٹر {slot} سے ایک کم کریں',
+            'toast.noSlotTracker': 'اس صفحے پر کاؤنٹر {slot} موجود نہیں',
+            'keys.pressKey': 'کوئی کلید دبائیں…',
+            'keys.capturing': 'نئی کلید دبائیں، شارٹ کٹ ہٹانے کے لیے Backspace، یا برقرار رکھنے کے لیے Esc',
+            'keys.reserved': '{combo} {use} کے لیے مخصوص ہے؛ کوئی اور کلید چنیں',
+            'keys.taken': '{combo} پہلے سے «{action}» کے لیے استعمال ہو رہا ہے۔ پہلے وہ شارٹ کٹ ہٹائیں، یا کوئی اور کلید چنیں',
+            'keys.assigned': '«{action}» اب {combo} ہے',
+            'keys.cleared': '«{action}» کا اب کوئی شارٹ کٹ نہیں',
+            'keys.none': 'کوئی نہیں',
+            'keys.conflict': 'ٹکراؤ',
+            'keys.changeLabel': '{action} کا شارٹ کٹ بدلیں، ابھی {combo}',
+            'prayer.fajr': 'فجر',
+            'prayer.sunrise': 'طلوع آفتاب',
+            'prayer.dhuhr': 'ظہر',
+            'prayer.asr': 'عصر',
+            'prayer.maghrib': 'مغرب',
+            'prayer.isha': 'عشاء',
+            'prayer.method.MWL': 'رابطہ عالم اسلامی',
+            'prayer.method.ISNA': 'اسلامک سوسائٹی آف نارتھ امریکہ',
+            'prayer.method.Egypt': 'مصری جنرل اتھارٹی آف سروے',
+            'prayer.method.Makkah': 'ام القریٰ، مکہ مکرمہ',
+            'prayer.method.Karachi': 'یونیورسٹی آف اسلامک سائنسز، کراچی',
+            'prayer.method.Tehran': 'انسٹی ٹیوٹ آف جیو فزکس، تہران',
+            'prayer.method.Jafari': 'شیعہ اثنا عشری، قم',
+            'prayer.asr.standard': 'عصر اول (شافعی، مالکی، حنبلی)',
+            'prayer.asr.hanafi': 'عصر حنفی',
+            'toast.locationFailed': 'اس آلے کا مقام معلوم نہیں ہو سکا؛ اسے خود درج کریں',
+            'prayer.noLocation': 'آج کے اوقات نماز دیکھنے اور ان پر صفر کرنے یا یاد دہانی کے لیے اپنا مقام درج کریں۔',
+            'prayer.coordinates': '{latitude}، {longitude}',
+            'toast.coordinatesPair': 'عرض بلد اور طول بلد دونوں درج کریں، یا دونوں خالی چھوڑیں',
+            'toast.coordinatesRange': 'عرض بلد -90 اور 90 کے درمیان، اور طول بلد -180 اور 180 کے درمیان ہونا چاہیے',
+            'toast.unknownTimeZone': '«{timeZone}» اس براؤزر کے لیے نامعلوم ٹائم زون ہے، جیسے Asia/Karachi',
+            'toast.prayerOff': 'اوقات نماز بند کر دیے گئے',
+            'toast.prayerUpdated': 'اوقات نماز اپ ڈیٹ ہو گئے',
+            'dates.calendar.islamic-umalqura': 'ام القریٰ',
+            'dates.calendar.islamic-civil': 'جدولی (شہری)',
+            'dates.calendar.islamic-tbla': 'جدولی (فلکیاتی)',
+            'dates.calendar.islamic': 'فلکیاتی',
+            'dates.preview': 'آج {date} ہے',
+            'toast.datesSaved': 'تاریخ کی ترتیبات محفوظ ہو گئیں',
+            'toast.reminderLimit': { one: 'ہر کاؤنٹر کے لیے زیادہ سے زیادہ {count} یاد دہانی کا وقت', other: 'ہر کاؤنٹر کے لیے زیادہ سے زیادہ {count} یاد دہانی کے اوقات' },
+            'reminders.missedOne': 'چھوٹی ہوئی یاد دہانی: {name}، {time} پر',
+            'reminders.missedMany': { one: '{count} یاد دہانی چھوٹ گئی: {names}', other: '{count} یاد دہانیاں چھوٹ گئیں: {names}' },
+            'reminders.open': 'کھولیں',
+            'reminders.toast': '{name} کا وقت: {phrase}',
+            'reminders.title': '{name} کا وقت',
+            'reminders.done': 'مکمل کریں',
+            'reminders.snooze': '{minutes} منٹ بعد یاد دلائیں',
+            'toast.notificationsOff': 'اطلاعات بند ہیں، اس لیے یاد دہانیاں صرف ایپ کھلی ہونے پر نظر آئیں گی',
+            'reminders.at': 'بوقت',
+            'reminders.anchorLabel': 'یاد دہانی {position}: گھڑی کا وقت یا نماز',
+            'reminders.timeLabel': 'یاد دہانی {position} کا وقت',
+            'reminders.offsetLabel': 'یاد دہانی {position}: نماز کے کتنے منٹ بعد، یا منفی ہو تو پہلے',
+            'reminders.minutesAfter': 'منٹ بعد',
+            'reminders.remove': 'یاد دہانی {position} ہٹائیں',
+            'toast.reminderOffset': { one: 'یاد دہانی نماز سے زیادہ سے زیادہ {count} منٹ پہلے یا بعد ہو سکتی ہے', other: 'یاد دہانی نماز سے زیادہ سے زیادہ {count} منٹ پہلے یا بعد ہو سکتی ہے' },
+            'toast.reminderDays': 'یاد دہانیوں کے لیے کم از کم ایک دن چنیں',
+            'trackers.default.morning-dhikr': 'صبح کے اذکار',
+            'trackers.default.evening-dhikr': 'شام کے اذکار',
+            'trackers.default.salah-count': 'نمازوں کی گنتی',
+            'trackers.preset.tasbih-fatimah': 'تسبیح فاطمہ',
+            'trackers.preset.after-salah': 'نماز کے بعد',
+            'schedule.anchorPending': '{time} (مقام درج ہونے پر {prayer})',
+            'schedule.daily': 'روزانہ {at} پر صفر ہوتا ہے',
+            'schedule.weekly': 'ہر {weekday} کو {at} پر صفر ہوتا ہے',
+            'schedule.monthly': 'ہر مہینے کی {day} تاریخ کو {at} پر صفر ہوتا ہے',
+            'weekday.0': 'اتوار',
+            'weekday.1': 'پیر',
+            'weekday.2': 'منگل',
+            'weekday.3': 'بدھ',
+            'weekday.4': 'جمعرات',
+            'weekday.5': 'جمعہ',
+            'weekday.6': 'ہفتہ',
+            'weekday.short.0': 'اتوار',
+            'weekday.short.1': 'پیر',
+            'weekday.short.2': 'منگل',
+            'weekday.short.3': 'بدھ',
+            'weekday.short.4': 'جمعرات',
+            'weekday.short.5': 'جمعہ',
+            'weekday.short.6': 'ہفتہ',
+            'card.focus': 'فوکس موڈ',
+            'card.edit': 'کاؤنٹر میں ترمیم کریں',
+            'card.reset': 'صفر کریں',
+            'card.stepProgress': 'مرحلے کی پیش رفت',
+            'card.roundProgress': 'دور کی پیش رفت',
+            'card.step': '{total} میں سے مرحلہ {step}',
+            'card.never': 'کبھی نہیں',
+            'card.lastUpdated': 'آخری تبدیلی: {date}',
+            'card.streak': { one: 'مسلسل {count} دن', other: 'مسلسل {count} دن' },
+            'card.roundInfo': { one: '{current} / {target} · {count} دور مکمل', other: '{current} / {target} · {count} دور مکمل' },
+            'announce.movedInGroup': '{name} کو {group} میں {total} میں سے مقام {position} پر منتقل کیا گیا',
+            'toast.addedStep': '+{step} {phrase}',
+            'toast.markedDone': '{name} مکمل کر دیا گیا',
+            'toast.reset': '{name} صفر کر دیا گیا (پہلے {count} تھا)',
+            'toast.times': '{count} × {phrase}',
+            'toast.roundComplete': 'دور {round} مکمل: {completed}',
+            'toast.fillAll': 'براہ کرم تمام خانے پُر کریں',
+            'toast.trackerAdded': 'کاؤنٹر شامل ہو گیا: {name}',
+            'toast.sequenceSteps': 'ترتیب میں کم از کم دو مراحل ہونے چاہئیں',
+            'toast.stepFields': 'ہر مرحلے کے لیے ذکر اور صفر سے بڑی تعداد درکار ہے',
+            'toast.targetInvalid': 'ہدف صفر سے بڑا پورا عدد ہونا چاہیے',
+            'steps.placeholder': 'ذکر',
+            'steps.phraseLabel': 'مرحلہ {position} کا ذکر',
+            'steps.countLabel': 'مرحلہ {position} کی تعداد',
+            'steps.remove': 'مرحلہ {position} ہٹائیں',
+            'toast.longPressInvalid': 'دبائے رکھنے کا قدم 0 سے بڑا پورا عدد ہونا چاہیے',
+            'toast.trackerUpdated': 'کاؤنٹر اپ ڈیٹ ہو گیا',
+            'toast.exported': 'ڈیٹا کامیابی سے برآمد ہو گیا',
+            'toast.invalidFile': 'فائل کی شکل درست نہیں',
+            'toast.vibrationOn': '{name} کے لیے ارتعاش فعال',
+            'toast.vibrationOff': '{name} کے لیے ارتعاش بند',
+            'quick.noTrackers': 'گنتی شروع کرنے کے لیے کاؤنٹر والے صفحے پر ایک کاؤنٹر شامل کریں',
+            'trackers.default.quick-dhikr': 'فوری ذکر',
+            'quick.noRecent': 'حالیہ گنتیاں یہاں نظر آئیں گی',
+            'quick.recentEntry': '+{count} {phrase}، {date} کو',
+            'import.strategy.local': 'مقامی رکھیں',
+            'import.strategy.imported': 'درآمد شدہ رکھیں',
+            'import.strategy.higher': 'بڑی گنتی لیں',
+            'import.strategy.sum': 'دونوں گنتیاں جمع کریں',
+            'import.add': '«{name}» ({count}) شامل کریں',
+            'import.replace': '«{name}» ({count}) کی جگہ «{newName}» ({newCount}) رکھیں',
+            'import.remove': '«{name}» ({count}) ہٹائیں، جو بیک اپ میں نہیں ہے',
+            'import.theme': 'تھیم {from} سے {to} میں بدلیں',
+            'import.setting': '{key} کو {from} سے {to} میں بدلیں',
+            'import.phrases': { one: 'اپنے اذکار کی جگہ بیک اپ کا {count} ذکر رکھیں', other: 'اپنے اذکار کی جگہ بیک اپ کے {count} اذکار رکھیں' },
+            'import.groups': { one: 'اپنے گروپوں کی جگہ بیک اپ کا {count} گروپ رکھیں', other: 'اپنے گروپوں کی جگہ بیک اپ کے {count} گروپ رکھیں' },
+            'import.history': { one: 'سرگرمی کی تاریخ کی جگہ بیک اپ کا {count} واقعہ رکھیں', other: 'سرگرمی کی تاریخ کی جگہ بیک اپ کے {count} واقعات رکھیں' },
+            'import.skip': '«{name}» چھوڑ دیں: دونوں طرف یکساں ہے',
+            'import.conflict': '«{name}»: یہاں {count}، بیک اپ میں {newCount}',
+            'import.keep': '«{name}» رکھیں (صرف اس آلے پر ہے)',
+            'import.addPhrases': { one: 'اپنی لائبریری میں {count} ذکر شامل کریں', other: 'اپنی لائبریری میں {count} اذکار شامل کریں' },
+            'import.addGroups': { one: '{count} گروپ شامل کریں', other: '{count} گروپ شامل کریں' },
+            'import.settingsKept': 'تھیم اور ترتیبات جیسی ہیں ویسی رہیں گی',
+            'import.noChanges': 'کوئی تبدیلی نہیں: یہ بیک اپ آپ کے موجودہ ڈیٹا جیسا ہے',
+            'import.upgraded': 'فارمیٹ ورژن {version} سے اپ گریڈ کیا گیا',
+            'import.exported': '{date} کو برآمد کیا گیا',
+            'import.invalid': 'یہ بیک اپ درآمد نہیں ہو سکتا:',
+            'toast.merged': 'ضم ہو گیا: {added} شامل، {updated} اپ ڈیٹ، {skipped} چھوڑے گئے{history}',
+            'toast.mergedHistory': { one: '، تاریخ کا {count} واقعہ شامل ہوا', other: '، تاریخ کے {count} واقعات شامل ہوئے' },
+            'toast.imported': 'ڈیٹا کامیابی سے درآمد ہو گیا',
+            'csv.trackers.id': 'کاؤنٹر ID',
+            'csv.trackers.name': 'نام',
+            'csv.trackers.phrase': 'ذکر',
+            'csv.trackers.count': 'گنتی',
+            'csv.trackers.target': 'دور کا ہدف',
+            'csv.trackers.created': 'بنانے کی تاریخ',
+            'csv.history.trackerId': 'کاؤنٹر ID',
+            'csv.history.tracker': 'کاؤنٹر کا نام',
+            'csv.history.type': 'قسم',
+            'csv.history.amount': 'مقدار',
+            'csv.history.count': 'بعد کی گنتی',
+            'csv.history.time': 'وقت',
+            'csv.history.trackerIdOrName': 'کاؤنٹر ID یا کاؤنٹر کا نام',
+            'csv.rows': { one: '{count} قطار', other: '{count} قطاریں' },
+            'csv.column': 'کالم {index}',
+            'csv.notInFile': 'فائل میں نہیں',
+            'toast.csvTrackers': 'کاؤنٹر CSV کے طور پر برآمد ہو گئے',
+            'toast.csvHistory': 'تاریخ CSV کے طور پر برآمد ہو گئی',
+            'toast.csvEmpty': 'اس CSV فائل میں ڈیٹا کی کوئی قطار نہیں',
+            'toast.csvMissing': '{fields} کے لیے کالم چنیں',
+            'toast.csvSkipped': { one: '، {count} قطار چھوڑ دی گئی (ناقابل فہم یا نامعلوم کاؤنٹر)', other: '، {count} قطاریں چھوڑ دی گئیں (ناقابل فہم یا نامعلوم کاؤنٹر)' },
+            'toast.csvHistoryAdded': { one: '{fileName}: تاریخ کا {count} واقعہ شامل ہوا{skipped}', other: '{fileName}: تاریخ کے {count} واقعات شامل ہوئے{skipped}' },
+            'history.archivedTracker': '{name} (محفوظ شدہ)',
+            'history.allTrackers': 'تمام کاؤنٹر',
+            'history.noActivity': 'اس مدت میں کوئی سرگرمی نہیں',
+            'history.emptyEvents': 'گنتی کرتے ہی سرگرمی یہاں نظر آئے گی',
+            'history.change': '{amount} ← {count}',
+            'history.reset': 'صفر کیا گیا (پہلے {count} تھا)',
+            'history.scheduledReset': 'طے شدہ صفر (پہلے {count} تھا)',
+            'history.restored': '{count} پر بحال کیا گیا',
+            'history.deletedTracker': 'حذف شدہ کاؤنٹر',
+            'undo.label': 'واپس لیں',
+            'undo.action.increment': '+1',
+            'undo.action.increment-10': '+10',
+            'undo.action.increment-step': 'دبائے رکھنا',
+            'undo.action.increment-round': 'مکمل کرنا',
+            'undo.action.decrement': '-1',
+            'undo.action.reset': 'صفر کرنا',
+            'undo.action.edit': 'ترمیم',
+            'undo.action.delete': 'حذف کرنا',
+            'undo.action.archive': 'محفوظ کرنا',
+            'undo.action.trash': 'ردی میں ڈالنا',
+            'undo.action.restore': 'بحال کرنا',
+            'toast.alreadyUndone': 'یہ تبدیلی پہلے ہی واپس لی جا چکی ہے',
+            'toast.nothingTo.undo': 'واپس لینے کو کچھ نہیں',
+            'toast.nothingTo.redo': 'دوبارہ کرنے کو کچھ نہیں',
+            'toast.undoDone': '{name} پر {action} واپس لیا گیا',
+            'toast.redoDone': '{name} پر {action} دوبارہ کیا گیا',
+            'calendar.dayLabel': { one: '{day}: {count} گنتی', other: '{day}: {count} گنتیاں' },
+            'calendar.current': { one: 'موجودہ: {count} دن', other: 'موجودہ: {count} دن' },
+            'calendar.longest': { one: 'طویل ترین: {count} دن', other: 'طویل ترین: {count} دن' },
+            'contact.invalidEmail': 'براہ کرم درست ای میل پتہ درج کریں',
+            'contact.required': 'یہ خانہ ضروری ہے',
+            'toast.fixErrors': 'بھیجنے سے پہلے براہ کرم غلطیاں درست کریں',
+            'toast.openingEmail': 'آپ کا ای میل پروگرام کھولا جا رہا ہے...',
+            'toast.emailFailed': 'ای میل پروگرام نہیں کھل سکا۔ براہ کرم ہمیں براہ راست {email} پر ای میل کریں',
+            'nav.skip': 'مرکزی مواد پر جائیں',
+            'nav.toggle': 'مینو کھولیں یا بند کریں',
+            'nav.language': 'زبان',
+            'nav.home': 'ہوم',
+            'nav.about': 'تعارف',
+            'nav.tracker': 'کاؤنٹر',
+            'nav.themes': 'تھیمز',
+            'nav.contact': 'رابطہ',
+            'footer.rights': '© 2025 Spiritual Count۔ جملہ حقوق محفوظ ہیں۔',
+            'footer.contact': 'رابطہ:',
+            'footer.privacy': 'رازداری کی پالیسی',
+            'offline.banner': 'آپ آف لائن ہیں۔ ڈیٹا مقامی طور پر محفوظ ہوگا اور آن لائن ہونے پر ہم آہنگ ہو جائے گا۔',
+            'common.close': 'ونڈو بند کریں',
+            'common.cancel': 'منسوخ کریں',
+            'common.save': 'محفوظ کریں',
+            'common.done': 'ہو گیا',
+            'common.add': 'شامل کریں',
+            'common.continue': 'جاری رکھیں',
+            'index.title': 'Spiritual Count - توجہ کے ساتھ ذکر اور نماز کا حساب رکھیں',
+            'index.description': 'توجہ کے ساتھ ذکر اور نماز کا حساب رکھیں — آف لائن، نجی اور حسب منشا',
+            'index.heroTitle': 'توجہ کے ساتھ ذکر اور نماز کا حساب رکھیں',
+            'index.heroSubtitle': 'آف لائن، نجی اور حسب منشا روحانی ساتھی',
+            'index.readArticle': 'مضمون پڑھیں',
+            'index.ctaTitle': 'اپنا روحانی سفر شروع کریں',
+            'index.startTracking': 'گنتی شروع کریں',
+            'index.chooseTheme': 'تھیم چنیں',
+            'quick.title': 'فوری ذکر کاؤنٹر',
+            'quick.previous': 'پچھلا کاؤنٹر',
+            'quick.select': 'گننے کے لیے کاؤنٹر',
+            'quick.next': 'اگلا کاؤنٹر',
+            'quick.vibration': 'ارتعاش آن یا آف کریں',
+            'about.title': 'تعارف - Spiritual Count',
+            'about.description': 'Spiritual Count کے مقصد کے بارے میں جانیں: مسلمانوں کو رازداری اور توجہ کے ساتھ ذکر اور نماز کا حساب رکھنے میں مدد دینا',
+            'about.heading': 'Spiritual Count کا تعارف',
+            'about.tagline': 'لازوال روحانی عمل کے لیے ایک جدید آلہ',
+            'about.mission': 'ہمارا مقصد',
+            'about.mission1': 'Spiritual Count اس لیے بنایا گیا ہے کہ آج کی تیز رفتار ڈیجیٹل دنیا میں مسلمان باقاعدگی سے ذکر اور نماز کا حساب رکھ سکیں۔ ہمارا مقصد ایک نجی، آف لائن اور حسب منشا آلہ فراہم کرنا ہے جو ذکر کی روح کو متاثر کیے بغیر آپ کے روحانی عمل کو بہتر بنائے۔',
+            'about.mission2': 'ہمارا یقین ہے کہ ٹیکنالوجی کو روحانیت کی خدمت کرنی چاہیے، اس سے توجہ نہیں ہٹانی چاہیے۔ اسی لیے ہم نے ایک سادہ اور مرکوز ایپ بنائی ہے جو مکمل طور پر آف لائن چلتی ہے، سارا ڈیٹا آپ کے آلے پر محفوظ رکھتی ہے اور آپ کی رازداری کا پورا احترام کرتی ہے۔',
+            'about.features': 'اہم خصوصیات',
+            'about.offline': 'آف لائن سب سے پہلے',
+            'about.offlineText': 'انٹرنیٹ کے بغیر کبھی بھی، کہیں بھی اپنے ذکر کا حساب رکھیں',
+            'about.privacy': 'مکمل رازداری',
+            'about.privacyText': 'سارا ڈیٹا آپ کے آلے پر محفوظ ہے۔ نہ کلاؤڈ، نہ نگرانی',
+            'about.multiple': 'متعدد کاؤنٹر',
+            'about.multipleText': 'مختلف نمازوں اور اذکار کے لیے الگ الگ کاؤنٹر بنائیں',
+            'about.themes': 'حسب منشا تھیمز',
+            'about.themesText': 'اپنی پسند کے مطابق روشن، تاریک اور رنگین تھیمز میں سے چنیں',
+            'about.vibration': 'ارتعاشی ردعمل',
+            'about.vibrationText': 'ذکر کے دوران توجہ برقرار رکھنے کے لیے ہلکا ارتعاش',
+            'about.backup': 'برآمد اور درآمد',
+            'about.backupText': 'اپنے ڈیٹا کا JSON فائلوں کی صورت میں بیک اپ لیں اور بحال کریں',
+            'about.journey': 'یہ آپ کے روحانی سفر میں کیسے مدد کرتی ہے',
+            'about.consistent': 'باقاعدہ رہیں',
+            'about.consistentText': 'اپنے روزانہ ذکر کا حساب رکھیں اور اپنے روحانی عمل میں باقاعدگی برقرار رکھیں',
+            'about.focus': 'بہتر توجہ',
+            'about.focusText': 'گنتی ایپ کے ذمے چھوڑیں تاکہ آپ پوری توجہ روحانی معنی پر دے سکیں',
+            'about.progress': 'پیش رفت دیکھیں',
+            'about.progressText': 'تفصیلی حساب اور تاریخ کے ذریعے وقت کے ساتھ اپنی روحانی ترقی دیکھیں',
+            'about.motivated': 'حوصلہ برقرار رکھیں',
+            'about.motivatedText': 'بصری ردعمل اور پیش رفت کا حساب حوصلہ برقرار رکھنے میں مدد دیتے ہیں',
+            'about.policy': 'رازداری اور ڈیٹا کی پالیسی',
+            'about.policy1': 'سارا ڈیٹا آپ کے آلے پر براؤزر کے IndexedDB میں محفوظ ہوتا ہے (یا جہاں IndexedDB دستیاب نہ ہو وہاں localStorage میں)',
+            'about.policy2': 'کوئی ذاتی معلومات جمع، منتقل یا بیرونی سرورز پر محفوظ نہیں کی جاتیں',
+            'about.policy3': 'کوئی نگرانی، تجزیاتی یا تیسرے فریق کی خدمات استعمال نہیں ہوتیں',
+            'about.policy4': 'کوئی کلاؤڈ بیک اپ نہیں، جب تک آپ خود فائلیں برآمد کر کے اپ لوڈ نہ کریں',
+            'about.policy5': 'پہلی بار لوڈ ہونے کے بعد ایپ مکمل طور پر آف لائن چلتی ہے',
+            'about.policy6': 'برآمد اور درآمد کے ذریعے آپ کا اپنے ڈیٹا پر پورا اختیار ہے',
+            'about.storage': 'ڈیٹا کی اسٹوریج',
+            'about.storageIntro': 'مندرجہ ذیل ڈیٹا آپ کے براؤزر میں مقامی طور پر محفوظ ہوتا ہے:',
+            'about.storage1': 'ذکر کی گنتیاں اور کاؤنٹروں کے نام',
+            'about.storage2': 'تھیم کی ترجیحات',
+            'about.storage3': 'ارتعاش کی ترتیبات',
+            'about.storage4': 'ذکر کی سرگرمی کی تاریخ اور روزانہ مجموعے',
+            'about.faq': 'اکثر پوچھے جانے والے سوالات',
+            'about.faq1': 'کیا یہ ایپ اسلام میں جائز ہے؟',
+            'about.faq1Answer': 'جی ہاں، علماء عام طور پر ڈیجیٹل تسبیح کو جائز سمجھتے ہیں جب اسے اللہ کے ذکر کی سچی نیت سے استعمال کیا جائے۔ یہ ایپ روایتی روحانی اعمال کو بہتر بنانے کے لیے ہے، ان کی جگہ لینے کے لیے نہیں۔',
+            'about.faq2': 'کیا ایپ آف لائن چلتی ہے؟',
+            'about.faq2Answer': 'جی ہاں، پہلی بار لوڈ ہونے کے بعد ایپ مکمل طور پر آف لائن چلتی ہے۔ گنتی، ڈیٹا کی اسٹوریج اور تھیم بدلنے سمیت تمام سہولیات انٹرنیٹ کے بغیر دستیاب ہیں۔',
+            'about.faq3': 'کیا میں اپنے ڈیٹا کا بیک اپ لے سکتا ہوں؟',
+            'about.faq3Answer': 'جی ہاں، آپ کاؤنٹر والے صفحے سے اپنا سارا ڈیٹا JSON فائل کی صورت میں برآمد کر سکتے ہیں اور بعد میں اسے درآمد کر کے اپنی پیش رفت بحال کر سکتے ہیں۔',
+            'about.faq4': 'کیا میرا ڈیٹا محفوظ ہے؟',
+            'about.faq4Answer': 'آپ کا ڈیٹا کبھی آپ کے آلے سے باہر نہیں جاتا۔ سب کچھ آپ کے براؤزر میں مقامی طور پر محفوظ ہوتا ہے، جس سے مکمل رازداری اور حفاظت یقینی ہوتی ہے۔',
+            'about.accessibility': 'رسائی',
+            'about.accessibilityIntro': 'Spiritual Count ہر ایک کے لیے قابل رسائی بنانے کے لیے تیار کیا گیا ہے:',
+            'tracker.title': 'ذکر کاؤنٹر - Spiritual Count',
+            'tracker.description': 'حسب منشا کاؤنٹروں کے ساتھ اپنے روزانہ ذکر اور نماز کا حساب رکھیں',
+            'tracker.heading': 'ذکر کاؤنٹر',
+            'tracker.tagline': 'آپ ذکر پر توجہ دیں، گنتی ہم سنبھالیں گے',
+            'controls.addTracker': '+ کاؤنٹر شامل کریں',
+            'controls.groups': 'گروپ',
+            'controls.archive': 'محفوظ شدہ اور ردی',
+            'controls.sound': 'آواز',
+            'controls.dates': 'تاریخیں',
+            'controls.export': 'ڈیٹا برآمد کریں',
+            'controls.exportCsv': 'CSV برآمد کریں',
+            'controls.import': 'ڈیٹا درآمد کریں',
+            'controls.shortcuts': 'کی بورڈ شارٹ کٹ',
+            'prayer.heading': 'آج کے اوقات نماز',
+            'prayer.settings': 'مقام اور طریقہ',
+            'calendar.heading': 'کیلنڈر',
+            'calendar.heatmap': 'پچھلے 12 ہفتوں کی روزانہ سرگرمی',
+            'calendar.less': 'کم',
+            'calendar.more': 'زیادہ',
+            'calendar.streaks': 'تسلسل',
+            'history.heading': 'تاریخ',
+            'history.period': 'مدت',
+            'history.range.7': 'پچھلے 7 دن',
+            'history.range.30': 'پچھلے 30 دن',
+            'history.range.90': 'پچھلے 90 دن',
+            'history.day': 'دن',
+            'history.counted': 'گنتی',
+            'history.resets': 'صفر',
+            'history.recent': 'حالیہ سرگرمی',
+            'help.heading': 'استعمال کی ہدایات',
+            'form.addHeading': 'نیا کاؤنٹر شامل کریں',
+            'form.name': 'کاؤنٹر کا نام:',
+            'form.namePlaceholder': 'مثلاً صبح کے اذکار',
+            'form.group': 'گروپ:',
+            'form.type': 'کاؤنٹر کی قسم:',
+            'form.type.counter': 'ایک ذکر',
+            'form.type.sequence': 'اذکار کی ترتیب',
+            'form.phrase': 'ذکر:',
+            'form.phraseSearch': 'عربی، رومن یا معنی سے تلاش کریں',
+            'form.phraseLibrary': 'اذکار کی لائبریری',
+            'form.noPhrases': 'آپ کی تلاش سے کوئی ذکر نہیں ملا۔',
+            'form.customPhrase': 'اپنا ذکر شامل کریں',
+            'form.transliteration': 'رومن تلفظ:',
+            'form.transliterationPlaceholder': 'مثلاً SubhanAllahil Azim',
+            'form.arabic': 'عربی (اختیاری):',
+            'form.meaning': 'معنی (اختیاری):',
+            'form.source': 'حوالہ (اختیاری):',
+            'form.sourcePlaceholder': 'مثلاً صحیح مسلم 2694',
+            'form.saveToLibrary': 'لائبریری میں محفوظ کریں',
+            'form.target': 'دور کا ہدف (اختیاری):',
+            'form.targetPlaceholder': 'مثلاً 33',
+            'form.startFrom': 'شروعات:',
+            'form.blankSequence': 'خالی ترتیب',
+            'form.preset.tasbih-fatimah': 'تسبیح فاطمہ (33 · 33 · 34)',
+            'form.preset.after-salah': 'نماز کے بعد (33 · 33 · 33 · 1)',
+            'form.steps': 'مراحل، ترتیب وار:',
+            'form.addStep': '+ مرحلہ شامل کریں',
+            'form.addTracker': 'کاؤنٹر شامل کریں',
+            'form.editHeading': 'کاؤنٹر میں ترمیم',
+            'form.noTarget': 'ہدف نہ ہو تو خالی چھوڑیں',
+            'form.sound': 'گنتی کی آواز:',
+            'form.longPress': 'دبائے رکھنے پر جمع:',
+            'form.reset': 'خودکار صفر:',
+            'form.reset.never': 'کبھی نہیں',
+            'form.reset.daily': 'روزانہ',
+            'form.reset.weekly': 'ہفتہ وار',
+            'form.reset.monthly': 'ماہانہ',
+            'form.weekday': 'ہفتے کا دن:',
+            'form.monthDay': 'مہینے کی تاریخ:',
+            'form.resetAt': 'صفر کا وقت:',
+            'form.setTime': 'مقررہ وقت',
+            'form.resetTime': 'صفر کا وقت (مقام درج ہونے تک نماز کے لیے بھی یہی استعمال ہوگا):',
+            'form.vibration': 'ارتعاشی ردعمل فعال کریں',
+            'form.vibrationPattern': 'ارتعاش کا پیٹرن',
+            'form.patternPreset': 'تیار پیٹرن',
+            'form.patternPlaceholder': 'مثلاً 100, 50, 100',
+            'form.pattern': 'ہر گنتی کا پیٹرن، ملی سیکنڈ میں',
+            'form.milestones': 'سنگ میل:',
+            'form.addMilestone': '+ سنگ میل شامل کریں',
+            'form.hapticNote': 'ارتعاش اور وقفے کے ملی سیکنڈ، باری باری۔ جب بھی گنتی سنگ میل کے عدد کے کسی گنا سے گزرتی ہے تو معمول کے پیٹرن کی جگہ سنگ میل کا پیٹرن چلتا ہے، تاکہ آپ محسوس کر کے گنتی کا اندازہ رکھ سکیں۔',
+            'form.reminders': 'یاد دہانیاں',
+            'form.addTime': '+ وقت شامل کریں',
+            'form.reminderDays': 'یاد دہانی کے دن',
+            'form.reminderNote': 'یاد دہانیاں اسی آلے پر رہتی ہیں اور آف لائن کام کرتی ہیں۔ اگر کسی یاد دہانی کے وقت ایپ بند ہو تو اگلی بار کھولنے پر دکھائی جائے گی۔',
+            'form.showArabic': 'کارڈ پر عربی متن دکھائیں',
+            'form.archive': 'محفوظ کریں',
+            'form.saveChanges': 'تبدیلیاں محفوظ کریں',
+            'import.heading': 'درآمد کا جائزہ',
+            'import.mode': 'درآمد کا طریقہ',
+            'import.replaceAll': 'سب کچھ بدل دیں',
+            'import.merge': 'اس آلے کے کاؤنٹروں کے ساتھ ضم کریں',
+            'import.strategy': 'جب کوئی کاؤنٹر دونوں طرف مختلف ہو:',
+            'import.confirm': 'درآمد کریں',
+            'groups.heading': 'کاؤنٹروں کے گروپ',
+            'groups.new': 'نیا گروپ:',
+            'groups.placeholder': 'مثلاً صبح، نماز کے بعد، رمضان',
+            'focus.exit': 'باہر نکلیں',
+            'sound.enabled': 'گنتی کے دوران آوازیں چلائیں',
+            'sound.volume': 'آواز کی سطح:',
+            'sound.note': 'ہر گنتی پر اس کاؤنٹر کی آواز چلتی ہے (جو کاؤنٹر کی ترتیبات میں چنی جاتی ہے)، دور مکمل ہونے پر اور ہر 100 گنتیوں پر گھنٹی بجتی ہے، اور صفر کرنے کی اپنی آواز ہے۔ جہاں براؤزر اجازت دے وہاں آوازیں خاموش سوئچ کی پابند ہیں، اور جب آپ کا آلہ کم حرکت کا تقاضا کرے تو گھنٹیاں مختصر رکھی جاتی ہیں۔',
+            'prayer.modalHeading': 'اوقات نماز',
+            'prayer.latitude': 'عرض بلد:',
+            'prayer.latitudePlaceholder': 'مثلاً 21.4225',
+            'prayer.longitude': 'طول بلد:',
+            'prayer.longitudePlaceholder': 'مثلاً 39.8262',
+            'prayer.locate': 'اس آلے کا مقام استعمال کریں',
+            'prayer.timeZone': 'ٹائم زون:',
+            'prayer.method': 'حساب کا طریقہ:',
+            'prayer.asrLabel': 'عصر:',
+            'prayer.note': 'اوقات اسی آلے پر حساب کیے جاتے ہیں اور انٹرنیٹ کی ضرورت نہیں۔ اوقات نماز بند کرنے کے لیے عرض بلد اور طول بلد خالی چھوڑیں؛ تب نماز پر مقرر صفر اور یاد دہانیاں اپنے گھڑی والے وقت پر ہوں گی۔',
+            'dates.showIn': 'تاریخیں دکھائیں:',
+            'dates.gregorian': 'عیسوی',
+            'dates.hijri': 'ہجری',
+            'dates.both': 'عیسوی اور ہجری',
+            'dates.hijriCalendar': 'ہجری کیلنڈر:',
+            'dates.adjustment': 'تصحیح:',
+            'dates.earlier': 'ایک دن پہلے',
+            'dates.later': 'ایک دن بعد',
+            'dates.maghrib': 'دن مغرب سے شروع ہو',
+            'dates.maghribInfo': 'مغرب کے بعد کی گنتیاں تاریخ، کیلنڈر اور روزانہ مجموعوں میں اگلے دن میں شمار ہوں گی۔ پہلے کی گئی گنتیاں اپنے دن پر رہیں گی۔',
+            'dates.maghribNote': 'پہلے «اوقات نماز» میں اپنا مقام درج کریں؛ تب تک دن آدھی رات سے شروع ہوگا۔',
+            'archive.archived': 'محفوظ شدہ',
+            'archive.trashHeading': 'ردی',
+            'archive.retention': 'ردی میں ڈالے گئے کاؤنٹر رکھیں:',
+            'archive.empty': 'ردی خالی کریں',
+            'csv.intro': 'CSV فائلیں اسپریڈشیٹ ایپس میں کھلتی ہیں۔ مکمل بیک اپ کے لیے «ڈیٹا برآمد کریں» استعمال کریں۔',
+            'csv.kind.trackers': 'کاؤنٹر',
+            'csv.kind.history': 'سرگرمی کی تاریخ',
+            'csv.importHeading': 'CSV درآمد کریں',
+            'csv.contains': 'اس فائل میں ہے:',
+            'shortcuts.increment': 'منتخب کاؤنٹر میں اضافہ',
+            'shortcuts.move': 'کاؤنٹروں کے درمیان جائیں',
+            'shortcuts.reset': 'منتخب کاؤنٹر صفر کریں',
+            'shortcuts.reorder': 'منتخب کاؤنٹر (یا گروپ کا عنوان) آگے یا پیچھے کریں',
+            'shortcuts.undo': 'آخری تبدیلی واپس لیں',
+            'shortcuts.redo': 'دوبارہ کریں',
+            'shortcuts.close': 'ونڈوز بند کریں',
+            'shortcuts.yours': 'آپ کے شارٹ کٹ',
+            'shortcuts.note': 'کوئی شارٹ کٹ منتخب کریں، پھر اس کی جگہ استعمال ہونے والی کلید دبائیں — بشمول فٹ پیڈل یا کلکر کی کلیدیں۔ Backspace شارٹ کٹ ہٹاتا ہے؛ Esc اسے برقرار رکھتا ہے۔ کاؤنٹروں کے نمبر اس صفحے کی ترتیب کے مطابق ہیں۔',
+            'shortcuts.restore': 'پہلے جیسے شارٹ کٹ بحال کریں',
+            'shortcuts.gotIt': 'سمجھ گیا',
+            'themes.title': 'تھیمز - Spiritual Count',
+            'themes.description': 'خوبصورت تھیمز کے ساتھ اپنے روحانی حساب کا تجربہ اپنی پسند کے مطابق بنائیں',
+            'themes.heading': 'اپنا تجربہ اپنی پسند کے مطابق بنائیں',
+            'themes.tagline': 'ایسی تھیم چنیں جو آپ کے روحانی عمل کو نکھارے',
+            'themes.light': 'روشن تھیم',
+            'themes.lightText': 'دن کے وقت کے لیے صاف اور روشن',
+            'themes.dark': 'تاریک تھیم',
+            'themes.darkText': 'شام کے ذکر کے لیے آنکھوں کو آرام دہ',
+            'themes.oasis': 'نخلستان تھیم',
+            'themes.oasisText': 'صحرا کے سکون سے متاثر گرم رنگ',
+            'themes.colors': 'رنگوں کی تخصیص',
+            'themes.colorsText': 'اپنے نمایاں رنگوں کو باریکی سے ترتیب دیں',
+            'themes.hue': 'نمایاں رنگ',
+            'themes.saturation': 'گہرائی',
+            'themes.lightness': 'روشنی',
+            'themes.apply': 'رنگ لاگو کریں',
+            'themes.resetColors': 'پہلے جیسا کریں',
+            'themes.accessibility': 'رسائی کی جانچ',
+            'themes.accessibilityText': 'اس بات کو یقینی بنانا کہ آپ کی تھیم رسائی کے معیارات پر پوری اترے',
+            'themes.headingText': 'عنوان کا متن',
+            'themes.bodyText': 'عام متن',
+            'themes.accentColor': 'نمایاں رنگ',
+            'themes.typography': 'تحریر کی ترتیبات',
+            'themes.typographyText': 'بہتر پڑھنے کے لیے متن کا سائز بدلیں',
+            'themes.fontSize': 'بنیادی فونٹ سائز',
+            'themes.lineHeight': 'سطروں کا فاصلہ',
+            'themes.digits': 'ہندسے',
+            'themes.sampleHeading': 'نمونہ عنوان',
+            'themes.sampleText': 'یہ تحریر کی ترتیبات دیکھنے کے لیے نمونے کا متن ہے۔ ذکر سے دلوں کو اطمینان ملتا ہے۔',
+            'contact.title': 'رابطہ - Spiritual Count',
+            'contact.description': 'Spiritual Count کی ٹیم سے رابطہ کریں',
+            'contact.heading': 'رابطہ کریں',
+            'contact.tagline': 'ہمیں آپ کی بات سن کر خوشی ہوگی',
+            'contact.info': 'رابطے کی معلومات',
+            'contact.email': 'ای میل',
+            'contact.response': 'ہم عموماً 24 سے 48 گھنٹوں میں جواب دیتے ہیں',
+            'contact.hours': 'معاونت کے اوقات',
+            'contact.weekdays': 'پیر تا جمعہ: صبح 9:00 تا شام 6:00 (UTC)',
+            'contact.weekend': 'ہفتہ وار تعطیل: محدود معاونت دستیاب',
+            'contact.technical': 'تکنیکی معاونت',
+            'contact.technicalIntro': 'تکنیکی مسائل کے لیے براہ کرم یہ شامل کریں:',
+            'contact.browser': 'براؤزر اور اس کا ورژن',
+            'contact.device': 'آلے کی قسم (موبائل/ڈیسک ٹاپ)',
+            'contact.issue': 'مسئلے کی تفصیل',
+            'contact.steps': 'مسئلہ دہرانے کے مراحل',
+            'contact.feedback': 'آراء اور تجاویز',
+            'contact.feedbackText': 'Spiritual Count کو بہتر بنانے کے لیے ہم آپ کے خیالات کا خیر مقدم کرتے ہیں۔ آپ کی آراء سب کے لیے بہتر روحانی تجربہ بنانے میں ہماری مدد کرتی ہیں۔',
+            'contact.send': 'ہمیں پیغام بھیجیں',
+            'contact.name': 'پورا نام *',
+            'contact.emailAddress': 'ای میل پتہ *',
+            'contact.subject': 'موضوع *',
+            'contact.subject.none': 'موضوع چنیں',
+            'contact.subject.general': 'عمومی سوال',
+            'contact.subject.bug': 'خرابی کی اطلاع',
+            'contact.subject.feature': 'نئی سہولت کی درخواست',
+            'contact.subject.accessibility': 'رسائی کا مسئلہ',
+            'contact.subject.feedback': 'رائے',
+            'contact.message': 'پیغام *',
+            'contact.messagePlaceholder': 'براہ کرم زیادہ سے زیادہ تفصیل دیں...',
+            'contact.consent': 'میں سمجھتا/سمجھتی ہوں کہ یہ پیغام ای میل کے ذریعے بھیجا جائے گا، اور میں اپنی معلومات کو صرف اپنے سوال کے جواب کے لیے استعمال کرنے کی اجازت دیتا/دیتی ہوں۔ کوئی معلومات محفوظ یا تشہیری مقاصد کے لیے استعمال نہیں کی جائیں گی۔ *',
+            'contact.submit': 'پیغام بھیجیں',
+            'contact.prefer': 'براہ راست ای میل کرنا چاہتے ہیں؟',
+            'history.tracker': 'کاؤنٹر',
+            'dates.noAdjustment': 'کوئی نہیں',
+            'help.tap': '<strong>تھپتھپائیں:</strong> ایک جمع کرنے کے لیے کارڈ پر کہیں بھی تھپتھپائیں یا کلک کریں',
+            'help.longPress': '<strong>دبائے رکھیں:</strong> کاؤنٹر کا قدم جمع کرنے کے لیے ایک سیکنڈ دبائے رکھیں (کاؤنٹر کی ترتیبات میں نہ بدلا جائے تو 10)',
+            'help.focus': '<strong>فوکس موڈ:</strong> پوری اسکرین پر گننے کے لیے کارڈ پر ⛶ دبائیں، اسکرین جاگتی رہے گی اور پوری اسکرین تھپتھپانے کی جگہ ہوگی',
+            'help.swipe': '<strong>دائیں سوائپ:</strong> ایک کم کرنے کے لیے کارڈ کو دائیں طرف سوائپ کریں؛ ٹچ اسکرین پر ترتیب بدلنے کے لیے کارڈ کو اس کے عنوان سے گھسیٹیں',
+            'help.keyboard': '<strong>کی بورڈ:</strong> کاؤنٹر منتخب کرنے کے لیے T، اضافے کے لیے Space یا Enter، یا پہلے نو کاؤنٹروں پر گننے کے لیے 1–9 دبائیں (Shift کے ساتھ نمبر ایک کم کرتا ہے)؛ ان میں سے کوئی بھی کلید، مثلاً فٹ پیڈل یا کلکر کے لیے، «کی بورڈ شارٹ کٹ» میں بدلیں',
+            'help.settings': '<strong>ترتیبات:</strong> کاؤنٹروں کا نام بدلنے کے لیے گیئر کے نشان پر کلک کریں',
+            'help.reset': '<strong>خودکار صفر:</strong> کاؤنٹر کی ترتیبات میں روزانہ، ہفتہ وار یا ماہانہ صفر مقرر کریں؛ پچھلا مجموعہ تاریخ میں محفوظ رہتا ہے',
+            'help.undo': '<strong>واپس لیں:</strong> صفر، ترمیم، محفوظ کرنے یا ردی میں ڈالنے کو واپس لینے کے لیے Ctrl+Z دبائیں یا اطلاع پر «واپس لیں» تھپتھپائیں',
+            'help.archive': '<strong>محفوظ شدہ اور ردی:</strong> کسی کاؤنٹر کو اس کی گنتی اور تاریخ سمیت الگ رکھنے کے لیے محفوظ کریں؛ ردی میں ڈالے گئے کاؤنٹر آپ کی چنی ہوئی مدت ختم ہونے تک بحال کیے جا سکتے ہیں',
+            'help.rounds': '<strong>دور:</strong> پیش رفت کے دائرے کے ساتھ دوروں میں گننے کے لیے ہدف (33، 99، 100) مقرر کریں',
+            'help.groups': '<strong>گروپ:</strong> کاؤنٹروں کو صبح یا رمضان جیسے گروپوں میں ترتیب دیں، حصوں کو سمیٹیں، اور ترتیب بدلنے کے لیے کارڈ گھسیٹیں (یا Alt اور تیر دبائیں)',
+            'help.phrases': '<strong>اذکار کی لائبریری:</strong> عربی، رومن یا معنی سے اذکار تلاش کریں اور اپنے اذکار محفوظ کریں؛ کارڈوں پر عربی متن دکھایا جاتا ہے',
+            'help.sequences': '<strong>ترتیب:</strong> تسبیح فاطمہ جیسے اذکار کو جوڑیں؛ ہر مرحلے کی تعداد پوری ہونے پر کاؤنٹر اگلے ذکر پر چلا جاتا ہے',
+            'help.vibration': '<strong>ارتعاش:</strong> ہر گنتی پر ارتعاش آن یا آف کریں، کاؤنٹر کی ترتیبات میں اس کا پیٹرن چنیں، اور ہر 33 یا 100 گنتیوں جیسے سنگ میل پر ارتعاش شامل کریں',
+            'help.prayer': '<strong>اوقات نماز:</strong> آج کے اوقات دیکھنے کے لیے «اوقات نماز» میں اپنا مقام درج کریں؛ پھر صفر کرنا گھڑی کی بجائے فجر، عصر یا مغرب کے مطابق ہو سکتا ہے',
+            'help.reminders': '<strong>یاد دہانیاں:</strong> کاؤنٹر کی ترتیبات میں یاد دہانی کے اوقات شامل کریں، کسی مقررہ وقت پر یا نماز کے کچھ منٹ بعد، جیسے صبح و شام کے اذکار کے لیے فجر اور عصر کے بعد؛ اطلاع پر «مکمل کریں» دور مکمل کرتا ہے، اور «بعد میں یاد دلائیں» 10 منٹ بعد دوبارہ پوچھتا ہے',
+            'help.hijri': '<strong>ہجری تاریخیں:</strong> «تاریخیں» میں تاریخیں ہجری کیلنڈر میں یا دونوں کیلنڈروں میں دکھائیں؛ اپنے مقامی چاند کے مطابق ایک دن کی تصحیح کریں، اور چاہیں تو ہر دن مغرب سے شروع کریں',
+            'help.sound': '<strong>آواز:</strong> «آواز» میں گنتی کی ہلکی آوازیں اور گھنٹیاں آن کریں، اور ہر کاؤنٹر کی آواز اس کی ترتیبات میں چنیں',
+            'about.policyIntro': '<strong>آپ کی رازداری سب سے اہم ہے۔</strong> Spiritual Count ان اصولوں پر کام کرتا ہے:',
+            'about.keyboard': '<strong>کی بورڈ سے استعمال:</strong> تمام سہولیات کی بورڈ سے قابل رسائی ہیں',
+            'about.screenReaders': '<strong>اسکرین ریڈرز:</strong> درست معنوی مارک اپ اور ARIA لیبلز',
+            'about.contrast': '<strong>زیادہ تضاد:</strong> قابل رسائی رنگوں کے تضاد کے ساتھ متعدد تھیمز',
+            'about.largeText': '<strong>بڑا متن:</strong> ایسے فونٹ جو براؤزر کی ترتیبات کے مطابق بڑے چھوٹے ہوتے ہیں',
+            'about.motor': '<strong>حرکی رسائی:</strong> تھپتھپانے کی بڑی جگہیں اور کی بورڈ شارٹ کٹ',
+            'about.issues': 'ہم روحانی عمل کو ہر ایک کے لیے قابل رسائی بنانے کے لیے پرعزم ہیں۔ اگر آپ کو رسائی کا کوئی مسئلہ پیش آئے تو براہ کرم <a href="contact.html">ہم سے رابطہ کریں</a>۔',
+            'themes.aa': '<strong>WCAG AA معیار:</strong> عام متن کے لیے 4.5:1 اور بڑے متن کے لیے 3:1 تناسب',
+            'themes.aaa': '<strong>WCAG AAA معیار:</strong> عام متن کے لیے 7:1 اور بڑے متن کے لیے 4.5:1 تناسب',
+            'contact.direct': 'آپ ہمیں براہ راست <a href="mailto:hello@spiritualcount.com">hello@spiritualcount.com</a> پر بھی ای میل کر سکتے ہیں'
+        }
+    };
+
     // Application Initialization
     const app = {
-        init: () => {
+        init: async () => {
             console.log('Spiritual Count - Initializing application...');
 
             try {
-                // Initialize core managers
+                // Registered first: it waits for window load, which may fire while storage is loading
                 serviceWorkerManager.init();
+
+                // Everything below reads saved data, so it has to be loaded first
+                await storage.init();
+                syncManager.init();
+                // Before anything renders text
+                i18nManager.init();
+                storage.reportUnavailableData();
+
+                // Initialize core managers
                 themeManager.init();
                 navigationManager.init();
                 modalManager.init();
+                soundManager.init();
+                hapticsManager.init();
+                keyBindingManager.init();
+                // Before trackers, whose scheduled resets may follow prayer times
+                prayerTimeManager.init();
+                dateManager.init();
+                phraseManager.init();
+                groupManager.init();
                 trackerManager.init();
+                archiveManager.init();
+                focusManager.init();
+                reminderManager.init();
+                historyManager.init();
+                calendarManager.init();
                 scrollAnimations.init();
                 offlineManager.init();
                 contactFormManager.init();
@@ -1279,8 +9011,26 @@ This message was sent from the Spiritual Count contact form.
             state,
             utils,
             storage,
+            idbStorage,
+            i18nManager,
             themeManager,
-            trackerManager
+            trackerManager,
+            backupManager,
+            csvManager,
+            syncManager,
+            phraseManager,
+            groupManager,
+            archiveManager,
+            focusManager,
+            soundManager,
+            hapticsManager,
+            keyBindingManager,
+            prayerTimeManager,
+            dateManager,
+            reminderManager,
+            historyManager,
+            calendarManager,
+            undoManager
         };
     }
 
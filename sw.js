@@ -4,6 +4,14 @@
 const CACHE_NAME = 'spiritual-count-v1';
 const CACHE_VERSION = '1.0.0';
 
+// Reminder schedule shared with the page (see reminderManager in script.js); names must match CONFIG.REMINDERS
+const REMINDER_CACHE = 'spiritual-count-reminders';
+const REMINDER_STORE_URL = '/reminders.json';
+const REMINDER_LOCK = 'spiritual-count-reminder-check';
+const REMINDER_SNOOZE_MINUTES = 10;
+// Background checks come at the browser's convenience; a reminder later than this is left for the page to report as missed
+const REMINDER_BACKGROUND_WINDOW = 6 * 60 * 60 * 1000;
+
 // Assets to cache for offline functionality
 const CORE_ASSETS = [
   '/',
@@ -83,7 +91,8 @@ self.addEventListener('activate', (event) => {
       .then((cacheNames) => {
         // Delete old caches
         const deletePromises = cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          // The reminder cache holds data rather than assets, so it survives new versions
+          if (cacheName !== CACHE_NAME && cacheName !== REMINDER_CACHE) {
             console.log('[SW] Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -380,6 +389,161 @@ self.addEventListener('message', (event) => {
   }
 });
 
+/**
+ * Read the reminder store the page keeps in the reminder cache
+ */
+async function readReminderStore() {
+  const empty = { schedule: [], log: {}, pending: [] };
+  try {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(REMINDER_STORE_URL);
+    return response ? { ...empty, ...(await response.json()) } : empty;
+  } catch (error) {
+    console.error('[SW] Could not read reminders:', error);
+    return empty;
+  }
+}
+
+/**
+ * Run a read-change-write of the reminder store under the Web Lock the page's checks take,
+ * so neither side overwrites a snooze or check the other has just saved
+ */
+function withReminderLock(callback) {
+  return self.navigator.locks ? self.navigator.locks.request(REMINDER_LOCK, callback) : callback();
+}
+
+async function writeReminderStore(store) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(REMINDER_STORE_URL, new Response(JSON.stringify(store), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+/**
+ * Shown as the page built it, in the user's language; schedules saved before
+ * the page did that get the English text
+ */
+function showReminder(entry) {
+  if (entry.notification) {
+    return self.registration.showNotification(entry.notification.title, entry.notification.options);
+  }
+  return self.registration.showNotification(`Time for ${entry.name}`, {
+    body: entry.phrase,
+    tag: `reminder-${entry.trackerId}`,
+    data: { trackerId: entry.trackerId },
+    actions: [
+      { action: 'done', title: 'Mark done' },
+      { action: 'snooze', title: `Snooze ${REMINDER_SNOOZE_MINUTES} min` }
+    ]
+  });
+}
+
+/**
+ * Show reminders that came due while no page was open.
+ * Missed ones are left for the page to report when it next loads.
+ */
+async function checkReminders() {
+  return withReminderLock(async () => {
+    const store = await readReminderStore();
+    const now = Date.now();
+    const shown = [];
+
+    store.schedule.forEach((entry) => {
+      const log = store.log[entry.trackerId];
+      if (!log) return;
+
+      const snoozeDue = log.snoozedUntil && log.snoozedUntil <= now ? log.snoozedUntil : null;
+      // The page lists the coming week's reminder times, prayer times included
+      const since = Math.max(log.handledAt, now - REMINDER_BACKGROUND_WINDOW);
+      const due = snoozeDue || (entry.upcoming || []).filter((at) => at > since && at <= now).pop();
+      if (!due) return;
+
+      log.handledAt = now;
+      log.snoozedUntil = null;
+      shown.push(showReminder(entry));
+    });
+
+    if (shown.length > 0) {
+      await writeReminderStore(store);
+      await Promise.all(shown);
+    }
+  });
+}
+
+/**
+ * Send a message to an open page, preferring the one in front; false if none is open
+ */
+async function messageClient(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = windows.find((w) => w.focused) || windows[0];
+  if (!client) return false;
+  client.postMessage(message);
+  return true;
+}
+
+/**
+ * Open the tracker page at the reminded tracker, reusing an open tab when there is one
+ */
+async function openTracker(trackerId) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const trackerPage = windows.find((w) => new URL(w.url).pathname.endsWith('/tracker.html'));
+
+  if (trackerPage) {
+    await trackerPage.focus();
+    trackerPage.postMessage({ type: 'SHOW_TRACKER', trackerId });
+    return;
+  }
+  await self.clients.openWindow(`/tracker.html#tracker-${encodeURIComponent(trackerId)}`);
+}
+
+/**
+ * Reminder notification buttons and taps
+ */
+self.addEventListener('notificationclick', (event) => {
+  const { trackerId } = event.notification.data || {};
+  event.notification.close();
+  if (!trackerId) return;
+
+  if (event.action === 'done') {
+    // The count lives in the page's storage: an open page updates it now, otherwise the next one to load does
+    event.waitUntil(
+      messageClient({ type: 'REMINDER_DONE', trackerId }).then(async (delivered) => {
+        if (delivered) return;
+        await withReminderLock(async () => {
+          const store = await readReminderStore();
+          store.pending.push({ action: 'done', trackerId });
+          await writeReminderStore(store);
+        });
+      })
+    );
+  } else if (event.action === 'snooze') {
+    event.waitUntil(
+      withReminderLock(async () => {
+        const store = await readReminderStore();
+        store.log[trackerId] = {
+          ...store.log[trackerId],
+          snoozedUntil: Date.now() + REMINDER_SNOOZE_MINUTES * 60 * 1000
+        };
+        await writeReminderStore(store);
+      }).then(() => {
+        // An open page sets its timer for the snooze; otherwise the next background check or load picks it up
+        return messageClient({ type: 'REMINDER_SNOOZED', trackerId });
+      })
+    );
+  } else {
+    event.waitUntil(openTracker(trackerId));
+  }
+});
+
+/**
+ * Periodic background sync, offered to installed apps by some browsers
+ */
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'reminders') {
+    event.waitUntil(checkReminders());
+  }
+});
+
 /**
  * Handle service worker errors
  */